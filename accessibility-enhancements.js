@@ -100,6 +100,22 @@ class AccessibilityEnhancements {
                 this.announce('Toolbar focused');
             }
         }
+        
+        // Undo/redo menu edits; text fields keep the browser's own undo
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z' && !this.isTextEntry(e.target)) {
+            if (window.menuEditor && window.menuEditor.history) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    window.menuEditor.redo();
+                } else {
+                    window.menuEditor.undo();
+                }
+            }
+        }
+    }
+    
+    isTextEntry(element) {
+        return Boolean(element && (element.isContentEditable || element.closest('input, textarea, select')));
     }
     
     enhanceTabNavigation() {
@@ -201,6 +217,10 @@ class AccessibilityEnhancements {
                                 <kbd>Ctrl + Z</kbd>
                                 <span>Undo last action</span>
                             </div>
+                            <div class=\"shortcut-item\">
+                                <kbd>Ctrl + Shift + Z</kbd>
+                                <span>Redo last undone action</span>
+                            </div>
                             <div class=\"shortcut-item\">
                                 <kbd>Ctrl + A</kbd>
                                 <span>Select all (in bulk mode)</span>
@@ -0,0 +1,47 @@
+const { getAdminAuditLog } = require('../../lib/hybrid-database');
+const {
+  DEFAULT_AUDIT_LOG_LIMIT,
+  MAX_AUDIT_LOG_LIMIT,
+  authorizeAdmin,
+  recordAdminAction,
+  formatAuditEntry
+} = require('../../lib/admin');
+
+// The admin audit log, newest first. ?limit= sets how many entries to return.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const access = await authorizeAdmin(req, res);
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    let limit = DEFAULT_AUDIT_LOG_LIMIT;
+    if (req.query.limit !== undefined) {
+      if (!/^\d+$/.test(String(req.query.limit))) {
+        return res.status(400).json({ error: 'Limit must be a whole number' });
+      }
+      limit = Math.max(1, Math.min(parseInt(req.query.limit, 10), MAX_AUDIT_LOG_LIMIT));
+    }
+
+    // Recorded first, so the log shows who has read it
+    await recordAdminAction(req, access.user, 'audit_log.view');
+
+    const result = await getAdminAuditLog(limit);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+
+    res.status(200).json({
+      success: true,
+      entries: result.entries.map(formatAuditEntry)
+    });
+
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
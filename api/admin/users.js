@@ -1,23 +1,46 @@
-const bcrypt = require('bcryptjs');
-const { getAllUsers } = require('../../lib/database');
-
-// Admin credentials - in production, these should be environment variables
-const ADMIN_CREDENTIALS = {
-  username: process.env.ADMIN_USERNAME || 'admin',
-  password: process.env.ADMIN_PASSWORD || 'MenuAdmin2024!'
-};
+const { getAllUsers, setUserAdmin } = require('../../lib/hybrid-database');
+const { authorizeAdmin, recordAdminAction } = require('../../lib/admin');
 
+// Admin dashboard data (GET), and granting or removing admin access with
+// PUT { userId, isAdmin }. Only signed-in admins get in.
 module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const { username, password } = req.body;
+    const access = await authorizeAdmin(req, res);
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (req.method === 'PUT') {
+      const { userId, isAdmin } = req.body || {};
+
+      if (!userId || typeof isAdmin !== 'boolean') {
+        return res.status(400).json({ error: 'User ID and isAdmin are required' });
+      }
 
-    // Validate admin credentials
-    if (username !== ADMIN_CREDENTIALS.username || password !== ADMIN_CREDENTIALS.password) {
-      return res.status(401).json({ error: 'Invalid admin credentials' });
+      // Admins can't lock themselves out, so there is always at least one
+      if (userId === access.user.id && !isAdmin) {
+        return res.status(400).json({ error: "You can't remove your own admin access" });
+      }
+
+      const result = await setUserAdmin(userId, isAdmin);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to update user' });
+      }
+      if (!result.user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await recordAdminAction(req, access.user, isAdmin ? 'user.admin_granted' : 'user.admin_revoked', {
+        type: 'user',
+        id: userId,
+        details: { email: result.user.email }
+      });
+
+      return res.status(200).json({ success: true, userId, isAdmin });
     }
 
     // Get all users with their menu counts
@@ -35,6 +58,8 @@ module.exports = async function handler(req, res) {
       restaurant: user.restaurant,
       avatar: user.avatar,
       plan: user.plan,
+      isAdmin: Boolean(user.is_admin),
+      twoFactorEnabled: Boolean(user.two_factor_enabled),
       maxMenus: user.max_menus,
       menuCount: parseInt(user.menu_count) || 0,
       publishedCount: parseInt(user.published_count) || 0,
@@ -56,6 +81,8 @@ module.exports = async function handler(req, res) {
       }).length
     };
 
+    await recordAdminAction(req, access.user, 'users.list', { details: { count: users.length } });
+
     res.status(200).json({ 
       success: true, 
       users,
@@ -0,0 +1,49 @@
+const { getUserByEmail, createPasswordResetToken } = require('../../lib/hybrid-database');
+const {
+  PASSWORD_RESET_TTL_MS,
+  createToken,
+  getAppBaseUrl,
+  sendPasswordResetEmail
+} = require('../../lib/account-emails');
+
+// Same reply whether or not the account exists, so the form can't be used to find out
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If an account exists for that email, we sent a link to reset the password.'
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const email = req.body?.email?.toLowerCase()?.trim();
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const userResult = await getUserByEmail(email);
+    if (!userResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!userResult.user) {
+      return res.status(200).json(GENERIC_RESPONSE);
+    }
+
+    const { token, tokenHash } = createToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    const tokenResult = await createPasswordResetToken(userResult.user.id, tokenHash, expiresAt);
+    if (!tokenResult.success) {
+      return res.status(500).json({ error: 'Failed to create reset link' });
+    }
+
+    await sendPasswordResetEmail(userResult.user, token, getAppBaseUrl());
+
+    res.status(200).json(GENERIC_RESPONSE);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
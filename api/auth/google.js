@@ -1,6 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 const { sql } = require('@vercel/postgres');
 const { createUser, getUserByEmail, updateUserLastActive } = require('../../lib/database');
+const { createSession } = require('../../lib/hybrid-database');
+const { getSessionExpiry, getSessionMetadata, setSessionCookie } = require('../../lib/sessions');
+const { startLoginChallenge } = require('../../lib/two-factor');
 
 // Google OAuth verification (you'll need to install google-auth-library)
 // npm install google-auth-library
@@ -79,6 +82,31 @@ module.exports = async function handler(req, res) {
                     WHERE id = ${userId}
                 `;
             }
+
+            // Google has confirmed the address
+            if (googleUser.emailVerified && !existingUserResult.user.email_verified) {
+                await sql`
+                    UPDATE users
+                    SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ${userId}
+                `;
+            }
+
+            // Unless the user chose to trust Google's own sign-in checks,
+            // two-factor accounts still need a code
+            const existingUser = existingUserResult.user;
+            if (existingUser.two_factor_enabled && existingUser.two_factor_google !== false) {
+                const challengeResult = await startLoginChallenge(userId);
+                if (!challengeResult.success) {
+                    return res.status(500).json({ error: 'Database error' });
+                }
+
+                return res.status(200).json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: challengeResult.challengeToken
+                });
+            }
         } else {
             // Create new user
             isNewUser = true;
@@ -90,7 +118,8 @@ module.exports = async function handler(req, res) {
                 name: googleUser.name,
                 restaurant: 'My Restaurant', // Default restaurant name
                 googleId: googleUser.googleId,
-                profilePicture: googleUser.picture
+                profilePicture: googleUser.picture,
+                emailVerified: Boolean(googleUser.emailVerified)
             });
 
             if (!createResult.success) {
@@ -100,25 +129,19 @@ module.exports = async function handler(req, res) {
 
         // Create session
         const sessionId = uuidv4();
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
+        const expiresAt = getSessionExpiry();
 
-        await sql`
-            INSERT INTO user_sessions (id, user_id, expires_at)
-            VALUES (${sessionId}, ${userId}, ${expiresAt})
-        `;
+        await createSession(sessionId, userId, expiresAt, getSessionMetadata(req));
 
         // Update last active
         await updateUserLastActive(userId);
 
         // Get updated user data
         const userResult = await getUserByEmail(googleUser.email);
-        const { password_hash, ...userWithoutPassword } = userResult.user;
+        const { password_hash, two_factor_secret, two_factor_last_step, ...userWithoutPassword } = userResult.user;
 
         // Set session cookie
-        res.setHeader('Set-Cookie', [
-            `session=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${7 * 24 * 60 * 60}${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`
-        ]);
+        setSessionCookie(res, sessionId);
 
         res.status(200).json({ 
             success: true, 
@@ -1,6 +1,8 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const { getUserByEmail, updateUserLastActive, createSession } = require('../../lib/hybrid-database');
+const { getSessionExpiry, getSessionMetadata, setSessionCookie } = require('../../lib/sessions');
+const { startLoginChallenge } = require('../../lib/two-factor');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -31,23 +33,34 @@ module.exports = async function handler(req, res) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // With two-factor authentication on, the session waits for a code (api/auth/two-factor-challenge.js)
+    if (userResult.user.two_factor_enabled) {
+      const challengeResult = await startLoginChallenge(userResult.user.id);
+      if (!challengeResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: challengeResult.challengeToken
+      });
+    }
+
     // Create session
     const sessionId = uuidv4();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
+    const expiresAt = getSessionExpiry();
 
-    await createSession(sessionId, userResult.user.id, expiresAt);
+    await createSession(sessionId, userResult.user.id, expiresAt, getSessionMetadata(req));
 
     // Update last active
     await updateUserLastActive(userResult.user.id);
 
-    // Don't return password hash
-    const { password_hash, ...userWithoutPassword } = userResult.user;
+    // Don't return password hash or two-factor secret
+    const { password_hash, two_factor_secret, two_factor_last_step, ...userWithoutPassword } = userResult.user;
 
     // Set session cookie
-    res.setHeader('Set-Cookie', [
-      `session=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${7 * 24 * 60 * 60}${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`
-    ]);
+    setSessionCookie(res, sessionId);
 
     res.status(200).json({ 
       success: true, 
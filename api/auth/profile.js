@@ -0,0 +1,65 @@
+const { getSession, getUserById, updateUserProfile } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { formatBusinessProfile, validateBusinessProfile } = require('../../lib/business-profile');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const userResult = await getUserById(userId);
+      if (!userResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!userResult.user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        profile: formatBusinessProfile(userResult.user)
+      });
+    }
+
+    const { profile, error } = validateBusinessProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateUserProfile(userId, profile);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to save business info' });
+    }
+    if (!result.user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      profile: formatBusinessProfile(result.user)
+    });
+
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,62 @@
+const {
+  getSession,
+  getUserById,
+  replaceRecoveryCodes
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { generateRecoveryCodes, verifySecondFactor } = require('../../lib/two-factor');
+
+// Replace the account's two-factor recovery codes with a new set. Takes
+// { code } from the authenticator app (or an unused recovery code); the new
+// codes are only ever returned here.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userResult = await getUserById(session.user_id);
+    if (!userResult.success || !userResult.user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const user = userResult.user;
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'A code from your authenticator app is required' });
+    }
+
+    const verifyResult = await verifySecondFactor(user, code);
+    if (!verifyResult.success) {
+      return res.status(500).json({ error: 'Failed to check code' });
+    }
+    if (!verifyResult.valid) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const { codes, codeHashes } = generateRecoveryCodes();
+    const result = await replaceRecoveryCodes(user.id, codeHashes);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create recovery codes' });
+    }
+
+    res.status(200).json({ success: true, recoveryCodes: codes });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,6 +1,33 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const { createUser, getUserByEmail, createSession } = require('../../lib/hybrid-database');
+const {
+  createUser,
+  getUserByEmail,
+  createSession,
+  createEmailVerificationToken
+} = require('../../lib/hybrid-database');
+const {
+  EMAIL_VERIFICATION_TTL_MS,
+  MIN_PASSWORD_LENGTH,
+  createToken,
+  getAppBaseUrl,
+  sendVerificationEmail
+} = require('../../lib/account-emails');
+const { getSessionExpiry, getSessionMetadata } = require('../../lib/sessions');
+
+// Ask the new user to confirm their address; the account works either way
+async function sendWelcomeVerification(req, user) {
+  try {
+    const { token, tokenHash } = createToken();
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+    const tokenResult = await createEmailVerificationToken(user.id, user.email, tokenHash, expiresAt);
+    if (tokenResult.success) {
+      await sendVerificationEmail(user, token, getAppBaseUrl());
+    }
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+}
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -35,8 +62,8 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
 
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
 
     // Check if user already exists
@@ -81,12 +108,14 @@ module.exports = async function handler(req, res) {
       return res.status(500).json({ error: 'Failed to create user' });
     }
 
+    await sendWelcomeVerification(req, { ...userData, ...createResult.user });
+
     // CREATE SESSION FOR AUTO-LOGIN
     const sessionId = uuidv4();
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    const expiresAt = getSessionExpiry();
 
     try {
-      await createSession(sessionId, userId, expiresAt);
+      await createSession(sessionId, userId, expiresAt, getSessionMetadata(req));
 
       // Set cookie
       res.cookie('session', sessionId, {
@@ -0,0 +1,61 @@
+const bcrypt = require('bcryptjs');
+const {
+  consumePasswordResetToken,
+  getUserById,
+  updateUserPassword,
+  markEmailVerified,
+  deleteUserSessions
+} = require('../../lib/hybrid-database');
+const { MIN_PASSWORD_LENGTH, hashToken } = require('../../lib/account-emails');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const tokenResult = await consumePasswordResetToken(hashToken(token));
+    if (!tokenResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!tokenResult.userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const userResult = await getUserById(tokenResult.userId);
+    if (!userResult.success || !userResult.user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const updateResult = await updateUserPassword(userResult.user.id, passwordHash);
+    if (!updateResult.success) {
+      return res.status(500).json({ error: 'Failed to update password' });
+    }
+
+    // The link reached this inbox, which proves the address
+    await markEmailVerified(userResult.user.id, userResult.user.email);
+
+    // Whoever knew the old password is signed out too
+    await deleteUserSessions(userResult.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been reset. You can now sign in.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
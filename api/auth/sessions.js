@@ -0,0 +1,84 @@
+const {
+  getSession,
+  getUserSessions,
+  deleteSession,
+  deleteUserSessions
+} = require('../../lib/hybrid-database');
+const { formatSession, getSessionPublicId, renewSessionCookie } = require('../../lib/sessions');
+
+// The signed-in account's devices (GET), and signing them out (DELETE):
+// ?id=<session id from the list> revokes one session, ?scope=others signs out
+// every other device and ?scope=current signs out this one.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userId = session.user_id;
+
+    if (req.method === 'GET') {
+      const result = await getUserSessions(userId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to fetch sessions' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        sessions: result.sessions.map(row => formatSession(row, sessionId))
+      });
+    }
+
+    const { id, scope } = req.query;
+
+    if (scope === 'current') {
+      await deleteSession(sessionId);
+      return res.status(200).json({ success: true, signedOut: 1 });
+    }
+
+    if (scope === 'others') {
+      const result = await getUserSessions(userId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to fetch sessions' });
+      }
+      if (!(await deleteUserSessions(userId, sessionId))) {
+        return res.status(500).json({ error: 'Failed to sign out other devices' });
+      }
+      return res.status(200).json({ success: true, signedOut: result.sessions.length - 1 });
+    }
+
+    if (!id) {
+      return res.status(400).json({ error: 'Session ID or scope is required' });
+    }
+
+    // Only the user's own sessions can be found, so other accounts' sessions are never touched
+    const result = await getUserSessions(userId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+
+    const target = result.sessions.find(row => getSessionPublicId(row.id) === id);
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!(await deleteSession(target.id))) {
+      return res.status(500).json({ error: 'Failed to sign out session' });
+    }
+
+    res.status(200).json({ success: true, signedOut: 1, current: target.id === sessionId });
+
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,103 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getUserById,
+  updateUserLastActive,
+  createSession,
+  recordLoginChallengeAttempt,
+  deleteLoginChallenge,
+  countUnusedRecoveryCodes
+} = require('../../lib/hybrid-database');
+const { getSessionExpiry, getSessionMetadata, setSessionCookie } = require('../../lib/sessions');
+const { hashToken } = require('../../lib/account-emails');
+const { MAX_LOGIN_CHALLENGE_ATTEMPTS, verifySecondFactor } = require('../../lib/two-factor');
+
+// Second step of signing in to an account with two-factor authentication.
+// Takes the challengeToken from login (or Google sign-in) and a code from the
+// authenticator app or a recovery code, and starts the session.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    const tokenHash = hashToken(challengeToken);
+    const attemptResult = await recordLoginChallengeAttempt(tokenHash);
+    if (!attemptResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const challenge = attemptResult.challenge;
+    if (!challenge) {
+      return res.status(401).json({ error: 'This sign-in has expired. Please sign in again.' });
+    }
+
+    if (challenge.attempts > MAX_LOGIN_CHALLENGE_ATTEMPTS) {
+      await deleteLoginChallenge(tokenHash);
+      return res.status(429).json({ error: 'Too many incorrect codes. Please sign in again.' });
+    }
+
+    const userResult = await getUserById(challenge.user_id);
+    if (!userResult.success || !userResult.user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const verifyResult = await verifySecondFactor(userResult.user, code);
+    if (!verifyResult.success) {
+      return res.status(500).json({ error: 'Failed to check code' });
+    }
+    if (!verifyResult.valid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        attemptsRemaining: MAX_LOGIN_CHALLENGE_ATTEMPTS - challenge.attempts
+      });
+    }
+
+    // Each challenge signs in once
+    const deleteResult = await deleteLoginChallenge(tokenHash);
+    if (!deleteResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!deleteResult.deleted) {
+      return res.status(401).json({ error: 'This sign-in has expired. Please sign in again.' });
+    }
+
+    // Create session
+    const sessionId = uuidv4();
+    const expiresAt = getSessionExpiry();
+
+    await createSession(sessionId, userResult.user.id, expiresAt, getSessionMetadata(req));
+
+    // Update last active
+    await updateUserLastActive(userResult.user.id);
+
+    // Let the user know when they are running out of recovery codes
+    let recoveryCodesRemaining;
+    if (verifyResult.method === 'recovery') {
+      const codesResult = await countUnusedRecoveryCodes(userResult.user.id);
+      recoveryCodesRemaining = codesResult.success ? codesResult.count : undefined;
+    }
+
+    // Don't return password hash or two-factor secret
+    const { password_hash, two_factor_secret, two_factor_last_step, ...userWithoutPassword } = userResult.user;
+
+    // Set session cookie
+    setSessionCookie(res, sessionId);
+
+    res.status(200).json({
+      success: true,
+      user: userWithoutPassword,
+      sessionId,
+      recoveryCodesRemaining
+    });
+
+  } catch (error) {
+    console.error('Two-factor challenge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
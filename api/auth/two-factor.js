@@ -0,0 +1,147 @@
+const {
+  getSession,
+  getUserById,
+  setTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  setTwoFactorGoogleRequirement,
+  countUnusedRecoveryCodes,
+  deleteUserSessions
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  generateSecret,
+  getOtpauthUri,
+  getQrCodeDataUrl,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../../lib/two-factor');
+
+// Two-factor authentication for the signed-in account:
+// GET    - whether it is on, and how many recovery codes are left
+// POST   - start setup: a new secret with its otpauth:// URI and QR code
+// PUT    - { code, requireForGoogle } turns it on with a code from the app
+//          (returning recovery codes, shown once), or changes whether Google
+//          sign-in asks for a code once it is on
+// DELETE - { code } turns it off
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userResult = await getUserById(session.user_id);
+    if (!userResult.success || !userResult.user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const user = userResult.user;
+    const enabled = Boolean(user.two_factor_enabled);
+
+    if (req.method === 'GET') {
+      const codesResult = enabled ? await countUnusedRecoveryCodes(user.id) : { success: true, count: 0 };
+      if (!codesResult.success) {
+        return res.status(500).json({ error: 'Failed to fetch two-factor status' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        enabled,
+        requireForGoogle: user.two_factor_google !== false,
+        enabledAt: user.two_factor_enabled_at || null,
+        recoveryCodesRemaining: codesResult.count
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (enabled) {
+        return res.status(409).json({ error: 'Two-factor authentication is already on' });
+      }
+
+      const secret = generateSecret();
+      const result = await setTwoFactorSecret(user.id, secret);
+      if (!result.success || !result.updated) {
+        return res.status(500).json({ error: 'Failed to start two-factor setup' });
+      }
+
+      const otpauthUri = getOtpauthUri(secret, user.email);
+      return res.status(200).json({
+        success: true,
+        secret,
+        otpauthUri,
+        qrCode: await getQrCodeDataUrl(otpauthUri)
+      });
+    }
+
+    const { code, requireForGoogle } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({ error: 'A code from your authenticator app is required' });
+    }
+
+    if (!enabled && !user.two_factor_secret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    if (req.method === 'DELETE' && !enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    }
+
+    const verifyResult = await verifySecondFactor(user, code);
+    if (!verifyResult.success) {
+      return res.status(500).json({ error: 'Failed to check code' });
+    }
+    if (!verifyResult.valid) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    if (req.method === 'DELETE') {
+      const result = await disableTwoFactor(user.id);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+      }
+      return res.status(200).json({ success: true, enabled: false });
+    }
+
+    if (enabled) {
+      if (typeof requireForGoogle !== 'boolean') {
+        return res.status(400).json({ error: 'requireForGoogle must be true or false' });
+      }
+
+      const result = await setTwoFactorGoogleRequirement(user.id, requireForGoogle);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to update two-factor settings' });
+      }
+      return res.status(200).json({ success: true, enabled: true, requireForGoogle });
+    }
+
+    const { codes, codeHashes } = generateRecoveryCodes();
+    const result = await enableTwoFactor(user.id, codeHashes, requireForGoogle !== false);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+    }
+
+    // Sessions signed in with just the password (perhaps not by the owner) end here
+    await deleteUserSessions(user.id, sessionId);
+
+    res.status(200).json({
+      success: true,
+      enabled: true,
+      requireForGoogle: requireForGoogle !== false,
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
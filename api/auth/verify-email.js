@@ -0,0 +1,102 @@
+const {
+  getSession,
+  getUserById,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+  markEmailVerified
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  EMAIL_VERIFICATION_TTL_MS,
+  hashToken,
+  createToken,
+  getAppBaseUrl,
+  sendVerificationEmail
+} = require('../../lib/account-emails');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// POST { token } confirms an address from the emailed link. POST without a
+// token sends a new link to the signed-in user.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token } = req.body || {};
+
+    if (token) {
+      const tokenResult = await consumeEmailVerificationToken(hashToken(token));
+      if (!tokenResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!tokenResult.token) {
+        return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+      }
+
+      const verifyResult = await markEmailVerified(tokenResult.token.user_id, tokenResult.token.email);
+      if (!verifyResult.success) {
+        return res.status(500).json({ error: 'Failed to verify email' });
+      }
+      if (!verifyResult.verified) {
+        // The account's email changed after the link was sent
+        return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        verified: true,
+        message: 'Your email address has been verified.'
+      });
+    }
+
+    // Resend
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userResult = await getUserById(userId);
+    if (!userResult.success || !userResult.user) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const user = userResult.user;
+    if (user.email_verified) {
+      return res.status(200).json({
+        success: true,
+        verified: true,
+        message: 'Your email address is already verified.'
+      });
+    }
+
+    const { token: newToken, tokenHash } = createToken();
+    const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+    const tokenResult = await createEmailVerificationToken(user.id, user.email, tokenHash, expiresAt);
+    if (!tokenResult.success) {
+      return res.status(500).json({ error: 'Failed to create verification link' });
+    }
+
+    await sendVerificationEmail(user, newToken, getAppBaseUrl());
+
+    res.status(200).json({
+      success: true,
+      verified: false,
+      message: `We sent a new verification link to ${user.email}.`
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
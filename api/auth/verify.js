@@ -1,4 +1,5 @@
 const { getUserById, getSession } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'GET' && req.method !== 'POST') {
@@ -15,6 +16,7 @@ module.exports = async function handler(req, res) {
 
     // Check if session exists and is not expired
     const session = await getSession(sessionId);
+    renewSessionCookie(req, res, session);
 
     if (!session) {
       return res.status(401).json({ error: 'Invalid or expired session' });
@@ -26,8 +28,8 @@ module.exports = async function handler(req, res) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Don't return password hash
-    const { password_hash, ...userWithoutPassword } = userResult.user;
+    // Don't return password hash or two-factor secret
+    const { password_hash, two_factor_secret, two_factor_last_step, ...userWithoutPassword } = userResult.user;
 
     res.status(200).json({ 
       success: true, 
@@ -0,0 +1,30 @@
+const { processDuePublishSchedules } = require('../../lib/publish-schedules');
+
+// Vercel Cron calls this route (see vercel.json) with the project's
+// CRON_SECRET as a bearer token; the local server runs the same job on a timer.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await processDuePublishSchedules();
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to process schedules' });
+    }
+
+    res.status(200).json({
+      success: true,
+      processed: result.processed
+    });
+
+  } catch (error) {
+    console.error('Publish schedule cron error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -17,6 +17,14 @@ const loginHandler = require('./auth/login');
 const registerHandler = require('./auth/register');
 const verifyHandler = require('./auth/verify');
 const googleHandler = require('./auth/google');
+const profileHandler = require('./auth/profile');
+const forgotPasswordHandler = require('./auth/forgot-password');
+const resetPasswordHandler = require('./auth/reset-password');
+const verifyEmailHandler = require('./auth/verify-email');
+const sessionsHandler = require('./auth/sessions');
+const twoFactorHandler = require('./auth/two-factor');
+const recoveryCodesHandler = require('./auth/recovery-codes');
+const twoFactorChallengeHandler = require('./auth/two-factor-challenge');
 
 // Menu routes
 const createMenuHandler = require('./menu/create');
@@ -26,13 +34,38 @@ const deleteMenuHandler = require('./menu/delete');
 const publishMenuHandler = require('./menu/publish');
 const checkAvailabilityHandler = require('./menu/check-availability');
 const getPublishedHandler = require('./menu/get-published');
+const qrCodeHandler = require('./menu/qr');
+const pdfHandler = require('./menu/pdf');
+const revisionsHandler = require('./menu/revisions');
+const revisionDiffHandler = require('./menu/revision-diff');
+const restoreRevisionHandler = require('./menu/restore');
+const availabilityHandler = require('./menu/availability');
+const publishSchedulesHandler = require('./menu/publish-schedules');
+const trackHandler = require('./menu/track');
+const analyticsHandler = require('./menu/analytics');
+const palettesHandler = require('./menu/palettes');
+const fontsHandler = require('./menu/fonts');
+const menuPageHandler = require('./menu/[slug]');
+const menuAccessHandler = require('./menu/access');
+
+// Team routes
+const organizationsHandler = require('./team/organizations');
+const teamMembersHandler = require('./team/members');
+const teamInvitationsHandler = require('./team/invitations');
+const acceptInvitationHandler = require('./team/accept-invitation');
 
 // Admin routes
 const adminUsersHandler = require('./admin/users');
+const adminAuditLogHandler = require('./admin/audit-log');
+
+// Scheduled jobs
+const publishSchedulesCronHandler = require('./cron/publish-schedules');
+const sessionCleanupCronHandler = require('./cron/session-cleanup');
 
 // Upload routes
 const uploadBackgroundHandler = require('./upload/background');
 const uploadLogoHandler = require('./upload/logo');
+const uploadItemPhotoHandler = require('./upload/item-photo');
 
 // API Routes - wrap each handler to work with Express
 app.post('/api/init-db', (req, res) => initDbHandler(req, res));
@@ -43,6 +76,19 @@ app.post('/api/auth/login', (req, res) => loginHandler(req, res));
 app.post('/api/auth/register', (req, res) => registerHandler(req, res));
 app.get('/api/auth/verify', (req, res) => verifyHandler(req, res));
 app.post('/api/auth/google', (req, res) => googleHandler(req, res));
+app.get('/api/auth/profile', (req, res) => profileHandler(req, res));
+app.put('/api/auth/profile', (req, res) => profileHandler(req, res));
+app.post('/api/auth/forgot-password', (req, res) => forgotPasswordHandler(req, res));
+app.post('/api/auth/reset-password', (req, res) => resetPasswordHandler(req, res));
+app.post('/api/auth/verify-email', (req, res) => verifyEmailHandler(req, res));
+app.get('/api/auth/sessions', (req, res) => sessionsHandler(req, res));
+app.delete('/api/auth/sessions', (req, res) => sessionsHandler(req, res));
+app.get('/api/auth/two-factor', (req, res) => twoFactorHandler(req, res));
+app.post('/api/auth/two-factor', (req, res) => twoFactorHandler(req, res));
+app.put('/api/auth/two-factor', (req, res) => twoFactorHandler(req, res));
+app.delete('/api/auth/two-factor', (req, res) => twoFactorHandler(req, res));
+app.post('/api/auth/recovery-codes', (req, res) => recoveryCodesHandler(req, res));
+app.post('/api/auth/two-factor-challenge', (req, res) => twoFactorChallengeHandler(req, res));
 
 // Menu routes
 app.post('/api/menu/create', (req, res) => createMenuHandler(req, res));
@@ -52,13 +98,52 @@ app.delete('/api/menu/delete', (req, res) => deleteMenuHandler(req, res));
 app.post('/api/menu/publish', (req, res) => publishMenuHandler(req, res));
 app.post('/api/menu/check-availability', (req, res) => checkAvailabilityHandler(req, res));
 app.get('/api/menu/get-published', (req, res) => getPublishedHandler(req, res));
+app.get('/api/menu/qr', (req, res) => qrCodeHandler(req, res));
+app.get('/api/menu/pdf', (req, res) => pdfHandler(req, res));
+app.get('/api/menu/revisions', (req, res) => revisionsHandler(req, res));
+app.get('/api/menu/revision-diff', (req, res) => revisionDiffHandler(req, res));
+app.post('/api/menu/restore', (req, res) => restoreRevisionHandler(req, res));
+app.get('/api/menu/availability', (req, res) => availabilityHandler(req, res));
+app.post('/api/menu/availability', (req, res) => availabilityHandler(req, res));
+app.get('/api/menu/publish-schedules', (req, res) => publishSchedulesHandler(req, res));
+app.post('/api/menu/publish-schedules', (req, res) => publishSchedulesHandler(req, res));
+app.delete('/api/menu/publish-schedules', (req, res) => publishSchedulesHandler(req, res));
+app.post('/api/menu/track', (req, res) => trackHandler(req, res));
+app.get('/api/menu/analytics', (req, res) => analyticsHandler(req, res));
+app.get('/api/menu/palettes', (req, res) => palettesHandler(req, res));
+app.post('/api/menu/palettes', (req, res) => palettesHandler(req, res));
+app.put('/api/menu/palettes', (req, res) => palettesHandler(req, res));
+app.delete('/api/menu/palettes', (req, res) => palettesHandler(req, res));
+app.get('/api/menu/fonts', (req, res) => fontsHandler(req, res));
+app.post('/api/menu/fonts', (req, res) => fontsHandler(req, res));
+app.delete('/api/menu/fonts', (req, res) => fontsHandler(req, res));
+app.get('/api/menu/access', (req, res) => menuAccessHandler(req, res));
+app.put('/api/menu/access', (req, res) => menuAccessHandler(req, res));
+
+// Team routes
+app.get('/api/team/organizations', (req, res) => organizationsHandler(req, res));
+app.post('/api/team/organizations', (req, res) => organizationsHandler(req, res));
+app.put('/api/team/organizations', (req, res) => organizationsHandler(req, res));
+app.get('/api/team/members', (req, res) => teamMembersHandler(req, res));
+app.put('/api/team/members', (req, res) => teamMembersHandler(req, res));
+app.delete('/api/team/members', (req, res) => teamMembersHandler(req, res));
+app.post('/api/team/invitations', (req, res) => teamInvitationsHandler(req, res));
+app.delete('/api/team/invitations', (req, res) => teamInvitationsHandler(req, res));
+app.post('/api/team/accept-invitation', (req, res) => acceptInvitationHandler(req, res));
+
+// Scheduled jobs
+app.get('/api/cron/publish-schedules', (req, res) => publishSchedulesCronHandler(req, res));
+app.get('/api/cron/session-cleanup', (req, res) => sessionCleanupCronHandler(req, res));
 
 // Admin routes
-app.post('/api/admin/users', (req, res) => adminUsersHandler(req, res));
+app.get('/api/admin/users', (req, res) => adminUsersHandler(req, res));
+app.put('/api/admin/users', (req, res) => adminUsersHandler(req, res));
+app.get('/api/admin/audit-log', (req, res) => adminAuditLogHandler(req, res));
 
 // Upload routes
 app.post('/api/upload/background', (req, res) => uploadBackgroundHandler(req, res));
 app.post('/api/upload/logo', (req, res) => uploadLogoHandler(req, res));
+app.post('/api/upload/item-photo', (req, res) => uploadItemPhotoHandler(req, res));
 
 // Validate menu slug (URL-safe)
 function validateSlug(slug) {
@@ -74,12 +159,9 @@ app.get('/menu/:slug', async (req, res) => {
             return res.status(400).send('Invalid menu URL');
         }
         
-        // Serve the published menu page
-        const publishedMenuHTML = await fs.readFile(path.join(process.cwd(), 'published-menu.html'), 'utf8');
-        const customizedHTML = publishedMenuHTML.replace('{{MENU_SLUG}}', slug);
-        
-        res.setHeader('Content-Type', 'text/html');
-        res.send(customizedHTML);
+        // Serve the published menu page, rendered on the server
+        req.query.slug = slug;
+        await menuPageHandler(req, res);
         
     } catch (error) {
         console.error('Error serving menu:', error);
@@ -1,8 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  loadPublishedMenu,
+  setPublishedMenuHeaders,
+  getPublicBaseUrl,
+  renderPublishedMenuPage
+} = require('../../lib/published-menu');
 
 module.exports = async function handler(req, res) {
-  const { slug } = req.query;
+  const { slug, lang } = req.query;
   
   // Validate slug format
   if (!slug || !/^[a-z0-9-]+$/.test(slug) || slug.length < 3 || slug.length > 50) {
@@ -14,12 +20,42 @@ module.exports = async function handler(req, res) {
     const htmlPath = path.join(process.cwd(), 'published-menu.html');
     const publishedMenuHTML = await fs.readFile(htmlPath, 'utf8');
     
-    // Replace the placeholder with the actual slug
-    const customizedHTML = publishedMenuHTML.replace('{{MENU_SLUG}}', slug);
+    // Render the menu into the page so crawlers, link previews and no-JS
+    // clients get the full menu. If the database can't be reached the page
+    // is sent unrendered and loads the menu itself.
+    let menuResult;
+    try {
+      menuResult = await loadPublishedMenu(slug, {
+        lang,
+        acceptLanguage: req.headers['accept-language']
+      });
+    } catch (error) {
+      console.error('Error rendering menu page:', error);
+      menuResult = { success: false };
+    }
+    
+    const menu = menuResult.success ? menuResult.menu : null;
+    let state = 'loading';
+    if (menu) {
+      state = 'ready';
+    } else if (menuResult.success) {
+      state = 'error';
+    }
+    
+    const customizedHTML = renderPublishedMenuPage(publishedMenuHTML, {
+      slug,
+      menu,
+      state,
+      baseUrl: getPublicBaseUrl()
+    });
+    
+    if (menu) {
+      setPublishedMenuHeaders(res, menu);
+    }
     
     // Set content type to HTML
     res.setHeader('Content-Type', 'text/html');
-    res.status(200).send(customizedHTML);
+    res.status(state === 'error' ? 404 : 200).send(customizedHTML);
     
   } catch (error) {
     console.error('Error serving menu page:', error);
@@ -37,4 +73,4 @@ module.exports = async function handler(req, res) {
       </html>
     `);
   }
-};
\ No newline at end of file
+};
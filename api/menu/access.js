@@ -0,0 +1,100 @@
+const {
+  getSession,
+  getOrganizationById,
+  getOrganizationMember,
+  getOrganizationMembers,
+  setMenuOrganization
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu, can } = require('../../lib/menu-permissions');
+const { formatMember } = require('../../lib/organizations');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// GET: the caller's role for a menu and everyone who can access it.
+// PUT { organizationId }: move the menu to another team the caller owns.
+module.exports = async function handler(req, res) {
+  if (!['GET', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId } = req.query;
+    if (!menuId) {
+      return res.status(400).json({ error: 'Menu ID is required' });
+    }
+
+    const access = await authorizeMenu(menuId, userId, req.method === 'GET' ? 'view' : 'share');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (req.method === 'PUT') {
+      const { organizationId } = req.body || {};
+      if (!organizationId) {
+        return res.status(400).json({ error: 'Team ID is required' });
+      }
+
+      const targetResult = await getOrganizationMember(organizationId, userId);
+      if (!targetResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (targetResult.member?.role !== 'owner') {
+        return res.status(403).json({ error: 'You can only move menus to teams you own' });
+      }
+
+      const result = await setMenuOrganization(menuId, organizationId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to move menu' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    const menu = access.menu;
+    let organization = null;
+    let members = [];
+
+    if (menu.organization_id) {
+      const [organizationResult, membersResult] = await Promise.all([
+        getOrganizationById(menu.organization_id),
+        getOrganizationMembers(menu.organization_id)
+      ]);
+      if (!organizationResult.success || !membersResult.success) {
+        return res.status(500).json({ error: 'Failed to load team' });
+      }
+      organization = organizationResult.organization
+        ? { id: organizationResult.organization.id, name: organizationResult.organization.name }
+        : null;
+      members = membersResult.members.map(formatMember);
+    }
+
+    res.status(200).json({
+      success: true,
+      role: access.role,
+      canEdit: can(access.role, 'edit'),
+      canShare: can(access.role, 'share'),
+      organization,
+      members
+    });
+
+  } catch (error) {
+    console.error('Menu access error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
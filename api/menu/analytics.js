@@ -0,0 +1,68 @@
+const { getSession, getMenuAnalytics } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const {
+  ANALYTICS_RANGES,
+  getAnalyticsDay,
+  getDayRange,
+  summarizeAnalytics
+} = require('../../lib/menu-analytics');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId } = req.query;
+    if (!menuId) {
+      return res.status(400).json({ error: 'Menu ID is required' });
+    }
+
+    const rangeDays = req.query.days ? parseInt(req.query.days, 10) : 30;
+    if (!ANALYTICS_RANGES.includes(rangeDays)) {
+      return res.status(400).json({ error: `Days must be one of ${ANALYTICS_RANGES.join(', ')}` });
+    }
+
+    // Anyone on the menu's team can see its analytics
+    const access = await authorizeMenu(menuId, userId, 'view');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    // Days are counted in the restaurant's timezone
+    const today = getAnalyticsDay(new Date(), access.menu.schedule?.timezone);
+    const days = getDayRange(today, rangeDays);
+
+    const result = await getMenuAnalytics(menuId, days[0], today);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+
+    res.status(200).json({
+      success: true,
+      analytics: summarizeAnalytics(result.rows, days)
+    });
+
+  } catch (error) {
+    console.error('Menu analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
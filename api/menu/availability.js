@@ -0,0 +1,124 @@
+const {
+  getSession,
+  getPublishedMenuByMenuId,
+  getItemAvailability,
+  setItemAvailability
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const { ITEM_AVAILABILITY_STATUSES } = require('../../lib/menu-snapshot');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// Whether the published snapshot contains the item, i.e. the change shows up live
+function isItemPublished(publishedMenu, itemId) {
+  const sections = publishedMenu?.published_data?.sections || [];
+  return sections.some(section => (section.items || []).some(item => item._id === itemId));
+}
+
+function formatAvailability(entries) {
+  const now = new Date();
+  const availability = {};
+
+  entries.forEach(entry => {
+    // Items whose "back at" time has passed are available again
+    if (entry.back_at && new Date(entry.back_at) <= now) return;
+
+    availability[entry.item_id] = {
+      status: entry.status,
+      backAt: entry.back_at || null
+    };
+  });
+
+  return availability;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId } = req.method === 'GET' ? req.query : req.body;
+    if (!menuId) {
+      return res.status(400).json({ error: 'Menu ID is required' });
+    }
+
+    // Viewers can read availability; owners and editors change it
+    const access = await authorizeMenu(menuId, userId, req.method === 'GET' ? 'view' : 'edit');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (req.method === 'GET') {
+      const result = await getItemAvailability(menuId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to fetch item availability' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        availability: formatAvailability(result.availability)
+      });
+    }
+
+    const { itemId, status, backAt } = req.body;
+
+    if (!itemId || typeof itemId !== 'string' || itemId.length > 64) {
+      return res.status(400).json({ error: 'Item ID is required' });
+    }
+
+    if (!ITEM_AVAILABILITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Status must be available, sold_out or hidden' });
+    }
+
+    let backAtDate = null;
+    if (backAt && status !== 'available') {
+      backAtDate = new Date(backAt);
+      if (Number.isNaN(backAtDate.getTime()) || backAtDate <= new Date()) {
+        return res.status(400).json({ error: 'Back-at time must be in the future' });
+      }
+    }
+
+    const result = await setItemAvailability(
+      menuId,
+      itemId,
+      status,
+      backAtDate ? backAtDate.toISOString() : null,
+      userId
+    );
+
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to update item availability' });
+    }
+
+    const publishedResult = await getPublishedMenuByMenuId(menuId);
+
+    res.status(200).json({
+      success: true,
+      itemId,
+      status,
+      backAt: backAtDate ? backAtDate.toISOString() : null,
+      live: publishedResult.success && isItemPublished(publishedResult.publishedMenu, itemId)
+    });
+
+  } catch (error) {
+    console.error('Item availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
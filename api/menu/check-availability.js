@@ -1,4 +1,4 @@
-const { sql } = require('@vercel/postgres');
+const { isSlugPublished } = require('../../lib/hybrid-database');
 
 module.exports = async function handler(req, res) {
   // Set CORS headers
@@ -35,14 +35,13 @@ module.exports = async function handler(req, res) {
     }
 
     // Check if slug is already taken by a published menu
-    // This matches the exact same query used in the publish endpoint
-    const existingSlug = await sql`
-      SELECT id FROM menus 
-      WHERE published_slug = ${slug} 
-      AND status = 'published'
-    `;
-
-    const available = existingSlug.rows.length === 0;
+    // This matches the check used in the publish endpoint
+    const publishedResult = await isSlugPublished(slug);
+    if (!publishedResult.success) {
+      throw new Error(publishedResult.error);
+    }
+
+    const available = !publishedResult.published;
 
     return res.status(200).json({ 
       available,
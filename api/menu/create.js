@@ -1,18 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
-const { sql } = require('@vercel/postgres');
 const { createMenu, saveMenuSections } = require('../../lib/database');
-
-// Helper function to verify user session
-async function verifySession(sessionId) {
-  if (!sessionId) return null;
-  
-  const result = await sql`
-    SELECT user_id FROM user_sessions 
-    WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
-  `;
-  
-  return result.rows[0]?.user_id || null;
-}
+const MenuFonts = require('../../menu-fonts');
+const { getSession, getOrganizationMember } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { ensureDefaultOrganization } = require('../../lib/organizations');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -22,12 +13,15 @@ module.exports = async function handler(req, res) {
   try {
     // Verify authentication
     const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
-    const userId = await verifySession(sessionId);
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
     
-    if (!userId) {
+    if (!session) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    const userId = session.user_id;
+
     const { 
       name, 
       description, 
@@ -38,7 +32,8 @@ module.exports = async function handler(req, res) {
       colorPalette = 'classic',
       navigationTheme = 'modern',
       menuLogo = null,
-      logoSize = 'medium'
+      logoSize = 'medium',
+      organizationId
     } = req.body;
 
     // Input validation
@@ -64,8 +59,7 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid background type' });
     }
 
-    const validFontFamilies = ['Inter', 'Playfair Display', 'Roboto', 'Montserrat', 'Open Sans', 'Georgia', 'Lato'];
-    if (!validFontFamilies.includes(fontFamily)) {
+    if (!MenuFonts.getLibraryFont(fontFamily)) {
       return res.status(400).json({ error: 'Invalid font family' });
     }
 
@@ -84,6 +78,26 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid logo size' });
     }
 
+    // New menus go to the chosen team, which the user must be able to edit,
+    // or to the user's own team
+    let menuOrganizationId;
+    if (organizationId) {
+      const memberResult = await getOrganizationMember(organizationId, userId);
+      if (!memberResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!['owner', 'editor'].includes(memberResult.member?.role)) {
+        return res.status(403).json({ error: "You can't add menus to this team" });
+      }
+      menuOrganizationId = organizationId;
+    } else {
+      const organizationResult = await ensureDefaultOrganization(userId);
+      if (!organizationResult.success) {
+        return res.status(500).json({ error: 'Failed to create menu' });
+      }
+      menuOrganizationId = organizationResult.organization.id;
+    }
+
     // Create menu
     const menuId = uuidv4();
     const menuData = {
@@ -97,7 +111,8 @@ module.exports = async function handler(req, res) {
       colorPalette,
       navigationTheme,
       menuLogo,
-      logoSize
+      logoSize,
+      organizationId: menuOrganizationId
     };
 
     const createResult = await createMenu(menuData);
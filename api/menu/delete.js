@@ -1,24 +1,7 @@
 const { sql } = require('@vercel/postgres');
-
-// Helper function to verify user session
-async function verifySession(sessionId) {
-  if (!sessionId) return null;
-  
-  const result = await sql`
-    SELECT user_id FROM user_sessions 
-    WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
-  `;
-  
-  return result.rows[0]?.user_id || null;
-}
-
-// Helper function to verify menu ownership
-async function verifyMenuOwnership(menuId, userId) {
-  const result = await sql`
-    SELECT id FROM menus WHERE id = ${menuId} AND user_id = ${userId}
-  `;
-  return result.rows.length > 0;
-}
+const { getSession, unpublishMenu, cancelMenuPublishSchedules } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'DELETE') {
@@ -28,28 +11,43 @@ module.exports = async function handler(req, res) {
   try {
     // Verify authentication
     const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
-    const userId = await verifySession(sessionId);
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
     
-    if (!userId) {
+    if (!session) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    const userId = session.user_id;
+
     const { menuId } = req.query;
     if (!menuId) {
       return res.status(400).json({ error: 'Menu ID is required' });
     }
 
-    // Verify menu ownership
-    const ownsMenu = await verifyMenuOwnership(menuId, userId);
-    if (!ownsMenu) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Only the team's owners can delete its menus
+    const access = await authorizeMenu(menuId, userId, 'delete');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    // Scheduled publishes would bring the menu back online
+    const scheduleResult = await cancelMenuPublishSchedules(menuId);
+    if (!scheduleResult.success) {
+      return res.status(500).json({ error: 'Failed to cancel scheduled publishes' });
+    }
+
+    // Take the public page down and free its slug
+    const unpublishResult = await unpublishMenu(menuId);
+    if (!unpublishResult.success) {
+      return res.status(500).json({ error: 'Failed to unpublish menu' });
     }
 
     // Soft delete the menu by updating status to 'deleted'
     await sql`
       UPDATE menus 
       SET status = 'deleted', updated_at = CURRENT_TIMESTAMP 
-      WHERE id = ${menuId} AND user_id = ${userId}
+      WHERE id = ${menuId}
     `;
 
     // Also delete associated menu sections
@@ -0,0 +1,113 @@
+const {
+  getSession,
+  getUserFonts,
+  createUserFont,
+  deleteUserFont
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  MAX_FONT_BYTES,
+  MAX_FONTS_PER_USER,
+  isWoff2,
+  validateFontName,
+  saveFontFile,
+  formatCustomFont
+} = require('../../lib/custom-fonts');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const result = await getUserFonts(userId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to fetch fonts' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        fonts: result.fonts.map(formatCustomFont)
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!req.query.id) {
+        return res.status(400).json({ error: 'Font ID is required' });
+      }
+
+      const result = await deleteUserFont(userId, req.query.id);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to delete font' });
+      }
+      if (!result.deleted) {
+        return res.status(404).json({ error: 'Font not found' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    // Upload: a base64 data URL, like logos and item photos
+    const { fileData } = req.body || {};
+    const { name, error } = validateFontName(req.body?.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const dataUrlMatch = typeof fileData === 'string' && fileData.match(/^data:[^;]*;base64,/);
+    if (!dataUrlMatch) {
+      return res.status(400).json({ error: 'Invalid file format. Must be base64 data URL.' });
+    }
+
+    const buffer = Buffer.from(fileData.slice(dataUrlMatch[0].length), 'base64');
+    if (buffer.length > MAX_FONT_BYTES) {
+      return res.status(400).json({ error: 'File too large. Maximum size is 2MB.' });
+    }
+
+    // Browsers report WOFF2 files under several MIME types, so check the file itself
+    if (!isWoff2(buffer)) {
+      return res.status(400).json({ error: 'Invalid file type. Only WOFF2 fonts are allowed.' });
+    }
+
+    const existing = await getUserFonts(userId);
+    if (!existing.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (existing.fonts.length >= MAX_FONTS_PER_USER) {
+      return res.status(400).json({ error: `You can upload up to ${MAX_FONTS_PER_USER} fonts` });
+    }
+
+    const url = await saveFontFile(userId, buffer);
+    const result = await createUserFont(userId, name, url);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to save font' });
+    }
+
+    res.status(201).json({
+      success: true,
+      font: formatCustomFont(result.font)
+    });
+
+  } catch (error) {
+    console.error('Custom fonts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,10 +1,13 @@
 const { getUserMenus, getSession } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { ensureDefaultOrganization } = require('../../lib/organizations');
 
 // Helper function to verify user session
-async function verifySession(sessionId) {
+async function verifySession(sessionId, req, res) {
   if (!sessionId) return null;
   
   const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
   return session?.user_id || null;
 }
 
@@ -16,13 +19,19 @@ module.exports = async function handler(req, res) {
   try {
     // Verify authentication
     const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
-    const userId = await verifySession(sessionId);
+    const userId = await verifySession(sessionId, req, res);
     
     if (!userId) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Get user's menus
+    // Every account has a team of its own; creating it also moves older menus into it
+    const organizationResult = await ensureDefaultOrganization(userId);
+    if (!organizationResult.success) {
+      console.error('Failed to set up default organization:', organizationResult.error);
+    }
+
+    // Get the menus the user can access, their own and their teams'
     const result = await getUserMenus(userId);
     
     if (!result.success) {
@@ -48,16 +57,29 @@ module.exports = async function handler(req, res) {
       backgroundType: menu.background_type,
       backgroundValue: menu.background_value,
       fontFamily: menu.font_family,
+      headingFont: menu.heading_font || null,
+      customFonts: menu.custom_fonts || null,
       colorPalette: menu.color_palette,
+      customPalette: menu.custom_palette || null,
       navigationTheme: menu.navigation_theme,
+      menuLayout: menu.menu_layout || 'list',
+      sectionLayouts: menu.section_layouts || null,
       menuLogo: menu.menu_logo,
       logoSize: menu.logo_size,
+      schedule: menu.schedule || null,
+      translations: menu.translations || null,
       
       // Published menu info
       publishedMenuId: menu.published_menu_id,
       publishedSlug: menu.published_slug,
       publishedTitle: menu.published_title,
-      publishedSubtitle: menu.published_subtitle
+      publishedSubtitle: menu.published_subtitle,
+
+      // Team access
+      organizationId: menu.organization_id || null,
+      organizationName: menu.organization_name || null,
+      role: menu.role || 'owner',
+      createdBy: menu.user_id
     }));
 
     res.status(200).json({ 
@@ -0,0 +1,110 @@
+const {
+  getSession,
+  getUserPalettes,
+  createUserPalette,
+  updateUserPalette,
+  deleteUserPalette
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  MAX_PALETTES_PER_USER,
+  validateCustomPalette,
+  formatCustomPalette,
+  getPaletteColors
+} = require('../../lib/custom-palettes');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const result = await getUserPalettes(userId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to fetch palettes' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        palettes: result.palettes.map(formatCustomPalette)
+      });
+    }
+
+    const paletteId = req.query.id;
+    if (req.method !== 'POST' && !paletteId) {
+      return res.status(400).json({ error: 'Palette ID is required' });
+    }
+
+    if (req.method === 'DELETE') {
+      const result = await deleteUserPalette(userId, paletteId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to delete palette' });
+      }
+      if (!result.deleted) {
+        return res.status(404).json({ error: 'Palette not found' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    const { palette, error } = validateCustomPalette(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.method === 'POST') {
+      const existing = await getUserPalettes(userId);
+      if (!existing.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (existing.palettes.length >= MAX_PALETTES_PER_USER) {
+        return res.status(400).json({ error: `You can save up to ${MAX_PALETTES_PER_USER} custom palettes` });
+      }
+
+      const result = await createUserPalette(userId, palette.name, getPaletteColors(palette));
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to save palette' });
+      }
+
+      return res.status(201).json({
+        success: true,
+        palette: formatCustomPalette(result.palette)
+      });
+    }
+
+    const result = await updateUserPalette(userId, paletteId, palette.name, getPaletteColors(palette));
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to save palette' });
+    }
+    if (!result.palette) {
+      return res.status(404).json({ error: 'Palette not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      palette: formatCustomPalette(result.palette)
+    });
+
+  } catch (error) {
+    console.error('Custom palettes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,169 @@
+const { getPublishedMenuBySlug } = require('../../lib/hybrid-database');
+
+const VALID_PAPER_SIZES = ['a4', 'letter'];
+const VALID_COLUMN_COUNTS = ['1', '2'];
+
+// Upper bound for loading the menu page, fonts and images in the headless browser
+const RENDER_TIMEOUT_MS = 30000;
+
+// Rendered PDFs are reused until the menu is republished. Item availability
+// changes don't republish, so entries also expire after a few minutes.
+const PDF_CACHE_TTL_MS = 5 * 60 * 1000;
+const PDF_CACHE_MAX_ENTRIES = 50;
+
+// Each render runs a whole browser, so only a few may run at once
+const MAX_CONCURRENT_RENDERS = 2;
+
+const pdfCache = new Map();
+const pendingRenders = new Map();
+
+// Base URL the headless browser loads the published page from. Never taken
+// from the request, so callers can't point the browser at another host.
+function getRenderBaseUrl() {
+  if (process.env.PDF_RENDER_BASE_URL) {
+    return process.env.PDF_RENDER_BASE_URL.replace(/\/$/, '');
+  }
+
+  return `http://127.0.0.1:${process.env.PORT || 3000}`;
+}
+
+function getCachedPdf(key) {
+  const entry = pdfCache.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > PDF_CACHE_TTL_MS) {
+    pdfCache.delete(key);
+    return null;
+  }
+
+  return entry.pdf;
+}
+
+function cachePdf(key, pdf) {
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (pdfCache.size >= PDF_CACHE_MAX_ENTRIES) {
+    pdfCache.delete(pdfCache.keys().next().value);
+  }
+  pdfCache.set(key, { pdf, createdAt: Date.now() });
+}
+
+/**
+ * Load the print view of a published menu in headless Chrome and save it as a PDF.
+ *
+ * @returns {Promise<Buffer|null>} null when the page reports it failed to render
+ */
+async function renderMenuPdf(puppeteer, { slug, paperSize, columns, lang }) {
+  const browser = await puppeteer.launch({ headless: true });
+
+  try {
+    const page = await browser.newPage();
+    const printUrl = `${getRenderBaseUrl()}/menu/${slug}?print=1&paper=${paperSize}&columns=${columns}${lang ? `&lang=${lang}` : ''}`;
+
+    await page.goto(printUrl, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+    await page.waitForSelector('body[data-print-ready]', { timeout: RENDER_TIMEOUT_MS });
+
+    const printReady = await page.evaluate(async () => {
+      await document.fonts.ready;
+      return document.body.dataset.printReady;
+    });
+
+    if (printReady !== 'true') {
+      return null;
+    }
+
+    const pdf = await page.pdf({
+      format: paperSize === 'letter' ? 'Letter' : 'A4',
+      printBackground: true,
+      preferCSSPageSize: true
+    });
+
+    return Buffer.from(pdf);
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { slug, paper = 'a4', columns = '1', lang, download } = req.query;
+
+    if (!slug) {
+      return res.status(400).json({ error: 'Menu slug is required' });
+    }
+
+    if (!/^[a-z0-9-]+$/.test(slug)) {
+      return res.status(400).json({ error: 'Invalid menu slug' });
+    }
+
+    const paperSize = String(paper).toLowerCase();
+    if (!VALID_PAPER_SIZES.includes(paperSize)) {
+      return res.status(400).json({ error: 'Paper must be a4 or letter' });
+    }
+
+    if (!VALID_COLUMN_COUNTS.includes(String(columns))) {
+      return res.status(400).json({ error: 'Columns must be 1 or 2' });
+    }
+
+    if (lang !== undefined && !/^[a-z]{2}$/.test(lang)) {
+      return res.status(400).json({ error: 'Invalid language' });
+    }
+
+    const menuResult = await getPublishedMenuBySlug(slug);
+    if (!menuResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!menuResult.menu) {
+      return res.status(404).json({ error: 'Published menu not found' });
+    }
+
+    // puppeteer is a dev dependency, so PDF rendering is only offered where it is installed
+    let puppeteer;
+    try {
+      puppeteer = require('puppeteer');
+    } catch (error) {
+      return res.status(501).json({ error: 'PDF generation is not available on this server' });
+    }
+
+    const renderKey = [slug, menuResult.menu.updated_at, paperSize, columns, lang || ''].join(':');
+
+    let pdf = getCachedPdf(renderKey);
+    if (!pdf) {
+      // Requests for a PDF that is already rendering wait for that render
+      let render = pendingRenders.get(renderKey);
+      if (!render) {
+        if (pendingRenders.size >= MAX_CONCURRENT_RENDERS) {
+          res.setHeader('Retry-After', '10');
+          return res.status(503).json({ error: 'PDF generation is busy, please try again shortly' });
+        }
+
+        render = renderMenuPdf(puppeteer, { slug, paperSize, columns, lang })
+          .finally(() => pendingRenders.delete(renderKey));
+        pendingRenders.set(renderKey, render);
+      }
+
+      pdf = await render;
+      if (!pdf) {
+        return res.status(502).json({ error: 'Menu page failed to render' });
+      }
+      cachePdf(renderKey, pdf);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${download ? 'attachment' : 'inline'}; filename="menu-${slug}-${paperSize}.pdf"`
+    );
+    res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('PDF generation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
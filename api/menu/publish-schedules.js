@@ -0,0 +1,175 @@
+const {
+  getSession,
+  getMenuRevision,
+  getPublishedMenuBySlug,
+  createPublishSchedule,
+  getPublishSchedules,
+  cancelPublishSchedule
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const { PUBLISH_SCHEDULE_ACTIONS } = require('../../lib/publish-schedules');
+
+const MAX_PENDING_SCHEDULES = 20;
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+function formatSchedule(schedule) {
+  return {
+    id: schedule.id,
+    action: schedule.action,
+    runAt: schedule.run_at,
+    slug: schedule.slug,
+    title: schedule.title,
+    subtitle: schedule.subtitle,
+    revisionId: schedule.revision_id,
+    status: schedule.status,
+    error: schedule.error,
+    createdAt: schedule.created_at,
+    completedAt: schedule.completed_at
+  };
+}
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId } = req.method === 'POST' ? req.body : req.query;
+    if (!menuId) {
+      return res.status(400).json({ error: 'Menu ID is required' });
+    }
+
+    // Viewers can see the schedule; owners and editors change it
+    const access = await authorizeMenu(menuId, userId, req.method === 'GET' ? 'view' : 'publish');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const menu = access.menu;
+
+    if (req.method === 'DELETE') {
+      const { scheduleId } = req.query;
+      if (!scheduleId || !/^\d+$/.test(String(scheduleId))) {
+        return res.status(400).json({ error: 'Schedule ID is required' });
+      }
+
+      const result = await cancelPublishSchedule(menuId, scheduleId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to cancel schedule' });
+      }
+      if (!result.schedule) {
+        return res.status(404).json({ error: 'Schedule not found or already run' });
+      }
+
+      return res.status(200).json({ success: true, message: 'Schedule cancelled' });
+    }
+
+    const listResult = await getPublishSchedules(menuId);
+    if (!listResult.success) {
+      return res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        schedules: listResult.schedules.map(formatSchedule)
+      });
+    }
+
+    const { action, runAt, revisionId } = req.body;
+
+    if (!PUBLISH_SCHEDULE_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Action must be publish, revision or unpublish' });
+    }
+
+    const runAtDate = new Date(runAt);
+    if (!runAt || Number.isNaN(runAtDate.getTime()) || runAtDate <= new Date()) {
+      return res.status(400).json({ error: 'Scheduled time must be in the future' });
+    }
+    if (runAtDate.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+      return res.status(400).json({ error: 'Changes can be scheduled up to a year ahead' });
+    }
+
+    const pendingCount = listResult.schedules.filter(schedule => schedule.status === 'pending').length;
+    if (pendingCount >= MAX_PENDING_SCHEDULES) {
+      return res.status(400).json({ error: `A menu can have at most ${MAX_PENDING_SCHEDULES} scheduled changes` });
+    }
+
+    const schedule = { menuId, action, runAt: runAtDate.toISOString(), createdBy: userId };
+
+    if (action !== 'unpublish') {
+      // Publishing keeps the current URL unless a new one is given
+      schedule.slug = req.body.slug || menu.published_slug;
+      schedule.title = String(req.body.title || menu.published_title || 'Our Menu').trim();
+      schedule.subtitle = req.body.subtitle !== undefined ? req.body.subtitle : menu.published_subtitle;
+
+      if (!schedule.slug) {
+        return res.status(400).json({ error: 'Choose a URL path to publish to' });
+      }
+      if (!/^[a-z0-9-]+$/.test(schedule.slug)) {
+        return res.status(400).json({
+          error: 'Slug must contain only lowercase letters, numbers, and dashes'
+        });
+      }
+      if (schedule.title.length > 255 || (schedule.subtitle && String(schedule.subtitle).length > 500)) {
+        return res.status(400).json({ error: 'Title or subtitle is too long' });
+      }
+
+      // Checked again when the schedule runs, in case the path is taken meanwhile
+      const slugResult = await getPublishedMenuBySlug(schedule.slug);
+      if (slugResult.success && slugResult.menu && slugResult.menu.menu_id !== menuId) {
+        return res.status(400).json({ error: 'This URL path is already taken' });
+      }
+    }
+
+    if (action === 'revision') {
+      if (!revisionId || !/^\d+$/.test(String(revisionId))) {
+        return res.status(400).json({ error: 'Revision ID is required' });
+      }
+
+      const revisionResult = await getMenuRevision(menuId, revisionId);
+      if (!revisionResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!revisionResult.revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      // Keep a copy, since old revisions are pruned as the menu is edited
+      schedule.revisionId = revisionResult.revision.id;
+      schedule.snapshot = revisionResult.revision.snapshot;
+    }
+
+    const result = await createPublishSchedule(schedule);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to schedule change' });
+    }
+
+    res.status(201).json({
+      success: true,
+      schedule: formatSchedule(result.schedule)
+    });
+
+  } catch (error) {
+    console.error('Publish schedules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
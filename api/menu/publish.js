@@ -1,25 +1,9 @@
 const { sql } = require('@vercel/postgres');
 const { saveMenuSections } = require('../../lib/database');
-
-// Helper function to verify user session
-async function verifySession(sessionId) {
-  if (!sessionId) return null;
-  
-  const result = await sql`
-    SELECT user_id FROM user_sessions 
-    WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
-  `;
-  
-  return result.rows[0]?.user_id || null;
-}
-
-// Helper function to verify menu ownership
-async function verifyMenuOwnership(menuId, userId) {
-  const result = await sql`
-    SELECT id FROM menus WHERE id = ${menuId} AND user_id = ${userId}
-  `;
-  return result.rows.length > 0;
-}
+const { getSession, createMenuRevision, publishMenuSnapshot, isSlugPublished } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { buildMenuSnapshot } = require('../../lib/menu-snapshot');
+const { authorizeMenu } = require('../../lib/menu-permissions');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -29,22 +13,25 @@ module.exports = async function handler(req, res) {
   try {
     // Verify authentication
     const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
-    const userId = await verifySession(sessionId);
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
     
-    if (!userId) {
+    if (!session) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    const userId = session.user_id;
+
     const { menuId, slug, title, subtitle } = req.body;
 
     if (!menuId || !slug || !title) {
       return res.status(400).json({ error: 'Menu ID, slug, and title are required' });
     }
 
-    // Verify menu ownership
-    const ownsMenu = await verifyMenuOwnership(menuId, userId);
-    if (!ownsMenu) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Owners and editors can publish
+    const access = await authorizeMenu(menuId, userId, 'publish');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
     }
 
     // Validate slug format
@@ -56,20 +43,18 @@ module.exports = async function handler(req, res) {
     }
 
     // Check if slug is already taken by another published menu
-    const existingSlug = await sql`
-      SELECT id FROM menus 
-      WHERE published_slug = ${slug} 
-      AND status = 'published'
-      AND id != ${menuId}
-    `;
+    const slugResult = await isSlugPublished(slug, menuId);
+    if (!slugResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
 
-    if (existingSlug.rows.length > 0) {
+    if (slugResult.published) {
       return res.status(400).json({ error: 'This URL path is already taken' });
     }
 
     // Get the menu data to publish
     const menuResult = await sql`
-      SELECT * FROM menus WHERE id = ${menuId} AND user_id = ${userId}
+      SELECT * FROM menus WHERE id = ${menuId}
     `;
 
     if (menuResult.rows.length === 0) {
@@ -94,6 +79,23 @@ module.exports = async function handler(req, res) {
       items: section.items
     }));
 
+    // Freeze the current draft as the public version
+    const snapshotResult = await publishMenuSnapshot(
+      menuId,
+      slug,
+      title,
+      subtitle || null,
+      buildMenuSnapshot(menu, sections)
+    );
+
+    if (!snapshotResult.success) {
+      if (snapshotResult.slugTaken) {
+        return res.status(400).json({ error: 'This URL path is already taken' });
+      }
+      console.error('Failed to save published snapshot:', snapshotResult.error);
+      return res.status(500).json({ error: 'Failed to publish menu' });
+    }
+
     // Update the menu with published info
     await sql`
       UPDATE menus 
@@ -104,9 +106,15 @@ module.exports = async function handler(req, res) {
         published_subtitle = ${subtitle || null},
         published_at = CURRENT_TIMESTAMP,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${menuId} AND user_id = ${userId}
+      WHERE id = ${menuId}
     `;
 
+    // Record what was published in the menu's history
+    const revisionResult = await createMenuRevision(menuId, 'publish', userId);
+    if (!revisionResult.success) {
+      console.error('Failed to record publish revision:', revisionResult.error);
+    }
+
     // Create the published menu URL
     const publishedUrl = `https://www.mymobilemenu.com/menu/${slug}`;
 
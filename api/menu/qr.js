@@ -0,0 +1,132 @@
+const QRCode = require('qrcode');
+const { getPublishedMenuBySlug } = require('../../lib/hybrid-database');
+const { getPublicBaseUrl } = require('../../lib/published-menu');
+
+const VALID_FORMATS = ['svg', 'png'];
+const VALID_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const DEFAULT_SIZE = 512;
+const MAX_MARGIN = 16;
+const DEFAULT_MARGIN = 4;
+
+// Accepts RRGGBB or RRGGBBAA, with or without a leading '#'
+function parseHexColor(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+
+  const hex = String(value).replace(/^#/, '');
+  if (!/^([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(hex)) return null;
+
+  return `#${hex.length === 6 ? `${hex}ff` : hex}`.toLowerCase();
+}
+
+function parseInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      slug,
+      format = 'svg',
+      size,
+      margin,
+      ecl = 'M',
+      dark,
+      light,
+      download
+    } = req.query;
+
+    if (!slug) {
+      return res.status(400).json({ error: 'Menu slug is required' });
+    }
+
+    if (!/^[a-z0-9-]+$/.test(slug)) {
+      return res.status(400).json({ error: 'Invalid menu slug' });
+    }
+
+    // Validate rendering options
+    const outputFormat = String(format).toLowerCase();
+    if (!VALID_FORMATS.includes(outputFormat)) {
+      return res.status(400).json({ error: 'Format must be svg or png' });
+    }
+
+    const errorCorrectionLevel = String(ecl).toUpperCase();
+    if (!VALID_ERROR_CORRECTION_LEVELS.includes(errorCorrectionLevel)) {
+      return res.status(400).json({ error: 'Error correction level must be one of L, M, Q or H' });
+    }
+
+    const width = parseInteger(size, DEFAULT_SIZE);
+    if (Number.isNaN(width) || width < MIN_SIZE || width > MAX_SIZE) {
+      return res.status(400).json({ error: `Size must be between ${MIN_SIZE} and ${MAX_SIZE} pixels` });
+    }
+
+    const quietZone = parseInteger(margin, DEFAULT_MARGIN);
+    if (Number.isNaN(quietZone) || quietZone > MAX_MARGIN) {
+      return res.status(400).json({ error: `Margin must be between 0 and ${MAX_MARGIN} modules` });
+    }
+
+    const darkColor = parseHexColor(dark, '#000000ff');
+    const lightColor = parseHexColor(light, '#ffffffff');
+    if (!darkColor || !lightColor) {
+      return res.status(400).json({ error: 'Colors must be hex values like 1e3a5f' });
+    }
+
+    // Only published menus get a code
+    const menuResult = await getPublishedMenuBySlug(slug);
+    if (!menuResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!menuResult.menu) {
+      return res.status(404).json({ error: 'Published menu not found' });
+    }
+
+    // Tagged so scans show up as QR visits in the menu's analytics
+    const menuUrl = `${getPublicBaseUrl()}/menu/${slug}?src=qr`;
+    const options = {
+      errorCorrectionLevel,
+      margin: quietZone,
+      width,
+      color: {
+        dark: darkColor,
+        light: lightColor
+      }
+    };
+
+    if (download) {
+      res.setHeader('Content-Disposition', `attachment; filename="menu-${slug}-qr.${outputFormat}"`);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+
+    if (outputFormat === 'png') {
+      const buffer = await QRCode.toBuffer(menuUrl, { ...options, type: 'png' });
+      res.setHeader('Content-Type', 'image/png');
+      return res.status(200).send(buffer);
+    }
+
+    const svg = await QRCode.toString(menuUrl, { ...options, type: 'svg' });
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.status(200).send(svg);
+
+  } catch (error) {
+    console.error('QR code generation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
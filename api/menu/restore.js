@@ -0,0 +1,91 @@
+const {
+  getSession,
+  getMenuRevision,
+  createMenuRevision,
+  updateMenu,
+  saveMenuSections
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const { SNAPSHOT_FIELDS } = require('../../lib/menu-snapshot');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+  
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId, revisionId } = req.body;
+    if (!menuId || !revisionId) {
+      return res.status(400).json({ error: 'Menu ID and revision ID are required' });
+    }
+
+    // Restoring a revision is an edit
+    const access = await authorizeMenu(menuId, userId, 'edit');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const revisionResult = await getMenuRevision(menuId, revisionId);
+    if (!revisionResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!revisionResult.revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Capture the current draft first so the restore itself can be undone
+    await createMenuRevision(menuId, 'save', userId);
+
+    const snapshot = revisionResult.revision.snapshot;
+    const menuUpdates = {};
+    for (const [field] of SNAPSHOT_FIELDS) {
+      menuUpdates[field] = snapshot[field] ?? null;
+    }
+    // Name is required on the menus row
+    menuUpdates.name = menuUpdates.name || access.menu.name;
+
+    const updateResult = await updateMenu(menuId, menuUpdates);
+    if (!updateResult.success) {
+      return res.status(500).json({ error: 'Failed to restore menu' });
+    }
+
+    const sectionsResult = await saveMenuSections(menuId, snapshot.sections || []);
+    if (!sectionsResult.success) {
+      return res.status(500).json({ error: 'Failed to restore menu sections' });
+    }
+
+    const restoreRevision = await createMenuRevision(menuId, 'restore', userId);
+    if (!restoreRevision.success) {
+      console.error('Failed to record restore revision:', restoreRevision.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      restoredFrom: revisionResult.revision.id,
+      menu: snapshot,
+      message: 'Menu restored successfully'
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,74 @@
+const { getSession, getMenuRevision } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const { buildMenuSnapshot, diffMenuSnapshots } = require('../../lib/menu-snapshot');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+  
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // compareTo is another revision ID, or 'current' for the live draft
+    const { menuId, revisionId, compareTo = 'current' } = req.query;
+    if (!menuId || !revisionId) {
+      return res.status(400).json({ error: 'Menu ID and revision ID are required' });
+    }
+
+    // Anyone on the menu's team can read its history
+    const access = await authorizeMenu(menuId, userId, 'view');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const revisionResult = await getMenuRevision(menuId, revisionId);
+    if (!revisionResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!revisionResult.revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let target;
+    if (compareTo === 'current') {
+      target = buildMenuSnapshot(access.menu);
+    } else {
+      const targetResult = await getMenuRevision(menuId, compareTo);
+      if (!targetResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!targetResult.revision) {
+        return res.status(404).json({ error: 'Comparison revision not found' });
+      }
+      target = targetResult.revision.snapshot;
+    }
+
+    res.status(200).json({
+      success: true,
+      revisionId: revisionResult.revision.id,
+      compareTo,
+      diff: diffMenuSnapshots(revisionResult.revision.snapshot, target)
+    });
+
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
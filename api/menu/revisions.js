@@ -0,0 +1,64 @@
+const { getSession, getMenuRevisions } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+  
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+    
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { menuId } = req.query;
+    if (!menuId) {
+      return res.status(400).json({ error: 'Menu ID is required' });
+    }
+
+    // Anyone on the menu's team can read its history
+    const access = await authorizeMenu(menuId, userId, 'view');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const result = await getMenuRevisions(menuId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+
+    // Transform data to match the expected format
+    const revisions = result.revisions.map(revision => ({
+      id: revision.id,
+      reason: revision.reason,
+      createdBy: revision.created_by,
+      createdAt: revision.created_at,
+      updatedAt: revision.updated_at,
+      sectionCount: parseInt(revision.section_count) || 0,
+      itemCount: parseInt(revision.item_count) || 0
+    }));
+
+    res.status(200).json({ 
+      success: true, 
+      revisions 
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,67 @@
+const {
+  getPublishedMenuBySlug,
+  getPublishedMenuByMenuId,
+  incrementMenuAnalytics
+} = require('../../lib/hybrid-database');
+const { isBot, getAnalyticsDay, getBeaconCounters } = require('../../lib/menu-analytics');
+
+// Beacons from published menus (sent with navigator.sendBeacon, so the response is never read)
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Crawlers would inflate the numbers
+    if (isBot(req.headers['user-agent'])) {
+      return res.status(204).end();
+    }
+
+    const beacon = req.body || {};
+    const { slug, menuId } = beacon;
+    if (!slug || !/^[a-z0-9-]+$/.test(slug) || !menuId) {
+      return res.status(400).json({ error: 'Menu slug and ID are required' });
+    }
+
+    const menuResult = await getPublishedMenuBySlug(slug);
+    if (!menuResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!menuResult.menu) {
+      return res.status(404).json({ error: 'Menu not found' });
+    }
+
+    // The menu at the slug, or one of the menus it switches to on a schedule
+    const published = menuResult.menu;
+    const schedule = published.published_data?.schedule;
+    let snapshot = published.published_data || {};
+
+    if (menuId !== published.menu_id) {
+      const isAlternate = (schedule?.alternates || []).some(alternate => alternate.menuId === menuId);
+      const alternateResult = isAlternate ? await getPublishedMenuByMenuId(menuId) : null;
+      if (!alternateResult?.publishedMenu) {
+        return res.status(400).json({ error: 'Menu is not served at this URL' });
+      }
+      snapshot = alternateResult.publishedMenu.published_data || {};
+    }
+
+    const { counters, error } = getBeaconCounters(beacon, snapshot.sections || []);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (counters.length > 0) {
+      const day = getAnalyticsDay(new Date(), schedule?.timezone);
+      const result = await incrementMenuAnalytics(menuId, day, counters);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to record view' });
+      }
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Menu analytics beacon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
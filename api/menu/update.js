@@ -1,25 +1,35 @@
-const { sql } = require('@vercel/postgres');
 const { updateMenu, saveMenuSections } = require('../../lib/database');
-
-// Helper function to verify user session
-async function verifySession(sessionId) {
-  if (!sessionId) return null;
-  
-  const result = await sql`
-    SELECT user_id FROM user_sessions 
-    WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
-  `;
-  
-  return result.rows[0]?.user_id || null;
-}
-
-// Helper function to verify menu ownership
-async function verifyMenuOwnership(menuId, userId) {
-  const result = await sql`
-    SELECT id FROM menus WHERE id = ${menuId} AND user_id = ${userId}
-  `;
-  return result.rows.length > 0;
-}
+const { getSession, createMenuRevision } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const MenuSchedule = require('../../menu-schedule');
+const MenuI18n = require('../../menu-i18n');
+const MenuRender = require('../../menu-render');
+const MenuFonts = require('../../menu-fonts');
+const { BUILT_IN_PALETTES, validateCustomPalette } = require('../../lib/custom-palettes');
+const { authorizeMenu, sameMenuOwner } = require('../../lib/menu-permissions');
+
+// Menu fields the editor saves; every other key in the body is ignored
+const EDITABLE_MENU_FIELDS = [
+  'name',
+  'description',
+  'title',
+  'subtitle',
+  'sectionCounter',
+  'backgroundType',
+  'backgroundValue',
+  'fontFamily',
+  'headingFont',
+  'customFonts',
+  'colorPalette',
+  'customPalette',
+  'navigationTheme',
+  'menuLayout',
+  'sectionLayouts',
+  'menuLogo',
+  'logoSize',
+  'schedule',
+  'translations'
+];
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'PUT' && req.method !== 'PATCH') {
@@ -29,36 +39,35 @@ module.exports = async function handler(req, res) {
   try {
     // Verify authentication
     const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
-    console.log('🔍 Menu update auth check:', {
-      hasSessionCookie: !!req.cookies?.session,
-      hasAuthHeader: !!req.headers.authorization,
-      sessionId: sessionId ? 'exists' : 'missing'
-    });
-    
-    const userId = await verifySession(sessionId);
-    console.log('🔍 Session verification result:', userId ? 'valid user' : 'no user found');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
     
-    if (!userId) {
-      console.log('❌ Authentication failed in menu update');
+    if (!session) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
+    const userId = session.user_id;
+
     const { menuId } = req.query;
     if (!menuId) {
       return res.status(400).json({ error: 'Menu ID is required' });
     }
 
-    // Verify menu ownership
-    console.log('🔍 Checking menu ownership:', { menuId, userId });
-    const ownsMenu = await verifyMenuOwnership(menuId, userId);
-    console.log('🔍 Menu ownership result:', ownsMenu ? 'user owns menu' : 'access denied');
-    
-    if (!ownsMenu) {
-      console.log('❌ 403 Forbidden: User does not own menu');
-      return res.status(403).json({ error: 'Access denied' });
+    // Owners and editors can edit
+    const access = await authorizeMenu(menuId, userId, 'edit');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
     }
 
-    const { sections, ...menuUpdates } = req.body;
+    // Only content and styling are saved here; ownership, team and publish
+    // state change through their own endpoints and their own permissions
+    const { sections } = req.body;
+    const menuUpdates = {};
+    for (const field of EDITABLE_MENU_FIELDS) {
+      if (req.body[field] !== undefined) {
+        menuUpdates[field] = req.body[field];
+      }
+    }
 
     // Input validation for menu updates
     if (menuUpdates.name !== undefined) {
@@ -85,16 +94,30 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid background type' });
     }
 
-    const validFontFamilies = ['Inter', 'Playfair Display', 'Roboto', 'Montserrat', 'Open Sans', 'Georgia', 'Lato'];
-    if (menuUpdates.fontFamily !== undefined && !validFontFamilies.includes(menuUpdates.fontFamily)) {
-      return res.status(400).json({ error: 'Invalid font family' });
+    // Library fonts, or uploaded fonts the menu carries a copy of in customFonts
+    const fontError = MenuFonts.validateFonts(menuUpdates);
+    if (fontError) {
+      return res.status(400).json({ error: fontError });
     }
 
-    const validColorPalettes = ['classic', 'ocean', 'forest', 'sunset', 'monochrome', 'wine', 'cream', 'pearl', 'mint', 'blush'];
+    const validColorPalettes = [...BUILT_IN_PALETTES, 'custom'];
     if (menuUpdates.colorPalette !== undefined && !validColorPalettes.includes(menuUpdates.colorPalette)) {
       return res.status(400).json({ error: 'Invalid color palette' });
     }
 
+    // The menu keeps its own copy of a custom palette's colors
+    if (menuUpdates.customPalette) {
+      const { palette, error } = validateCustomPalette(menuUpdates.customPalette);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const paletteId = Number.isInteger(menuUpdates.customPalette.id) ? menuUpdates.customPalette.id : null;
+      menuUpdates.customPalette = { id: paletteId, ...palette };
+    }
+    if (menuUpdates.colorPalette === 'custom' && !menuUpdates.customPalette) {
+      return res.status(400).json({ error: 'Custom palette colors are required' });
+    }
+
     const validNavigationThemes = ['modern', 'classic', 'elegant', 'minimal', 'glass'];
     if (menuUpdates.navigationTheme !== undefined && !validNavigationThemes.includes(menuUpdates.navigationTheme)) {
       return res.status(400).json({ error: 'Invalid navigation theme' });
@@ -105,6 +128,36 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid logo size' });
     }
 
+    const layoutError = MenuRender.validateLayouts(menuUpdates.menuLayout, menuUpdates.sectionLayouts);
+    if (layoutError) {
+      return res.status(400).json({ error: layoutError });
+    }
+
+    if (menuUpdates.schedule !== undefined) {
+      const scheduleError = MenuSchedule.validateSchedule(menuUpdates.schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      // Alternate menus must be other menus from the same team
+      for (const alternate of menuUpdates.schedule?.alternates || []) {
+        if (alternate.menuId === menuId) {
+          return res.status(400).json({ error: 'Scheduled menus must be your other menus' });
+        }
+        const alternateAccess = await authorizeMenu(alternate.menuId, userId, 'view');
+        if (!alternateAccess.allowed || !sameMenuOwner(access.menu, alternateAccess.menu)) {
+          return res.status(400).json({ error: 'Scheduled menus must be your other menus' });
+        }
+      }
+    }
+
+    if (menuUpdates.translations !== undefined) {
+      const translationsError = MenuI18n.validateTranslations(menuUpdates.translations);
+      if (translationsError) {
+        return res.status(400).json({ error: translationsError });
+      }
+    }
+
     // Update menu data if provided
     if (Object.keys(menuUpdates).length > 0) {
       const updateResult = await updateMenu(menuId, menuUpdates);
@@ -121,6 +174,12 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Keep a snapshot of the saved state in the menu's history
+    const revisionResult = await createMenuRevision(menuId, 'save', userId);
+    if (!revisionResult.success) {
+      console.error('Failed to record menu revision:', revisionResult.error);
+    }
+
     res.status(200).json({ 
       success: true,
       message: 'Menu updated successfully'
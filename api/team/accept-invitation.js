@@ -0,0 +1,71 @@
+const {
+  getSession,
+  getUserById,
+  getOrganizationById,
+  acceptOrganizationInvitation
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { hashToken } = require('../../lib/account-emails');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// Join a team from an emailed invitation. The signed-in account must use the
+// address the invitation was sent to.
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const userResult = await getUserById(userId);
+    if (!userResult.success || !userResult.user) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const result = await acceptOrganizationInvitation(hashToken(token), userId, userResult.user.email);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+    if (!result.invitation) {
+      return res.status(400).json({
+        error: `This invitation is invalid, has expired, or was sent to a different email address than ${userResult.user.email}.`
+      });
+    }
+
+    const organizationResult = await getOrganizationById(result.invitation.organization_id);
+
+    res.status(200).json({
+      success: true,
+      alreadyMember: result.alreadyMember,
+      organization: {
+        id: result.invitation.organization_id,
+        name: organizationResult.organization?.name || null,
+        role: result.invitation.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
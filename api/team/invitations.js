@@ -0,0 +1,131 @@
+const {
+  getSession,
+  getUserById,
+  getOrganizationById,
+  getOrganizationMember,
+  getOrganizationMembers,
+  createOrganizationInvitation,
+  deleteOrganizationInvitation
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  INVITATION_TTL_MS,
+  isValidRole,
+  formatInvitation
+} = require('../../lib/organizations');
+const { createToken, getAppBaseUrl, sendInvitationEmail } = require('../../lib/account-emails');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// Owners invite people by email (POST) and withdraw pending invitations (DELETE)
+module.exports = async function handler(req, res) {
+  if (!['POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const organizationId = req.method === 'POST' ? req.body?.organizationId : req.query.organizationId;
+    if (!organizationId) {
+      return res.status(400).json({ error: 'Team ID is required' });
+    }
+
+    const memberResult = await getOrganizationMember(organizationId, userId);
+    if (!memberResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!memberResult.member) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (memberResult.member.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can invite people' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!req.query.id) {
+        return res.status(400).json({ error: 'Invitation ID is required' });
+      }
+
+      const result = await deleteOrganizationInvitation(organizationId, req.query.id);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to cancel invitation' });
+      }
+      if (!result.deleted) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    const email = req.body.email?.toLowerCase()?.trim();
+    const { role } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: 'Role must be owner, editor or viewer' });
+    }
+
+    const membersResult = await getOrganizationMembers(organizationId);
+    if (!membersResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (membersResult.members.some(member => member.email === email)) {
+      return res.status(409).json({ error: 'That person is already on the team' });
+    }
+
+    const [organizationResult, inviterResult] = await Promise.all([
+      getOrganizationById(organizationId),
+      getUserById(userId)
+    ]);
+    if (!organizationResult.success || !inviterResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { token, tokenHash } = createToken();
+    const result = await createOrganizationInvitation({
+      organizationId,
+      email,
+      role,
+      tokenHash,
+      invitedBy: userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create invitation' });
+    }
+
+    await sendInvitationEmail({
+      email,
+      role,
+      organizationName: organizationResult.organization.name,
+      inviterName: inviterResult.user?.name || 'A teammate'
+    }, token, getAppBaseUrl());
+
+    res.status(201).json({
+      success: true,
+      invitation: formatInvitation(result.invitation)
+    });
+
+  } catch (error) {
+    console.error('Team invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
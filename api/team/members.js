@@ -0,0 +1,143 @@
+const {
+  getSession,
+  getOrganizationById,
+  getOrganizationMember,
+  getOrganizationMembers,
+  getOrganizationInvitations,
+  setOrganizationMemberRole,
+  removeOrganizationMember
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  isValidRole,
+  formatMember,
+  formatInvitation
+} = require('../../lib/organizations');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+// A team always keeps at least one owner
+function isLastOwner(members, userId) {
+  const owners = members.filter(member => member.role === 'owner');
+  return owners.length === 1 && owners[0].user_id === userId;
+}
+
+// GET lists a team's members (and, for owners, pending invitations). Owners
+// change roles with PUT and remove members with DELETE; anyone can remove
+// themselves to leave a team.
+module.exports = async function handler(req, res) {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const organizationId = req.method === 'PUT' ? req.body?.organizationId : req.query.organizationId;
+    if (!organizationId) {
+      return res.status(400).json({ error: 'Team ID is required' });
+    }
+
+    const memberResult = await getOrganizationMember(organizationId, userId);
+    if (!memberResult.success) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!memberResult.member) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    const isOwner = memberResult.member.role === 'owner';
+
+    const membersResult = await getOrganizationMembers(organizationId);
+    if (!membersResult.success) {
+      return res.status(500).json({ error: 'Failed to load team members' });
+    }
+    const members = membersResult.members;
+
+    if (req.method === 'GET') {
+      const organizationResult = await getOrganizationById(organizationId);
+      if (!organizationResult.success || !organizationResult.organization) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      let invitations = [];
+      if (isOwner) {
+        const invitationsResult = await getOrganizationInvitations(organizationId);
+        if (!invitationsResult.success) {
+          return res.status(500).json({ error: 'Failed to load invitations' });
+        }
+        invitations = invitationsResult.invitations.map(formatInvitation);
+      }
+
+      return res.status(200).json({
+        success: true,
+        organization: {
+          id: organizationResult.organization.id,
+          name: organizationResult.organization.name,
+          role: memberResult.member.role
+        },
+        members: members.map(formatMember),
+        invitations
+      });
+    }
+
+    const targetUserId = req.method === 'PUT' ? req.body?.userId : req.query.userId;
+    if (!targetUserId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (!members.some(member => member.user_id === targetUserId)) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    if (req.method === 'PUT') {
+      const { role } = req.body;
+      if (!isOwner) {
+        return res.status(403).json({ error: 'Only owners can change roles' });
+      }
+      if (!isValidRole(role)) {
+        return res.status(400).json({ error: 'Role must be owner, editor or viewer' });
+      }
+      if (role !== 'owner' && isLastOwner(members, targetUserId)) {
+        return res.status(400).json({ error: 'A team needs at least one owner. Make someone else an owner first.' });
+      }
+
+      const result = await setOrganizationMemberRole(organizationId, targetUserId, role);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to change role' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    if (!isOwner && targetUserId !== userId) {
+      return res.status(403).json({ error: 'Only owners can remove team members' });
+    }
+    if (isLastOwner(members, targetUserId)) {
+      return res.status(400).json({ error: 'A team needs at least one owner. Make someone else an owner first.' });
+    }
+
+    const result = await removeOrganizationMember(organizationId, targetUserId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to remove team member' });
+    }
+
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Team members error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
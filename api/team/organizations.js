@@ -0,0 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getSession,
+  getUserOrganizations,
+  getOrganizationMember,
+  createOrganization,
+  renameOrganization
+} = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const {
+  validateOrganizationName,
+  ensureDefaultOrganization,
+  formatOrganization
+} = require('../../lib/organizations');
+
+// Helper function to verify user session
+async function verifySession(sessionId, req, res) {
+  if (!sessionId) return null;
+
+  const session = await getSession(sessionId);
+  renewSessionCookie(req, res, session);
+  return session?.user_id || null;
+}
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const userId = await verifySession(sessionId, req, res);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.method === 'GET') {
+      const defaultResult = await ensureDefaultOrganization(userId);
+      if (!defaultResult.success) {
+        return res.status(500).json({ error: 'Failed to load teams' });
+      }
+
+      const result = await getUserOrganizations(userId);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to load teams' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        organizations: result.organizations.map(formatOrganization)
+      });
+    }
+
+    const { name, error } = validateOrganizationName(req.body?.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.method === 'PUT') {
+      const { organizationId } = req.body;
+      if (!organizationId) {
+        return res.status(400).json({ error: 'Team ID is required' });
+      }
+
+      const memberResult = await getOrganizationMember(organizationId, userId);
+      if (!memberResult.success) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!memberResult.member) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+      if (memberResult.member.role !== 'owner') {
+        return res.status(403).json({ error: 'Only owners can rename the team' });
+      }
+
+      const result = await renameOrganization(organizationId, name);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to rename team' });
+      }
+
+      return res.status(200).json({ success: true });
+    }
+
+    const result = await createOrganization(uuidv4(), name, userId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create team' });
+    }
+
+    res.status(201).json({
+      success: true,
+      organization: formatOrganization(result.organization)
+    });
+
+  } catch (error) {
+    console.error('Organizations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,80 @@
+const { getSession } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
+const { ITEM_PHOTO_TYPES, MAX_ITEM_PHOTO_BYTES, saveItemPhoto } = require('../../lib/item-photos');
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify authentication
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
+
+    if (!session?.user_id) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Get file data from request body (base64 encoded)
+    const { fileData, menuId, itemId } = req.body;
+
+    if (!fileData || !menuId || !itemId) {
+      return res.status(400).json({ error: 'File data, menu ID and item ID are required' });
+    }
+
+    if (typeof itemId !== 'string' || itemId.length > 64) {
+      return res.status(400).json({ error: 'Invalid item ID' });
+    }
+
+    // Validate file type by checking data URL format
+    const dataUrlMatch = typeof fileData === 'string' && fileData.match(/^data:([^;]+);base64,/);
+    if (!dataUrlMatch) {
+      return res.status(400).json({ error: 'Invalid file format. Must be base64 data URL.' });
+    }
+
+    if (!ITEM_PHOTO_TYPES.includes(dataUrlMatch[1])) {
+      return res.status(400).json({ error: 'Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.' });
+    }
+
+    const buffer = Buffer.from(fileData.slice(dataUrlMatch[0].length), 'base64');
+    if (buffer.length > MAX_ITEM_PHOTO_BYTES) {
+      return res.status(400).json({ error: 'File too large. Maximum size is 3MB.' });
+    }
+
+    // Only owners and editors can change the menu
+    const access = await authorizeMenu(menuId, session.user_id, 'edit');
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    let photo;
+    try {
+      photo = await saveItemPhoto(menuId, itemId, buffer);
+    } catch (error) {
+      // sharp rejects files that are not decodable images, whatever their data URL claims
+      console.error('Item photo processing error:', error);
+      return res.status(400).json({ error: 'The file could not be read as an image' });
+    }
+
+    res.status(200).json({
+      success: true,
+      photo
+    });
+
+  } catch (error) {
+    console.error('Item photo upload error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
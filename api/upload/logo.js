@@ -1,4 +1,7 @@
 const { sql } = require('@vercel/postgres');
+const { getSession } = require('../../lib/hybrid-database');
+const { renewSessionCookie } = require('../../lib/sessions');
+const { authorizeMenu } = require('../../lib/menu-permissions');
 
 module.exports = async function handler(req, res) {
   // Set CORS headers
@@ -22,16 +25,14 @@ module.exports = async function handler(req, res) {
     }
 
     // Verify session
-    const userResult = await sql`
-      SELECT user_id FROM user_sessions 
-      WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
-    `;
+    const session = await getSession(sessionId);
+    renewSessionCookie(req, res, session);
     
-    if (userResult.rows.length === 0) {
+    if (!session) {
       return res.status(401).json({ error: 'Invalid session' });
     }
 
-    const userId = userResult.rows[0].user_id;
+    const userId = session.user_id;
 
     // Get file data from request body (base64 encoded)
     const { fileData, fileName, menuId } = req.body;
@@ -53,18 +54,16 @@ module.exports = async function handler(req, res) {
     // If menuId is provided, update the menu in database
     if (menuId) {
       try {
-        // Verify menu ownership
-        const menuResult = await sql`
-          SELECT id FROM menus WHERE id = ${menuId} AND user_id = ${userId}
-        `;
+        // Only owners and editors can change the menu
+        const access = await authorizeMenu(menuId, userId, 'edit');
         
-        if (menuResult.rows.length > 0) {
+        if (access.allowed) {
           // Update menu with logo data URL
           await sql`
             UPDATE menus 
             SET menu_logo = ${dataUrl},
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = ${menuId} AND user_id = ${userId}
+            WHERE id = ${menuId}
           `;
         }
       } catch (error) {
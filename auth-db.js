@@ -108,6 +108,11 @@ class DatabaseAuthManager {
 
             const data = await response.json();
 
+            // Two-factor accounts finish signing in with completeTwoFactorLogin()
+            if (response.ok && data.twoFactorRequired) {
+                return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+            }
+
             if (response.ok) {
                 this.currentUser = data.user;
                 this.sessionId = data.sessionId;
@@ -182,14 +187,16 @@ class DatabaseAuthManager {
 
     async signOut() {
         try {
+            // End the session on the server too, so the token stops working
+            if (this.sessionId) {
+                await this.revokeSession(null, 'current');
+            }
+            
             // Clear local data
             this.currentUser = null;
             this.sessionId = null;
             localStorage.removeItem('sessionId');
             
-            // In a more complete implementation, you'd also invalidate the session on the server
-            // For now, the session will expire naturally
-            
             // Redirect to landing page
             window.location.href = 'index.html';
             
@@ -213,6 +220,315 @@ class DatabaseAuthManager {
         return this.isAuthenticated();
     }
 
+    // Business details shown on published menus
+    async getBusinessProfile() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/profile`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get business profile error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async updateBusinessProfile(profile) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/profile`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(profile)
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Update business profile error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Password reset and email verification
+    async forgotPassword(email) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/forgot-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async resetPassword(token, password) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/reset-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token, password })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Reset password error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Verify email error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async resendVerificationEmail() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({})
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Resend verification email error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Signed-in devices
+    async getSessions() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/sessions`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get sessions error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Revoke one session by its `id` from getSessions(), or pass a scope:
+    // 'others' signs out every other device, 'current' this one
+    async revokeSession(sessionId, scope = null) {
+        const query = scope ? `scope=${scope}` : `id=${encodeURIComponent(sessionId)}`;
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/sessions?${query}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Second step of signing in when signIn() or handleGoogleSignIn() returns
+    // twoFactorRequired: a code from the authenticator app or a recovery code
+    async completeTwoFactorLogin(challengeToken, code) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor-challenge`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ challengeToken, code })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.currentUser = data.user;
+                this.sessionId = data.sessionId;
+                
+                // Store session ID in localStorage as backup
+                localStorage.setItem('sessionId', data.sessionId);
+                
+                return { success: true, user: data.user, recoveryCodesRemaining: data.recoveryCodesRemaining };
+            } else {
+                return { success: false, error: data.error, expired: response.status === 429 || !data.attemptsRemaining };
+            }
+        } catch (error) {
+            console.error('Two-factor sign-in error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getTwoFactorStatus() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get two-factor status error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Returns a new secret with its otpauthUri and qrCode (a data: URL)
+    async startTwoFactorSetup() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Start two-factor setup error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Turns two-factor authentication on; the response has the recovery codes
+    async enableTwoFactor(code, requireForGoogle = true) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code, requireForGoogle })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async setTwoFactorGoogleRequirement(code, requireForGoogle) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code, requireForGoogle })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Update two-factor settings error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async disableTwoFactor(code) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/two-factor`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async regenerateRecoveryCodes(code) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/auth/recovery-codes`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
     // Menu operations using database API
     async createMenu(menuData) {
         try {
@@ -371,25 +687,538 @@ class DatabaseAuthManager {
         }
     }
 
-    async getPublishedMenu(slug) {
+    async getMenuRevisions(menuId) {
         try {
-            const response = await fetch(`${this.baseURL}/api/menu/${slug}`, {
+            const response = await fetch(`${this.baseURL}/api/menu/revisions?menuId=${encodeURIComponent(menuId)}`, {
                 method: 'GET',
                 headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
                     'Content-Type': 'application/json'
-                }
+                },
+                credentials: 'include'
             });
 
             const data = await response.json();
             return response.ok ? data : { success: false, error: data.error };
         } catch (error) {
-            console.error('Get published menu error:', error);
+            console.error('Get menu revisions error:', error);
             return { success: false, error: 'Network error' };
         }
     }
 
-    // Google OAuth methods
-    async handleGoogleSignIn(credential) {
+    async getRevisionDiff(menuId, revisionId, compareTo = 'current') {
+        try {
+            const params = new URLSearchParams({ menuId, revisionId, compareTo });
+            const response = await fetch(`${this.baseURL}/api/menu/revision-diff?${params.toString()}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get revision diff error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async restoreMenuRevision(menuId, revisionId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/restore`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ menuId, revisionId })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Restore menu revision error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getItemAvailability(menuId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/availability?menuId=${encodeURIComponent(menuId)}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get item availability error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async setItemAvailability(menuId, itemId, status, backAt = null) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/availability`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ menuId, itemId, status, backAt })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Set item availability error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getPublishSchedules(menuId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/publish-schedules?menuId=${encodeURIComponent(menuId)}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get publish schedules error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async createPublishSchedule(menuId, scheduleData) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/publish-schedules`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ menuId, ...scheduleData })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Create publish schedule error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async cancelPublishSchedule(menuId, scheduleId) {
+        try {
+            const params = new URLSearchParams({ menuId, scheduleId });
+            const response = await fetch(`${this.baseURL}/api/menu/publish-schedules?${params.toString()}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Cancel publish schedule error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getMenuAnalytics(menuId, days = 30) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/analytics?menuId=${encodeURIComponent(menuId)}&days=${days}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get menu analytics error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getCustomPalettes() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/palettes`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get custom palettes error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Creates a palette, or updates the one with `paletteId`
+    async saveCustomPalette(palette, paletteId = null) {
+        try {
+            const query = paletteId ? `?id=${encodeURIComponent(paletteId)}` : '';
+            const response = await fetch(`${this.baseURL}/api/menu/palettes${query}`, {
+                method: paletteId ? 'PUT' : 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(palette)
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Save custom palette error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async deleteCustomPalette(paletteId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/palettes?id=${encodeURIComponent(paletteId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Delete custom palette error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getCustomFonts() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/fonts`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get custom fonts error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // `fileData` is the WOFF2 file as a base64 data URL
+    async uploadCustomFont(fileData, name) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/fonts`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ fileData, name })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Upload custom font error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async deleteCustomFont(fontId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/fonts?id=${encodeURIComponent(fontId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Delete custom font error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Teams and menu access: your role for a menu and who else can see or edit it
+    async getMenuAccess(menuId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/access?menuId=${encodeURIComponent(menuId)}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get menu access error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async moveMenuToOrganization(menuId, organizationId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/access?menuId=${encodeURIComponent(menuId)}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ organizationId })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Move menu error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getOrganizations() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/organizations`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get organizations error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async createOrganization(name) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/organizations`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ name })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Create organization error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async renameOrganization(organizationId, name) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/organizations`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ organizationId, name })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Rename organization error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Members, and for owners the pending invitations
+    async getTeamMembers(organizationId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/members?organizationId=${encodeURIComponent(organizationId)}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get team members error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async changeMemberRole(organizationId, userId, role) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/members`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ organizationId, userId, role })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Change member role error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async removeMember(organizationId, userId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/members?organizationId=${encodeURIComponent(organizationId)}&userId=${encodeURIComponent(userId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Remove member error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async inviteMember(organizationId, email, role) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/invitations`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ organizationId, email, role })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Invite member error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async cancelInvitation(organizationId, invitationId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/invitations?organizationId=${encodeURIComponent(organizationId)}&id=${encodeURIComponent(invitationId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Cancel invitation error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // `token` comes from the ?invite= link in the invitation email
+    async acceptInvitation(token) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/team/accept-invitation`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ token })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Accept invitation error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getPublishedMenu(slug) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/menu/${slug}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Get published menu error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    // Google OAuth methods
+    async handleGoogleSignIn(credential) {
         try {
             const response = await fetch(`${this.baseURL}/api/auth/google`, {
                 method: 'POST',
@@ -402,6 +1231,10 @@ class DatabaseAuthManager {
 
             const data = await response.json();
 
+            if (response.ok && data.twoFactorRequired) {
+                return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+            }
+
             if (response.ok) {
                 this.currentUser = data.user;
                 this.sessionId = data.sessionId;
@@ -424,15 +1257,16 @@ class DatabaseAuthManager {
         }
     }
 
-    // Admin operations
-    async getAdminData(username, password) {
+    // Admin operations (the signed-in account must be an admin)
+    async getAdminData() {
         try {
             const response = await fetch(`${this.baseURL}/api/admin/users`, {
-                method: 'POST',
+                method: 'GET',
                 headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ username, password })
+                credentials: 'include'
             });
 
             const data = await response.json();
@@ -443,6 +1277,45 @@ class DatabaseAuthManager {
         }
     }
 
+    async setUserAdmin(userId, isAdmin) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/admin/users`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ userId, isAdmin })
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Set user admin error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
+    async getAdminAuditLog(limit = 100) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/admin/audit-log?limit=${limit}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.sessionId}`,
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Admin audit log error:', error);
+            return { success: false, error: 'Network error' };
+        }
+    }
+
     // Legacy compatibility methods for existing code
     async saveUserMenu(menuData) {
         // This method should now use the updateMenu API
@@ -250,16 +250,8 @@ class BulkOperations {
     copySelected() {
         if (this.selectedItems.size === 0) return;
         
-        const itemsData = [];
-        this.selectedItems.forEach(itemId => {
-            const item = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
-            if (item) {
-                const itemData = this.extractItemData(item);
-                if (itemData) {
-                    itemsData.push(itemData);
-                }
-            }
-        });
+        // Copies keep photos, tags and price variants along with the columns
+        const itemsData = this.getSelectedLocations().map(({ item }) => JSON.parse(JSON.stringify(item)));
         
         this.clipboardData = {
             items: itemsData,
@@ -276,72 +268,62 @@ class BulkOperations {
     pasteItems() {
         if (!this.clipboardData) return;
         
-        // For now, paste to the first section or create a new section
-        let targetSection = document.querySelector('.section');
-        
+        // For now, paste to the first section
+        const targetSection = this.menuEditor.sections[0];
         if (!targetSection) {
-            // Create a new section if none exists
-            targetSection = this.menuEditor.createSection('Pasted Items', 'food');
+            if (window.uiFeedback) {
+                window.uiFeedback.showWarning('Cannot Paste', 'Add a section to paste items into.');
+            }
+            return;
         }
         
-        const sectionId = targetSection.dataset.sectionId || targetSection.id;
         let pastedCount = 0;
         
-        this.clipboardData.items.forEach(itemData => {
-            try {
-                this.menuEditor.addItemToSection(sectionId, itemData);
+        this.runAsOneStep(`Paste ${this.clipboardData.items.length} items`, () => {
+            this.clipboardData.items.forEach(itemData => {
+                this.menuEditor.recordChange('Paste item', () => {
+                    targetSection.items.push(JSON.parse(JSON.stringify(itemData)));
+                });
                 pastedCount++;
-            } catch (error) {
-                console.error('Error pasting item:', error);
-            }
+            });
         });
         
+        this.refreshMenu();
+        
         if (window.uiFeedback) {
             window.uiFeedback.showSuccess('Pasted', `${pastedCount} items pasted successfully`);
         }
-        
-        this.menuEditor.markAsChanged();
     }
     
     duplicateSelected() {
         if (this.selectedItems.size === 0) return;
         
+        const locations = this.getSelectedLocations();
         let duplicatedCount = 0;
-        const itemsToAdd = [];
         
-        this.selectedItems.forEach(itemId => {
-            const item = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
-            if (item) {
-                const itemData = this.extractItemData(item);
-                if (itemData) {
-                    // Modify item name to indicate it's a duplicate
-                    if (itemData['Item Name']) {
-                        itemData['Item Name'] += ' (Copy)';
-                    }
-                    itemsToAdd.push({ item, data: itemData });
+        this.runAsOneStep(`Duplicate ${locations.length} items`, () => {
+            locations.forEach(({ section, item }) => {
+                const copy = JSON.parse(JSON.stringify(item));
+                
+                // Modify item name to indicate it's a duplicate
+                if (copy['Item Name']) {
+                    copy['Item Name'] += ' (Copy)';
                 }
-            }
+                
+                // Insert right after the original, wherever earlier copies moved it
+                this.menuEditor.recordChange('Duplicate item', () => {
+                    section.items.splice(section.items.indexOf(item) + 1, 0, copy);
+                });
+                duplicatedCount++;
+            });
         });
         
-        // Add duplicated items to their respective sections
-        itemsToAdd.forEach(({ item, data }) => {
-            const section = item.closest('.section');
-            if (section) {
-                const sectionId = section.dataset.sectionId || section.id;
-                try {
-                    this.menuEditor.addItemToSection(sectionId, data);
-                    duplicatedCount++;
-                } catch (error) {
-                    console.error('Error duplicating item:', error);
-                }
-            }
-        });
+        this.selectedItems.clear();
+        this.refreshMenu();
         
         if (window.uiFeedback) {
             window.uiFeedback.showSuccess('Duplicated', `${duplicatedCount} items duplicated successfully`);
         }
-        
-        this.menuEditor.markAsChanged();
     }
     
     deleteSelected() {
@@ -354,34 +336,24 @@ class BulkOperations {
             if (!confirmed) return;
         }
         
+        const locations = this.getSelectedLocations();
         let deletedCount = 0;
-        const itemsToDelete = Array.from(this.selectedItems);
         
-        itemsToDelete.forEach(itemId => {
-            const item = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
-            if (item) {
-                try {
-                    // Use the menu editor's delete function if available
-                    if (this.menuEditor.removeMenuItem) {
-                        this.menuEditor.removeMenuItem(item);
-                    } else {
-                        item.remove();
-                    }
-                    deletedCount++;
-                } catch (error) {
-                    console.error('Error deleting item:', error);
-                }
-            }
+        this.runAsOneStep(`Delete ${locations.length} items`, () => {
+            locations.forEach(({ section, item }) => {
+                this.menuEditor.recordChange('Delete item', () => {
+                    section.items.splice(section.items.indexOf(item), 1);
+                });
+                deletedCount++;
+            });
         });
         
         this.selectedItems.clear();
-        this.updateBulkActionToolbar();
+        this.refreshMenu();
         
         if (window.uiFeedback) {
             window.uiFeedback.showSuccess('Deleted', `${deletedCount} items deleted successfully`);
         }
-        
-        this.menuEditor.markAsChanged();
     }
     
     // =============================================
@@ -420,6 +392,7 @@ class BulkOperations {
                     <div class=\"bulk-edit-form\">
                         <div class=\"form-group\">
                             <label>Add to Price:</label>
+                            <small>Applies to the Price column and every price variant</small>
                             <div class=\"price-adjustment\">
                                 <select id=\"price-operation\">
                                     <option value=\"add\">Add ($)</option>
@@ -492,86 +465,91 @@ class BulkOperations {
         const replaceFrom = modal.querySelector('#replace-from').value.trim();
         const replaceTo = modal.querySelector('#replace-to').value.trim();
         
+        const locations = this.getSelectedLocations();
         let changedCount = 0;
         
-        this.selectedItems.forEach(itemId => {
-            const item = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
-            if (!item) return;
-            
-            let changed = false;
-            
-            // Price operations
-            if (priceValue !== 0) {
-                const priceInput = item.querySelector('[data-column=\"Price\"], .price-input, input[placeholder*=\"price\" i]');
-                if (priceInput) {
-                    const currentPrice = parseFloat(priceInput.value.replace(/[^0-9.]/g, '')) || 0;
-                    let newPrice = currentPrice;
+        this.runAsOneStep(`Edit ${locations.length} items`, () => {
+            locations.forEach(({ section, item }) => {
+                const before = JSON.stringify(item);
+                
+                this.menuEditor.recordChange('Edit item', () => {
+                    // Price operations
+                    if (priceValue !== 0) {
+                        const priceColumn = section.columns.find(column => /price/i.test(column));
+                        if (priceColumn) {
+                            item[priceColumn] = this.adjustPrice(item[priceColumn] || '', priceOperation, priceValue);
+                        }
+                        
+                        // Every labelled price (glass, bottle, sizes) moves with the item
+                        (item.priceVariants || []).forEach(variant => {
+                            if (!(variant.price || '').trim() && priceOperation !== 'set') return;
+                            variant.price = this.adjustPrice(variant.price || '', priceOperation, priceValue);
+                        });
+                    }
                     
-                    switch (priceOperation) {
-                        case 'add':
-                            newPrice = currentPrice + priceValue;
-                            break;
-                        case 'subtract':
-                            newPrice = Math.max(0, currentPrice - priceValue);
-                            break;
-                        case 'multiply':
-                            newPrice = currentPrice * priceValue;
-                            break;
-                        case 'set':
-                            newPrice = priceValue;
-                            break;
+                    // Description append
+                    if (descriptionAppend && section.columns.includes('Description')) {
+                        const currentDesc = (item.Description || '').trim();
+                        item.Description = currentDesc ? `${currentDesc}. ${descriptionAppend}` : descriptionAppend;
                     }
                     
-                    priceInput.value = `$${newPrice.toFixed(2)}`;
-                    changed = true;
-                }
-            }
-            
-            // Description append
-            if (descriptionAppend) {
-                const descInput = item.querySelector('[data-column=\"Description\"], .description-input, textarea');
-                if (descInput) {
-                    const currentDesc = descInput.value.trim();
-                    descInput.value = currentDesc ? `${currentDesc}. ${descriptionAppend}` : descriptionAppend;
-                    changed = true;
-                }
-            }
-            
-            // Category/Tag add
-            if (categoryAdd) {
-                const categoryInput = item.querySelector('[data-column=\"Category\"], .category-input');
-                if (categoryInput) {
-                    const currentCategory = categoryInput.value.trim();
-                    categoryInput.value = currentCategory ? `${currentCategory}, ${categoryAdd}` : categoryAdd;
-                    changed = true;
-                }
-            }
-            
-            // Text replacement
-            if (replaceFrom && replaceTo) {
-                const inputs = item.querySelectorAll('input, textarea');
-                inputs.forEach(input => {
-                    if (input.value.includes(replaceFrom)) {
-                        input.value = input.value.replace(new RegExp(replaceFrom, 'g'), replaceTo);
-                        changed = true;
+                    // Category/Tag add
+                    if (categoryAdd && section.columns.includes('Category')) {
+                        const currentCategory = (item.Category || '').trim();
+                        item.Category = currentCategory ? `${currentCategory}, ${categoryAdd}` : categoryAdd;
+                    }
+                    
+                    // Text replacement
+                    if (replaceFrom && replaceTo) {
+                        const replace = (value) => typeof value === 'string'
+                            ? value.replace(new RegExp(replaceFrom, 'g'), replaceTo)
+                            : value;
+                        
+                        section.columns.forEach(column => {
+                            if (typeof item[column] === 'string') {
+                                item[column] = replace(item[column]);
+                            }
+                        });
+                        (item.priceVariants || []).forEach(variant => {
+                            variant.label = replace(variant.label);
+                            variant.price = replace(variant.price);
+                        });
                     }
                 });
-            }
-            
-            if (changed) {
-                changedCount++;
                 
-                // Trigger change event
-                const event = new Event('change', { bubbles: true });
-                item.dispatchEvent(event);
-            }
+                if (JSON.stringify(item) !== before) {
+                    changedCount++;
+                }
+            });
         });
         
+        this.refreshMenu();
+        
         if (window.uiFeedback) {
             window.uiFeedback.showSuccess('Bulk Edit Applied', `${changedCount} items updated successfully`);
         }
+    }
+    
+    adjustPrice(value, operation, amount) {
+        const currentPrice = parseFloat(String(value).replace(/[^0-9.]/g, '')) || 0;
+        let newPrice = currentPrice;
         
-        this.menuEditor.markAsChanged();
+        switch (operation) {
+            case 'add':
+                newPrice = currentPrice + amount;
+                break;
+            case 'subtract':
+                newPrice = Math.max(0, currentPrice - amount);
+                break;
+            case 'multiply':
+                newPrice = currentPrice * amount;
+                break;
+            case 'set':
+                newPrice = amount;
+                break;
+        }
+        
+        return `$${newPrice.toFixed(2)}`;
     }
     
     // =============================================
@@ -581,8 +559,7 @@ class BulkOperations {
     showMoveModal() {
         if (this.selectedItems.size === 0) return;
         
-        const sections = document.querySelectorAll('.section');
-        if (sections.length <= 1) {
+        if (this.menuEditor.sections.length <= 1) {
             if (window.uiFeedback) {
                 window.uiFeedback.showWarning('Cannot Move', 'You need at least 2 sections to move items between them.');
             }
@@ -648,22 +625,19 @@ class BulkOperations {
         description.textContent = `Select the section to move ${this.selectedItems.size} selected items to:`;
         
         const sectionList = modal.querySelector('#move-section-list');
-        const sections = document.querySelectorAll('.section');
+        const sections = this.menuEditor.sections;
         
         sectionList.innerHTML = '';
         
         sections.forEach(section => {
-            const sectionTitle = section.querySelector('.section-title')?.textContent || 'Untitled Section';
-            const sectionId = section.dataset.sectionId || section.id;
-            
             const sectionOption = document.createElement('div');
             sectionOption.className = 'section-option';
-            sectionOption.dataset.sectionId = sectionId;
+            sectionOption.dataset.sectionId = section.id;
             sectionOption.innerHTML = `
                 <div class=\"section-option-content\">
                     <i class=\"fas fa-list\"></i>
-                    <span class=\"section-name\">${sectionTitle}</span>
-                    <span class=\"item-count\">(${section.querySelectorAll('.menu-item').length} items)</span>
+                    <span class=\"section-name\">${this.menuEditor.escapeHtml(section.name || 'Untitled Section')}</span>
+                    <span class=\"item-count\">(${section.items.length} items)</span>
                 </div>
             `;
             
@@ -685,67 +659,88 @@ class BulkOperations {
         
         if (!selectedSection) return;
         
-        const targetSectionId = selectedSection.dataset.sectionId;
+        const targetSection = this.menuEditor.sections.find(s => s.id === parseInt(selectedSection.dataset.sectionId));
+        if (!targetSection) return;
+        
+        const locations = this.getSelectedLocations().filter(({ section }) => section !== targetSection);
         let movedCount = 0;
         
         // Move selected items to target section
-        this.selectedItems.forEach(itemId => {
-            const item = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
-            if (item) {
-                try {
-                    // Extract item data
-                    const itemData = this.extractItemData(item);
-                    
-                    // Remove from current section
-                    item.remove();
-                    
-                    // Add to target section
-                    this.menuEditor.addItemToSection(targetSectionId, itemData);
-                    movedCount++;
-                } catch (error) {
-                    console.error('Error moving item:', error);
-                }
-            }
+        this.runAsOneStep(`Move ${locations.length} items`, () => {
+            locations.forEach(({ section, item }) => {
+                this.menuEditor.recordChange('Move item', () => {
+                    section.items.splice(section.items.indexOf(item), 1);
+                    targetSection.items.push(item);
+                });
+                movedCount++;
+            });
         });
         
         this.selectedItems.clear();
-        this.updateBulkActionToolbar();
+        this.refreshMenu();
         
         if (window.uiFeedback) {
             window.uiFeedback.showSuccess('Items Moved', `${movedCount} items moved successfully`);
         }
-        
-        this.menuEditor.markAsChanged();
     }
     
     // =============================================
     // UTILITY METHODS
     // =============================================
     
-    extractItemData(item) {
-        const itemData = {};
-        
-        // Extract data from inputs within the item
-        const inputs = item.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            const column = input.dataset.column || input.getAttribute('placeholder') || input.name;
-            if (column && input.value) {
-                itemData[column] = input.value;
+    /**
+     * The selected items as they are stored in the editor's sections. Item
+     * elements carry their section and index on their inputs.
+     *
+     * @returns {Array<{section: Object, item: Object}>}
+     */
+    getSelectedLocations() {
+        const locations = [];
+        
+        this.selectedItems.forEach(itemId => {
+            const element = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
+            const input = element && element.querySelector('.menu-item-input');
+            if (!input) return;
+            
+            const section = this.menuEditor.sections.find(s => s.id === parseInt(input.dataset.sectionId));
+            const item = section ? section.items[parseInt(input.dataset.itemIndex)] : null;
+            if (item) {
+                locations.push({ section, item });
             }
         });
         
-        // If no data found, try to extract from text content or data attributes
-        if (Object.keys(itemData).length === 0) {
-            const nameElement = item.querySelector('.item-name, .menu-item-name');
-            const priceElement = item.querySelector('.item-price, .menu-item-price');
-            const descElement = item.querySelector('.item-description, .menu-item-description');
-            
-            if (nameElement) itemData['Item Name'] = nameElement.textContent.trim();
-            if (priceElement) itemData['Price'] = priceElement.textContent.trim();
-            if (descElement) itemData['Description'] = descElement.textContent.trim();
+        return locations;
+    }
+    
+    // Everything an operation records undoes as a single step
+    runAsOneStep(label, operation) {
+        const history = this.menuEditor.history;
+        history.beginGroup(label);
+        try {
+            operation();
+        } finally {
+            history.endGroup();
         }
+    }
+    
+    // Redraw the editor after an operation and keep selection mode going
+    refreshMenu() {
+        this.menuEditor.renderMenu();
+        this.menuEditor.updateSidePreview();
+        this.menuEditor.markAsChanged();
+        this.menuEditor.saveToStorage();
         
-        return Object.keys(itemData).length > 0 ? itemData : null;
+        if (this.isSelectionMode) {
+            this.addSelectionCheckboxes();
+            this.selectedItems.forEach(itemId => {
+                const element = document.querySelector(`[data-item-id=\"${itemId}\"], #${itemId}`);
+                if (element) {
+                    element.classList.add('selected');
+                    element.querySelector('.selection-checkbox i').className = 'fas fa-check-square';
+                }
+            });
+        }
+        this.updateBulkActionToolbar();
     }
     
     showContextMenu(event, item) {
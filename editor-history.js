@@ -0,0 +1,163 @@
+/**
+ * Undo/Redo History for MyMobileMenu Editor
+ * A command stack for menu edits. Each command knows how to undo and redo
+ * itself; commands recorded between beginGroup() and endGroup() (e.g. a bulk
+ * delete) are undone and redone as a single step.
+ */
+
+class EditorHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Steps kept for undo; the oldest are dropped
+     * @param {Function} [options.onChange] - Called whenever undo/redo availability may change
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.onChange = options.onChange || null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.groupDepth = 0;
+        // Set while a command runs, so edits it makes are not recorded again
+        this.applying = false;
+    }
+
+    /**
+     * Add an edit that has already been applied.
+     *
+     * @param {Object} command - { label, undo(), redo(), merge?(next, context) }.
+     *   When the latest command has a merge function and it returns true for
+     *   the new one, the two become one command (e.g. typing in the same
+     *   cell). Inside a group, merge is called with `{ grouped: true }`.
+     */
+    record(command) {
+        if (this.applying) return;
+
+        if (this.group) {
+            const previous = this.group.commands[this.group.commands.length - 1];
+            if (!(previous && previous.merge && previous.merge(command, { grouped: true }))) {
+                this.group.commands.push(command);
+            }
+            return;
+        }
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (!(last && last.merge && last.merge(command))) {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        // A new edit starts a new branch of history
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Start collecting commands into one step. Groups nest; only the
+     * outermost endGroup() records the step.
+     */
+    beginGroup(label) {
+        this.groupDepth++;
+        if (!this.group) {
+            this.group = { label, commands: [] };
+        }
+    }
+
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth > 0) return;
+
+        const { label, commands } = this.group;
+        this.group = null;
+        if (commands.length === 0) return;
+
+        this.record(commands.length === 1 ? { ...commands[0], label, merge: null } : {
+            label,
+            undo: () => commands.slice().reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Labels for tooltips, e.g. "Undo Delete item"
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Undo the latest step.
+     *
+     * @returns {string|null} The step's label, or null when there was nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.run(() => command.undo());
+        this.redoStack.push(command);
+        this.notify();
+        return command.label;
+    }
+
+    /**
+     * Redo the latest undone step.
+     *
+     * @returns {string|null} The step's label, or null when there was nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.run(() => command.redo());
+        this.undoStack.push(command);
+        this.notify();
+        return command.label;
+    }
+
+    // Forget every step, e.g. when another menu is opened
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.groupDepth = 0;
+        this.notify();
+    }
+
+    run(fn) {
+        this.applying = true;
+        try {
+            fn();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.EditorHistory = EditorHistory;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EditorHistory;
+}
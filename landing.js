@@ -3,16 +3,21 @@ class LandingPage {
     constructor() {
         console.log('LandingPage constructor called');
         console.log('Window authManager:', window.authManager);
+        // Reset or verification link the page was opened from, if any
+        this.accountLink = this.readAccountLink();
+        this.storeInvitationLink();
         this.initializeEvents();
         this.initializeScrollEffects();
         this.setupAuthListener();
+        this.handleAccountLink();
     }
     
     setupAuthListener() {
         // Listen for authentication state changes
         document.addEventListener('authStateChanged', (event) => {
             console.log('🔄 Landing page received auth state change:', event.detail);
-            if (event.detail.user) {
+            // Let the reset/verification flow finish before leaving the page
+            if (event.detail.user && !this.accountLink) {
                 console.log('✅ User authenticated on landing page, redirecting to editor...');
                 window.location.href = 'editor.html';
             }
@@ -99,6 +104,37 @@ class LandingPage {
             });
         }
         
+        // Password reset
+        const forgotPasswordLink = document.getElementById('forgot-password-link');
+        if (forgotPasswordLink) {
+            forgotPasswordLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                const email = document.getElementById('email')?.value;
+                this.closeModal('sign-in-modal');
+                this.openModal('forgot-password-modal');
+                if (email) {
+                    document.getElementById('forgot-email').value = email;
+                }
+            });
+        }
+        
+        // The two-factor step takes an authenticator code or a recovery code
+        const useRecoveryLink = document.getElementById('two-factor-use-recovery');
+        if (useRecoveryLink) {
+            useRecoveryLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setTwoFactorRecoveryMode(!this.twoFactorRecoveryMode);
+            });
+        }
+        
+        document.querySelectorAll('.back-to-signin').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.closeModal(link.closest('.modal').id);
+                this.openModal('sign-in-modal');
+            });
+        });
+        
         // Close modal events
         document.querySelectorAll('.close').forEach(closeBtn => {
             closeBtn.addEventListener('click', (e) => {
@@ -141,11 +177,38 @@ class LandingPage {
             // Add real-time validation
             this.setupFormValidation(signUpForm);
         }
+        
+        const twoFactorForm = document.getElementById('two-factor-form');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleTwoFactorCode(new FormData(twoFactorForm));
+            });
+        }
+        
+        const forgotPasswordForm = document.getElementById('forgot-password-form');
+        const resetPasswordForm = document.getElementById('reset-password-form');
+        
+        if (forgotPasswordForm) {
+            forgotPasswordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleForgotPassword(new FormData(forgotPasswordForm));
+            });
+        }
+        
+        if (resetPasswordForm) {
+            resetPasswordForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleResetPassword(new FormData(resetPasswordForm));
+            });
+            
+            this.setupFormValidation(resetPasswordForm);
+        }
     }
     
     setupFormValidation(form) {
-        const passwordInput = form.querySelector('#signup-password');
-        const confirmPasswordInput = form.querySelector('#signup-confirm-password');
+        const passwordInput = form.querySelector('input[name="password"]');
+        const confirmPasswordInput = form.querySelector('input[name="confirmPassword"]');
         
         if (passwordInput && confirmPasswordInput) {
             confirmPasswordInput.addEventListener('input', () => {
@@ -277,6 +340,10 @@ class LandingPage {
             if (!result.success) {
                 throw new Error(result.error);
             }
+            if (result.twoFactorRequired) {
+                this.startTwoFactorStep(result.challengeToken);
+                return;
+            }
             console.log('Sign in successful, redirecting...');
             // Redirect will happen automatically via auth state change
             window.location.href = 'editor.html';
@@ -286,6 +353,73 @@ class LandingPage {
         }
     }
     
+    // The password (or Google) step passed; the session waits for a code
+    startTwoFactorStep(challengeToken) {
+        this.twoFactorChallenge = challengeToken;
+        this.closeModal('sign-in-modal');
+        this.closeModal('sign-up-modal');
+        
+        const signInButton = document.querySelector('#sign-in-form button[type="submit"]');
+        if (signInButton) {
+            signInButton.textContent = signInButton.dataset.originalText || 'Sign In';
+            signInButton.disabled = false;
+        }
+        
+        document.getElementById('two-factor-form').reset();
+        this.setTwoFactorRecoveryMode(false);
+        this.openModal('two-factor-modal');
+    }
+    
+    setTwoFactorRecoveryMode(useRecoveryCode) {
+        this.twoFactorRecoveryMode = useRecoveryCode;
+        const input = document.getElementById('two-factor-code');
+        
+        document.getElementById('two-factor-code-label').textContent = useRecoveryCode ? 'Recovery Code' : 'Authentication Code';
+        document.getElementById('two-factor-use-recovery').textContent = useRecoveryCode
+            ? 'Use your authenticator app instead'
+            : 'Use a recovery code instead';
+        input.placeholder = useRecoveryCode ? 'xxxxx-xxxxx' : '123456';
+        input.inputMode = useRecoveryCode ? 'text' : 'numeric';
+        input.value = '';
+        input.focus();
+    }
+    
+    async handleTwoFactorCode(formData) {
+        const code = (formData.get('code') || '').trim();
+        if (!code) {
+            this.showError('two-factor-form', 'Please enter a code');
+            return;
+        }
+        
+        this.showLoadingState('two-factor-form');
+        
+        try {
+            const result = await window.authManager.completeTwoFactorLogin(this.twoFactorChallenge, code);
+            if (!result.success) {
+                if (result.expired) {
+                    // Too many wrong codes, or too slow: start over from the password
+                    this.closeModal('two-factor-modal');
+                    this.openModal('sign-in-modal');
+                    this.showError('sign-in-form', result.error);
+                    return;
+                }
+                throw new Error(result.error);
+            }
+            
+            if (result.recoveryCodesRemaining !== undefined) {
+                this.showSuccess('two-factor-form', `Recovery code used. You have ${result.recoveryCodesRemaining} left; you can make new ones in Settings.`);
+                setTimeout(() => {
+                    window.location.href = 'editor.html';
+                }, 3000);
+                return;
+            }
+            window.location.href = 'editor.html';
+        } catch (error) {
+            console.error('Two-factor sign-in error:', error);
+            this.showError('two-factor-form', error.message);
+        }
+    }
+    
     async handleSignUp(formData) {
         console.log('handleSignUp called');
         
@@ -350,6 +484,150 @@ class LandingPage {
         }
     }
     
+    async handleForgotPassword(formData) {
+        const email = (formData.get('email') || '').trim();
+        if (!email) {
+            this.showError('forgot-password-form', 'Please enter your email address');
+            return;
+        }
+        
+        this.showLoadingState('forgot-password-form');
+        
+        try {
+            if (!window.authManager) {
+                throw new Error('Authentication system not initialized');
+            }
+            
+            const result = await window.authManager.forgotPassword(email);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.showSuccess('forgot-password-form', 'Check your inbox for a link to reset your password.');
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            this.showError('forgot-password-form', error.message);
+        }
+    }
+    
+    async handleResetPassword(formData) {
+        const password = formData.get('password');
+        const confirmPassword = formData.get('confirmPassword');
+        
+        if (!password || password.length < 8) {
+            this.showError('reset-password-form', 'Password must be at least 8 characters');
+            return;
+        }
+        
+        if (password !== confirmPassword) {
+            this.showError('reset-password-form', 'Passwords do not match');
+            return;
+        }
+        
+        this.showLoadingState('reset-password-form');
+        
+        try {
+            if (!window.authManager) {
+                throw new Error('Authentication system not initialized');
+            }
+            
+            const result = await window.authManager.resetPassword(this.accountLink.token, password);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            // Every session was signed out, including this browser's
+            this.clearAccountLink();
+            localStorage.removeItem('sessionId');
+            this.showSuccess('reset-password-form', 'Password updated. Sign in with your new password.');
+            setTimeout(() => {
+                this.closeModal('reset-password-modal');
+                this.openModal('sign-in-modal');
+            }, 2000);
+        } catch (error) {
+            console.error('Reset password error:', error);
+            this.showError('reset-password-form', error.message);
+        }
+    }
+    
+    // ?reset=<token> and ?verify=<token> come from links in account emails
+    readAccountLink() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('reset')) {
+            return { type: 'reset', token: params.get('reset') };
+        }
+        if (params.get('verify')) {
+            return { type: 'verify', token: params.get('verify') };
+        }
+        return null;
+    }
+    
+    // Keep the token out of the address bar and browser history once used
+    clearAccountLink() {
+        this.accountLink = null;
+        const url = new URL(window.location.href);
+        url.searchParams.delete('reset');
+        url.searchParams.delete('verify');
+        window.history.replaceState({}, document.title, url.pathname + url.search + url.hash);
+    }
+    
+    // ?invite=<token> comes from a team invitation email. The editor accepts
+    // it once the user has signed in, so keep it for the rest of this visit.
+    storeInvitationLink() {
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get('invite');
+        if (!token) return;
+        
+        sessionStorage.setItem('pendingInvitation', token);
+        url.searchParams.delete('invite');
+        window.history.replaceState({}, document.title, url.pathname + url.search + url.hash);
+        this.hasPendingInvitation = true;
+    }
+    
+    async handleAccountLink() {
+        if (this.hasPendingInvitation && !this.accountLink) {
+            // Signed-in users go straight to the editor from the auth listener
+            document.getElementById('invitation-notice').hidden = false;
+            if (!window.authManager?.isAuthenticated()) {
+                this.openModal('sign-in-modal');
+            }
+            return;
+        }
+        
+        if (!this.accountLink) return;
+        
+        if (this.accountLink.type === 'reset') {
+            this.openModal('reset-password-modal');
+            return;
+        }
+        
+        const status = document.getElementById('verify-email-status');
+        const continueBtn = document.getElementById('verify-email-continue');
+        this.openModal('verify-email-modal');
+        
+        const result = window.authManager
+            ? await window.authManager.verifyEmail(this.accountLink.token)
+            : { success: false, error: 'Authentication system not initialized' };
+        this.clearAccountLink();
+        
+        status.classList.toggle('is-error', !result.success);
+        status.innerHTML = result.success
+            ? '<i class="fas fa-check-circle"></i> Your email address has been verified. Thank you!'
+            : '<i class="fas fa-exclamation-circle"></i> ';
+        if (!result.success) {
+            status.append(result.error || 'This verification link is invalid or has expired.');
+        }
+        
+        continueBtn.hidden = false;
+        continueBtn.onclick = () => {
+            this.closeModal('verify-email-modal');
+            if (window.authManager?.isAuthenticated()) {
+                window.location.href = 'editor.html';
+            } else {
+                this.openModal('sign-in-modal');
+            }
+        };
+    }
+    
     async handleGoogleSignIn() {
         console.log('Google sign-in initiated');
         
@@ -375,7 +653,9 @@ class LandingPage {
                         // Handle the ID token credential
                         const result = await window.authManager.handleGoogleSignIn(response.credential);
                         
-                        if (result.success) {
+                        if (result.success && result.twoFactorRequired) {
+                            this.startTwoFactorStep(result.challengeToken);
+                        } else if (result.success) {
                             console.log('Google sign-in successful');
                             this.closeModal('sign-in-modal');
                             this.closeModal('sign-up-modal');
@@ -0,0 +1,115 @@
+// Password reset, email verification and team invitation links. Only a
+// SHA-256 hash of each token is stored, so a leaked database can't be used to
+// take over accounts; the token itself only ever exists in the email.
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+const MenuTags = require('../menu-tags');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A new token for a link, and the hash to store for it
+function createToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+const DEFAULT_APP_URL = 'https://www.mymobilemenu.com';
+
+// Links in emails point at APP_URL, or the production site when it is unset.
+// Never built from the request's Host header: a caller could set it and get
+// a reset link for someone else's account sent pointing at their own site.
+function getAppBaseUrl() {
+    return (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/$/, '');
+}
+
+function renderEmail({ greeting, intro, actionLabel, actionUrl, outro }) {
+    const escape = MenuTags.escapeHtml;
+    const text = [greeting, '', intro, '', actionUrl, '', outro, '', '— MyMobileMenu'].join('\n');
+    const html = `
+<p>${escape(greeting)}</p>
+<p>${escape(intro)}</p>
+<p><a href="${escape(actionUrl)}" style="display:inline-block;padding:12px 24px;background:#4f46e5;color:#ffffff;border-radius:6px;text-decoration:none;">${escape(actionLabel)}</a></p>
+<p style="color:#6b7280;font-size:13px;">Or paste this link into your browser: ${escape(actionUrl)}</p>
+<p>${escape(outro)}</p>
+<p>— MyMobileMenu</p>`.trim();
+
+    return { text, html };
+}
+
+function greetingFor(user) {
+    const firstName = user.first_name || user.firstName || (user.name || '').split(' ')[0];
+    return firstName ? `Hi ${firstName},` : 'Hi,';
+}
+
+async function sendPasswordResetEmail(user, token, baseUrl) {
+    const { text, html } = renderEmail({
+        greeting: greetingFor(user),
+        intro: 'We received a request to reset the password for your MyMobileMenu account. Use the link below to choose a new one. It expires in 1 hour.',
+        actionLabel: 'Reset password',
+        actionUrl: `${baseUrl}/?reset=${encodeURIComponent(token)}`,
+        outro: "If you didn't ask to reset your password, you can ignore this email; your password won't change."
+    });
+
+    return sendMail({ to: user.email, subject: 'Reset your MyMobileMenu password', text, html });
+}
+
+async function sendVerificationEmail(user, token, baseUrl) {
+    const { text, html } = renderEmail({
+        greeting: greetingFor(user),
+        intro: 'Please confirm your email address for MyMobileMenu. The link expires in 48 hours.',
+        actionLabel: 'Verify email',
+        actionUrl: `${baseUrl}/?verify=${encodeURIComponent(token)}`,
+        outro: "If you didn't create a MyMobileMenu account, you can ignore this email."
+    });
+
+    return sendMail({ to: user.email, subject: 'Verify your email for MyMobileMenu', text, html });
+}
+
+const ROLE_DESCRIPTIONS = {
+    owner: 'an owner (edit, publish and manage the team)',
+    editor: 'an editor (edit and publish menus)',
+    viewer: 'a viewer (see menus without changing them)'
+};
+
+/**
+ * @param {Object} invitation
+ * @param {string} invitation.email
+ * @param {string} invitation.role
+ * @param {string} invitation.organizationName
+ * @param {string} invitation.inviterName
+ */
+async function sendInvitationEmail(invitation, token, baseUrl) {
+    const { text, html } = renderEmail({
+        greeting: 'Hi,',
+        intro: `${invitation.inviterName} invited you to join ${invitation.organizationName} on MyMobileMenu as ${ROLE_DESCRIPTIONS[invitation.role]}. Sign in or create an account with this email address to accept. The invitation expires in 7 days.`,
+        actionLabel: 'Accept invitation',
+        actionUrl: `${baseUrl}/?invite=${encodeURIComponent(token)}`,
+        outro: "If you weren't expecting this invitation, you can ignore this email."
+    });
+
+    return sendMail({
+        to: invitation.email,
+        subject: `Join ${invitation.organizationName} on MyMobileMenu`,
+        text,
+        html
+    });
+}
+
+module.exports = {
+    PASSWORD_RESET_TTL_MS,
+    EMAIL_VERIFICATION_TTL_MS,
+    MIN_PASSWORD_LENGTH,
+    hashToken,
+    createToken,
+    getAppBaseUrl,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    sendInvitationEmail
+};
@@ -0,0 +1,84 @@
+// Site administration. Admins are users with is_admin set, signed in with a
+// normal session; the first one is promoted with scripts/promote-admin.js.
+// Every admin API request is written to the admin audit log.
+
+const { getSession, getUserById, createAdminAuditEntry } = require('./hybrid-database');
+const { getClientIp, renewSessionCookie } = require('./sessions');
+
+const DEFAULT_AUDIT_LOG_LIMIT = 100;
+const MAX_AUDIT_LOG_LIMIT = 500;
+
+/**
+ * Check that a request comes from a signed-in admin.
+ *
+ * @returns {Promise<{allowed: boolean, user?: Object, status?: number, error?: string}>}
+ *   When not allowed, `status` and `error` are ready to send
+ */
+async function authorizeAdmin(req, res) {
+    const sessionId = req.cookies?.session || req.headers.authorization?.replace('Bearer ', '');
+    const session = sessionId ? await getSession(sessionId) : null;
+    renewSessionCookie(req, res, session);
+
+    if (!session) {
+        return { allowed: false, status: 401, error: 'Authentication required' };
+    }
+
+    const userResult = await getUserById(session.user_id);
+    if (!userResult.success) {
+        return { allowed: false, status: 500, error: 'Database error' };
+    }
+
+    if (!userResult.user || !userResult.user.is_admin) {
+        return { allowed: false, status: 403, error: 'Admin access required' };
+    }
+
+    return { allowed: true, user: userResult.user };
+}
+
+/**
+ * Add an entry to the admin audit log. A failed write is logged rather than
+ * failing the request, since the action it records has already happened.
+ *
+ * @param {Object} req - The admin's request, for their IP address
+ * @param {Object} admin - The admin's users row
+ * @param {string} action - e.g. 'users.list' or 'user.admin_granted'
+ * @param {{type?: string, id?: string, details?: Object}} [target]
+ */
+async function recordAdminAction(req, admin, action, target = {}) {
+    const result = await createAdminAuditEntry({
+        adminUserId: admin.id,
+        action,
+        targetType: target.type || null,
+        targetId: target.id || null,
+        details: target.details || null,
+        ipAddress: getClientIp(req)
+    });
+
+    if (!result.success) {
+        console.error(`Failed to record admin action ${action}:`, result.error);
+    }
+    return result;
+}
+
+function formatAuditEntry(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        targetType: row.target_type || null,
+        targetId: row.target_id || null,
+        details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details || null,
+        ipAddress: row.ip_address || null,
+        admin: row.admin_user_id
+            ? { id: row.admin_user_id, name: row.admin_name || null, email: row.admin_email || null }
+            : null,
+        createdAt: row.created_at
+    };
+}
+
+module.exports = {
+    DEFAULT_AUDIT_LOG_LIMIT,
+    MAX_AUDIT_LOG_LIMIT,
+    authorizeAdmin,
+    recordAdminAction,
+    formatAuditEntry
+};
@@ -0,0 +1,108 @@
+// Business details a restaurant keeps on its account (the users table) and
+// can show on its published menus: the editor's Business Info form reads and
+// saves them through api/auth/profile.js, and published menus turn them into
+// schema.org structured data (lib/menu-structured-data.js).
+
+const MenuSchedule = require('../menu-schedule');
+
+// Sign-up business types and the schema.org type each is published as
+const BUSINESS_TYPES = {
+    restaurant: 'Restaurant',
+    bar: 'BarOrPub',
+    cafe: 'CafeOrCoffeeShop',
+    'food-truck': 'FoodEstablishment',
+    bakery: 'Bakery',
+    other: 'FoodEstablishment'
+};
+
+const TEXT_FIELDS = [
+    { key: 'businessName', column: 'business_name', label: 'Business name', maxLength: 255 },
+    { key: 'phone', column: 'phone', label: 'Phone', maxLength: 50 },
+    { key: 'address', column: 'address', label: 'Street address', maxLength: 500 },
+    { key: 'city', column: 'city', label: 'City', maxLength: 255 },
+    { key: 'state', column: 'state', label: 'State', maxLength: 10 },
+    { key: 'zip', column: 'zip', label: 'ZIP code', maxLength: 20 },
+    { key: 'cuisine', column: 'cuisine', label: 'Cuisine', maxLength: 255 },
+    { key: 'website', column: 'website', label: 'Website', maxLength: 500 }
+];
+
+// Postgres rows use snake_case columns; the file database keeps the camelCase
+// keys registration sent
+function readField(user, column, key) {
+    const value = user[column] !== undefined ? user[column] : user[key];
+    return value === undefined ? null : value;
+}
+
+/**
+ * A user's business details in the shape the editor and published menus use.
+ *
+ * @param {Object} user - Users row, or a published menu row with the owner's columns
+ * @returns {Object}
+ */
+function formatBusinessProfile(user) {
+    const profile = {};
+    TEXT_FIELDS.forEach(field => {
+        profile[field.key] = readField(user, field.column, field.key) || '';
+    });
+
+    const openingHours = readField(user, 'opening_hours', 'openingHours');
+    profile.businessType = readField(user, 'business_type', 'businessType') || 'restaurant';
+    profile.openingHours = Array.isArray(openingHours) ? openingHours : [];
+    profile.showBusinessInfo = Boolean(readField(user, 'show_business_info', 'showBusinessInfo'));
+
+    // Accounts from before business names fell back to the restaurant field
+    if (!profile.businessName && user.restaurant) {
+        profile.businessName = user.restaurant;
+    }
+    return profile;
+}
+
+/**
+ * Check business details sent by the editor.
+ *
+ * @returns {{profile?: Object, error?: string}} The cleaned-up profile, or an error message
+ */
+function validateBusinessProfile(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Business details are required' };
+    }
+
+    const profile = {};
+    for (const field of TEXT_FIELDS) {
+        const value = body[field.key] === undefined || body[field.key] === null ? '' : body[field.key];
+        if (typeof value !== 'string') {
+            return { error: `${field.label} must be text` };
+        }
+        if (value.trim().length > field.maxLength) {
+            return { error: `${field.label} can be at most ${field.maxLength} characters` };
+        }
+        profile[field.key] = value.trim() || null;
+    }
+
+    if (!profile.businessName) {
+        return { error: 'Business name is required' };
+    }
+    if (profile.website && !/^https?:\/\/[^\s]+$/i.test(profile.website)) {
+        return { error: 'Website must start with http:// or https://' };
+    }
+
+    profile.businessType = body.businessType || 'restaurant';
+    if (!BUSINESS_TYPES[profile.businessType]) {
+        return { error: 'Unknown business type' };
+    }
+
+    profile.openingHours = body.openingHours || [];
+    const hoursError = MenuSchedule.validateWindows(profile.openingHours);
+    if (hoursError) {
+        return { error: hoursError };
+    }
+
+    profile.showBusinessInfo = Boolean(body.showBusinessInfo);
+    return { profile };
+}
+
+module.exports = {
+    BUSINESS_TYPES,
+    formatBusinessProfile,
+    validateBusinessProfile
+};
@@ -0,0 +1,82 @@
+// Brand fonts uploaded to an account. Files are stored under a name derived
+// from their contents, so a URL always serves the same bytes and can be
+// cached for good; a menu using one keeps its own copy of the URL in
+// custom_fonts, like custom palettes, so deleting the font from the account
+// never breaks a published menu.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MenuFonts = require('../menu-fonts');
+
+const MAX_FONT_BYTES = 2 * 1024 * 1024;
+const MAX_FONTS_PER_USER = 10;
+
+// Every WOFF2 file starts with this signature
+const WOFF2_SIGNATURE = 'wOF2';
+
+const LOCAL_FONTS_DIR = path.join(__dirname, '..', 'uploads', 'fonts');
+
+function isWoff2(buffer) {
+    return buffer.length > 48 && buffer.toString('latin1', 0, 4) === WOFF2_SIGNATURE;
+}
+
+/**
+ * Check a font name sent with an upload.
+ *
+ * @returns {{name?: string, error?: string}}
+ */
+function validateFontName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+        return { error: 'Font name is required' };
+    }
+    if (name.length > MenuFonts.MAX_FONT_NAME_LENGTH) {
+        return { error: `Font name can be at most ${MenuFonts.MAX_FONT_NAME_LENGTH} characters` };
+    }
+    return { name };
+}
+
+// Vercel Blob when configured, otherwise uploads/fonts for the local server
+async function storeFontFile(key, buffer) {
+    if (process.env.BLOB_READ_WRITE_TOKEN) {
+        const { put } = require('@vercel/blob');
+        const blob = await put(`fonts/${key}`, buffer, {
+            access: 'public',
+            contentType: 'font/woff2',
+            addRandomSuffix: false,
+            cacheControlMaxAge: 31536000
+        });
+        return blob.url;
+    }
+
+    const filePath = path.join(LOCAL_FONTS_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `/uploads/fonts/${key}`;
+}
+
+/**
+ * Store an uploaded WOFF2 file for an account.
+ *
+ * @returns {Promise<string>} Public URL
+ */
+async function saveFontFile(userId, buffer) {
+    const safeUserId = String(userId).replace(/[^a-zA-Z0-9_-]/g, '');
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+    return storeFontFile(`${safeUserId}/${hash}.woff2`, buffer);
+}
+
+// An uploaded font in the shape menus store in custom_fonts
+function formatCustomFont(row) {
+    return { id: row.id, name: row.name, url: row.url };
+}
+
+module.exports = {
+    MAX_FONT_BYTES,
+    MAX_FONTS_PER_USER,
+    isWoff2,
+    validateFontName,
+    saveFontFile,
+    formatCustomFont
+};
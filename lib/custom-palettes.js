@@ -0,0 +1,83 @@
+// Custom color palettes built in the editor's palette builder. An account
+// keeps named palettes (user_palettes) to reuse across its menus; a menu
+// using one stores its own copy in custom_palette with color_palette set to
+// 'custom', so published menus render exactly the colors chosen at publish
+// time even if the account palette is later edited or deleted.
+
+// The roles every palette defines, as in the editor's built-in palettes
+const PALETTE_ROLES = ['primaryText', 'secondaryText', 'headers', 'accent', 'background', 'muted'];
+
+const ROLE_LABELS = {
+    primaryText: 'Main text',
+    secondaryText: 'Secondary text',
+    headers: 'Headers',
+    accent: 'Accent',
+    background: 'Background',
+    muted: 'Muted'
+};
+
+const BUILT_IN_PALETTES = ['classic', 'ocean', 'forest', 'sunset', 'monochrome', 'wine', 'cream', 'pearl', 'mint', 'blush'];
+
+const MAX_PALETTES_PER_USER = 20;
+const MAX_PALETTE_NAME_LENGTH = 40;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check a palette sent by the editor.
+ *
+ * @param {Object} body - { name, primaryText, secondaryText, headers, accent, background, muted }
+ * @returns {{palette?: Object, error?: string}} The palette with lowercase colors, or an error message
+ */
+function validateCustomPalette(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Palette is required' };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'Palette name is required' };
+    }
+    if (name.length > MAX_PALETTE_NAME_LENGTH) {
+        return { error: `Palette name can be at most ${MAX_PALETTE_NAME_LENGTH} characters` };
+    }
+
+    const palette = { name };
+    for (const role of PALETTE_ROLES) {
+        if (typeof body[role] !== 'string' || !HEX_COLOR.test(body[role])) {
+            return { error: `${ROLE_LABELS[role]} color must be a hex color like #1a2b3c` };
+        }
+        palette[role] = body[role].toLowerCase();
+    }
+    return { palette };
+}
+
+/**
+ * A saved palette in the shape the editor uses.
+ *
+ * @param {Object} row - user_palettes row
+ * @returns {Object} { id, name, ...colors, updatedAt }
+ */
+function formatCustomPalette(row) {
+    const colors = row.colors || {};
+    const palette = { id: row.id, name: row.name };
+    PALETTE_ROLES.forEach(role => {
+        palette[role] = colors[role];
+    });
+    palette.updatedAt = row.updated_at;
+    return palette;
+}
+
+// The six colors of a validated palette, as stored in user_palettes.colors
+function getPaletteColors(palette) {
+    return Object.fromEntries(PALETTE_ROLES.map(role => [role, palette[role]]));
+}
+
+module.exports = {
+    PALETTE_ROLES,
+    BUILT_IN_PALETTES,
+    MAX_PALETTES_PER_USER,
+    validateCustomPalette,
+    formatCustomPalette,
+    getPaletteColors
+};
@@ -42,6 +42,40 @@ async function initializeDatabase() {
       ADD COLUMN IF NOT EXISTS marketing_opt_in BOOLEAN DEFAULT false
     `;
 
+    // Business details shown on published menus (structured data for search engines)
+    await sql`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS cuisine VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS website VARCHAR(500),
+      ADD COLUMN IF NOT EXISTS opening_hours JSONB,
+      ADD COLUMN IF NOT EXISTS show_business_info BOOLEAN DEFAULT false
+    `;
+
+    // Whether the user has confirmed their email address
+    await sql`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE
+    `;
+
+    // Site administrators (see scripts/promote-admin.js for the first one)
+    await sql`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false
+    `;
+
+    // Two-factor authentication. A new TOTP secret is stored during setup and only
+    // takes effect once two_factor_enabled is set. two_factor_last_step is the last
+    // accepted time step, so a code can't be used twice
+    await sql`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT,
+      ADD COLUMN IF NOT EXISTS two_factor_google BOOLEAN DEFAULT true
+    `;
+
     // Create menus table
     await sql`
       CREATE TABLE IF NOT EXISTS menus (
@@ -75,6 +109,38 @@ async function initializeDatabase() {
       )
     `;
 
+    // Time-based schedule (alternate menus, section hours, happy-hour pricing)
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS schedule JSONB
+    `;
+
+    // Additional languages and their translated text
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS translations JSONB
+    `;
+
+    // Colors of the custom palette a menu uses (color_palette = 'custom')
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS custom_palette JSONB
+    `;
+
+    // Item layout for the whole menu, plus per-section overrides
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS menu_layout VARCHAR(20) DEFAULT 'list',
+      ADD COLUMN IF NOT EXISTS section_layouts JSONB
+    `;
+
+    // Heading font (font_family is the body font) and copies of the uploaded fonts a menu uses
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS heading_font VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS custom_fonts JSONB
+    `;
+
     // Create menu_sections table
     await sql`
       CREATE TABLE IF NOT EXISTS menu_sections (
@@ -114,6 +180,15 @@ async function initializeDatabase() {
       )
     `;
 
+    // Where each session signed in from and when it was last used, for the
+    // signed-in devices list
+    await sql`
+      ALTER TABLE user_sessions
+      ADD COLUMN IF NOT EXISTS user_agent TEXT,
+      ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    `;
+
     // Create published_menus table for tracking published menu URLs
     await sql`
       CREATE TABLE IF NOT EXISTS published_menus (
@@ -128,6 +203,189 @@ async function initializeDatabase() {
       )
     `;
 
+    // Create menu_revisions table for menu history snapshots
+    await sql`
+      CREATE TABLE IF NOT EXISTS menu_revisions (
+        id SERIAL PRIMARY KEY,
+        menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+        reason VARCHAR(50) NOT NULL DEFAULT 'save',
+        snapshot JSONB NOT NULL,
+        created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create menu_item_availability table for sold-out items (applied on top of the published snapshot)
+    await sql`
+      CREATE TABLE IF NOT EXISTS menu_item_availability (
+        menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+        item_id VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        back_at TIMESTAMP WITH TIME ZONE,
+        updated_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (menu_id, item_id)
+      )
+    `;
+
+    // Create menu_publish_schedules table for publishes/unpublishes queued for a future time
+    await sql`
+      CREATE TABLE IF NOT EXISTS menu_publish_schedules (
+        id SERIAL PRIMARY KEY,
+        menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        slug VARCHAR(255),
+        title VARCHAR(255),
+        subtitle TEXT,
+        revision_id INTEGER,
+        snapshot JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        error TEXT,
+        created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP WITH TIME ZONE
+      )
+    `;
+
+    // Create menu_analytics_daily table for per-day view counters from published menus
+    await sql`
+      CREATE TABLE IF NOT EXISTS menu_analytics_daily (
+        menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+        day DATE NOT NULL,
+        metric VARCHAR(20) NOT NULL,
+        bucket VARCHAR(255) NOT NULL DEFAULT '',
+        label VARCHAR(255),
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (menu_id, day, metric, bucket)
+      )
+    `;
+
+    // Create user_palettes table for named custom color palettes saved to an account
+    await sql`
+      CREATE TABLE IF NOT EXISTS user_palettes (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        colors JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create user_fonts table for WOFF2 fonts uploaded to an account
+    await sql`
+      CREATE TABLE IF NOT EXISTS user_fonts (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create password_reset_tokens table; only a hash of each emailed token is stored
+    await sql`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create email_verification_tokens table for the address each link confirms
+    await sql`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create organizations table for teams that share menus
+    await sql`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create organization_members table; role is owner, editor or viewer
+    await sql`
+      CREATE TABLE IF NOT EXISTS organization_members (
+        organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (organization_id, user_id)
+      )
+    `;
+
+    // Create organization_invitations table; like reset links, only a hash of the emailed token is stored
+    await sql`
+      CREATE TABLE IF NOT EXISTS organization_invitations (
+        id SERIAL PRIMARY KEY,
+        organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        accepted_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create two_factor_recovery_codes table; like tokens, only a hash of each code is stored
+    await sql`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create login_challenges table for sign-ins waiting on a two-factor code
+    await sql`
+      CREATE TABLE IF NOT EXISTS login_challenges (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create admin_audit_log table; every admin API request adds a row
+    await sql`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        admin_user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(255),
+        details JSONB,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Menus belong to an organization; older menus join their creator's the next time their menu list loads
+    await sql`
+      ALTER TABLE menus
+      ADD COLUMN IF NOT EXISTS organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE SET NULL
+    `;
+
     // Create indexes for better performance
     await sql`CREATE INDEX IF NOT EXISTS idx_menus_user_id ON menus(user_id)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_menus_slug ON menus(slug)`;
@@ -136,6 +394,18 @@ async function initializeDatabase() {
     await sql`CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_published_menus_slug ON published_menus(slug)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_published_menus_menu_id ON published_menus(menu_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_menu_revisions_menu_id ON menu_revisions(menu_id, created_at DESC)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_menu_publish_schedules_due ON menu_publish_schedules(status, run_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_user_palettes_user_id ON user_palettes(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_user_fonts_user_id ON user_fonts(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON organization_invitations(organization_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_menus_organization_id ON menus(organization_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_login_challenges_expires ON login_challenges(expires_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC)`;
     
     console.log('Database initialized successfully');
     return { success: true };
@@ -150,14 +420,15 @@ async function createUser(userData) {
   const { 
     id, email, passwordHash, name, restaurant, avatar, plan = 'free', maxMenus = 5,
     googleId, profilePicture, firstName, lastName, phone, businessName, businessType,
-    address, city, state, zip, marketingOptIn
+    address, city, state, zip, marketingOptIn, emailVerified = false
   } = userData;
   
   try {
     const result = await sql`
       INSERT INTO users (
         id, email, password_hash, name, restaurant, avatar, google_id, plan, max_menus,
-        first_name, last_name, phone, business_name, business_type, address, city, state, zip, marketing_opt_in
+        first_name, last_name, phone, business_name, business_type, address, city, state, zip, marketing_opt_in,
+        email_verified, email_verified_at
       )
       VALUES (
         ${id}, 
@@ -178,7 +449,9 @@ async function createUser(userData) {
         ${city || null},
         ${state || null},
         ${zip || null},
-        ${marketingOptIn || false}
+        ${marketingOptIn || false},
+        ${emailVerified},
+        ${emailVerified ? new Date() : null}
       )
       RETURNING *
     `;
@@ -228,7 +501,8 @@ async function createMenu(menuData) {
   const {
     id, userId, name, description = null, slug = null, title = null, subtitle = null,
     backgroundType = 'none', backgroundValue = null, fontFamily = 'Inter', 
-    colorPalette = 'classic', navigationTheme = 'modern', menuLogo = null, logoSize = 'medium'
+    colorPalette = 'classic', navigationTheme = 'modern', menuLogo = null, logoSize = 'medium',
+    organizationId = null
   } = menuData;
   
   try {
@@ -236,12 +510,12 @@ async function createMenu(menuData) {
       INSERT INTO menus (
         id, user_id, name, description, slug, title, subtitle,
         background_type, background_value, font_family, color_palette,
-        navigation_theme, menu_logo, logo_size
+        navigation_theme, menu_logo, logo_size, organization_id
       )
       VALUES (
         ${id}, ${userId}, ${name}, ${description}, ${slug}, ${title}, ${subtitle},
         ${backgroundType}, ${backgroundValue}, ${fontFamily}, ${colorPalette},
-        ${navigationTheme}, ${menuLogo}, ${logoSize}
+        ${navigationTheme}, ${menuLogo}, ${logoSize}, ${organizationId}
       )
       RETURNING *
     `;
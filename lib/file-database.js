@@ -1,5 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const {
+    MAX_REVISIONS_PER_MENU,
+    buildMenuSnapshot,
+    summarizeSnapshot,
+    snapshotsEqual
+} = require('./menu-snapshot');
+const { getSessionExpiry, shouldRefreshSession } = require('./sessions');
 
 // File-based database for local development
 class FileDatabase {
@@ -14,7 +21,7 @@ class FileDatabase {
         }
         
         // Initialize empty data files if they don't exist
-        const files = ['users.json', 'menus.json', 'sessions.json', 'published_menus.json'];
+        const files = ['users.json', 'menus.json', 'sessions.json', 'published_menus.json', 'menu_revisions.json', 'item_availability.json', 'publish_schedules.json', 'menu_analytics.json', 'user_palettes.json', 'user_fonts.json', 'password_reset_tokens.json', 'email_verification_tokens.json', 'organizations.json', 'organization_members.json', 'organization_invitations.json', 'two_factor_recovery_codes.json', 'login_challenges.json', 'admin_audit_log.json'];
         files.forEach(file => {
             const filePath = path.join(this.dataDir, file);
             if (!fs.existsSync(filePath)) {
@@ -109,12 +116,407 @@ class FileDatabase {
         }
     }
 
+    // Keeps the camelCase keys registration stores users with
+    async updateUserProfile(userId, profile) {
+        try {
+            const users = this.readData('users.json');
+            const userIndex = users.findIndex(u => u.id === userId);
+            if (userIndex === -1) {
+                return { success: true, user: null };
+            }
+
+            users[userIndex] = {
+                ...users[userIndex],
+                ...profile,
+                restaurant: profile.businessName,
+                updated_at: new Date().toISOString()
+            };
+
+            if (this.writeData('users.json', users)) {
+                return { success: true, user: users[userIndex] };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Update user profile error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Stored as password_hash, which login reads, replacing the camelCase copy from registration
+    async updateUserPassword(userId, passwordHash) {
+        try {
+            const users = this.readData('users.json');
+            const userIndex = users.findIndex(u => u.id === userId);
+            if (userIndex === -1) {
+                return { success: false, error: 'User not found' };
+            }
+
+            const { passwordHash: legacyHash, ...user } = users[userIndex];
+            users[userIndex] = {
+                ...user,
+                password_hash: passwordHash,
+                updated_at: new Date().toISOString()
+            };
+
+            if (this.writeData('users.json', users)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Update user password error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async markEmailVerified(userId, email) {
+        try {
+            const users = this.readData('users.json');
+            const userIndex = users.findIndex(u => u.id === userId && u.email === email);
+            if (userIndex === -1) {
+                return { success: true, verified: false };
+            }
+
+            users[userIndex].email_verified = true;
+            users[userIndex].email_verified_at = new Date().toISOString();
+            users[userIndex].updated_at = new Date().toISOString();
+
+            if (this.writeData('users.json', users)) {
+                return { success: true, verified: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Mark email verified error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Password reset and email verification tokens
+    async createPasswordResetToken(userId, tokenHash, expiresAt) {
+        try {
+            const tokens = this.readData('password_reset_tokens.json').filter(t => t.user_id !== userId);
+            tokens.push({
+                token_hash: tokenHash,
+                user_id: userId,
+                expires_at: new Date(expiresAt).toISOString(),
+                used_at: null,
+                created_at: new Date().toISOString()
+            });
+
+            if (this.writeData('password_reset_tokens.json', tokens)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save token' };
+        } catch (error) {
+            console.error('Create password reset token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async consumePasswordResetToken(tokenHash) {
+        try {
+            const tokens = this.readData('password_reset_tokens.json');
+            const token = tokens.find(t => t.token_hash === tokenHash);
+            if (!token || token.used_at || new Date(token.expires_at) <= new Date()) {
+                return { success: true, userId: null };
+            }
+
+            token.used_at = new Date().toISOString();
+            if (this.writeData('password_reset_tokens.json', tokens)) {
+                return { success: true, userId: token.user_id };
+            }
+            return { success: false, error: 'Failed to save token' };
+        } catch (error) {
+            console.error('Consume password reset token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createEmailVerificationToken(userId, email, tokenHash, expiresAt) {
+        try {
+            const tokens = this.readData('email_verification_tokens.json').filter(t => t.user_id !== userId);
+            tokens.push({
+                token_hash: tokenHash,
+                user_id: userId,
+                email,
+                expires_at: new Date(expiresAt).toISOString(),
+                created_at: new Date().toISOString()
+            });
+
+            if (this.writeData('email_verification_tokens.json', tokens)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save token' };
+        } catch (error) {
+            console.error('Create email verification token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async consumeEmailVerificationToken(tokenHash) {
+        try {
+            const tokens = this.readData('email_verification_tokens.json');
+            const token = tokens.find(t => t.token_hash === tokenHash);
+            if (!token) {
+                return { success: true, token: null };
+            }
+
+            if (!this.writeData('email_verification_tokens.json', tokens.filter(t => t !== token))) {
+                return { success: false, error: 'Failed to save token' };
+            }
+            if (new Date(token.expires_at) <= new Date()) {
+                return { success: true, token: null };
+            }
+            return { success: true, token: { user_id: token.user_id, email: token.email } };
+        } catch (error) {
+            console.error('Consume email verification token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Two-factor authentication operations
+    async setTwoFactorSecret(userId, secret) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId && !u.two_factor_enabled);
+            if (!user) {
+                return { success: true, updated: false };
+            }
+
+            user.two_factor_secret = secret;
+            user.two_factor_last_step = null;
+            user.updated_at = new Date().toISOString();
+
+            if (this.writeData('users.json', users)) {
+                return { success: true, updated: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Set two-factor secret error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async enableTwoFactor(userId, codeHashes, requireForGoogle = true) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return { success: false, error: 'User not found' };
+            }
+
+            user.two_factor_enabled = true;
+            user.two_factor_enabled_at = new Date().toISOString();
+            user.two_factor_google = requireForGoogle;
+            user.updated_at = new Date().toISOString();
+
+            if (!this.writeData('users.json', users)) {
+                return { success: false, error: 'Failed to save user' };
+            }
+            return await this.replaceRecoveryCodes(userId, codeHashes);
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async disableTwoFactor(userId) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return { success: false, error: 'User not found' };
+            }
+
+            user.two_factor_enabled = false;
+            user.two_factor_secret = null;
+            user.two_factor_enabled_at = null;
+            user.two_factor_last_step = null;
+            user.updated_at = new Date().toISOString();
+
+            const codes = this.readData('two_factor_recovery_codes.json').filter(c => c.user_id !== userId);
+            const challenges = this.readData('login_challenges.json').filter(c => c.user_id !== userId);
+            if (this.writeData('users.json', users)
+                && this.writeData('two_factor_recovery_codes.json', codes)
+                && this.writeData('login_challenges.json', challenges)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setTwoFactorGoogleRequirement(userId, required) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return { success: false, error: 'User not found' };
+            }
+
+            user.two_factor_google = required;
+            user.updated_at = new Date().toISOString();
+
+            if (this.writeData('users.json', users)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Set two-factor Google requirement error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async useTwoFactorStep(userId, step) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId);
+            if (!user || (user.two_factor_last_step != null && user.two_factor_last_step >= step)) {
+                return { success: true, accepted: false };
+            }
+
+            user.two_factor_last_step = step;
+            if (this.writeData('users.json', users)) {
+                return { success: true, accepted: true };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Use two-factor step error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+        try {
+            const codes = this.readData('two_factor_recovery_codes.json').filter(c => c.user_id !== userId);
+            const createdAt = new Date().toISOString();
+            let nextId = codes.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+            codeHashes.forEach(codeHash => {
+                codes.push({ id: nextId++, user_id: userId, code_hash: codeHash, used_at: null, created_at: createdAt });
+            });
+
+            if (this.writeData('two_factor_recovery_codes.json', codes)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save recovery codes' };
+        } catch (error) {
+            console.error('Replace recovery codes error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async consumeRecoveryCode(userId, codeHash) {
+        try {
+            const codes = this.readData('two_factor_recovery_codes.json');
+            const code = codes.find(c => c.user_id === userId && c.code_hash === codeHash && !c.used_at);
+            if (!code) {
+                return { success: true, used: false };
+            }
+
+            code.used_at = new Date().toISOString();
+            if (this.writeData('two_factor_recovery_codes.json', codes)) {
+                return { success: true, used: true };
+            }
+            return { success: false, error: 'Failed to save recovery codes' };
+        } catch (error) {
+            console.error('Consume recovery code error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async countUnusedRecoveryCodes(userId) {
+        try {
+            const codes = this.readData('two_factor_recovery_codes.json');
+            return { success: true, count: codes.filter(c => c.user_id === userId && !c.used_at).length };
+        } catch (error) {
+            console.error('Count recovery codes error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createLoginChallenge(userId, tokenHash, expiresAt) {
+        try {
+            const challenges = this.readData('login_challenges.json');
+            challenges.push({
+                token_hash: tokenHash,
+                user_id: userId,
+                expires_at: new Date(expiresAt).toISOString(),
+                attempts: 0,
+                created_at: new Date().toISOString()
+            });
+
+            if (this.writeData('login_challenges.json', challenges)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save challenge' };
+        } catch (error) {
+            console.error('Create login challenge error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async recordLoginChallengeAttempt(tokenHash) {
+        try {
+            const challenges = this.readData('login_challenges.json');
+            const challenge = challenges.find(c => c.token_hash === tokenHash && new Date(c.expires_at) > new Date());
+            if (!challenge) {
+                return { success: true, challenge: null };
+            }
+
+            challenge.attempts += 1;
+            if (this.writeData('login_challenges.json', challenges)) {
+                return { success: true, challenge: { user_id: challenge.user_id, attempts: challenge.attempts } };
+            }
+            return { success: false, error: 'Failed to save challenge' };
+        } catch (error) {
+            console.error('Record login challenge attempt error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteLoginChallenge(tokenHash) {
+        try {
+            const challenges = this.readData('login_challenges.json');
+            const remaining = challenges.filter(c => c.token_hash !== tokenHash);
+            if (remaining.length === challenges.length) {
+                return { success: true, deleted: false };
+            }
+
+            if (this.writeData('login_challenges.json', remaining)) {
+                return { success: true, deleted: true };
+            }
+            return { success: false, error: 'Failed to save challenges' };
+        } catch (error) {
+            console.error('Delete login challenge error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteExpiredLoginChallenges(now = new Date()) {
+        try {
+            const challenges = this.readData('login_challenges.json');
+            const remaining = challenges.filter(c => new Date(c.expires_at) > now);
+            const count = challenges.length - remaining.length;
+
+            if (count === 0 || this.writeData('login_challenges.json', remaining)) {
+                return { success: true, count };
+            }
+            return { success: false, error: 'Failed to save challenges' };
+        } catch (error) {
+            console.error('Delete expired login challenges error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Menu operations
     async createMenu(menuData) {
         try {
             const menus = this.readData('menus.json');
+            const { organizationId = null, ...data } = menuData;
             const menu = {
-                ...menuData,
+                ...data,
+                organization_id: organizationId,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString(),
                 status: 'draft'
@@ -136,13 +538,24 @@ class FileDatabase {
     async getUserMenus(userId) {
         try {
             const menus = this.readData('menus.json');
-            const userMenus = menus.filter(m => m.user_id === userId && m.status !== 'deleted');
+            const organizations = this.readData('organizations.json');
+            const memberships = this.readData('organization_members.json').filter(m => m.user_id === userId);
             
-            // Add empty sections array to each menu for compatibility
-            const menusWithSections = userMenus.map(menu => ({
-                ...menu,
-                sections: menu.sections || []
-            }));
+            const menusWithSections = [];
+            menus.forEach(menu => {
+                if (menu.status === 'deleted') return;
+                
+                const membership = menu.organization_id && memberships.find(m => m.organization_id === menu.organization_id);
+                if (!membership && (menu.organization_id || menu.user_id !== userId)) return;
+                
+                // Add empty sections array to each menu for compatibility
+                menusWithSections.push({
+                    ...menu,
+                    organization_name: membership ? organizations.find(o => o.id === menu.organization_id)?.name || null : null,
+                    role: membership ? membership.role : 'owner',
+                    sections: menu.sections || []
+                });
+            });
             
             return { success: true, menus: menusWithSections };
         } catch (error) {
@@ -175,68 +588,399 @@ class FileDatabase {
         }
     }
 
-    // Session operations
-    async createSession(sessionId, userId, expiresAt) {
+    // Organization operations
+    async createOrganization(organizationId, name, ownerId) {
         try {
-            const sessions = this.readData('sessions.json');
-            sessions.push({
-                id: sessionId,
-                user_id: userId,
-                expires_at: expiresAt,
-                created_at: new Date().toISOString()
-            });
-            
-            return this.writeData('sessions.json', sessions);
+            const now = new Date().toISOString();
+            const organization = {
+                id: organizationId,
+                name,
+                created_by: ownerId,
+                created_at: now,
+                updated_at: now
+            };
+            const organizations = this.readData('organizations.json');
+            const members = this.readData('organization_members.json');
+            organizations.push(organization);
+            members.push({ organization_id: organizationId, user_id: ownerId, role: 'owner', created_at: now });
+
+            if (this.writeData('organizations.json', organizations) && this.writeData('organization_members.json', members)) {
+                return { success: true, organization: { ...organization, role: 'owner', member_count: 1 } };
+            }
+            return { success: false, error: 'Failed to save organization' };
         } catch (error) {
-            console.error('Create session error:', error);
-            return false;
+            console.error('Create organization error:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    async getSession(sessionId) {
+    async getUserOrganizations(userId) {
         try {
-            const sessions = this.readData('sessions.json');
-            const session = sessions.find(s => s.id === sessionId);
-            
-            if (session) {
-                // Check if session is expired
-                const now = new Date();
-                const expiresAt = new Date(session.expires_at);
-                
-                if (now > expiresAt) {
-                    // Clean up expired session
-                    await this.deleteSession(sessionId);
-                    return null;
-                }
-                
-                return session;
-            }
-            
-            return null;
+            const members = this.readData('organization_members.json');
+            const organizations = this.readData('organizations.json')
+                .map(organization => {
+                    const membership = members.find(m => m.organization_id === organization.id && m.user_id === userId);
+                    return membership && {
+                        ...organization,
+                        role: membership.role,
+                        member_count: members.filter(m => m.organization_id === organization.id).length
+                    };
+                })
+                .filter(Boolean)
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            return { success: true, organizations };
         } catch (error) {
-            console.error('Get session error:', error);
-            return null;
+            console.error('Get user organizations error:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    async deleteSession(sessionId) {
+    async getOrganizationById(organizationId) {
         try {
-            const sessions = this.readData('sessions.json');
-            const filteredSessions = sessions.filter(s => s.id !== sessionId);
-            return this.writeData('sessions.json', filteredSessions);
+            const organization = this.readData('organizations.json').find(o => o.id === organizationId);
+            return { success: true, organization: organization || null };
         } catch (error) {
-            console.error('Delete session error:', error);
-            return false;
+            console.error('Get organization error:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    // Admin operations
-    async getAllUsers() {
+    async renameOrganization(organizationId, name) {
         try {
-            const users = this.readData('users.json');
-            const menus = this.readData('menus.json');
-            
-            const usersWithCounts = users.map(user => {
+            const organizations = this.readData('organizations.json');
+            const organization = organizations.find(o => o.id === organizationId);
+            if (!organization) {
+                return { success: true, organization: null };
+            }
+
+            organization.name = name;
+            organization.updated_at = new Date().toISOString();
+
+            if (this.writeData('organizations.json', organizations)) {
+                return { success: true, organization };
+            }
+            return { success: false, error: 'Failed to save organization' };
+        } catch (error) {
+            console.error('Rename organization error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getOrganizationMember(organizationId, userId) {
+        try {
+            const member = this.readData('organization_members.json')
+                .find(m => m.organization_id === organizationId && m.user_id === userId);
+            return { success: true, member: member || null };
+        } catch (error) {
+            console.error('Get organization member error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getOrganizationMembers(organizationId) {
+        try {
+            const users = this.readData('users.json');
+            const roleOrder = { owner: 0, editor: 1, viewer: 2 };
+            const members = this.readData('organization_members.json')
+                .filter(m => m.organization_id === organizationId)
+                .map(m => {
+                    const user = users.find(u => u.id === m.user_id);
+                    return user && {
+                        user_id: m.user_id,
+                        role: m.role,
+                        created_at: m.created_at,
+                        name: user.name,
+                        email: user.email,
+                        avatar: user.avatar || null
+                    };
+                })
+                .filter(Boolean)
+                .sort((a, b) => roleOrder[a.role] - roleOrder[b.role] || new Date(a.created_at) - new Date(b.created_at));
+            return { success: true, members };
+        } catch (error) {
+            console.error('Get organization members error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setOrganizationMemberRole(organizationId, userId, role) {
+        try {
+            const members = this.readData('organization_members.json');
+            const member = members.find(m => m.organization_id === organizationId && m.user_id === userId);
+            if (!member) {
+                return { success: true, updated: false };
+            }
+
+            member.role = role;
+            if (this.writeData('organization_members.json', members)) {
+                return { success: true, updated: true };
+            }
+            return { success: false, error: 'Failed to save member' };
+        } catch (error) {
+            console.error('Set organization member role error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async removeOrganizationMember(organizationId, userId) {
+        try {
+            const members = this.readData('organization_members.json');
+            const remaining = members.filter(m => !(m.organization_id === organizationId && m.user_id === userId));
+
+            if (this.writeData('organization_members.json', remaining)) {
+                return { success: true, removed: remaining.length < members.length };
+            }
+            return { success: false, error: 'Failed to remove member' };
+        } catch (error) {
+            console.error('Remove organization member error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createOrganizationInvitation({ organizationId, email, role, tokenHash, invitedBy, expiresAt }) {
+        try {
+            const invitations = this.readData('organization_invitations.json');
+            const invitation = {
+                id: invitations.reduce((max, i) => Math.max(max, i.id), 0) + 1,
+                organization_id: organizationId,
+                email,
+                role,
+                token_hash: tokenHash,
+                invited_by: invitedBy,
+                expires_at: new Date(expiresAt).toISOString(),
+                accepted_at: null,
+                created_at: new Date().toISOString()
+            };
+            const remaining = invitations.filter(i => !(i.organization_id === organizationId && i.email === email && !i.accepted_at));
+            remaining.push(invitation);
+
+            if (this.writeData('organization_invitations.json', remaining)) {
+                return { success: true, invitation };
+            }
+            return { success: false, error: 'Failed to save invitation' };
+        } catch (error) {
+            console.error('Create organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getOrganizationInvitations(organizationId) {
+        try {
+            const now = new Date();
+            const invitations = this.readData('organization_invitations.json')
+                .filter(i => i.organization_id === organizationId && !i.accepted_at && new Date(i.expires_at) > now)
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            return { success: true, invitations };
+        } catch (error) {
+            console.error('Get organization invitations error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteOrganizationInvitation(organizationId, invitationId) {
+        try {
+            const invitations = this.readData('organization_invitations.json');
+            const remaining = invitations.filter(i =>
+                !(i.id === Number(invitationId) && i.organization_id === organizationId && !i.accepted_at)
+            );
+
+            if (this.writeData('organization_invitations.json', remaining)) {
+                return { success: true, deleted: remaining.length < invitations.length };
+            }
+            return { success: false, error: 'Failed to delete invitation' };
+        } catch (error) {
+            console.error('Delete organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async acceptOrganizationInvitation(tokenHash, userId, email) {
+        try {
+            const invitations = this.readData('organization_invitations.json');
+            const invitation = invitations.find(i =>
+                i.token_hash === tokenHash && i.email === email && !i.accepted_at && new Date(i.expires_at) > new Date()
+            );
+            if (!invitation) {
+                return { success: true, invitation: null };
+            }
+
+            invitation.accepted_at = new Date().toISOString();
+            const members = this.readData('organization_members.json');
+            const alreadyMember = members.some(m => m.organization_id === invitation.organization_id && m.user_id === userId);
+            if (!alreadyMember) {
+                members.push({
+                    organization_id: invitation.organization_id,
+                    user_id: userId,
+                    role: invitation.role,
+                    created_at: new Date().toISOString()
+                });
+            }
+
+            if (this.writeData('organization_invitations.json', invitations) && this.writeData('organization_members.json', members)) {
+                return { success: true, invitation, alreadyMember };
+            }
+            return { success: false, error: 'Failed to accept invitation' };
+        } catch (error) {
+            console.error('Accept organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async assignUserMenusToOrganization(userId, organizationId) {
+        try {
+            const menus = this.readData('menus.json');
+            let count = 0;
+            menus.forEach(menu => {
+                if (menu.user_id === userId && !menu.organization_id) {
+                    menu.organization_id = organizationId;
+                    count++;
+                }
+            });
+
+            if (count === 0 || this.writeData('menus.json', menus)) {
+                return { success: true, count };
+            }
+            return { success: false, error: 'Failed to save menus' };
+        } catch (error) {
+            console.error('Assign menus to organization error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setMenuOrganization(menuId, organizationId) {
+        try {
+            const menus = this.readData('menus.json');
+            const menu = menus.find(m => m.id === menuId);
+            if (!menu) {
+                return { success: false, error: 'Menu not found' };
+            }
+
+            menu.organization_id = organizationId;
+            menu.updated_at = new Date().toISOString();
+
+            if (this.writeData('menus.json', menus)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save menu' };
+        } catch (error) {
+            console.error('Set menu organization error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Session operations
+    async createSession(sessionId, userId, expiresAt, metadata = {}) {
+        try {
+            const sessions = this.readData('sessions.json');
+            const now = new Date().toISOString();
+            sessions.push({
+                id: sessionId,
+                user_id: userId,
+                expires_at: expiresAt,
+                user_agent: metadata.userAgent || null,
+                ip_address: metadata.ipAddress || null,
+                last_seen_at: now,
+                created_at: now
+            });
+            
+            return this.writeData('sessions.json', sessions);
+        } catch (error) {
+            console.error('Create session error:', error);
+            return false;
+        }
+    }
+
+    async getSession(sessionId) {
+        try {
+            const sessions = this.readData('sessions.json');
+            const session = sessions.find(s => s.id === sessionId);
+            
+            if (session) {
+                // Check if session is expired
+                const now = new Date();
+                const expiresAt = new Date(session.expires_at);
+                
+                if (now > expiresAt) {
+                    // Clean up expired session
+                    await this.deleteSession(sessionId);
+                    return null;
+                }
+                
+                // Sliding expiration
+                if (shouldRefreshSession(session, now)) {
+                    session.last_seen_at = now.toISOString();
+                    session.expires_at = getSessionExpiry(now).toISOString();
+                    this.writeData('sessions.json', sessions);
+                    return { ...session, refreshed: true };
+                }
+                
+                return session;
+            }
+            
+            return null;
+        } catch (error) {
+            console.error('Get session error:', error);
+            return null;
+        }
+    }
+
+    async getUserSessions(userId) {
+        try {
+            const now = new Date();
+            const sessions = this.readData('sessions.json')
+                .filter(s => s.user_id === userId && new Date(s.expires_at) > now)
+                .sort((a, b) => new Date(b.last_seen_at || b.created_at) - new Date(a.last_seen_at || a.created_at));
+            return { success: true, sessions };
+        } catch (error) {
+            console.error('Get user sessions error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteSession(sessionId) {
+        try {
+            const sessions = this.readData('sessions.json');
+            const filteredSessions = sessions.filter(s => s.id !== sessionId);
+            return this.writeData('sessions.json', filteredSessions);
+        } catch (error) {
+            console.error('Delete session error:', error);
+            return false;
+        }
+    }
+
+    async deleteUserSessions(userId, exceptSessionId = null) {
+        try {
+            const sessions = this.readData('sessions.json');
+            return this.writeData('sessions.json', sessions.filter(s => s.user_id !== userId || s.id === exceptSessionId));
+        } catch (error) {
+            console.error('Delete user sessions error:', error);
+            return false;
+        }
+    }
+
+    async deleteExpiredSessions(now = new Date()) {
+        try {
+            const sessions = this.readData('sessions.json');
+            const remaining = sessions.filter(s => new Date(s.expires_at) > now);
+            const count = sessions.length - remaining.length;
+
+            if (count === 0 || this.writeData('sessions.json', remaining)) {
+                return { success: true, count };
+            }
+            return { success: false, error: 'Failed to save sessions' };
+        } catch (error) {
+            console.error('Delete expired sessions error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Admin operations
+    async getAllUsers() {
+        try {
+            const users = this.readData('users.json');
+            const menus = this.readData('menus.json');
+            
+            const usersWithCounts = users.map(user => {
                 const userMenus = menus.filter(m => m.user_id === user.id);
                 const publishedMenus = userMenus.filter(m => m.status === 'published');
                 
@@ -254,6 +998,68 @@ class FileDatabase {
         }
     }
 
+    async setUserAdmin(userId, isAdmin) {
+        try {
+            const users = this.readData('users.json');
+            const user = users.find(u => u.id === userId);
+            if (!user) {
+                return { success: true, user: null };
+            }
+
+            user.is_admin = isAdmin;
+            user.updated_at = new Date().toISOString();
+
+            if (this.writeData('users.json', users)) {
+                return { success: true, user };
+            }
+            return { success: false, error: 'Failed to save user' };
+        } catch (error) {
+            console.error('Set user admin error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createAdminAuditEntry({ adminUserId, action, targetType = null, targetId = null, details = null, ipAddress = null }) {
+        try {
+            const entries = this.readData('admin_audit_log.json');
+            entries.push({
+                id: entries.reduce((max, e) => Math.max(max, e.id), 0) + 1,
+                admin_user_id: adminUserId,
+                action,
+                target_type: targetType,
+                target_id: targetId,
+                details,
+                ip_address: ipAddress,
+                created_at: new Date().toISOString()
+            });
+
+            if (this.writeData('admin_audit_log.json', entries)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save audit entry' };
+        } catch (error) {
+            console.error('Create admin audit entry error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getAdminAuditLog(limit = 100) {
+        try {
+            const users = this.readData('users.json');
+            const entries = this.readData('admin_audit_log.json')
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id)
+                .slice(0, limit)
+                .map(entry => {
+                    const admin = users.find(u => u.id === entry.admin_user_id);
+                    return { ...entry, admin_name: admin ? admin.name : null, admin_email: admin ? admin.email : null };
+                });
+            return { success: true, entries };
+        } catch (error) {
+            console.error('Get admin audit log error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Initialize database (no-op for file system)
     async initializeDatabase() {
         try {
@@ -287,6 +1093,549 @@ class FileDatabase {
             return { success: false, error: error.message };
         }
     }
+
+    async getMenuById(menuId) {
+        try {
+            const menus = this.readData('menus.json');
+            const menu = menus.find(m => m.id === menuId);
+            return { success: true, menu: menu ? { ...menu, sections: menu.sections || [] } : null };
+        } catch (error) {
+            console.error('Get menu by ID error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Menu revision operations
+    async createMenuRevision(menuId, reason = 'save', createdBy = null) {
+        try {
+            const menuResult = await this.getMenuById(menuId);
+            if (!menuResult.menu) {
+                return { success: false, error: 'Menu not found' };
+            }
+
+            const snapshot = buildMenuSnapshot(menuResult.menu);
+            const revisions = this.readData('menu_revisions.json');
+            const menuRevisions = revisions
+                .filter(r => r.menu_id === menuId)
+                .sort((a, b) => b.id - a.id);
+            const latest = menuRevisions[0];
+
+            // Every save that changes the menu gets its own revision; identical
+            // saves are skipped so the revision cap isn't spent on them
+            if (latest && reason === 'save') {
+                if (snapshotsEqual(latest.snapshot, snapshot)) {
+                    return { success: true, revision: latest, skipped: true };
+                }
+            }
+
+            const revision = {
+                id: revisions.reduce((max, r) => Math.max(max, r.id), 0) + 1,
+                menu_id: menuId,
+                reason,
+                snapshot,
+                created_by: createdBy,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+
+            // Prune the oldest revisions beyond the retention limit
+            const keptIds = new Set([revision, ...menuRevisions]
+                .slice(0, MAX_REVISIONS_PER_MENU)
+                .map(r => r.id));
+            const remaining = revisions.filter(r => r.menu_id !== menuId || keptIds.has(r.id));
+            remaining.push(revision);
+
+            if (this.writeData('menu_revisions.json', remaining)) {
+                return { success: true, revision };
+            }
+            return { success: false, error: 'Failed to save revision' };
+        } catch (error) {
+            console.error('Create menu revision error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMenuRevisions(menuId) {
+        try {
+            const revisions = this.readData('menu_revisions.json')
+                .filter(r => r.menu_id === menuId)
+                .sort((a, b) => b.id - a.id)
+                .map(({ snapshot, ...revision }) => {
+                    const summary = summarizeSnapshot(snapshot);
+                    return {
+                        ...revision,
+                        section_count: summary.sectionCount,
+                        item_count: summary.itemCount
+                    };
+                });
+            return { success: true, revisions };
+        } catch (error) {
+            console.error('Get menu revisions error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMenuRevision(menuId, revisionId) {
+        try {
+            const revisions = this.readData('menu_revisions.json');
+            const revision = revisions.find(r => r.menu_id === menuId && String(r.id) === String(revisionId));
+            return { success: true, revision: revision || null };
+        } catch (error) {
+            console.error('Get menu revision error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Published menu operations
+    async publishMenuSnapshot(menuId, slug, title, subtitle, snapshot) {
+        try {
+            const publishedMenus = this.readData('published_menus.json');
+
+            const conflict = publishedMenus.find(p => p.slug === slug && p.menu_id !== menuId);
+            if (conflict) {
+                return { success: false, slugTaken: true, error: 'Slug is already published by another menu' };
+            }
+
+            const existing = publishedMenus.find(p => p.menu_id === menuId && p.slug === slug);
+            const publishedMenu = {
+                id: existing ? existing.id : publishedMenus.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+                menu_id: menuId,
+                slug,
+                title,
+                subtitle,
+                published_data: snapshot,
+                created_at: existing ? existing.created_at : new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+
+            // One live snapshot per menu; publishing to a new slug retires the old one
+            const remaining = publishedMenus.filter(p => p.menu_id !== menuId);
+            remaining.push(publishedMenu);
+
+            if (this.writeData('published_menus.json', remaining)) {
+                return { success: true, publishedMenu };
+            }
+            return { success: false, error: 'Failed to save published menu' };
+        } catch (error) {
+            console.error('Publish menu snapshot error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async isSlugPublished(slug, menuId = null) {
+        try {
+            const published = this.readData('published_menus.json')
+                .some(p => p.slug === slug && (!menuId || p.menu_id !== menuId));
+            return { success: true, published };
+        } catch (error) {
+            console.error('Check published slug error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getPublishedMenuBySlug(slug) {
+        try {
+            const publishedMenu = this.readData('published_menus.json').find(p => p.slug === slug);
+            if (!publishedMenu) {
+                return { success: true, menu: null };
+            }
+
+            const menu = this.readData('menus.json').find(m => m.id === publishedMenu.menu_id);
+            if (!menu || menu.status !== 'published') {
+                return { success: true, menu: null };
+            }
+
+            const user = this.readData('users.json').find(u => u.id === (menu.user_id || menu.userId));
+            const owner = user || {};
+            return {
+                success: true,
+                menu: {
+                    ...publishedMenu,
+                    user_name: user ? user.name : null,
+                    restaurant: user ? user.restaurant : null,
+                    // Same columns the Postgres query selects
+                    business_name: owner.businessName || null,
+                    business_type: owner.businessType || null,
+                    phone: owner.phone || null,
+                    address: owner.address || null,
+                    city: owner.city || null,
+                    state: owner.state || null,
+                    zip: owner.zip || null,
+                    cuisine: owner.cuisine || null,
+                    website: owner.website || null,
+                    opening_hours: owner.openingHours || null,
+                    show_business_info: Boolean(owner.showBusinessInfo)
+                }
+            };
+        } catch (error) {
+            console.error('Get published menu by slug error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getPublishedMenuByMenuId(menuId) {
+        try {
+            const publishedMenu = this.readData('published_menus.json').find(p => p.menu_id === menuId);
+            return { success: true, publishedMenu: publishedMenu || null };
+        } catch (error) {
+            console.error('Get published menu by menu ID error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Item availability operations
+    async getItemAvailability(menuId) {
+        try {
+            const availability = this.readData('item_availability.json').filter(a => a.menu_id === menuId);
+            return { success: true, availability };
+        } catch (error) {
+            console.error('Get item availability error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setItemAvailability(menuId, itemId, status, backAt = null, updatedBy = null) {
+        try {
+            const entries = this.readData('item_availability.json')
+                .filter(a => !(a.menu_id === menuId && a.item_id === itemId));
+
+            let entry = null;
+            if (status !== 'available') {
+                entry = {
+                    menu_id: menuId,
+                    item_id: itemId,
+                    status,
+                    back_at: backAt,
+                    updated_by: updatedBy,
+                    updated_at: new Date().toISOString()
+                };
+                entries.push(entry);
+            }
+
+            if (this.writeData('item_availability.json', entries)) {
+                return { success: true, availability: entry };
+            }
+            return { success: false, error: 'Failed to save item availability' };
+        } catch (error) {
+            console.error('Set item availability error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async unpublishMenu(menuId) {
+        try {
+            const publishedMenus = this.readData('published_menus.json').filter(p => p.menu_id !== menuId);
+            if (!this.writeData('published_menus.json', publishedMenus)) {
+                return { success: false, error: 'Failed to remove published menu' };
+            }
+
+            return await this.updateMenu(menuId, {
+                status: 'draft',
+                published_slug: null,
+                published_title: null,
+                published_subtitle: null
+            });
+        } catch (error) {
+            console.error('Unpublish menu error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Scheduled publish operations
+    async createPublishSchedule(schedule) {
+        try {
+            const schedules = this.readData('publish_schedules.json');
+            const entry = {
+                id: schedules.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+                menu_id: schedule.menuId,
+                action: schedule.action,
+                run_at: schedule.runAt,
+                slug: schedule.slug || null,
+                title: schedule.title || null,
+                subtitle: schedule.subtitle || null,
+                revision_id: schedule.revisionId || null,
+                snapshot: schedule.snapshot || null,
+                status: 'pending',
+                error: null,
+                created_by: schedule.createdBy || null,
+                created_at: new Date().toISOString(),
+                completed_at: null
+            };
+            schedules.push(entry);
+
+            if (this.writeData('publish_schedules.json', schedules)) {
+                const { snapshot, ...summary } = entry;
+                return { success: true, schedule: summary };
+            }
+            return { success: false, error: 'Failed to save publish schedule' };
+        } catch (error) {
+            console.error('Create publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getPublishSchedules(menuId) {
+        try {
+            const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+            const schedules = this.readData('publish_schedules.json')
+                .filter(s => s.menu_id === menuId)
+                .filter(s => ['pending', 'running'].includes(s.status) || new Date(s.completed_at).getTime() > weekAgo)
+                .sort((a, b) => new Date(a.run_at) - new Date(b.run_at) || a.id - b.id)
+                .map(({ snapshot, ...summary }) => summary);
+            return { success: true, schedules };
+        } catch (error) {
+            console.error('Get publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelPublishSchedule(menuId, scheduleId) {
+        try {
+            const schedules = this.readData('publish_schedules.json');
+            const schedule = schedules.find(s =>
+                s.id === parseInt(scheduleId, 10) && s.menu_id === menuId && s.status === 'pending'
+            );
+            if (!schedule) {
+                return { success: true, schedule: null };
+            }
+
+            schedule.status = 'cancelled';
+            schedule.completed_at = new Date().toISOString();
+
+            if (this.writeData('publish_schedules.json', schedules)) {
+                return { success: true, schedule };
+            }
+            return { success: false, error: 'Failed to cancel publish schedule' };
+        } catch (error) {
+            console.error('Cancel publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelMenuPublishSchedules(menuId) {
+        try {
+            const schedules = this.readData('publish_schedules.json');
+            const pending = schedules.filter(s => s.menu_id === menuId && s.status === 'pending');
+            if (pending.length === 0) {
+                return { success: true, cancelled: 0 };
+            }
+
+            const completedAt = new Date().toISOString();
+            pending.forEach(schedule => {
+                schedule.status = 'cancelled';
+                schedule.completed_at = completedAt;
+            });
+
+            if (this.writeData('publish_schedules.json', schedules)) {
+                return { success: true, cancelled: pending.length };
+            }
+            return { success: false, error: 'Failed to cancel publish schedules' };
+        } catch (error) {
+            console.error('Cancel menu publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async claimDuePublishSchedules(now = new Date()) {
+        try {
+            const schedules = this.readData('publish_schedules.json');
+            const due = schedules
+                .filter(s => s.status === 'pending' && new Date(s.run_at) <= now)
+                .sort((a, b) => new Date(a.run_at) - new Date(b.run_at) || a.id - b.id);
+            if (due.length === 0) {
+                return { success: true, schedules: [] };
+            }
+
+            due.forEach(s => { s.status = 'running'; });
+
+            if (this.writeData('publish_schedules.json', schedules)) {
+                return { success: true, schedules: due };
+            }
+            return { success: false, error: 'Failed to claim publish schedules' };
+        } catch (error) {
+            console.error('Claim publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async completePublishSchedule(scheduleId, status, errorMessage = null) {
+        try {
+            const schedules = this.readData('publish_schedules.json');
+            const schedule = schedules.find(s => s.id === scheduleId);
+            if (schedule) {
+                schedule.status = status;
+                schedule.error = errorMessage;
+                schedule.completed_at = new Date().toISOString();
+            }
+
+            if (this.writeData('publish_schedules.json', schedules)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to update publish schedule' };
+        } catch (error) {
+            console.error('Complete publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Menu analytics operations
+    async incrementMenuAnalytics(menuId, day, counters) {
+        try {
+            const rows = this.readData('menu_analytics.json');
+            counters.forEach(counter => {
+                const row = rows.find(r =>
+                    r.menu_id === menuId && r.day === day && r.metric === counter.metric && r.bucket === counter.bucket
+                );
+                if (row) {
+                    row.count += 1;
+                    row.label = counter.label || row.label;
+                } else {
+                    rows.push({ menu_id: menuId, day, metric: counter.metric, bucket: counter.bucket, label: counter.label, count: 1 });
+                }
+            });
+
+            if (this.writeData('menu_analytics.json', rows)) {
+                return { success: true };
+            }
+            return { success: false, error: 'Failed to save menu analytics' };
+        } catch (error) {
+            console.error('Increment menu analytics error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMenuAnalytics(menuId, fromDay, toDay) {
+        try {
+            const rows = this.readData('menu_analytics.json')
+                .filter(r => r.menu_id === menuId && r.day >= fromDay && r.day <= toDay)
+                .sort((a, b) => a.day.localeCompare(b.day));
+            return { success: true, rows };
+        } catch (error) {
+            console.error('Get menu analytics error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    async getUserPalettes(userId) {
+        try {
+            const palettes = this.readData('user_palettes.json')
+                .filter(p => p.user_id === userId)
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+            return { success: true, palettes };
+        } catch (error) {
+            console.error('Get user palettes error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createUserPalette(userId, name, colors) {
+        try {
+            const palettes = this.readData('user_palettes.json');
+            const now = new Date().toISOString();
+            const palette = {
+                id: palettes.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+                user_id: userId,
+                name,
+                colors,
+                created_at: now,
+                updated_at: now
+            };
+            palettes.push(palette);
+
+            if (this.writeData('user_palettes.json', palettes)) {
+                return { success: true, palette };
+            }
+            return { success: false, error: 'Failed to save palette' };
+        } catch (error) {
+            console.error('Create user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateUserPalette(userId, paletteId, name, colors) {
+        try {
+            const palettes = this.readData('user_palettes.json');
+            const palette = palettes.find(p => p.id === Number(paletteId) && p.user_id === userId);
+            if (!palette) {
+                return { success: true, palette: null };
+            }
+
+            palette.name = name;
+            palette.colors = colors;
+            palette.updated_at = new Date().toISOString();
+
+            if (this.writeData('user_palettes.json', palettes)) {
+                return { success: true, palette };
+            }
+            return { success: false, error: 'Failed to save palette' };
+        } catch (error) {
+            console.error('Update user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteUserPalette(userId, paletteId) {
+        try {
+            const palettes = this.readData('user_palettes.json');
+            const remaining = palettes.filter(p => !(p.id === Number(paletteId) && p.user_id === userId));
+
+            if (this.writeData('user_palettes.json', remaining)) {
+                return { success: true, deleted: remaining.length < palettes.length };
+            }
+            return { success: false, error: 'Failed to delete palette' };
+        } catch (error) {
+            console.error('Delete user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getUserFonts(userId) {
+        try {
+            const fonts = this.readData('user_fonts.json')
+                .filter(f => f.user_id === userId)
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+            return { success: true, fonts };
+        } catch (error) {
+            console.error('Get user fonts error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createUserFont(userId, name, url) {
+        try {
+            const fonts = this.readData('user_fonts.json');
+            const font = {
+                id: fonts.reduce((max, f) => Math.max(max, f.id), 0) + 1,
+                user_id: userId,
+                name,
+                url,
+                created_at: new Date().toISOString()
+            };
+            fonts.push(font);
+
+            if (this.writeData('user_fonts.json', fonts)) {
+                return { success: true, font };
+            }
+            return { success: false, error: 'Failed to save font' };
+        } catch (error) {
+            console.error('Create user font error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteUserFont(userId, fontId) {
+        try {
+            const fonts = this.readData('user_fonts.json');
+            const remaining = fonts.filter(f => !(f.id === Number(fontId) && f.user_id === userId));
+
+            if (this.writeData('user_fonts.json', remaining)) {
+                return { success: true, deleted: remaining.length < fonts.length };
+            }
+            return { success: false, error: 'Failed to delete font' };
+        } catch (error) {
+            console.error('Delete user font error:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = FileDatabase;
\ No newline at end of file
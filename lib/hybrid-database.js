@@ -1,5 +1,11 @@
 // Hybrid database that uses PostgreSQL in production and file storage in development
 const FileDatabase = require('./file-database');
+const {
+    MAX_REVISIONS_PER_MENU,
+    buildMenuSnapshot,
+    snapshotsEqual
+} = require('./menu-snapshot');
+const { getSessionExpiry, shouldRefreshSession } = require('./sessions');
 
 // Check if PostgreSQL is available
 let usePostgres = false;
@@ -72,6 +78,40 @@ async function initializePostgres() {
             ADD COLUMN IF NOT EXISTS marketing_opt_in BOOLEAN DEFAULT false
         `;
 
+        // Business details shown on published menus (structured data for search engines)
+        await sql`
+            ALTER TABLE users 
+            ADD COLUMN IF NOT EXISTS cuisine VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS website VARCHAR(500),
+            ADD COLUMN IF NOT EXISTS opening_hours JSONB,
+            ADD COLUMN IF NOT EXISTS show_business_info BOOLEAN DEFAULT false
+        `;
+
+        // Whether the user has confirmed their email address
+        await sql`
+            ALTER TABLE users 
+            ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE
+        `;
+
+        // Site administrators (see scripts/promote-admin.js for the first one)
+        await sql`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false
+        `;
+
+        // Two-factor authentication. A new TOTP secret is stored during setup and only
+        // takes effect once two_factor_enabled is set. two_factor_last_step is the last
+        // accepted time step, so a code can't be used twice
+        await sql`
+            ALTER TABLE users
+            ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT,
+            ADD COLUMN IF NOT EXISTS two_factor_google BOOLEAN DEFAULT true
+        `;
+
         // Create menus table
         await sql`
             CREATE TABLE IF NOT EXISTS menus (
@@ -105,6 +145,38 @@ async function initializePostgres() {
             )
         `;
 
+        // Time-based schedule (alternate menus, section hours, happy-hour pricing)
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS schedule JSONB
+        `;
+
+        // Additional languages and their translated text
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS translations JSONB
+        `;
+
+        // Colors of the custom palette a menu uses (color_palette = 'custom')
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS custom_palette JSONB
+        `;
+
+        // Item layout for the whole menu, plus per-section overrides
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS menu_layout VARCHAR(20) DEFAULT 'list',
+            ADD COLUMN IF NOT EXISTS section_layouts JSONB
+        `;
+
+        // Heading font (font_family is the body font) and copies of the uploaded fonts a menu uses
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS heading_font VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS custom_fonts JSONB
+        `;
+
         // Create menu_sections table
         await sql`
             CREATE TABLE IF NOT EXISTS menu_sections (
@@ -133,6 +205,15 @@ async function initializePostgres() {
             )
         `;
 
+        // Where each session signed in from and when it was last used, for the
+        // signed-in devices list
+        await sql`
+            ALTER TABLE user_sessions
+            ADD COLUMN IF NOT EXISTS user_agent TEXT,
+            ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        `;
+
         // Create published_menus table for tracking published menu URLs
         await sql`
             CREATE TABLE IF NOT EXISTS published_menus (
@@ -147,6 +228,189 @@ async function initializePostgres() {
             )
         `;
 
+        // Create menu_revisions table for menu history snapshots
+        await sql`
+            CREATE TABLE IF NOT EXISTS menu_revisions (
+                id SERIAL PRIMARY KEY,
+                menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+                reason VARCHAR(50) NOT NULL DEFAULT 'save',
+                snapshot JSONB NOT NULL,
+                created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create menu_item_availability table for sold-out items (applied on top of the published snapshot)
+        await sql`
+            CREATE TABLE IF NOT EXISTS menu_item_availability (
+                menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+                item_id VARCHAR(64) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                back_at TIMESTAMP WITH TIME ZONE,
+                updated_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (menu_id, item_id)
+            )
+        `;
+
+        // Create menu_publish_schedules table for publishes/unpublishes queued for a future time
+        await sql`
+            CREATE TABLE IF NOT EXISTS menu_publish_schedules (
+                id SERIAL PRIMARY KEY,
+                menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+                action VARCHAR(20) NOT NULL,
+                run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                slug VARCHAR(255),
+                title VARCHAR(255),
+                subtitle TEXT,
+                revision_id INTEGER,
+                snapshot JSONB,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                error TEXT,
+                created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP WITH TIME ZONE
+            )
+        `;
+
+        // Create menu_analytics_daily table for per-day view counters from published menus
+        await sql`
+            CREATE TABLE IF NOT EXISTS menu_analytics_daily (
+                menu_id VARCHAR(255) REFERENCES menus(id) ON DELETE CASCADE,
+                day DATE NOT NULL,
+                metric VARCHAR(20) NOT NULL,
+                bucket VARCHAR(255) NOT NULL DEFAULT '',
+                label VARCHAR(255),
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (menu_id, day, metric, bucket)
+            )
+        `;
+
+        // Create user_palettes table for named custom color palettes saved to an account
+        await sql`
+            CREATE TABLE IF NOT EXISTS user_palettes (
+                id SERIAL PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                colors JSONB NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create user_fonts table for WOFF2 fonts uploaded to an account
+        await sql`
+            CREATE TABLE IF NOT EXISTS user_fonts (
+                id SERIAL PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                url TEXT NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create password_reset_tokens table; only a hash of each emailed token is stored
+        await sql`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                used_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create email_verification_tokens table for the address each link confirms
+        await sql`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create organizations table for teams that share menus
+        await sql`
+            CREATE TABLE IF NOT EXISTS organizations (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create organization_members table; role is owner, editor or viewer
+        await sql`
+            CREATE TABLE IF NOT EXISTS organization_members (
+                organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE CASCADE,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (organization_id, user_id)
+            )
+        `;
+
+        // Create organization_invitations table; like reset links, only a hash of the emailed token is stored
+        await sql`
+            CREATE TABLE IF NOT EXISTS organization_invitations (
+                id SERIAL PRIMARY KEY,
+                organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                invited_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                accepted_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create two_factor_recovery_codes table; like tokens, only a hash of each code is stored
+        await sql`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id SERIAL PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create login_challenges table for sign-ins waiting on a two-factor code
+        await sql`
+            CREATE TABLE IF NOT EXISTS login_challenges (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Create admin_audit_log table; every admin API request adds a row
+        await sql`
+            CREATE TABLE IF NOT EXISTS admin_audit_log (
+                id SERIAL PRIMARY KEY,
+                admin_user_id VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+                action VARCHAR(100) NOT NULL,
+                target_type VARCHAR(50),
+                target_id VARCHAR(255),
+                details JSONB,
+                ip_address VARCHAR(64),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Menus belong to an organization; older menus join their creator's the next time their menu list loads
+        await sql`
+            ALTER TABLE menus
+            ADD COLUMN IF NOT EXISTS organization_id VARCHAR(255) REFERENCES organizations(id) ON DELETE SET NULL
+        `;
+
         // Create indexes for better performance
         await sql`CREATE INDEX IF NOT EXISTS idx_menus_user_id ON menus(user_id)`;
         await sql`CREATE INDEX IF NOT EXISTS idx_menus_slug ON menus(slug)`;
@@ -155,6 +419,37 @@ async function initializePostgres() {
         await sql`CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at)`;
         await sql`CREATE INDEX IF NOT EXISTS idx_published_menus_slug ON published_menus(slug)`;
         await sql`CREATE INDEX IF NOT EXISTS idx_published_menus_menu_id ON published_menus(menu_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_menu_revisions_menu_id ON menu_revisions(menu_id, created_at DESC)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_menu_publish_schedules_due ON menu_publish_schedules(status, run_at)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_user_palettes_user_id ON user_palettes(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_user_fonts_user_id ON user_fonts(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON organization_invitations(organization_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_menus_organization_id ON menus(organization_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_login_challenges_expires ON login_challenges(expires_at)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC)`;
+        
+        // Menus published before snapshots existed get one from their current content
+        const unsnapshotted = await sql`
+            SELECT m.id FROM menus m
+            WHERE m.status = 'published' AND m.published_slug IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM published_menus pm WHERE pm.menu_id = m.id)
+        `;
+        for (const row of unsnapshotted.rows) {
+            const { menu } = await getMenuById(row.id);
+            if (menu) {
+                await publishMenuSnapshot(
+                    menu.id,
+                    menu.published_slug,
+                    menu.published_title,
+                    menu.published_subtitle,
+                    buildMenuSnapshot(menu)
+                );
+            }
+        }
         
         console.log('PostgreSQL database initialized successfully');
         return { success: true };
@@ -177,14 +472,15 @@ async function createUserPostgres(userData) {
     const { 
         id, email, passwordHash, name, restaurant, avatar, plan = 'free', maxMenus = 5,
         googleId, profilePicture, firstName, lastName, phone, businessName, businessType,
-        address, city, state, zip, marketingOptIn
+        address, city, state, zip, marketingOptIn, emailVerified = false
     } = userData;
     
     try {
         const result = await sql`
             INSERT INTO users (
                 id, email, password_hash, name, restaurant, avatar, google_id, plan, max_menus,
-                first_name, last_name, phone, business_name, business_type, address, city, state, zip, marketing_opt_in
+                first_name, last_name, phone, business_name, business_type, address, city, state, zip, marketing_opt_in,
+                email_verified, email_verified_at
             )
             VALUES (
                 ${id}, 
@@ -205,7 +501,9 @@ async function createUserPostgres(userData) {
                 ${city || null},
                 ${state || null},
                 ${zip || null},
-                ${marketingOptIn || false}
+                ${marketingOptIn || false},
+                ${emailVerified},
+                ${emailVerified ? new Date() : null}
             )
             RETURNING *
         `;
@@ -262,154 +560,1476 @@ async function updateUserLastActive(userId) {
     }
 }
 
-// Menu operations
-async function createMenu(menuData) {
+/**
+ * Update the business details a user shows on their published menus.
+ * `profile` has been validated by lib/business-profile.js.
+ */
+async function updateUserProfile(userId, profile) {
     if (usePostgres) {
-        return await createMenuPostgres(menuData);
+        try {
+            const result = await sql`
+                UPDATE users 
+                SET business_name = ${profile.businessName},
+                    restaurant = ${profile.businessName},
+                    business_type = ${profile.businessType},
+                    phone = ${profile.phone},
+                    address = ${profile.address},
+                    city = ${profile.city},
+                    state = ${profile.state},
+                    zip = ${profile.zip},
+                    cuisine = ${profile.cuisine},
+                    website = ${profile.website},
+                    opening_hours = ${JSON.stringify(profile.openingHours)},
+                    show_business_info = ${profile.showBusinessInfo},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
+                RETURNING *
+            `;
+            return { success: true, user: result.rows[0] || null };
+        } catch (error) {
+            console.error('Update user profile error:', error);
+            return { success: false, error: error.message };
+        }
     } else {
-        return await fileDb.createMenu(menuData);
-    }
-}
-
-async function createMenuPostgres(menuData) {
-    const {
-        id, userId, name, description = null, slug = null, title = null, subtitle = null,
-        backgroundType = 'none', backgroundValue = null, fontFamily = 'Inter', 
-        colorPalette = 'classic', navigationTheme = 'modern', menuLogo = null, logoSize = 'medium'
-    } = menuData;
-    
-    try {
-        const result = await sql`
-            INSERT INTO menus (
-                id, user_id, name, description, slug, title, subtitle,
-                background_type, background_value, font_family, color_palette,
-                navigation_theme, menu_logo, logo_size
-            )
-            VALUES (
-                ${id}, ${userId}, ${name}, ${description}, ${slug}, ${title}, ${subtitle},
-                ${backgroundType}, ${backgroundValue}, ${fontFamily}, ${colorPalette},
-                ${navigationTheme}, ${menuLogo}, ${logoSize}
-            )
-            RETURNING *
-        `;
-        return { success: true, menu: result.rows[0] };
-    } catch (error) {
-        console.error('Create menu error:', error);
-        return { success: false, error: error.message };
+        return await fileDb.updateUserProfile(userId, profile);
     }
 }
 
-async function getUserMenus(userId) {
+async function updateUserPassword(userId, passwordHash) {
     if (usePostgres) {
         try {
-            const result = await sql`
-                SELECT m.*, 
-                    COALESCE(
-                        json_agg(
-                            json_build_object(
-                                'id', ms.section_id,
-                                'name', ms.name,
-                                'type', ms.type,
-                                'columns', ms.columns,
-                                'titleColumns', ms.title_columns,
-                                'items', ms.items
-                            ) ORDER BY ms.section_id
-                        ) FILTER (WHERE ms.id IS NOT NULL), 
-                        '[]'::json
-                    ) as sections
-                FROM menus m
-                LEFT JOIN menu_sections ms ON m.id = ms.menu_id
-                WHERE m.user_id = ${userId} AND m.status != 'deleted'
-                GROUP BY m.id
-                ORDER BY m.updated_at DESC
+            await sql`
+                UPDATE users 
+                SET password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
             `;
-            return { success: true, menus: result.rows };
+            return { success: true };
         } catch (error) {
-            console.error('Get user menus error:', error);
+            console.error('Update user password error:', error);
             return { success: false, error: error.message };
         }
     } else {
-        return await fileDb.getUserMenus(userId);
+        return await fileDb.updateUserPassword(userId, passwordHash);
     }
 }
 
-async function updateMenu(menuId, updates) {
+// Only while the account still uses the address the link was sent to
+async function markEmailVerified(userId, email) {
     if (usePostgres) {
         try {
-            const setClause = [];
-            const values = [];
-            let paramCounter = 1;
-            
-            // Build dynamic SET clause
-            for (const [key, value] of Object.entries(updates)) {
-                // Convert camelCase to snake_case for database columns
-                const dbKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
-                setClause.push(`${dbKey} = $${paramCounter}`);
-                values.push(value);
-                paramCounter++;
-            }
-            
-            setClause.push(`updated_at = CURRENT_TIMESTAMP`);
-            values.push(menuId);
-            
-            const query = `
-                UPDATE menus 
-                SET ${setClause.join(', ')}
-                WHERE id = $${paramCounter}
-                RETURNING *
+            const result = await sql`
+                UPDATE users 
+                SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId} AND email = ${email}
             `;
-            
-            const result = await sql.query(query, values);
-            return { success: true, menu: result.rows[0] };
+            return { success: true, verified: result.rowCount > 0 };
         } catch (error) {
-            console.error('Update menu error:', error);
+            console.error('Mark email verified error:', error);
             return { success: false, error: error.message };
         }
     } else {
-        return await fileDb.updateMenu(menuId, updates);
+        return await fileDb.markEmailVerified(userId, email);
     }
 }
 
-// Menu sections operations
-async function saveMenuSections(menuId, sections) {
+// Password reset and email verification tokens (stored as SHA-256 hashes).
+// Creating a token replaces the user's earlier ones, so only the latest link works.
+async function createPasswordResetToken(userId, tokenHash, expiresAt) {
     if (usePostgres) {
         try {
-            // Delete existing sections
-            await sql`DELETE FROM menu_sections WHERE menu_id = ${menuId}`;
-            
-            // Insert new sections
-            for (const section of sections) {
-                await sql`
-                    INSERT INTO menu_sections (menu_id, section_id, name, type, columns, title_columns, items)
-                    VALUES (
-                        ${menuId}, 
-                        ${section.id}, 
-                        ${section.name}, 
-                        ${section.type},
-                        ${JSON.stringify(section.columns)},
-                        ${JSON.stringify(section.titleColumns || section.columns)},
-                        ${JSON.stringify(section.items || [])}
-                    )
-                `;
-            }
-            
+            await sql`DELETE FROM password_reset_tokens WHERE user_id = ${userId}`;
+            await sql`
+                INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+                VALUES (${tokenHash}, ${userId}, ${expiresAt})
+            `;
             return { success: true };
         } catch (error) {
-            console.error('Save menu sections error:', error);
+            console.error('Create password reset token error:', error);
             return { success: false, error: error.message };
         }
     } else {
-        return await fileDb.saveMenuSections(menuId, sections);
+        return await fileDb.createPasswordResetToken(userId, tokenHash, expiresAt);
+    }
+}
+
+/**
+ * Use up a password reset token. A token works once, until it expires.
+ *
+ * @returns {Promise<{success: boolean, userId?: string|null, error?: string}>}
+ *   `userId` is null when the token is unknown, used or expired
+ */
+async function consumePasswordResetToken(tokenHash) {
+    if (usePostgres) {
+        try {
+            // One statement, so two requests can't both use the same token
+            const result = await sql`
+                UPDATE password_reset_tokens 
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE token_hash = ${tokenHash} AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                RETURNING user_id
+            `;
+            return { success: true, userId: result.rows[0]?.user_id || null };
+        } catch (error) {
+            console.error('Consume password reset token error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.consumePasswordResetToken(tokenHash);
+    }
+}
+
+async function createEmailVerificationToken(userId, email, tokenHash, expiresAt) {
+    if (usePostgres) {
+        try {
+            await sql`DELETE FROM email_verification_tokens WHERE user_id = ${userId}`;
+            await sql`
+                INSERT INTO email_verification_tokens (token_hash, user_id, email, expires_at)
+                VALUES (${tokenHash}, ${userId}, ${email}, ${expiresAt})
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Create email verification token error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createEmailVerificationToken(userId, email, tokenHash, expiresAt);
+    }
+}
+
+/**
+ * Use up an email verification token.
+ *
+ * @returns {Promise<{success: boolean, token?: {user_id: string, email: string}|null, error?: string}>}
+ *   `token` is null when the token is unknown or expired
+ */
+async function consumeEmailVerificationToken(tokenHash) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                DELETE FROM email_verification_tokens 
+                WHERE token_hash = ${tokenHash}
+                RETURNING user_id, email, expires_at
+            `;
+            const token = result.rows[0];
+            if (!token || new Date(token.expires_at) <= new Date()) {
+                return { success: true, token: null };
+            }
+            return { success: true, token: { user_id: token.user_id, email: token.email } };
+        } catch (error) {
+            console.error('Consume email verification token error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.consumeEmailVerificationToken(tokenHash);
+    }
+}
+
+// Two-factor authentication operations (see lib/two-factor.js)
+// Setup stores a new secret, which can't replace the one in use while 2FA is on
+async function setTwoFactorSecret(userId, secret) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE users 
+                SET two_factor_secret = ${secret}, two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId} AND two_factor_enabled IS NOT TRUE
+            `;
+            return { success: true, updated: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Set two-factor secret error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setTwoFactorSecret(userId, secret);
+    }
+}
+
+// Turn 2FA on with a fresh set of recovery codes (stored as SHA-256 hashes)
+async function enableTwoFactor(userId, codeHashes, requireForGoogle = true) {
+    if (usePostgres) {
+        try {
+            await sql`
+                UPDATE users 
+                SET two_factor_enabled = true, two_factor_enabled_at = CURRENT_TIMESTAMP,
+                    two_factor_google = ${requireForGoogle}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
+            `;
+            return await replaceRecoveryCodes(userId, codeHashes);
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.enableTwoFactor(userId, codeHashes, requireForGoogle);
+    }
+}
+
+async function disableTwoFactor(userId) {
+    if (usePostgres) {
+        try {
+            await sql`
+                UPDATE users 
+                SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_enabled_at = NULL,
+                    two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
+            `;
+            await sql`DELETE FROM two_factor_recovery_codes WHERE user_id = ${userId}`;
+            await sql`DELETE FROM login_challenges WHERE user_id = ${userId}`;
+            return { success: true };
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.disableTwoFactor(userId);
+    }
+}
+
+async function setTwoFactorGoogleRequirement(userId, required) {
+    if (usePostgres) {
+        try {
+            await sql`
+                UPDATE users 
+                SET two_factor_google = ${required}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Set two-factor Google requirement error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setTwoFactorGoogleRequirement(userId, required);
+    }
+}
+
+/**
+ * Record the time step of an accepted TOTP code. Only a later step than the
+ * last one is accepted, so each code works once.
+ *
+ * @returns {Promise<{success: boolean, accepted?: boolean, error?: string}>}
+ */
+async function useTwoFactorStep(userId, step) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE users 
+                SET two_factor_last_step = ${step}
+                WHERE id = ${userId} AND (two_factor_last_step IS NULL OR two_factor_last_step < ${step})
+            `;
+            return { success: true, accepted: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Use two-factor step error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.useTwoFactorStep(userId, step);
+    }
+}
+
+// New recovery codes replace all of the user's earlier ones
+async function replaceRecoveryCodes(userId, codeHashes) {
+    if (usePostgres) {
+        try {
+            await sql`DELETE FROM two_factor_recovery_codes WHERE user_id = ${userId}`;
+            for (const codeHash of codeHashes) {
+                await sql`
+                    INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+                    VALUES (${userId}, ${codeHash})
+                `;
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('Replace recovery codes error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.replaceRecoveryCodes(userId, codeHashes);
+    }
+}
+
+// `used` is false when the code is unknown or was used before
+async function consumeRecoveryCode(userId, codeHash) {
+    if (usePostgres) {
+        try {
+            // One statement, so two requests can't both use the same code
+            const result = await sql`
+                UPDATE two_factor_recovery_codes 
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = ${userId} AND code_hash = ${codeHash} AND used_at IS NULL
+            `;
+            return { success: true, used: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Consume recovery code error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.consumeRecoveryCode(userId, codeHash);
+    }
+}
+
+async function countUnusedRecoveryCodes(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT COUNT(*) AS count FROM two_factor_recovery_codes
+                WHERE user_id = ${userId} AND used_at IS NULL
+            `;
+            return { success: true, count: parseInt(result.rows[0].count) || 0 };
+        } catch (error) {
+            console.error('Count recovery codes error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.countUnusedRecoveryCodes(userId);
+    }
+}
+
+// Login challenges: a correct password (or Google sign-in) waiting on a
+// two-factor code. Only a hash of the challenge token is stored.
+async function createLoginChallenge(userId, tokenHash, expiresAt) {
+    if (usePostgres) {
+        try {
+            await sql`
+                INSERT INTO login_challenges (token_hash, user_id, expires_at)
+                VALUES (${tokenHash}, ${userId}, ${expiresAt})
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Create login challenge error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createLoginChallenge(userId, tokenHash, expiresAt);
+    }
+}
+
+/**
+ * Count an attempt at answering a challenge.
+ *
+ * @returns {Promise<{success: boolean, challenge?: {user_id: string, attempts: number}|null, error?: string}>}
+ *   `challenge` is null when the token is unknown or expired
+ */
+async function recordLoginChallengeAttempt(tokenHash) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE login_challenges 
+                SET attempts = attempts + 1
+                WHERE token_hash = ${tokenHash} AND expires_at > CURRENT_TIMESTAMP
+                RETURNING user_id, attempts
+            `;
+            return { success: true, challenge: result.rows[0] || null };
+        } catch (error) {
+            console.error('Record login challenge attempt error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.recordLoginChallengeAttempt(tokenHash);
+    }
+}
+
+// `deleted` is false when another request already answered the challenge
+async function deleteLoginChallenge(tokenHash) {
+    if (usePostgres) {
+        try {
+            const result = await sql`DELETE FROM login_challenges WHERE token_hash = ${tokenHash}`;
+            return { success: true, deleted: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Delete login challenge error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteLoginChallenge(tokenHash);
+    }
+}
+
+// For the cleanup job (lib/session-cleanup.js)
+async function deleteExpiredLoginChallenges(now = new Date()) {
+    if (usePostgres) {
+        try {
+            const result = await sql`DELETE FROM login_challenges WHERE expires_at <= ${now}`;
+            return { success: true, count: result.rowCount };
+        } catch (error) {
+            console.error('Delete expired login challenges error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteExpiredLoginChallenges(now);
+    }
+}
+
+// Menu operations
+async function createMenu(menuData) {
+    if (usePostgres) {
+        return await createMenuPostgres(menuData);
+    } else {
+        return await fileDb.createMenu(menuData);
+    }
+}
+
+async function createMenuPostgres(menuData) {
+    const {
+        id, userId, name, description = null, slug = null, title = null, subtitle = null,
+        backgroundType = 'none', backgroundValue = null, fontFamily = 'Inter', 
+        colorPalette = 'classic', navigationTheme = 'modern', menuLogo = null, logoSize = 'medium',
+        organizationId = null
+    } = menuData;
+    
+    try {
+        const result = await sql`
+            INSERT INTO menus (
+                id, user_id, name, description, slug, title, subtitle,
+                background_type, background_value, font_family, color_palette,
+                navigation_theme, menu_logo, logo_size, organization_id
+            )
+            VALUES (
+                ${id}, ${userId}, ${name}, ${description}, ${slug}, ${title}, ${subtitle},
+                ${backgroundType}, ${backgroundValue}, ${fontFamily}, ${colorPalette},
+                ${navigationTheme}, ${menuLogo}, ${logoSize}, ${organizationId}
+            )
+            RETURNING *
+        `;
+        return { success: true, menu: result.rows[0] };
+    } catch (error) {
+        console.error('Create menu error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Menus in the user's organizations, with their role in each and older
+// menus they created that don't belong to an organization yet
+async function getUserMenus(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT m.*, 
+                    o.name as organization_name,
+                    COALESCE(om.role, 'owner') as role,
+                    COALESCE(
+                        json_agg(
+                            json_build_object(
+                                'id', ms.section_id,
+                                'name', ms.name,
+                                'type', ms.type,
+                                'columns', ms.columns,
+                                'titleColumns', ms.title_columns,
+                                'items', ms.items
+                            ) ORDER BY ms.section_id
+                        ) FILTER (WHERE ms.id IS NOT NULL), 
+                        '[]'::json
+                    ) as sections
+                FROM menus m
+                LEFT JOIN organizations o ON o.id = m.organization_id
+                LEFT JOIN organization_members om ON om.organization_id = m.organization_id AND om.user_id = ${userId}
+                LEFT JOIN menu_sections ms ON m.id = ms.menu_id
+                WHERE m.status != 'deleted'
+                AND (om.user_id IS NOT NULL OR (m.organization_id IS NULL AND m.user_id = ${userId}))
+                GROUP BY m.id, o.name, om.role
+                ORDER BY m.updated_at DESC
+            `;
+            return { success: true, menus: result.rows };
+        } catch (error) {
+            console.error('Get user menus error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getUserMenus(userId);
+    }
+}
+
+async function updateMenu(menuId, updates) {
+    if (usePostgres) {
+        try {
+            const setClause = [];
+            const values = [];
+            let paramCounter = 1;
+            
+            // Build dynamic SET clause
+            for (const [key, value] of Object.entries(updates)) {
+                // Convert camelCase to snake_case for database columns
+                const dbKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+                setClause.push(`${dbKey} = $${paramCounter}`);
+                values.push(value);
+                paramCounter++;
+            }
+            
+            setClause.push(`updated_at = CURRENT_TIMESTAMP`);
+            values.push(menuId);
+            
+            const query = `
+                UPDATE menus 
+                SET ${setClause.join(', ')}
+                WHERE id = $${paramCounter}
+                RETURNING *
+            `;
+            
+            const result = await sql.query(query, values);
+            return { success: true, menu: result.rows[0] };
+        } catch (error) {
+            console.error('Update menu error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.updateMenu(menuId, updates);
+    }
+}
+
+// Menu sections operations
+async function saveMenuSections(menuId, sections) {
+    if (usePostgres) {
+        try {
+            // Delete existing sections
+            await sql`DELETE FROM menu_sections WHERE menu_id = ${menuId}`;
+            
+            // Insert new sections
+            for (const section of sections) {
+                await sql`
+                    INSERT INTO menu_sections (menu_id, section_id, name, type, columns, title_columns, items)
+                    VALUES (
+                        ${menuId}, 
+                        ${section.id}, 
+                        ${section.name}, 
+                        ${section.type},
+                        ${JSON.stringify(section.columns)},
+                        ${JSON.stringify(section.titleColumns || section.columns)},
+                        ${JSON.stringify(section.items || [])}
+                    )
+                `;
+            }
+            
+            return { success: true };
+        } catch (error) {
+            console.error('Save menu sections error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.saveMenuSections(menuId, sections);
+    }
+}
+
+async function getMenuById(menuId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT m.*, 
+                    COALESCE(
+                        json_agg(
+                            json_build_object(
+                                'id', ms.section_id,
+                                'name', ms.name,
+                                'type', ms.type,
+                                'columns', ms.columns,
+                                'titleColumns', ms.title_columns,
+                                'items', ms.items
+                            ) ORDER BY ms.section_id
+                        ) FILTER (WHERE ms.id IS NOT NULL), 
+                        '[]'::json
+                    ) as sections
+                FROM menus m
+                LEFT JOIN menu_sections ms ON m.id = ms.menu_id
+                WHERE m.id = ${menuId}
+                GROUP BY m.id
+            `;
+            return { success: true, menu: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get menu by ID error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getMenuById(menuId);
+    }
+}
+
+// Menu revision operations
+async function createMenuRevision(menuId, reason = 'save', createdBy = null) {
+    if (usePostgres) {
+        return await createMenuRevisionPostgres(menuId, reason, createdBy);
+    } else {
+        return await fileDb.createMenuRevision(menuId, reason, createdBy);
+    }
+}
+
+async function createMenuRevisionPostgres(menuId, reason, createdBy) {
+    try {
+        const menuResult = await getMenuById(menuId);
+        if (!menuResult.success || !menuResult.menu) {
+            return { success: false, error: 'Menu not found' };
+        }
+
+        const snapshot = buildMenuSnapshot(menuResult.menu);
+
+        const latestResult = await sql`
+            SELECT * FROM menu_revisions
+            WHERE menu_id = ${menuId}
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `;
+        const latest = latestResult.rows[0];
+
+        // Every save that changes the menu gets its own revision; identical
+        // saves are skipped so the revision cap isn't spent on them
+        if (latest && reason === 'save') {
+            if (snapshotsEqual(latest.snapshot, snapshot)) {
+                return { success: true, revision: latest, skipped: true };
+            }
+        }
+
+        const result = await sql`
+            INSERT INTO menu_revisions (menu_id, reason, snapshot, created_by)
+            VALUES (${menuId}, ${reason}, ${JSON.stringify(snapshot)}, ${createdBy})
+            RETURNING *
+        `;
+
+        // Prune the oldest revisions beyond the retention limit
+        await sql`
+            DELETE FROM menu_revisions
+            WHERE menu_id = ${menuId}
+            AND id NOT IN (
+                SELECT id FROM menu_revisions
+                WHERE menu_id = ${menuId}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ${MAX_REVISIONS_PER_MENU}
+            )
+        `;
+
+        return { success: true, revision: result.rows[0] };
+    } catch (error) {
+        console.error('Create menu revision error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function getMenuRevisions(menuId) {
+    if (usePostgres) {
+        try {
+            // Summaries only - snapshots can carry large inline images
+            const result = await sql`
+                SELECT id, menu_id, reason, created_by, created_at, updated_at,
+                    jsonb_array_length(snapshot->'sections') as section_count,
+                    (
+                        SELECT COALESCE(SUM(jsonb_array_length(s->'items')), 0)
+                        FROM jsonb_array_elements(snapshot->'sections') s
+                    ) as item_count
+                FROM menu_revisions
+                WHERE menu_id = ${menuId}
+                ORDER BY created_at DESC, id DESC
+            `;
+            return { success: true, revisions: result.rows };
+        } catch (error) {
+            console.error('Get menu revisions error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getMenuRevisions(menuId);
+    }
+}
+
+async function getMenuRevision(menuId, revisionId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM menu_revisions
+                WHERE id = ${revisionId} AND menu_id = ${menuId}
+            `;
+            return { success: true, revision: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get menu revision error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getMenuRevision(menuId, revisionId);
+    }
+}
+
+// Published menu operations
+// Publishing freezes a copy of the menu in published_menus so later draft
+// edits never reach the public page until the menu is published again.
+async function publishMenuSnapshot(menuId, slug, title, subtitle, snapshot) {
+    if (usePostgres) {
+        // The slug check, the new snapshot and retiring the old URL commit
+        // together, so a failed publish leaves the current page online
+        const client = await sql.connect();
+        try {
+            await client.sql`BEGIN`;
+
+            const conflict = await client.sql`
+                SELECT id FROM published_menus
+                WHERE slug = ${slug} AND menu_id != ${menuId}
+                FOR UPDATE
+            `;
+            if (conflict.rows.length > 0) {
+                await client.sql`ROLLBACK`;
+                return { success: false, slugTaken: true, error: 'Slug is already published by another menu' };
+            }
+
+            // The WHERE guards against another menu claiming the slug since the check
+            const result = await client.sql`
+                INSERT INTO published_menus (menu_id, slug, title, subtitle, published_data)
+                VALUES (${menuId}, ${slug}, ${title}, ${subtitle}, ${JSON.stringify(snapshot)})
+                ON CONFLICT (slug) DO UPDATE SET
+                    title = EXCLUDED.title,
+                    subtitle = EXCLUDED.subtitle,
+                    published_data = EXCLUDED.published_data,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE published_menus.menu_id = EXCLUDED.menu_id
+                RETURNING *
+            `;
+            if (result.rows.length === 0) {
+                await client.sql`ROLLBACK`;
+                return { success: false, slugTaken: true, error: 'Slug is already published by another menu' };
+            }
+
+            // The menu moved to a new URL; retire the snapshot at the old one
+            await client.sql`
+                DELETE FROM published_menus
+                WHERE menu_id = ${menuId} AND slug != ${slug}
+            `;
+
+            await client.sql`COMMIT`;
+            return { success: true, publishedMenu: result.rows[0] };
+        } catch (error) {
+            await client.sql`ROLLBACK`.catch(() => {});
+            console.error('Publish menu snapshot error:', error);
+            return { success: false, error: error.message };
+        } finally {
+            client.release();
+        }
+    } else {
+        return await fileDb.publishMenuSnapshot(menuId, slug, title, subtitle, snapshot);
+    }
+}
+
+// A slug is taken while another menu has a snapshot published at it. Pass
+// menuId to ignore that menu's own snapshot, e.g. when republishing.
+async function isSlugPublished(slug, menuId = null) {
+    if (usePostgres) {
+        try {
+            const result = menuId
+                ? await sql`SELECT id FROM published_menus WHERE slug = ${slug} AND menu_id != ${menuId}`
+                : await sql`SELECT id FROM published_menus WHERE slug = ${slug}`;
+            return { success: true, published: result.rows.length > 0 };
+        } catch (error) {
+            console.error('Check published slug error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.isSlugPublished(slug, menuId);
+    }
+}
+
+async function getPublishedMenuBySlug(slug) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT pm.*, u.name as user_name, u.restaurant,
+                       u.business_name, u.business_type, u.phone, u.address, u.city, u.state, u.zip,
+                       u.cuisine, u.website, u.opening_hours, u.show_business_info
+                FROM published_menus pm
+                JOIN menus m ON pm.menu_id = m.id
+                LEFT JOIN users u ON m.user_id = u.id
+                WHERE pm.slug = ${slug} AND m.status = 'published'
+            `;
+            return { success: true, menu: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get published menu by slug error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getPublishedMenuBySlug(slug);
+    }
+}
+
+async function getPublishedMenuByMenuId(menuId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM published_menus WHERE menu_id = ${menuId}
+            `;
+            return { success: true, publishedMenu: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get published menu by menu ID error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getPublishedMenuByMenuId(menuId);
+    }
+}
+
+// Item availability operations
+async function getItemAvailability(menuId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM menu_item_availability WHERE menu_id = ${menuId}
+            `;
+            return { success: true, availability: result.rows };
+        } catch (error) {
+            console.error('Get item availability error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getItemAvailability(menuId);
+    }
+}
+
+async function setItemAvailability(menuId, itemId, status, backAt = null, updatedBy = null) {
+    if (usePostgres) {
+        try {
+            if (status === 'available') {
+                await sql`
+                    DELETE FROM menu_item_availability
+                    WHERE menu_id = ${menuId} AND item_id = ${itemId}
+                `;
+                return { success: true, availability: null };
+            }
+
+            const result = await sql`
+                INSERT INTO menu_item_availability (menu_id, item_id, status, back_at, updated_by)
+                VALUES (${menuId}, ${itemId}, ${status}, ${backAt}, ${updatedBy})
+                ON CONFLICT (menu_id, item_id) DO UPDATE SET
+                    status = EXCLUDED.status,
+                    back_at = EXCLUDED.back_at,
+                    updated_by = EXCLUDED.updated_by,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `;
+            return { success: true, availability: result.rows[0] };
+        } catch (error) {
+            console.error('Set item availability error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setItemAvailability(menuId, itemId, status, backAt, updatedBy);
+    }
+}
+
+// Take a menu offline: drop its public snapshot and published URL
+async function unpublishMenu(menuId) {
+    if (usePostgres) {
+        try {
+            await sql`DELETE FROM published_menus WHERE menu_id = ${menuId}`;
+            const result = await sql`
+                UPDATE menus
+                SET
+                    status = 'draft',
+                    published_slug = NULL,
+                    published_title = NULL,
+                    published_subtitle = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${menuId}
+                RETURNING *
+            `;
+            return { success: true, menu: result.rows[0] || null };
+        } catch (error) {
+            console.error('Unpublish menu error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.unpublishMenu(menuId);
+    }
+}
+
+// Scheduled publish operations
+async function createPublishSchedule(schedule) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                INSERT INTO menu_publish_schedules
+                    (menu_id, action, run_at, slug, title, subtitle, revision_id, snapshot, created_by)
+                VALUES (
+                    ${schedule.menuId}, ${schedule.action}, ${schedule.runAt},
+                    ${schedule.slug || null}, ${schedule.title || null}, ${schedule.subtitle || null},
+                    ${schedule.revisionId || null},
+                    ${schedule.snapshot ? JSON.stringify(schedule.snapshot) : null},
+                    ${schedule.createdBy || null}
+                )
+                RETURNING id, menu_id, action, run_at, slug, title, subtitle, revision_id, status, error, created_at, completed_at
+            `;
+            return { success: true, schedule: result.rows[0] };
+        } catch (error) {
+            console.error('Create publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createPublishSchedule(schedule);
+    }
+}
+
+// Pending schedules plus the last week's finished ones, so failures stay visible
+async function getPublishSchedules(menuId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT id, menu_id, action, run_at, slug, title, subtitle, revision_id, status, error, created_at, completed_at
+                FROM menu_publish_schedules
+                WHERE menu_id = ${menuId}
+                AND (status IN ('pending', 'running') OR completed_at > CURRENT_TIMESTAMP - INTERVAL '7 days')
+                ORDER BY run_at ASC, id ASC
+            `;
+            return { success: true, schedules: result.rows };
+        } catch (error) {
+            console.error('Get publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getPublishSchedules(menuId);
+    }
+}
+
+async function cancelPublishSchedule(menuId, scheduleId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE menu_publish_schedules
+                SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                WHERE id = ${scheduleId} AND menu_id = ${menuId} AND status = 'pending'
+                RETURNING id, menu_id, action, run_at, status
+            `;
+            return { success: true, schedule: result.rows[0] || null };
+        } catch (error) {
+            console.error('Cancel publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.cancelPublishSchedule(menuId, scheduleId);
+    }
+}
+
+// Cancel everything still pending for a menu, e.g. when it is deleted
+async function cancelMenuPublishSchedules(menuId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE menu_publish_schedules
+                SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+                WHERE menu_id = ${menuId} AND status = 'pending'
+            `;
+            return { success: true, cancelled: result.rowCount };
+        } catch (error) {
+            console.error('Cancel menu publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.cancelMenuPublishSchedules(menuId);
+    }
+}
+
+// Mark due schedules as running and return them. SKIP LOCKED keeps two
+// overlapping job runs from picking up the same schedule.
+async function claimDuePublishSchedules(now = new Date()) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE menu_publish_schedules
+                SET status = 'running'
+                WHERE id IN (
+                    SELECT id FROM menu_publish_schedules
+                    WHERE status = 'pending' AND run_at <= ${now.toISOString()}
+                    ORDER BY run_at ASC, id ASC
+                    LIMIT 50
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `;
+            const schedules = result.rows.sort((a, b) => new Date(a.run_at) - new Date(b.run_at) || a.id - b.id);
+            return { success: true, schedules };
+        } catch (error) {
+            console.error('Claim publish schedules error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.claimDuePublishSchedules(now);
+    }
+}
+
+async function completePublishSchedule(scheduleId, status, errorMessage = null) {
+    if (usePostgres) {
+        try {
+            await sql`
+                UPDATE menu_publish_schedules
+                SET status = ${status}, error = ${errorMessage}, completed_at = CURRENT_TIMESTAMP
+                WHERE id = ${scheduleId}
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Complete publish schedule error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.completePublishSchedule(scheduleId, status, errorMessage);
+    }
+}
+
+// Menu analytics operations
+async function incrementMenuAnalytics(menuId, day, counters) {
+    if (usePostgres) {
+        try {
+            for (const counter of counters) {
+                await sql`
+                    INSERT INTO menu_analytics_daily (menu_id, day, metric, bucket, label, count)
+                    VALUES (${menuId}, ${day}, ${counter.metric}, ${counter.bucket}, ${counter.label}, 1)
+                    ON CONFLICT (menu_id, day, metric, bucket) DO UPDATE SET
+                        count = menu_analytics_daily.count + 1,
+                        label = COALESCE(EXCLUDED.label, menu_analytics_daily.label)
+                `;
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('Increment menu analytics error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.incrementMenuAnalytics(menuId, day, counters);
+    }
+}
+
+async function getMenuAnalytics(menuId, fromDay, toDay) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT to_char(day, 'YYYY-MM-DD') as day, metric, bucket, label, count
+                FROM menu_analytics_daily
+                WHERE menu_id = ${menuId} AND day BETWEEN ${fromDay} AND ${toDay}
+                ORDER BY day ASC
+            `;
+            return { success: true, rows: result.rows };
+        } catch (error) {
+            console.error('Get menu analytics error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getMenuAnalytics(menuId, fromDay, toDay);
+    }
+}
+
+// Custom palette operations
+async function getUserPalettes(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT id, user_id, name, colors, created_at, updated_at
+                FROM user_palettes
+                WHERE user_id = ${userId}
+                ORDER BY created_at ASC, id ASC
+            `;
+            return { success: true, palettes: result.rows };
+        } catch (error) {
+            console.error('Get user palettes error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getUserPalettes(userId);
+    }
+}
+
+async function createUserPalette(userId, name, colors) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                INSERT INTO user_palettes (user_id, name, colors)
+                VALUES (${userId}, ${name}, ${JSON.stringify(colors)})
+                RETURNING id, user_id, name, colors, created_at, updated_at
+            `;
+            return { success: true, palette: result.rows[0] };
+        } catch (error) {
+            console.error('Create user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createUserPalette(userId, name, colors);
+    }
+}
+
+// `palette` is null when the account has no palette with this id
+async function updateUserPalette(userId, paletteId, name, colors) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE user_palettes
+                SET name = ${name}, colors = ${JSON.stringify(colors)}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${paletteId} AND user_id = ${userId}
+                RETURNING id, user_id, name, colors, created_at, updated_at
+            `;
+            return { success: true, palette: result.rows[0] || null };
+        } catch (error) {
+            console.error('Update user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.updateUserPalette(userId, paletteId, name, colors);
+    }
+}
+
+async function deleteUserPalette(userId, paletteId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                DELETE FROM user_palettes
+                WHERE id = ${paletteId} AND user_id = ${userId}
+            `;
+            return { success: true, deleted: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Delete user palette error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteUserPalette(userId, paletteId);
+    }
+}
+
+// Uploaded font operations
+async function getUserFonts(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT id, user_id, name, url, created_at
+                FROM user_fonts
+                WHERE user_id = ${userId}
+                ORDER BY created_at ASC, id ASC
+            `;
+            return { success: true, fonts: result.rows };
+        } catch (error) {
+            console.error('Get user fonts error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getUserFonts(userId);
+    }
+}
+
+async function createUserFont(userId, name, url) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                INSERT INTO user_fonts (user_id, name, url)
+                VALUES (${userId}, ${name}, ${url})
+                RETURNING id, user_id, name, url, created_at
+            `;
+            return { success: true, font: result.rows[0] };
+        } catch (error) {
+            console.error('Create user font error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createUserFont(userId, name, url);
+    }
+}
+
+// The file stays in storage: published menus keep their own copy of the URL
+async function deleteUserFont(userId, fontId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                DELETE FROM user_fonts
+                WHERE id = ${fontId} AND user_id = ${userId}
+            `;
+            return { success: true, deleted: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Delete user font error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteUserFont(userId, fontId);
+    }
+}
+
+// Organization operations (teams that share menus)
+async function createOrganization(organizationId, name, ownerId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                INSERT INTO organizations (id, name, created_by)
+                VALUES (${organizationId}, ${name}, ${ownerId})
+                RETURNING *
+            `;
+            await sql`
+                INSERT INTO organization_members (organization_id, user_id, role)
+                VALUES (${organizationId}, ${ownerId}, 'owner')
+            `;
+            return { success: true, organization: { ...result.rows[0], role: 'owner', member_count: 1 } };
+        } catch (error) {
+            console.error('Create organization error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createOrganization(organizationId, name, ownerId);
+    }
+}
+
+// Organizations the user belongs to, with their role in each, oldest first
+async function getUserOrganizations(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT o.*, om.role,
+                    (SELECT COUNT(*)::int FROM organization_members c WHERE c.organization_id = o.id) as member_count
+                FROM organizations o
+                JOIN organization_members om ON om.organization_id = o.id
+                WHERE om.user_id = ${userId}
+                ORDER BY o.created_at ASC
+            `;
+            return { success: true, organizations: result.rows };
+        } catch (error) {
+            console.error('Get user organizations error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getUserOrganizations(userId);
+    }
+}
+
+async function getOrganizationById(organizationId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`SELECT * FROM organizations WHERE id = ${organizationId}`;
+            return { success: true, organization: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get organization error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getOrganizationById(organizationId);
+    }
+}
+
+async function renameOrganization(organizationId, name) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE organizations 
+                SET name = ${name}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${organizationId}
+                RETURNING *
+            `;
+            return { success: true, organization: result.rows[0] || null };
+        } catch (error) {
+            console.error('Rename organization error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.renameOrganization(organizationId, name);
+    }
+}
+
+async function getOrganizationMember(organizationId, userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM organization_members 
+                WHERE organization_id = ${organizationId} AND user_id = ${userId}
+            `;
+            return { success: true, member: result.rows[0] || null };
+        } catch (error) {
+            console.error('Get organization member error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getOrganizationMember(organizationId, userId);
+    }
+}
+
+// Members with their names and email addresses, owners first
+async function getOrganizationMembers(organizationId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT om.user_id, om.role, om.created_at, u.name, u.email, u.avatar
+                FROM organization_members om
+                JOIN users u ON u.id = om.user_id
+                WHERE om.organization_id = ${organizationId}
+                ORDER BY CASE om.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END, om.created_at ASC
+            `;
+            return { success: true, members: result.rows };
+        } catch (error) {
+            console.error('Get organization members error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getOrganizationMembers(organizationId);
+    }
+}
+
+async function setOrganizationMemberRole(organizationId, userId, role) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE organization_members 
+                SET role = ${role}
+                WHERE organization_id = ${organizationId} AND user_id = ${userId}
+            `;
+            return { success: true, updated: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Set organization member role error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setOrganizationMemberRole(organizationId, userId, role);
+    }
+}
+
+async function removeOrganizationMember(organizationId, userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                DELETE FROM organization_members 
+                WHERE organization_id = ${organizationId} AND user_id = ${userId}
+            `;
+            return { success: true, removed: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Remove organization member error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.removeOrganizationMember(organizationId, userId);
+    }
+}
+
+// Inviting an address again replaces its pending invitation
+async function createOrganizationInvitation(invitation) {
+    const { organizationId, email, role, tokenHash, invitedBy, expiresAt } = invitation;
+
+    if (usePostgres) {
+        try {
+            await sql`
+                DELETE FROM organization_invitations 
+                WHERE organization_id = ${organizationId} AND email = ${email} AND accepted_at IS NULL
+            `;
+            const result = await sql`
+                INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+                VALUES (${organizationId}, ${email}, ${role}, ${tokenHash}, ${invitedBy}, ${expiresAt})
+                RETURNING *
+            `;
+            return { success: true, invitation: result.rows[0] };
+        } catch (error) {
+            console.error('Create organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createOrganizationInvitation(invitation);
+    }
+}
+
+// Invitations that have been neither accepted nor left to expire
+async function getOrganizationInvitations(organizationId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM organization_invitations 
+                WHERE organization_id = ${organizationId} AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                ORDER BY created_at ASC
+            `;
+            return { success: true, invitations: result.rows };
+        } catch (error) {
+            console.error('Get organization invitations error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getOrganizationInvitations(organizationId);
+    }
+}
+
+async function deleteOrganizationInvitation(organizationId, invitationId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                DELETE FROM organization_invitations 
+                WHERE id = ${invitationId} AND organization_id = ${organizationId} AND accepted_at IS NULL
+            `;
+            return { success: true, deleted: result.rowCount > 0 };
+        } catch (error) {
+            console.error('Delete organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteOrganizationInvitation(organizationId, invitationId);
+    }
+}
+
+/**
+ * Use up an invitation for a user. The invitation must be pending, unexpired
+ * and addressed to `email`.
+ *
+ * @returns {Promise<{success: boolean, invitation?: Object|null, alreadyMember?: boolean, error?: string}>}
+ *   `invitation` is null when no usable invitation matches
+ */
+async function acceptOrganizationInvitation(tokenHash, userId, email) {
+    if (usePostgres) {
+        try {
+            // One statement, so the same link can't be used twice
+            const result = await sql`
+                UPDATE organization_invitations 
+                SET accepted_at = CURRENT_TIMESTAMP
+                WHERE token_hash = ${tokenHash} AND email = ${email}
+                AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                RETURNING *
+            `;
+            const invitation = result.rows[0];
+            if (!invitation) {
+                return { success: true, invitation: null };
+            }
+
+            // Existing members keep their role
+            const memberResult = await sql`
+                INSERT INTO organization_members (organization_id, user_id, role)
+                VALUES (${invitation.organization_id}, ${userId}, ${invitation.role})
+                ON CONFLICT (organization_id, user_id) DO NOTHING
+            `;
+            return { success: true, invitation, alreadyMember: memberResult.rowCount === 0 };
+        } catch (error) {
+            console.error('Accept organization invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.acceptOrganizationInvitation(tokenHash, userId, email);
+    }
+}
+
+// Move menus a user created before organizations existed into one
+async function assignUserMenusToOrganization(userId, organizationId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE menus 
+                SET organization_id = ${organizationId}
+                WHERE user_id = ${userId} AND organization_id IS NULL
+            `;
+            return { success: true, count: result.rowCount };
+        } catch (error) {
+            console.error('Assign menus to organization error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.assignUserMenusToOrganization(userId, organizationId);
+    }
+}
+
+async function setMenuOrganization(menuId, organizationId) {
+    if (usePostgres) {
+        try {
+            await sql`
+                UPDATE menus 
+                SET organization_id = ${organizationId}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${menuId}
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Set menu organization error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setMenuOrganization(menuId, organizationId);
     }
 }
 
 // Session operations (for authentication)
-async function createSession(sessionId, userId, expiresAt) {
+async function createSession(sessionId, userId, expiresAt, metadata = {}) {
+    const { userAgent = null, ipAddress = null } = metadata;
     if (usePostgres) {
         try {
             await sql`
-                INSERT INTO user_sessions (id, user_id, expires_at)
-                VALUES (${sessionId}, ${userId}, ${expiresAt})
+                INSERT INTO user_sessions (id, user_id, expires_at, user_agent, ip_address, last_seen_at)
+                VALUES (${sessionId}, ${userId}, ${expiresAt}, ${userAgent}, ${ipAddress}, CURRENT_TIMESTAMP)
             `;
             return true;
         } catch (error) {
@@ -417,10 +2037,11 @@ async function createSession(sessionId, userId, expiresAt) {
             return false;
         }
     } else {
-        return await fileDb.createSession(sessionId, userId, expiresAt);
+        return await fileDb.createSession(sessionId, userId, expiresAt, metadata);
     }
 }
 
+// A valid session, pushed forward to expire SESSION_TTL_MS from now (see lib/sessions.js)
 async function getSession(sessionId) {
     if (usePostgres) {
         try {
@@ -428,7 +2049,18 @@ async function getSession(sessionId) {
                 SELECT * FROM user_sessions 
                 WHERE id = ${sessionId} AND expires_at > CURRENT_TIMESTAMP
             `;
-            return result.rows[0] || null;
+            const session = result.rows[0] || null;
+
+            if (session && shouldRefreshSession(session)) {
+                const refreshed = await sql`
+                    UPDATE user_sessions
+                    SET last_seen_at = CURRENT_TIMESTAMP, expires_at = ${getSessionExpiry()}
+                    WHERE id = ${sessionId}
+                    RETURNING *
+                `;
+                return refreshed.rows[0] ? { ...refreshed.rows[0], refreshed: true } : session;
+            }
+            return session;
         } catch (error) {
             console.error('Get session error:', error);
             return null;
@@ -438,6 +2070,25 @@ async function getSession(sessionId) {
     }
 }
 
+// The user's unexpired sessions, most recently used first
+async function getUserSessions(userId) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT * FROM user_sessions
+                WHERE user_id = ${userId} AND expires_at > CURRENT_TIMESTAMP
+                ORDER BY COALESCE(last_seen_at, created_at) DESC
+            `;
+            return { success: true, sessions: result.rows };
+        } catch (error) {
+            console.error('Get user sessions error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getUserSessions(userId);
+    }
+}
+
 async function deleteSession(sessionId) {
     if (usePostgres) {
         try {
@@ -452,6 +2103,41 @@ async function deleteSession(sessionId) {
     }
 }
 
+// Sign a user out everywhere, e.g. after a password reset, or everywhere but
+// the session in `exceptSessionId`
+async function deleteUserSessions(userId, exceptSessionId = null) {
+    if (usePostgres) {
+        try {
+            if (exceptSessionId) {
+                await sql`DELETE FROM user_sessions WHERE user_id = ${userId} AND id != ${exceptSessionId}`;
+            } else {
+                await sql`DELETE FROM user_sessions WHERE user_id = ${userId}`;
+            }
+            return true;
+        } catch (error) {
+            console.error('Delete user sessions error:', error);
+            return false;
+        }
+    } else {
+        return await fileDb.deleteUserSessions(userId, exceptSessionId);
+    }
+}
+
+// For the cleanup job (lib/session-cleanup.js)
+async function deleteExpiredSessions(now = new Date()) {
+    if (usePostgres) {
+        try {
+            const result = await sql`DELETE FROM user_sessions WHERE expires_at <= ${now}`;
+            return { success: true, count: result.rowCount };
+        } catch (error) {
+            console.error('Delete expired sessions error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.deleteExpiredSessions(now);
+    }
+}
+
 // Admin operations
 async function getAllUsers() {
     if (usePostgres) {
@@ -475,18 +2161,149 @@ async function getAllUsers() {
     }
 }
 
+async function setUserAdmin(userId, isAdmin) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                UPDATE users 
+                SET is_admin = ${isAdmin}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${userId}
+                RETURNING *
+            `;
+            return { success: true, user: result.rows[0] || null };
+        } catch (error) {
+            console.error('Set user admin error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.setUserAdmin(userId, isAdmin);
+    }
+}
+
+/**
+ * @param {Object} entry
+ * @param {string|null} entry.adminUserId - null for the command line
+ * @param {string} entry.action - e.g. 'users.list' or 'user.admin_granted'
+ * @param {string} [entry.targetType]
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.details]
+ * @param {string} [entry.ipAddress]
+ */
+async function createAdminAuditEntry({ adminUserId, action, targetType = null, targetId = null, details = null, ipAddress = null }) {
+    if (usePostgres) {
+        try {
+            await sql`
+                INSERT INTO admin_audit_log (admin_user_id, action, target_type, target_id, details, ip_address)
+                VALUES (${adminUserId}, ${action}, ${targetType}, ${targetId}, ${details ? JSON.stringify(details) : null}, ${ipAddress})
+            `;
+            return { success: true };
+        } catch (error) {
+            console.error('Create admin audit entry error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.createAdminAuditEntry({ adminUserId, action, targetType, targetId, details, ipAddress });
+    }
+}
+
+// Newest first, with the acting admin's name and email
+async function getAdminAuditLog(limit = 100) {
+    if (usePostgres) {
+        try {
+            const result = await sql`
+                SELECT l.*, u.name AS admin_name, u.email AS admin_email
+                FROM admin_audit_log l
+                LEFT JOIN users u ON u.id = l.admin_user_id
+                ORDER BY l.created_at DESC, l.id DESC
+                LIMIT ${limit}
+            `;
+            return { success: true, entries: result.rows };
+        } catch (error) {
+            console.error('Get admin audit log error:', error);
+            return { success: false, error: error.message };
+        }
+    } else {
+        return await fileDb.getAdminAuditLog(limit);
+    }
+}
+
 module.exports = {
     initializeDatabase,
     createUser,
     getUserByEmail,
     getUserById,
     updateUserLastActive,
+    updateUserProfile,
+    updateUserPassword,
+    markEmailVerified,
+    createPasswordResetToken,
+    consumePasswordResetToken,
+    createEmailVerificationToken,
+    consumeEmailVerificationToken,
+    setTwoFactorSecret,
+    enableTwoFactor,
+    disableTwoFactor,
+    setTwoFactorGoogleRequirement,
+    useTwoFactorStep,
+    replaceRecoveryCodes,
+    consumeRecoveryCode,
+    countUnusedRecoveryCodes,
+    createLoginChallenge,
+    recordLoginChallengeAttempt,
+    deleteLoginChallenge,
+    deleteExpiredLoginChallenges,
     createMenu,
     getUserMenus,
     updateMenu,
     saveMenuSections,
+    getMenuById,
+    createMenuRevision,
+    getMenuRevisions,
+    getMenuRevision,
+    publishMenuSnapshot,
+    isSlugPublished,
+    getPublishedMenuBySlug,
+    getPublishedMenuByMenuId,
+    getItemAvailability,
+    setItemAvailability,
+    unpublishMenu,
+    createPublishSchedule,
+    getPublishSchedules,
+    cancelPublishSchedule,
+    cancelMenuPublishSchedules,
+    claimDuePublishSchedules,
+    completePublishSchedule,
+    incrementMenuAnalytics,
+    getMenuAnalytics,
+    getUserPalettes,
+    createUserPalette,
+    updateUserPalette,
+    deleteUserPalette,
+    getUserFonts,
+    createUserFont,
+    deleteUserFont,
+    createOrganization,
+    getUserOrganizations,
+    getOrganizationById,
+    renameOrganization,
+    getOrganizationMember,
+    getOrganizationMembers,
+    setOrganizationMemberRole,
+    removeOrganizationMember,
+    createOrganizationInvitation,
+    getOrganizationInvitations,
+    deleteOrganizationInvitation,
+    acceptOrganizationInvitation,
+    assignUserMenusToOrganization,
+    setMenuOrganization,
     createSession,
     getSession,
+    getUserSessions,
     deleteSession,
-    getAllUsers
+    deleteUserSessions,
+    deleteExpiredSessions,
+    getAllUsers,
+    setUserAdmin,
+    createAdminAuditEntry,
+    getAdminAuditLog
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Server-side processing and storage for menu item photos.
+// Every upload is re-encoded here, so orientation, size, format and
+// metadata never depend on what the browser sent.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ITEM_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Upload limit before processing (request bodies on Vercel top out around 4.5MB)
+const MAX_ITEM_PHOTO_BYTES = 3 * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 240;
+const FULL_MAX_DIMENSION = 1600;
+const WEBP_QUALITY = 80;
+
+const LOCAL_PHOTOS_DIR = path.join(__dirname, '..', 'uploads', 'items');
+
+/**
+ * Decode and re-encode an uploaded photo as a square thumbnail and a
+ * full-size image, both WebP. EXIF orientation is applied before the
+ * metadata (GPS, camera details) is dropped.
+ *
+ * @param {Buffer} buffer - Original image bytes
+ * @returns {Promise<{thumbnail: Buffer, full: Buffer, width: number, height: number}>}
+ */
+async function processItemPhoto(buffer) {
+    // limitInputPixels guards against decompression bombs
+    const source = sharp(buffer, { limitInputPixels: 40000000 }).rotate();
+
+    const thumbnail = await source
+        .clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer();
+
+    const { data: full, info } = await source
+        .clone()
+        .resize(FULL_MAX_DIMENSION, FULL_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+    return { thumbnail, full, width: info.width, height: info.height };
+}
+
+// Vercel Blob when configured, otherwise uploads/items for the local server
+async function storeFile(key, buffer) {
+    if (process.env.BLOB_READ_WRITE_TOKEN) {
+        const { put } = require('@vercel/blob');
+        const blob = await put(`items/${key}`, buffer, {
+            access: 'public',
+            contentType: 'image/webp',
+            addRandomSuffix: false
+        });
+        return blob.url;
+    }
+
+    const filePath = path.join(LOCAL_PHOTOS_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `/uploads/items/${key}`;
+}
+
+/**
+ * Process and store a photo for one menu item.
+ *
+ * @returns {Promise<{thumbnail: string, full: string, width: number, height: number}>} Public URLs and full-size dimensions
+ */
+async function saveItemPhoto(menuId, itemId, buffer) {
+    const processed = await processItemPhoto(buffer);
+    const safe = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '');
+    // A fresh name per upload so cached copies of a replaced photo are never served
+    const baseName = `${safe(menuId)}/${safe(itemId)}-${crypto.randomBytes(6).toString('hex')}`;
+
+    const [thumbnail, full] = await Promise.all([
+        storeFile(`${baseName}-thumb.webp`, processed.thumbnail),
+        storeFile(`${baseName}-full.webp`, processed.full)
+    ]);
+
+    return { thumbnail, full, width: processed.width, height: processed.height };
+}
+
+module.exports = {
+    ITEM_PHOTO_TYPES,
+    MAX_ITEM_PHOTO_BYTES,
+    processItemPhoto,
+    saveItemPhoto
+};
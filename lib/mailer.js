@@ -0,0 +1,122 @@
+// Outgoing email. The transport is picked from the environment:
+//
+//   MAIL_TRANSPORT=smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=file     .eml files written to MAIL_OUTBOX_DIR (default data/outbox)
+//   MAIL_TRANSPORT=console  messages printed to the server log
+//
+// Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set and the console
+// otherwise, so local development never needs a mail server.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_FROM = 'MyMobileMenu <no-reply@mymobilemenu.com>';
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+function createSmtpTransport() {
+    const nodemailer = require('nodemailer');
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // Implicit TLS on 465; other ports upgrade with STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+// Each message becomes an .eml file any mail client can open
+function createFileTransport() {
+    const nodemailer = require('nodemailer');
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+            const filePath = path.join(outboxDir, fileName);
+
+            await fs.mkdir(outboxDir, { recursive: true });
+            await fs.writeFile(filePath, info.message);
+            console.log(`📧 Email to ${message.to} saved to ${filePath}`);
+            return { messageId: info.messageId, path: filePath };
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log([
+                '📧 Email (console transport)',
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                '',
+                message.text
+            ].join('\n'));
+            return { messageId: null };
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+function getMailTransport() {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        const create = TRANSPORTS[name];
+        if (!create) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = create();
+    }
+    return transport;
+}
+
+// Swap the transport, e.g. for a provider's HTTP API; `null` goes back to the environment's
+function setMailTransport(customTransport) {
+    transport = customTransport;
+}
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ * @returns {Promise<{messageId: string|null}>}
+ */
+async function sendMail(message) {
+    return getMailTransport().send({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        ...message
+    });
+}
+
+module.exports = {
+    sendMail,
+    getMailTransport,
+    setMailTransport
+};
@@ -0,0 +1,138 @@
+// First-party menu analytics. The published page sends a beacon when it is
+// opened and another with the sections the guest scrolled to; each becomes a
+// handful of per-menu, per-day counters. Nothing identifies a guest: there
+// are no cookies, and IP addresses and user agents are never stored.
+
+const MenuSchedule = require('../menu-schedule');
+
+const ANALYTICS_SOURCES = ['qr', 'direct', 'link'];
+const ANALYTICS_DEVICES = ['mobile', 'tablet', 'desktop'];
+const ANALYTICS_RANGES = [7, 30, 90];
+const MAX_SECTIONS_PER_BEACON = 50;
+const TOP_SECTIONS = 10;
+
+// Crawlers and link-preview fetchers that run scripts
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|headless|lighthouse|facebookexternalhit/i;
+
+function isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * The calendar day a moment falls on in the restaurant's timezone, so a
+ * late dinner rush is counted on the right day.
+ *
+ * @param {Date} date
+ * @param {string} [timezone] - IANA name; UTC when missing or unknown
+ * @returns {string} YYYY-MM-DD
+ */
+function getAnalyticsDay(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone && MenuSchedule.isValidTimezone(timezone) ? timezone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// The `count` days ending on `lastDay`, oldest first
+function getDayRange(lastDay, count) {
+    const end = new Date(`${lastDay}T00:00:00Z`);
+    return Array.from({ length: count }, (_, index) => {
+        const day = new Date(end);
+        day.setUTCDate(end.getUTCDate() - (count - 1 - index));
+        return day.toISOString().slice(0, 10);
+    });
+}
+
+/**
+ * Counters to add for a beacon from the published page.
+ *
+ * @param {Object} beacon - { type: 'view', source, device } or { type: 'sections', sections: [id] }
+ * @param {Array} sections - The served menu's sections, to check ids and name them
+ * @returns {{counters?: Array<{metric: string, bucket: string, label: string|null}>, error?: string}}
+ */
+function getBeaconCounters(beacon, sections) {
+    if (beacon.type === 'view') {
+        const source = ANALYTICS_SOURCES.includes(beacon.source) ? beacon.source : 'direct';
+        const device = ANALYTICS_DEVICES.includes(beacon.device) ? beacon.device : 'desktop';
+        return {
+            counters: [
+                { metric: 'views', bucket: '', label: null },
+                { metric: 'source', bucket: source, label: null },
+                { metric: 'device', bucket: device, label: null }
+            ]
+        };
+    }
+
+    if (beacon.type === 'sections') {
+        if (!Array.isArray(beacon.sections) || beacon.sections.length > MAX_SECTIONS_PER_BEACON) {
+            return { error: 'Sections must be a list of section IDs' };
+        }
+
+        // Named from the published menu, so every language counts toward the same section
+        const seen = new Set(beacon.sections.map(String));
+        return {
+            counters: sections
+                .filter(section => seen.has(String(section.id)))
+                .map(section => ({ metric: 'section', bucket: String(section.id), label: section.name || null }))
+        };
+    }
+
+    return { error: 'Unknown event type' };
+}
+
+/**
+ * Shape stored counters for the editor's dashboard.
+ *
+ * @param {Array<{day: string, metric: string, bucket: string, label: string|null, count: number}>} rows
+ * @param {Array<string>} days - From getDayRange
+ * @returns {Object}
+ */
+function summarizeAnalytics(rows, days) {
+    const viewsByDay = Object.fromEntries(days.map(day => [day, 0]));
+    const sources = Object.fromEntries(ANALYTICS_SOURCES.map(source => [source, 0]));
+    const devices = Object.fromEntries(ANALYTICS_DEVICES.map(device => [device, 0]));
+    const sections = new Map();
+
+    rows.forEach(row => {
+        const count = Number(row.count) || 0;
+        if (row.metric === 'views' && viewsByDay[row.day] !== undefined) {
+            viewsByDay[row.day] += count;
+        } else if (row.metric === 'source' && sources[row.bucket] !== undefined) {
+            sources[row.bucket] += count;
+        } else if (row.metric === 'device' && devices[row.bucket] !== undefined) {
+            devices[row.bucket] += count;
+        } else if (row.metric === 'section') {
+            const section = sections.get(row.bucket) || { id: row.bucket, name: row.label, views: 0 };
+            section.views += count;
+            // Rows are oldest first, so the newest name wins
+            if (row.label) section.name = row.label;
+            sections.set(row.bucket, section);
+        }
+    });
+
+    const daily = days.map(day => ({ day, views: viewsByDay[day] }));
+    return {
+        from: days[0],
+        to: days[days.length - 1],
+        totalViews: daily.reduce((sum, entry) => sum + entry.views, 0),
+        daily,
+        sources,
+        devices,
+        sections: [...sections.values()]
+            .sort((a, b) => b.views - a.views)
+            .slice(0, TOP_SECTIONS)
+    };
+}
+
+module.exports = {
+    ANALYTICS_SOURCES,
+    ANALYTICS_DEVICES,
+    ANALYTICS_RANGES,
+    isBot,
+    getAnalyticsDay,
+    getDayRange,
+    getBeaconCounters,
+    summarizeAnalytics
+};
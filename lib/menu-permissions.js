@@ -0,0 +1,91 @@
+// Who can do what with a menu. A menu belongs to an organization, and a
+// member's role there decides what they can do with all of its menus. Menus
+// from before organizations existed belong to the account that created them
+// until they join its organization.
+
+const { getMenuById, getOrganizationMember } = require('./hybrid-database');
+
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'edit', 'publish', 'delete', 'share'],
+    editor: ['view', 'edit', 'publish'],
+    viewer: ['view']
+};
+
+// For errors, e.g. "Viewers can't edit this menu"
+const ACTION_DESCRIPTIONS = {
+    view: 'view this menu',
+    edit: 'edit this menu',
+    publish: 'publish this menu',
+    delete: 'delete this menu',
+    share: 'change who can access this menu'
+};
+
+function can(role, action) {
+    return Boolean(role && ROLE_PERMISSIONS[role]?.includes(action));
+}
+
+/**
+ * The user's role for a menu row.
+ *
+ * @returns {Promise<string|null>} 'owner', 'editor', 'viewer', or null for no access
+ */
+async function getMenuRole(menu, userId) {
+    if (!menu.organization_id) {
+        return menu.user_id === userId ? 'owner' : null;
+    }
+
+    const memberResult = await getOrganizationMember(menu.organization_id, userId);
+    if (!memberResult.success) {
+        throw new Error(memberResult.error);
+    }
+    return memberResult.member?.role || null;
+}
+
+/**
+ * Check that a user may do something with a menu. Menus the user can't see
+ * at all are reported as not found, so IDs of other teams' menus reveal nothing.
+ *
+ * @param {string} menuId
+ * @param {string} userId
+ * @param {string} action - 'view', 'edit', 'publish', 'delete' or 'share'
+ * @returns {Promise<{allowed: boolean, menu?: Object, role?: string, status?: number, error?: string}>}
+ *   When not allowed, `status` and `error` are ready to send
+ */
+async function authorizeMenu(menuId, userId, action) {
+    const menuResult = await getMenuById(menuId);
+    if (!menuResult.success) {
+        return { allowed: false, status: 500, error: 'Database error' };
+    }
+
+    const menu = menuResult.menu;
+    const role = menu ? await getMenuRole(menu, userId) : null;
+    if (!role) {
+        return { allowed: false, status: 404, error: 'Menu not found' };
+    }
+
+    if (!can(role, action)) {
+        return {
+            allowed: false,
+            status: 403,
+            error: `${role.charAt(0).toUpperCase()}${role.slice(1)}s can't ${ACTION_DESCRIPTIONS[action]}`
+        };
+    }
+
+    return { allowed: true, menu, role };
+}
+
+// Whether two menus belong to the same team (or, before organizations, the same account)
+function sameMenuOwner(menu, otherMenu) {
+    if (menu.organization_id || otherMenu.organization_id) {
+        return menu.organization_id === otherMenu.organization_id;
+    }
+    return menu.user_id === otherMenu.user_id;
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    can,
+    getMenuRole,
+    authorizeMenu,
+    sameMenuOwner
+};
@@ -0,0 +1,201 @@
+// Helpers for building and comparing point-in-time copies of a menu.
+// Rows come from PostgreSQL (snake_case columns) or the file database
+// (camelCase fields as sent by the API), so both spellings are accepted.
+
+// Keep at most this many revisions per menu; older ones are pruned
+const MAX_REVISIONS_PER_MENU = 50;
+
+// 'available' is stored as the absence of an entry
+const ITEM_AVAILABILITY_STATUSES = ['available', 'sold_out', 'hidden'];
+
+const SNAPSHOT_FIELDS = [
+    ['name', 'name'],
+    ['title', 'title'],
+    ['subtitle', 'subtitle'],
+    ['sectionCounter', 'section_counter'],
+    ['backgroundType', 'background_type'],
+    ['backgroundValue', 'background_value'],
+    ['fontFamily', 'font_family'],
+    ['headingFont', 'heading_font'],
+    ['customFonts', 'custom_fonts'],
+    ['colorPalette', 'color_palette'],
+    ['customPalette', 'custom_palette'],
+    ['navigationTheme', 'navigation_theme'],
+    ['menuLayout', 'menu_layout'],
+    ['sectionLayouts', 'section_layouts'],
+    ['menuLogo', 'menu_logo'],
+    ['logoSize', 'logo_size'],
+    ['schedule', 'schedule'],
+    ['translations', 'translations']
+];
+
+function readField(menu, camelKey, snakeKey) {
+    if (menu[snakeKey] !== undefined) return menu[snakeKey];
+    if (menu[camelKey] !== undefined) return menu[camelKey];
+    return null;
+}
+
+function normalizeSection(section) {
+    return {
+        id: section.id,
+        name: section.name,
+        type: section.type,
+        columns: section.columns || [],
+        titleColumns: section.titleColumns || section.title_columns || section.columns || [],
+        items: section.items || []
+    };
+}
+
+/**
+ * Build a plain snapshot of a menu's content and styling.
+ * @param {Object} menu - Menu row, optionally with a `sections` array
+ * @param {Array} [sections] - Sections to use instead of `menu.sections`
+ * @returns {Object} Snapshot with camelCase fields and normalized sections
+ */
+function buildMenuSnapshot(menu, sections = menu.sections) {
+    const snapshot = {};
+    for (const [camelKey, snakeKey] of SNAPSHOT_FIELDS) {
+        snapshot[camelKey] = readField(menu, camelKey, snakeKey);
+    }
+    snapshot.sections = (sections || []).map(normalizeSection);
+    return snapshot;
+}
+
+/**
+ * Short human-readable summary used in revision lists.
+ * @param {Object} snapshot
+ * @returns {{sectionCount: number, itemCount: number}}
+ */
+function summarizeSnapshot(snapshot) {
+    const sections = snapshot.sections || [];
+    return {
+        sectionCount: sections.length,
+        itemCount: sections.reduce((sum, section) => sum + (section.items || []).length, 0)
+    };
+}
+
+function snapshotsEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two snapshots field by field and section by section.
+ * Sections are matched by id; items are matched by position.
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} Structured diff
+ */
+function diffMenuSnapshots(before, after) {
+    const fields = [];
+    for (const [camelKey] of SNAPSHOT_FIELDS) {
+        if (!snapshotsEqual(before[camelKey], after[camelKey])) {
+            fields.push({ field: camelKey, before: before[camelKey], after: after[camelKey] });
+        }
+    }
+
+    const beforeSections = new Map((before.sections || []).map(s => [s.id, s]));
+    const afterSections = new Map((after.sections || []).map(s => [s.id, s]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [id, section] of afterSections) {
+        if (!beforeSections.has(id)) {
+            added.push({ id, name: section.name, itemCount: section.items.length });
+        }
+    }
+
+    for (const [id, oldSection] of beforeSections) {
+        const newSection = afterSections.get(id);
+        if (!newSection) {
+            removed.push({ id, name: oldSection.name, itemCount: oldSection.items.length });
+            continue;
+        }
+
+        const sectionChanges = diffSections(oldSection, newSection);
+        if (sectionChanges) {
+            changed.push({ id, name: newSection.name, ...sectionChanges });
+        }
+    }
+
+    return {
+        hasChanges: fields.length > 0 || added.length > 0 || removed.length > 0 || changed.length > 0,
+        fields,
+        sections: { added, removed, changed }
+    };
+}
+
+function diffSections(oldSection, newSection) {
+    const changes = {};
+
+    if (oldSection.name !== newSection.name) {
+        changes.renamed = { before: oldSection.name, after: newSection.name };
+    }
+
+    const columnsAdded = newSection.columns.filter(col => !oldSection.columns.includes(col));
+    const columnsRemoved = oldSection.columns.filter(col => !newSection.columns.includes(col));
+    if (columnsAdded.length > 0) changes.columnsAdded = columnsAdded;
+    if (columnsRemoved.length > 0) changes.columnsRemoved = columnsRemoved;
+
+    const itemsChanged = [];
+    const sharedLength = Math.min(oldSection.items.length, newSection.items.length);
+    for (let index = 0; index < sharedLength; index++) {
+        if (!snapshotsEqual(oldSection.items[index], newSection.items[index])) {
+            itemsChanged.push({ index, before: oldSection.items[index], after: newSection.items[index] });
+        }
+    }
+    if (itemsChanged.length > 0) changes.itemsChanged = itemsChanged;
+
+    if (newSection.items.length > oldSection.items.length) {
+        changes.itemsAdded = newSection.items.slice(sharedLength);
+    } else if (oldSection.items.length > newSection.items.length) {
+        changes.itemsRemoved = oldSection.items.slice(sharedLength);
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Overlay live item availability onto published sections.
+ * Hidden items are dropped; sold-out items get an `availability` field.
+ * Entries whose "back at" time has passed are ignored.
+ * @param {Array} sections - Sections from a published snapshot
+ * @param {Array} availability - Rows with item_id, status and back_at
+ * @param {Date} [now]
+ * @returns {Array} New sections array
+ */
+function applyItemAvailability(sections, availability, now = new Date()) {
+    const active = new Map();
+    for (const entry of availability || []) {
+        if (!entry.back_at || new Date(entry.back_at) > now) {
+            active.set(entry.item_id, entry);
+        }
+    }
+
+    if (active.size === 0) return sections;
+
+    return sections.map(section => ({
+        ...section,
+        items: (section.items || []).reduce((items, item) => {
+            const entry = item._id ? active.get(item._id) : null;
+            if (!entry) {
+                items.push(item);
+            } else if (entry.status === 'sold_out') {
+                items.push({ ...item, availability: { status: 'sold_out', backAt: entry.back_at || null } });
+            }
+            return items;
+        }, [])
+    }));
+}
+
+module.exports = {
+    MAX_REVISIONS_PER_MENU,
+    ITEM_AVAILABILITY_STATUSES,
+    SNAPSHOT_FIELDS,
+    buildMenuSnapshot,
+    summarizeSnapshot,
+    snapshotsEqual,
+    diffMenuSnapshots,
+    applyItemAvailability
+};
@@ -0,0 +1,163 @@
+// schema.org Menu structured data (JSON-LD) for published menus, so search
+// engines can show the menu, prices and the restaurant's details. Items are
+// read with the same column rules the page renders them with.
+
+const MenuRender = require('../menu-render');
+const MenuTags = require('../menu-tags');
+const { BUSINESS_TYPES } = require('./business-profile');
+
+const SCHEMA_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Diet tags with a schema.org RestrictedDiet value (there is none for dairy-free)
+const SCHEMA_DIETS = {
+    vegan: 'https://schema.org/VeganDiet',
+    vegetarian: 'https://schema.org/VegetarianDiet',
+    'gluten-free': 'https://schema.org/GlutenFreeDiet'
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+/**
+ * The amount and currency in a price cell, e.g. "$12.50" or "9,50 EUR".
+ *
+ * @returns {{price: string, priceCurrency?: string}|null} null when there is no amount ("Market price")
+ */
+function parsePrice(value) {
+    const text = String(value ?? '');
+    const match = /\d[\d,]*(?:\.\d+)?/.exec(text);
+    if (!match) return null;
+
+    // "9,50" is a decimal comma; "1,200" is a thousands separator
+    const amount = /^\d+,\d{2}$/.test(match[0]) ? match[0].replace(',', '.') : match[0].replace(/,/g, '');
+
+    const code = /\b([A-Z]{3})\b/.exec(text);
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(sign => text.includes(sign));
+    const priceCurrency = code ? code[1] : CURRENCY_SYMBOLS[symbol];
+
+    return priceCurrency ? { price: amount, priceCurrency } : { price: amount };
+}
+
+function toOffer(text, name) {
+    const parsed = parsePrice(text);
+    if (!parsed) return null;
+    return { '@type': 'Offer', ...(name ? { name } : {}), ...parsed };
+}
+
+function toAbsoluteUrl(url, baseUrl) {
+    if (!url || url.startsWith('data:')) return null;
+    if (/^https?:\/\//.test(url)) return url;
+    return `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+function buildMenuItem(item, section, baseUrl) {
+    const fields = MenuRender.getItemFields(item, section);
+    if (!fields.name.trim()) return null;
+
+    // The title-line price, else the first filled-in price column, plus any price options
+    const priceColumn = section.columns.find(col =>
+        MenuRender.isPriceColumn(col) && !fields.titleColumns.includes(col) && String(item[col] ?? '').trim()
+    );
+    const offers = [
+        toOffer(fields.price || (priceColumn ? item[priceColumn] : '')),
+        ...(item.priceVariants || []).map(variant => toOffer(variant.price, String(variant.label ?? '').trim()))
+    ].filter(Boolean);
+
+    const diets = MenuTags.normalizeTags(item.tags).diet
+        .map(id => SCHEMA_DIETS[id])
+        .filter(Boolean);
+    const image = item.photo ? toAbsoluteUrl(item.photo.full, baseUrl) : null;
+
+    return {
+        '@type': 'MenuItem',
+        name: fields.name,
+        ...(fields.description.trim() ? { description: fields.description } : {}),
+        ...(image ? { image } : {}),
+        ...(offers.length === 1 ? { offers: offers[0] } : {}),
+        ...(offers.length > 1 ? { offers } : {}),
+        ...(diets.length > 0 ? { suitableForDiet: diets } : {})
+    };
+}
+
+function buildOpeningHours(windows) {
+    return windows.map(timeWindow => {
+        const days = Array.isArray(timeWindow.days) && timeWindow.days.length > 0 ? timeWindow.days : [0, 1, 2, 3, 4, 5, 6];
+        // Equal start and end means open all day
+        const allDay = timeWindow.start === timeWindow.end;
+
+        return {
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: [...days].sort().map(day => SCHEMA_DAYS[day]),
+            opens: allDay ? '00:00' : timeWindow.start,
+            closes: allDay ? '23:59' : timeWindow.end
+        };
+    });
+}
+
+// Contact details, address, cuisine and hours, only when the owner chose to show them
+function buildBusinessDetails(business) {
+    const details = {};
+    if (business.phone) details.telephone = business.phone;
+    if (business.address || business.city || business.state || business.zip) {
+        details.address = {
+            '@type': 'PostalAddress',
+            ...(business.address ? { streetAddress: business.address } : {}),
+            ...(business.city ? { addressLocality: business.city } : {}),
+            ...(business.state ? { addressRegion: business.state } : {}),
+            ...(business.zip ? { postalCode: business.zip } : {})
+        };
+    }
+
+    const cuisines = (business.cuisine || '').split(',').map(cuisine => cuisine.trim()).filter(Boolean);
+    if (cuisines.length > 0) details.servesCuisine = cuisines.length === 1 ? cuisines[0] : cuisines;
+    if (business.openingHours.length > 0) details.openingHoursSpecification = buildOpeningHours(business.openingHours);
+
+    return details;
+}
+
+/**
+ * JSON-LD for a published menu: the restaurant with its menu, sections and
+ * items, or just the menu when the account has no restaurant name.
+ *
+ * @param {Object} menu - From loadPublishedMenu
+ * @param {Object} options
+ * @param {string} options.pageUrl - The menu's canonical URL
+ * @param {string} [options.baseUrl] - For photo URLs
+ * @param {string|null} [options.image] - The page's preview image
+ * @returns {Object}
+ */
+function buildMenuStructuredData(menu, { pageUrl, baseUrl = '', image = null }) {
+    const menuData = {
+        '@type': 'Menu',
+        name: menu.title,
+        ...(menu.subtitle ? { description: menu.subtitle } : {}),
+        url: pageUrl,
+        inLanguage: menu.locale,
+        hasMenuSection: menu.sections.map(section => ({
+            '@type': 'MenuSection',
+            name: section.name,
+            hasMenuItem: section.items.map(item => buildMenuItem(item, section, baseUrl)).filter(Boolean)
+        }))
+    };
+
+    const business = menu.business;
+    const name = (business && business.businessName) || menu.restaurant;
+    if (!name) {
+        return { '@context': 'https://schema.org', ...menuData };
+    }
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': (business && BUSINESS_TYPES[business.businessType]) || 'Restaurant',
+        name,
+        url: (business && business.website) || pageUrl,
+        ...(image ? { image } : {}),
+        ...(business ? buildBusinessDetails(business) : {}),
+        hasMenu: menuData
+    };
+}
+
+module.exports = {
+    parsePrice,
+    toAbsoluteUrl,
+    buildMenuStructuredData
+};
@@ -0,0 +1,118 @@
+// Organizations (teams) own menus and have owner, editor and viewer members.
+// Every account gets an organization of its own the first time it needs one,
+// and owners invite others by email.
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    getUserById,
+    getUserOrganizations,
+    createOrganization,
+    assignUserMenusToOrganization
+} = require('./hybrid-database');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+const MAX_ORGANIZATION_NAME_LENGTH = 100;
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Check an organization name sent by the client.
+ *
+ * @returns {{name?: string, error?: string}}
+ */
+function validateOrganizationName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+        return { error: 'Team name is required' };
+    }
+    if (name.length > MAX_ORGANIZATION_NAME_LENGTH) {
+        return { error: `Team name can be at most ${MAX_ORGANIZATION_NAME_LENGTH} characters` };
+    }
+    return { name };
+}
+
+// e.g. "Luigi's Trattoria", or "Ann Lee's Team" for accounts without a business name
+function getDefaultOrganizationName(user) {
+    const businessName = (user.business_name || user.businessName || user.restaurant || '').trim();
+    const name = businessName || `${user.name || 'My'}'s Team`;
+    return name.slice(0, MAX_ORGANIZATION_NAME_LENGTH);
+}
+
+/**
+ * The first organization the user owns, created (with their older menus
+ * moved into it) if they don't own one yet.
+ *
+ * @returns {Promise<{success: boolean, organization?: Object, error?: string}>}
+ */
+async function ensureDefaultOrganization(userId) {
+    const organizationsResult = await getUserOrganizations(userId);
+    if (!organizationsResult.success) {
+        return organizationsResult;
+    }
+
+    const owned = organizationsResult.organizations.find(organization => organization.role === 'owner');
+    if (owned) {
+        return { success: true, organization: owned };
+    }
+
+    const userResult = await getUserById(userId);
+    if (!userResult.success || !userResult.user) {
+        return { success: false, error: userResult.error || 'User not found' };
+    }
+
+    const createResult = await createOrganization(uuidv4(), getDefaultOrganizationName(userResult.user), userId);
+    if (!createResult.success) {
+        return createResult;
+    }
+
+    const assignResult = await assignUserMenusToOrganization(userId, createResult.organization.id);
+    if (!assignResult.success) {
+        console.error('Failed to move menus into organization:', assignResult.error);
+    }
+
+    return createResult;
+}
+
+function formatOrganization(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        memberCount: Number(row.member_count) || 1
+    };
+}
+
+function formatMember(row) {
+    return {
+        userId: row.user_id,
+        name: row.name,
+        email: row.email,
+        avatar: row.avatar || null,
+        role: row.role,
+        joinedAt: row.created_at
+    };
+}
+
+function formatInvitation(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at
+    };
+}
+
+module.exports = {
+    ROLES,
+    INVITATION_TTL_MS,
+    isValidRole,
+    validateOrganizationName,
+    ensureDefaultOrganization,
+    formatOrganization,
+    formatMember,
+    formatInvitation
+};
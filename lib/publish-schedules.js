@@ -0,0 +1,149 @@
+// Job runner for scheduled publishes, unpublishes and revision switches.
+// server.js runs it on a timer; on Vercel a cron request to
+// api/cron/publish-schedules.js runs the same code.
+
+const {
+    getMenuById,
+    updateMenu,
+    publishMenuSnapshot,
+    unpublishMenu,
+    createMenuRevision,
+    claimDuePublishSchedules,
+    completePublishSchedule
+} = require('./hybrid-database');
+const { buildMenuSnapshot } = require('./menu-snapshot');
+
+// publish: the draft as it is when the schedule runs
+// revision: a saved version, captured when the schedule was created
+// unpublish: take the menu offline
+const PUBLISH_SCHEDULE_ACTIONS = ['publish', 'revision', 'unpublish'];
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+async function publishSnapshot(schedule, menu, snapshot) {
+    const slug = schedule.slug || menu.published_slug;
+    const title = schedule.title || menu.published_title || 'Our Menu';
+    const subtitle = schedule.subtitle || menu.published_subtitle || null;
+
+    if (!slug) {
+        throw new Error('No URL path to publish to');
+    }
+
+    const result = await publishMenuSnapshot(menu.id, slug, title, subtitle, snapshot);
+    if (!result.success) {
+        throw new Error(result.slugTaken ? 'This URL path is already taken' : 'Failed to publish menu');
+    }
+
+    const updateResult = await updateMenu(menu.id, {
+        status: 'published',
+        published_slug: slug,
+        published_title: title,
+        published_subtitle: subtitle,
+        published_at: new Date().toISOString()
+    });
+    if (!updateResult.success) {
+        throw new Error('Failed to update menu status');
+    }
+}
+
+/**
+ * Carry out one schedule. Throws with a message suitable for showing
+ * in the editor when it cannot be completed.
+ *
+ * @param {Object} schedule - Row from menu_publish_schedules
+ */
+async function runPublishSchedule(schedule) {
+    const menuResult = await getMenuById(schedule.menu_id);
+    if (!menuResult.success) {
+        throw new Error('Database error');
+    }
+    // A deleted menu must stay offline, whatever was scheduled for it
+    if (!menuResult.menu || menuResult.menu.status === 'deleted') {
+        throw new Error('Menu not found');
+    }
+
+    const menu = menuResult.menu;
+
+    switch (schedule.action) {
+        case 'publish': {
+            await publishSnapshot(schedule, menu, buildMenuSnapshot(menu));
+
+            const revisionResult = await createMenuRevision(menu.id, 'publish', schedule.created_by);
+            if (!revisionResult.success) {
+                console.error('Failed to record publish revision:', revisionResult.error);
+            }
+            break;
+        }
+        case 'revision':
+            if (!schedule.snapshot) {
+                throw new Error('Saved version is missing');
+            }
+            await publishSnapshot(schedule, menu, schedule.snapshot);
+            break;
+        case 'unpublish': {
+            const result = await unpublishMenu(menu.id);
+            if (!result.success) {
+                throw new Error('Failed to unpublish menu');
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown action: ${schedule.action}`);
+    }
+}
+
+/**
+ * Run every schedule that is due, oldest first, so a publish and a later
+ * unpublish of the same menu happen in order.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{success: boolean, processed?: Array<{id: number, status: string}>, error?: string}>}
+ */
+async function processDuePublishSchedules(now = new Date()) {
+    const claimed = await claimDuePublishSchedules(now);
+    if (!claimed.success) {
+        return { success: false, error: claimed.error };
+    }
+
+    const processed = [];
+    for (const schedule of claimed.schedules) {
+        try {
+            await runPublishSchedule(schedule);
+            await completePublishSchedule(schedule.id, 'done');
+            processed.push({ id: schedule.id, status: 'done' });
+        } catch (error) {
+            console.error(`Scheduled ${schedule.action} ${schedule.id} failed:`, error.message);
+            await completePublishSchedule(schedule.id, 'failed', error.message);
+            processed.push({ id: schedule.id, status: 'failed' });
+        }
+    }
+
+    return { success: true, processed };
+}
+
+// Poll for due schedules in a long-running process (the local server)
+function startPublishScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDuePublishSchedules();
+        } catch (error) {
+            console.error('Publish scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    return setInterval(tick, intervalMs);
+}
+
+module.exports = {
+    PUBLISH_SCHEDULE_ACTIONS,
+    runPublishSchedule,
+    processDuePublishSchedules,
+    startPublishScheduler
+};
@@ -0,0 +1,264 @@
+// The published menu as guests see it: scheduled alternates, live item
+// availability, section hours and translations applied to the snapshot
+// frozen at publish time. Shared by the JSON API (api/menu/get-published.js)
+// and the server-rendered page (api/menu/[slug].js).
+
+const {
+    getPublishedMenuBySlug,
+    getPublishedMenuByMenuId,
+    getMenuById,
+    getItemAvailability
+} = require('./hybrid-database');
+const { applyItemAvailability } = require('./menu-snapshot');
+const { formatBusinessProfile } = require('./business-profile');
+const { buildMenuStructuredData, toAbsoluteUrl } = require('./menu-structured-data');
+const { sameMenuOwner } = require('./menu-permissions');
+const MenuSchedule = require('../menu-schedule');
+const MenuI18n = require('../menu-i18n');
+const MenuRender = require('../menu-render');
+const MenuFonts = require('../menu-fonts');
+const MenuTags = require('../menu-tags');
+
+const DEFAULT_TITLE = 'Our Menu';
+const DEFAULT_SUBTITLE = 'Crafted with care and passion';
+const META_DESCRIPTION_LENGTH = 160;
+
+// The menu to serve right now: a scheduled alternate (e.g. brunch) while one
+// of its windows is active, otherwise the menu published at this slug
+async function resolveScheduledMenu(published, now) {
+    const snapshot = published.published_data || {};
+    const current = { menuId: published.menu_id, title: published.title, subtitle: published.subtitle, snapshot };
+
+    const alternate = MenuSchedule.resolveAlternateMenu(snapshot.schedule, now);
+    if (!alternate) return current;
+
+    const [primaryResult, alternateResult, alternatePublished] = await Promise.all([
+        getMenuById(published.menu_id),
+        getMenuById(alternate.menuId),
+        getPublishedMenuByMenuId(alternate.menuId)
+    ]);
+
+    // Only published menus from the same team can stand in
+    const primaryMenu = primaryResult.menu;
+    const alternateMenu = alternateResult.menu;
+    const publishedMenu = alternatePublished.publishedMenu;
+    if (!primaryMenu || !alternateMenu || !sameMenuOwner(primaryMenu, alternateMenu) || !publishedMenu?.published_data) {
+        console.error('Scheduled menu unavailable, serving primary menu:', alternate.menuId);
+        return current;
+    }
+
+    const alternateSnapshot = publishedMenu.published_data;
+    return {
+        menuId: alternate.menuId,
+        title: publishedMenu.title,
+        subtitle: publishedMenu.subtitle,
+        snapshot: {
+            ...alternateSnapshot,
+            // Section hours follow the primary menu's timezone unless the alternate sets its own
+            schedule: {
+                ...(alternateSnapshot.schedule || {}),
+                timezone: alternateSnapshot.schedule?.timezone || snapshot.schedule.timezone
+            }
+        }
+    };
+}
+
+/**
+ * Load a published menu in the shape the published page renders.
+ *
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Explicitly chosen language (?lang=)
+ * @param {string} [options.acceptLanguage] - Accept-Language header value
+ * @param {Date} [options.now]
+ * @returns {Promise<{success: boolean, menu?: Object|null, error?: string}>}
+ *   `menu` is null when nothing is published at the slug
+ */
+async function loadPublishedMenu(slug, options = {}) {
+    const now = options.now || new Date();
+
+    // Serve the snapshot frozen at publish time, never the live draft
+    const menuResult = await getPublishedMenuBySlug(slug);
+    if (!menuResult.success) {
+        return { success: false, error: 'Database error' };
+    }
+    if (!menuResult.menu) {
+        return { success: true, menu: null };
+    }
+
+    const published = menuResult.menu;
+    const served = await resolveScheduledMenu(published, now);
+    const snapshot = served.snapshot;
+
+    // Sold-out and hidden items change without a republish
+    const availabilityResult = await getItemAvailability(served.menuId);
+    if (!availabilityResult.success) {
+        console.error('Failed to load item availability:', availabilityResult.error);
+    }
+    const sections = MenuSchedule.applySectionSchedules(
+        applyItemAvailability(
+            snapshot.sections || [],
+            availabilityResult.success ? availabilityResult.availability : []
+        ),
+        snapshot.schedule,
+        now
+    );
+
+    // ?lang= wins over the browser's languages; prices are shared by every language
+    const locales = MenuI18n.getMenuLocales(snapshot.translations);
+    const locale = MenuI18n.negotiateLocale(locales, options.lang, options.acceptLanguage);
+    const localized = MenuI18n.applyTranslations(
+        { title: served.title, subtitle: served.subtitle, sections },
+        snapshot.translations,
+        locale
+    );
+
+    return {
+        success: true,
+        menu: {
+            id: served.menuId,
+            slug: published.slug,
+            title: localized.title,
+            subtitle: localized.subtitle,
+            restaurant: published.restaurant,
+            // Address, hours and contact details only when the owner chose to show them
+            business: published.show_business_info ? formatBusinessProfile(published) : null,
+            sections: localized.sections,
+
+            // Styling properties
+            backgroundType: snapshot.backgroundType,
+            backgroundValue: snapshot.backgroundValue,
+            fontFamily: snapshot.fontFamily,
+            headingFont: snapshot.headingFont || null,
+            customFonts: snapshot.customFonts || null,
+            colorPalette: snapshot.colorPalette,
+            customPalette: snapshot.customPalette || null,
+            navigationTheme: snapshot.navigationTheme,
+            menuLayout: snapshot.menuLayout || MenuRender.DEFAULT_LAYOUT,
+            sectionLayouts: snapshot.sectionLayouts || null,
+            menuLogo: snapshot.menuLogo,
+            logoSize: snapshot.logoSize,
+            scheduled: Boolean(published.published_data?.schedule || snapshot.schedule),
+            timezone: snapshot.schedule?.timezone || null,
+            locale,
+            locales: locales.map(code => MenuI18n.getLocaleInfo(code)),
+
+            publishedAt: published.updated_at,
+            updatedAt: published.updated_at
+        }
+    };
+}
+
+// Caching headers shared by the API and the rendered page
+function setPublishedMenuHeaders(res, menu) {
+    // Scheduled menus change with the clock, so keep shared caches short
+    if (menu.scheduled) {
+        res.setHeader('Cache-Control', 'public, max-age=60');
+    }
+    if (menu.locales.length > 1) {
+        res.setHeader('Vary', 'Accept-Language');
+    }
+    res.setHeader('Content-Language', menu.locale);
+}
+
+const DEFAULT_PUBLIC_BASE_URL = 'https://www.mymobilemenu.com';
+
+// Origin for canonical links, og:url and structured data. Configured rather
+// than read from the Host header, which any caller can set.
+function getPublicBaseUrl() {
+    return (process.env.APP_URL || DEFAULT_PUBLIC_BASE_URL).replace(/\/$/, '');
+}
+
+// Subtitle plus section names, e.g. "Fresh pasta daily · Starters, Mains, Desserts"
+function describeMenu(menu) {
+    const sectionNames = menu.sections.map(section => section.name).filter(Boolean).join(', ');
+    const description = [menu.subtitle, sectionNames].filter(Boolean).join(' · ');
+
+    return description.length > META_DESCRIPTION_LENGTH
+        ? `${description.slice(0, META_DESCRIPTION_LENGTH - 1).trim()}…`
+        : description;
+}
+
+// <title>, description, canonical link, OpenGraph/Twitter tags for link
+// previews and schema.org structured data for search results
+function renderMenuHead(menu, pageUrl, baseUrl) {
+    const escape = MenuTags.escapeHtml;
+    const title = menu.restaurant && menu.restaurant !== menu.title ? `${menu.title} | ${menu.restaurant}` : menu.title;
+    const description = describeMenu(menu);
+    const firstPhoto = menu.sections.flatMap(section => section.items).find(item => item.photo);
+    const image = toAbsoluteUrl(menu.menuLogo, baseUrl) || (firstPhoto ? toAbsoluteUrl(firstPhoto.photo.full, baseUrl) : null);
+    const structuredData = buildMenuStructuredData(menu, { pageUrl, baseUrl, image });
+
+    return [
+        `<title>${escape(title)}</title>`,
+        `<meta name="description" content="${escape(description)}">`,
+        `<link rel="canonical" href="${escape(pageUrl)}">`,
+        '<meta property="og:type" content="website">',
+        `<meta property="og:title" content="${escape(title)}">`,
+        `<meta property="og:description" content="${escape(description)}">`,
+        `<meta property="og:url" content="${escape(pageUrl)}">`,
+        `<meta property="og:locale" content="${escape(menu.locale)}">`,
+        ...(menu.restaurant ? [`<meta property="og:site_name" content="${escape(menu.restaurant)}">`] : []),
+        ...(image ? [`<meta property="og:image" content="${escape(image)}">`] : []),
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        ...menu.locales
+            .filter(locale => locale.code !== menu.locale)
+            .map(locale => `<link rel="alternate" hreflang="${locale.code}" href="${escape(`${pageUrl}?lang=${locale.code}`)}">`),
+        // Escaped like MENU_DATA below
+        `<script type="application/ld+json">${JSON.stringify(structuredData).replace(/</g, '\\u003c')}</script>`
+    ].join('\n    ');
+}
+
+/**
+ * Fill in the published-menu.html template. With a menu the page arrives
+ * fully rendered and the client script only adds behavior; without one
+ * (not found, or the database was unreachable) it shows the given state.
+ *
+ * @param {string} template - published-menu.html
+ * @param {Object} options
+ * @param {string} options.slug
+ * @param {Object|null} options.menu - From loadPublishedMenu
+ * @param {string} options.state - 'ready', 'loading' (client fetches) or 'error'
+ * @param {string} [options.baseUrl] - e.g. https://www.mymobilemenu.com
+ * @returns {string} HTML
+ */
+function renderPublishedMenuPage(template, { slug, menu, state, baseUrl = '' }) {
+    const escape = MenuTags.escapeHtml;
+    const pageUrl = `${baseUrl}/menu/${slug}`;
+    const localeInfo = menu ? MenuI18n.getLocaleInfo(menu.locale) : null;
+
+    const values = {
+        MENU_SLUG: slug,
+        MENU_LANG: menu ? menu.locale : 'en',
+        MENU_DIR: localeInfo && localeInfo.rtl ? 'rtl' : 'ltr',
+        MENU_STATE: state,
+        MENU_HEAD: menu
+            ? renderMenuHead(menu, pageUrl, baseUrl)
+            : `<title>Menu</title>${state === 'error' ? '\n    <meta name="robots" content="noindex">' : ''}`,
+        // @font-face rules for only the fonts this menu uses
+        MENU_FONTS: menu ? MenuFonts.renderMenuFontStyles(menu, '.published-menu-container') : '',
+        MENU_LOGO: menu ? MenuRender.renderLogo(menu.menuLogo, menu.logoSize) : '',
+        MENU_TITLE: escape(menu ? menu.title || DEFAULT_TITLE : DEFAULT_TITLE),
+        MENU_SUBTITLE: escape(menu ? menu.subtitle || '' : DEFAULT_SUBTITLE),
+        MENU_SECTIONS: menu
+            ? MenuRender.renderSections(menu.sections, {
+                timeZone: menu.timezone,
+                menuLayout: menu.menuLayout,
+                sectionLayouts: menu.sectionLayouts
+            })
+            : '',
+        // Escaped so menu text can never close the script tag
+        MENU_DATA: menu ? JSON.stringify(menu).replace(/</g, '\\u003c') : 'null'
+    };
+
+    return template.replace(/\{\{(MENU_[A-Z]+)\}\}/g, (match, name) =>
+        values[name] !== undefined ? values[name] : match
+    );
+}
+
+module.exports = {
+    loadPublishedMenu,
+    setPublishedMenuHeaders,
+    getPublicBaseUrl,
+    renderPublishedMenuPage
+};
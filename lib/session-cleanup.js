@@ -0,0 +1,41 @@
+// Job that deletes expired sign-in sessions, and two-factor login challenges
+// nobody answered in time. server.js runs it on a timer;
+// on Vercel a cron request to api/cron/session-cleanup.js runs the same code.
+
+const { deleteExpiredSessions, deleteExpiredLoginChallenges } = require('./hybrid-database');
+
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Date} [now]
+ * @returns {Promise<{success: boolean, count?: number, challengeCount?: number, error?: string}>}
+ *   `count` is the number of sessions removed, `challengeCount` the number of login challenges
+ */
+async function purgeExpiredSessions(now = new Date()) {
+    const result = await deleteExpiredSessions(now);
+    if (!result.success) return result;
+
+    const challengeResult = await deleteExpiredLoginChallenges(now);
+    if (!challengeResult.success) return challengeResult;
+
+    return { success: true, count: result.count, challengeCount: challengeResult.count };
+}
+
+// Purge periodically in a long-running process (the local server)
+function startSessionCleanup(intervalMs = SESSION_CLEANUP_INTERVAL_MS) {
+    const tick = async () => {
+        try {
+            await purgeExpiredSessions();
+        } catch (error) {
+            console.error('Session cleanup error:', error);
+        }
+    };
+
+    tick();
+    return setInterval(tick, intervalMs);
+}
+
+module.exports = {
+    purgeExpiredSessions,
+    startSessionCleanup
+};
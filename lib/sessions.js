@@ -0,0 +1,128 @@
+// Sign-in sessions. A session stays valid for SESSION_TTL_MS after it was
+// last used (sliding expiration), and remembers the browser and IP address
+// it signed in from so the account can see and revoke its devices.
+
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Extending a session writes to the database, so do it at most this often
+// rather than on every request
+const SESSION_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 500;
+const MAX_IP_ADDRESS_LENGTH = 64;
+
+function getSessionExpiry(now = new Date()) {
+    return new Date(now.getTime() + SESSION_TTL_MS);
+}
+
+// Whether a session was last used long enough ago to extend it again
+function shouldRefreshSession(session, now = new Date()) {
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at) : null;
+    return !lastSeen || now - lastSeen >= SESSION_REFRESH_INTERVAL_MS;
+}
+
+// The cookie a browser keeps its session in. Its Max-Age matches the session's
+// lifetime, so it has to be sent again whenever the session is extended.
+function getSessionCookie(sessionId) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    return `session=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}${secure}`;
+}
+
+function setSessionCookie(res, sessionId) {
+    res.setHeader('Set-Cookie', [getSessionCookie(sessionId)]);
+}
+
+// getSession marks a session it just extended with `refreshed`. Browsers signed
+// in with the cookie get it again so it doesn't expire before the session does;
+// clients sending the session as a Bearer token keep no cookie and get none.
+function renewSessionCookie(req, res, session) {
+    if (session?.refreshed && req.cookies?.session === session.id) {
+        setSessionCookie(res, session.id);
+    }
+}
+
+// Behind Vercel or another proxy the client's address is the first X-Forwarded-For entry
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const ip = (typeof forwarded === 'string' && forwarded.split(',')[0].trim())
+        || req.headers['x-real-ip']
+        || req.socket?.remoteAddress
+        || null;
+    return ip ? String(ip).slice(0, MAX_IP_ADDRESS_LENGTH) : null;
+}
+
+/**
+ * What to record about the device signing in.
+ *
+ * @returns {{userAgent: string|null, ipAddress: string|null}}
+ */
+function getSessionMetadata(req) {
+    const userAgent = req.headers['user-agent'];
+    return {
+        userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+        ipAddress: getClientIp(req)
+    };
+}
+
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+];
+
+const OPERATING_SYSTEMS = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+];
+
+// A readable name for a user agent, e.g. "Chrome on Windows"
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const os = OPERATING_SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+}
+
+// Session IDs are bearer tokens, so the devices list identifies sessions by a hash instead
+function getSessionPublicId(sessionId) {
+    return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 32);
+}
+
+function formatSession(row, currentSessionId) {
+    return {
+        id: getSessionPublicId(row.id),
+        device: describeUserAgent(row.user_agent),
+        userAgent: row.user_agent || null,
+        ipAddress: row.ip_address || null,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at || row.created_at,
+        expiresAt: row.expires_at,
+        current: row.id === currentSessionId
+    };
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    SESSION_REFRESH_INTERVAL_MS,
+    getSessionExpiry,
+    shouldRefreshSession,
+    getSessionCookie,
+    setSessionCookie,
+    renewSessionCookie,
+    getClientIp,
+    getSessionMetadata,
+    describeUserAgent,
+    getSessionPublicId,
+    formatSession
+};
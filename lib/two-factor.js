@@ -0,0 +1,225 @@
+// Two-factor authentication with time-based one-time passwords (TOTP,
+// RFC 6238) from an authenticator app, plus one-time recovery codes for when
+// the app isn't at hand. Recovery codes are stored as SHA-256 hashes, like
+// the tokens in lib/account-emails.js.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { hashToken, createToken } = require('./account-emails');
+const {
+    useTwoFactorStep,
+    consumeRecoveryCode,
+    createLoginChallenge
+} = require('./hybrid-database');
+
+const TOTP_ISSUER = 'MyMobileMenu';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Also accept codes from one period either side, for clocks that are slightly off
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// How long after the password step the code can be entered, and how many tries it gets
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_LOGIN_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32-encoded as authenticator apps expect
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function getTimeStep(now = new Date()) {
+    return Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// The code for one time step (HOTP with HMAC-SHA1, RFC 4226)
+function generateTotp(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Codes are typed with spaces sometimes, e.g. "123 456"
+function isTotpCode(code) {
+    return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code).replace(/\s/g, ''));
+}
+
+/**
+ * Check a code from the authenticator app.
+ *
+ * @returns {number|null} The time step the code belongs to, or null if it doesn't match
+ */
+function findTotpStep(secret, code, now = new Date()) {
+    if (!secret || !isTotpCode(code)) return null;
+
+    const given = Buffer.from(String(code).replace(/\s/g, ''));
+    const current = getTimeStep(now);
+
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (crypto.timingSafeEqual(given, Buffer.from(generateTotp(secret, step)))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// The URI authenticator apps read from the setup QR code
+function getOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+function getQrCodeDataUrl(otpauthUri) {
+    return QRCode.toDataURL(otpauthUri, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+}
+
+// Recovery codes are matched without case, spaces or dashes
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+    return hashToken(normalizeRecoveryCode(code));
+}
+
+/**
+ * A new set of recovery codes, e.g. "k7m2p-x9qrt".
+ *
+ * @returns {{codes: string[], codeHashes: string[]}} Show `codes` once; store `codeHashes`
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        let code = '';
+        for (let j = 0; j < 10; j++) {
+            code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+        }
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    return { codes, codeHashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a second-factor code for a user with two-factor authentication set
+ * up: an authenticator code, which can't be reused, or an unused recovery
+ * code, which is used up.
+ *
+ * @param {Object} user - A users row
+ * @param {string} code
+ * @returns {Promise<{success: boolean, valid?: boolean, method?: 'totp'|'recovery', error?: string}>}
+ */
+async function verifySecondFactor(user, code) {
+    if (!code || !user.two_factor_secret) {
+        return { success: true, valid: false };
+    }
+
+    if (isTotpCode(code)) {
+        const step = findTotpStep(user.two_factor_secret, code);
+        if (step === null) {
+            return { success: true, valid: false };
+        }
+
+        const result = await useTwoFactorStep(user.id, step);
+        if (!result.success) return result;
+        return { success: true, valid: result.accepted, method: 'totp' };
+    }
+
+    // Recovery codes only work once setup is finished
+    if (!user.two_factor_enabled) {
+        return { success: true, valid: false };
+    }
+
+    const result = await consumeRecoveryCode(user.id, hashRecoveryCode(code));
+    if (!result.success) return result;
+    return { success: true, valid: result.used, method: 'recovery' };
+}
+
+/**
+ * Hold a sign-in until the user enters a second-factor code. The token goes
+ * back to the client in place of a session.
+ *
+ * @returns {Promise<{success: boolean, challengeToken?: string, error?: string}>}
+ */
+async function startLoginChallenge(userId) {
+    const { token, tokenHash } = createToken();
+    const result = await createLoginChallenge(userId, tokenHash, new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS));
+    if (!result.success) return result;
+    return { success: true, challengeToken: token };
+}
+
+module.exports = {
+    TOTP_PERIOD_SECONDS,
+    TOTP_DIGITS,
+    RECOVERY_CODE_COUNT,
+    LOGIN_CHALLENGE_TTL_MS,
+    MAX_LOGIN_CHALLENGE_ATTEMPTS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateTotp,
+    findTotpStep,
+    getOtpauthUri,
+    getQrCodeDataUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    verifySecondFactor,
+    startLoginChallenge
+};
@@ -0,0 +1,198 @@
+/**
+ * Menu Fonts for MyMobileMenu
+ * The curated font library served from /fonts, fonts uploaded to an
+ * account, and the @font-face rules and font stacks a menu needs. Shared by
+ * the editor, the published page and the server, so a menu's fonts are
+ * declared the same way everywhere and no page calls a font CDN.
+ */
+
+const MenuFonts = (() => {
+    // Open-license (SIL OFL) fonts in /fonts/<id>, Latin subset. Text in
+    // other scripts falls back to the stack's system fonts.
+    const FONT_LIBRARY = [
+        { id: 'inter', family: 'Inter', description: 'Modern & Clean', category: 'sans-serif', weights: [400, 700] },
+        { id: 'playfair-display', family: 'Playfair Display', description: 'Elegant & Upscale', category: 'serif', weights: [400, 700] },
+        { id: 'georgia', family: 'Georgia', description: 'Classic & Traditional', category: 'serif', system: true },
+        { id: 'lato', family: 'Lato', description: 'Friendly & Approachable', category: 'sans-serif', weights: [400, 700] },
+        { id: 'montserrat', family: 'Montserrat', description: 'Bold & Impactful', category: 'sans-serif', weights: [400, 700] },
+        { id: 'lora', family: 'Lora', description: 'Warm & Literary', category: 'serif', weights: [400, 700] },
+        { id: 'merriweather', family: 'Merriweather', description: 'Sturdy & Readable', category: 'serif', weights: [400, 700] },
+        { id: 'libre-baskerville', family: 'Libre Baskerville', description: 'Bookish & Refined', category: 'serif', weights: [400, 700] },
+        { id: 'cormorant-garamond', family: 'Cormorant Garamond', description: 'Delicate & Luxurious', category: 'serif', weights: [400, 700] },
+        { id: 'dm-serif-display', family: 'DM Serif Display', description: 'Striking Headlines', category: 'serif', weights: [400] },
+        { id: 'raleway', family: 'Raleway', description: 'Light & Stylish', category: 'sans-serif', weights: [400, 700] },
+        { id: 'josefin-sans', family: 'Josefin Sans', description: 'Vintage & Geometric', category: 'sans-serif', weights: [400, 700] },
+        { id: 'oswald', family: 'Oswald', description: 'Condensed & Loud', category: 'sans-serif', weights: [400, 700] }
+    ];
+    const DEFAULT_FONT = 'Inter';
+
+    // Uploaded fonts are referenced as "custom:<id>"; the menu keeps a copy
+    // of each one it uses in customFonts
+    const CUSTOM_FONT_PREFIX = 'custom:';
+    const MAX_CUSTOM_FONTS_PER_MENU = 2;
+    const MAX_FONT_NAME_LENGTH = 40;
+
+    const FALLBACKS = {
+        'sans-serif': "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+        serif: "Georgia, 'Times New Roman', serif"
+    };
+
+    // Uploads come from this server or Vercel Blob; nothing that could break out of url()
+    const FONT_URL = /^(\/uploads\/fonts\/|https:\/\/)[^\s"'()\\<>;]+\.woff2$/;
+
+    function getLibraryFont(family) {
+        return FONT_LIBRARY.find(font => font.family === family) || null;
+    }
+
+    function isCustomFont(value) {
+        return typeof value === 'string' && value.startsWith(CUSTOM_FONT_PREFIX);
+    }
+
+    function findCustomFont(value, customFonts) {
+        if (!isCustomFont(value)) return null;
+        const id = value.slice(CUSTOM_FONT_PREFIX.length);
+        return (customFonts || []).find(font => String(font.id) === id) || null;
+    }
+
+    // The name @font-face declares an uploaded font under, so it can never
+    // clash with a library or system font
+    function getCustomFontFamily(font) {
+        return `MM Custom ${font.id}`;
+    }
+
+    /**
+     * The CSS font-family value for a font choice.
+     *
+     * @param {string} [value] - Library family name or "custom:<id>"
+     * @param {Array} [customFonts] - The menu's uploaded fonts
+     * @returns {string}
+     */
+    function getFontStack(value, customFonts) {
+        const custom = findCustomFont(value, customFonts);
+        if (custom) {
+            return `'${getCustomFontFamily(custom)}', ${FALLBACKS['sans-serif']}`;
+        }
+
+        const font = getLibraryFont(value) || getLibraryFont(DEFAULT_FONT);
+        return `'${font.family}', ${FALLBACKS[font.category]}`;
+    }
+
+    // A display name for the editor, e.g. "Inter" or the uploaded font's name
+    function getFontLabel(value, customFonts) {
+        const custom = findCustomFont(value, customFonts);
+        if (custom) return custom.name;
+        return getLibraryFont(value) ? value : DEFAULT_FONT;
+    }
+
+    /**
+     * @font-face rules for the given font choices. Rules only declare fonts;
+     * browsers download a file once text is set in it.
+     *
+     * @param {Array<string>} values - Library family names and "custom:<id>" values
+     * @param {Array} [customFonts]
+     * @param {string} [basePath] - Prefix for library files, e.g. a site origin
+     * @returns {string} CSS
+     */
+    function renderFontFaces(values, customFonts, basePath = '') {
+        const rules = [];
+        const seen = new Set();
+
+        values.forEach(value => {
+            if (!value || seen.has(value)) return;
+            seen.add(value);
+
+            const custom = findCustomFont(value, customFonts);
+            if (custom) {
+                if (!FONT_URL.test(custom.url)) return;
+                // One uploaded file serves every weight rather than a synthesized bold
+                rules.push(`@font-face { font-family: '${getCustomFontFamily(custom)}'; src: url("${custom.url}") format('woff2'); font-weight: 100 900; font-style: normal; font-display: swap; }`);
+                return;
+            }
+
+            const font = getLibraryFont(value);
+            if (!font || font.system) return;
+            font.weights.forEach(weight => {
+                rules.push(`@font-face { font-family: '${font.family}'; src: url("${basePath}/fonts/${font.id}/${font.id}-latin-${weight}-normal.woff2") format('woff2'); font-weight: ${weight}; font-style: normal; font-display: swap; }`);
+            });
+        });
+
+        return rules.join('\n');
+    }
+
+    /**
+     * The CSS for a menu's fonts: its @font-face rules, the body font on the
+     * container and the heading font in --menu-heading-font, which menu
+     * titles and section headings use.
+     *
+     * @param {Object} menu - { fontFamily, headingFont, customFonts }
+     * @param {string} selector - The menu's container
+     * @returns {string} CSS
+     */
+    function renderMenuFontStyles(menu, selector) {
+        const body = menu.fontFamily || DEFAULT_FONT;
+        const heading = menu.headingFont || body;
+
+        return [
+            renderFontFaces([body, heading], menu.customFonts),
+            `${selector} { font-family: ${getFontStack(body, menu.customFonts)}; --menu-heading-font: ${getFontStack(heading, menu.customFonts)}; }`
+        ].filter(Boolean).join('\n');
+    }
+
+    function isValidFontChoice(value, customFonts) {
+        return Boolean(getLibraryFont(value) || findCustomFont(value, customFonts));
+    }
+
+    /**
+     * Check a menu's font settings from the editor.
+     *
+     * @param {Object} fonts - { fontFamily, headingFont, customFonts }; missing fields are not checked
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateFonts({ fontFamily, headingFont, customFonts }) {
+        if (customFonts !== undefined && customFonts !== null) {
+            if (!Array.isArray(customFonts) || customFonts.length > MAX_CUSTOM_FONTS_PER_MENU) {
+                return `A menu can use at most ${MAX_CUSTOM_FONTS_PER_MENU} uploaded fonts`;
+            }
+            const invalid = customFonts.find(font =>
+                !font || !Number.isInteger(font.id) || typeof font.name !== 'string' ||
+                !font.name.trim() || font.name.length > MAX_FONT_NAME_LENGTH ||
+                typeof font.url !== 'string' || !FONT_URL.test(font.url)
+            );
+            if (invalid) return 'Invalid uploaded font';
+        }
+
+        if (fontFamily !== undefined && !isValidFontChoice(fontFamily, customFonts)) {
+            return 'Invalid body font';
+        }
+        if (headingFont !== undefined && headingFont !== null && !isValidFontChoice(headingFont, customFonts)) {
+            return 'Invalid heading font';
+        }
+        return null;
+    }
+
+    return {
+        FONT_LIBRARY,
+        DEFAULT_FONT,
+        CUSTOM_FONT_PREFIX,
+        MAX_CUSTOM_FONTS_PER_MENU,
+        MAX_FONT_NAME_LENGTH,
+        FONT_URL,
+        getLibraryFont,
+        isCustomFont,
+        findCustomFont,
+        getFontStack,
+        getFontLabel,
+        renderFontFaces,
+        renderMenuFontStyles,
+        validateFonts
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MenuFonts = MenuFonts;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuFonts;
+}
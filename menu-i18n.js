@@ -0,0 +1,292 @@
+/**
+ * Menu Translations for MyMobileMenu
+ * Locale negotiation and translation lookup shared by the editor's
+ * translation grid and preview and the published menu API.
+ *
+ * A menu's translations are stored as:
+ * {
+ *   defaultLocale: 'en',                 // language the menu is written in
+ *   locales: ['es', 'fr'],               // additional languages
+ *   strings: {
+ *     es: { [fieldKey]: 'translated text' }
+ *   }
+ * }
+ * Field keys come from getTranslatableFields. Price columns are never
+ * translated, so every language always shows the current prices.
+ */
+
+const MenuI18n = (() => {
+    const SUPPORTED_LOCALES = [
+        { code: 'en', label: 'English' },
+        { code: 'es', label: 'Español' },
+        { code: 'fr', label: 'Français' },
+        { code: 'de', label: 'Deutsch' },
+        { code: 'it', label: 'Italiano' },
+        { code: 'pt', label: 'Português' },
+        { code: 'nl', label: 'Nederlands' },
+        { code: 'pl', label: 'Polski' },
+        { code: 'tr', label: 'Türkçe' },
+        { code: 'el', label: 'Ελληνικά' },
+        { code: 'ru', label: 'Русский' },
+        { code: 'uk', label: 'Українська' },
+        { code: 'ar', label: 'العربية', rtl: true },
+        { code: 'he', label: 'עברית', rtl: true },
+        { code: 'hi', label: 'हिन्दी' },
+        { code: 'th', label: 'ไทย' },
+        { code: 'vi', label: 'Tiếng Việt' },
+        { code: 'zh', label: '中文' },
+        { code: 'ja', label: '日本語' },
+        { code: 'ko', label: '한국어' }
+    ];
+    const MAX_LOCALES = 10;
+    const MAX_STRINGS_PER_LOCALE = 5000;
+    const MAX_STRING_LENGTH = 2000;
+
+    function getLocaleInfo(code) {
+        return SUPPORTED_LOCALES.find(locale => locale.code === code) || null;
+    }
+
+    function isTranslatableColumn(column) {
+        return !column.toLowerCase().includes('price');
+    }
+
+    // All languages the menu is available in, the default first
+    function getMenuLocales(translations) {
+        const defaultLocale = (translations && translations.defaultLocale) || 'en';
+        const extra = (translations && Array.isArray(translations.locales)) ? translations.locales : [];
+        return [defaultLocale, ...extra.filter(code => code !== defaultLocale)];
+    }
+
+    // 'es-MX;q=0.8' and '?lang=es-MX' both match a menu offered in 'es'
+    function primarySubtag(tag) {
+        return String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    }
+
+    /**
+     * Pick the language to show. An explicit choice (the ?lang= parameter)
+     * wins, then the browser's Accept-Language preferences in q order, then
+     * the menu's default language.
+     *
+     * @param {Array<string>} available - From getMenuLocales
+     * @param {string} [requested] - e.g. 'fr'
+     * @param {string} [acceptLanguage] - Accept-Language header value
+     * @returns {string}
+     */
+    function negotiateLocale(available, requested, acceptLanguage) {
+        const requestedCode = primarySubtag(requested);
+        if (requestedCode && available.includes(requestedCode)) {
+            return requestedCode;
+        }
+
+        const preferences = String(acceptLanguage || '')
+            .split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const qParam = params.find(param => param.trim().startsWith('q='));
+                const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+                return { code: primarySubtag(tag), q: Number.isNaN(q) ? 0 : q, index };
+            })
+            .filter(preference => preference.code && preference.code !== '*' && preference.q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index);
+
+        const match = preferences.find(preference => available.includes(preference.code));
+        return match ? match.code : available[0];
+    }
+
+    function sectionKey(section) {
+        return `section:${section.id}:name`;
+    }
+
+    function itemKey(item, column) {
+        return `item:${item._id}:${column}`;
+    }
+
+    function variantKey(item, index) {
+        return `item:${item._id}:variant:${index}`;
+    }
+
+    /**
+     * Every translatable text on the menu, in menu order, for the editor grid.
+     *
+     * @param {{title: string, subtitle: string, sections: Array}} menu
+     * @returns {Array<{key: string, group: string, label: string, source: string}>}
+     */
+    function getTranslatableFields(menu) {
+        const fields = [
+            { key: 'title', group: 'Menu', label: 'Title', source: menu.title || '' },
+            { key: 'subtitle', group: 'Menu', label: 'Subtitle', source: menu.subtitle || '' }
+        ];
+
+        (menu.sections || []).forEach(section => {
+            fields.push({ key: sectionKey(section), group: section.name, label: 'Section name', source: section.name || '' });
+
+            const columns = (section.columns || []).filter(isTranslatableColumn);
+            (section.items || []).forEach(item => {
+                if (!item._id) return;
+
+                columns.forEach(column => {
+                    // Imported items can hold numbers, e.g. a calorie count
+                    const source = String(item[column] ?? '');
+                    if (source.trim()) {
+                        fields.push({ key: itemKey(item, column), group: section.name, label: column, source });
+                    }
+                });
+
+                (item.priceVariants || []).forEach((variant, index) => {
+                    const source = String(variant.label ?? '');
+                    if (source.trim()) {
+                        fields.push({ key: variantKey(item, index), group: section.name, label: 'Price option', source });
+                    }
+                });
+            });
+        });
+
+        return fields;
+    }
+
+    /**
+     * The menu's text in one language. Anything without a translation keeps
+     * its original text; prices and other non-text fields are untouched.
+     *
+     * @param {{title: string, subtitle: string, sections: Array}} menu
+     * @param {Object} translations - The menu's translations (may be null)
+     * @param {string} locale
+     * @returns {{title: string, subtitle: string, sections: Array}} New objects; the input is not modified
+     */
+    function applyTranslations(menu, translations, locale) {
+        const strings = (translations && translations.strings && translations.strings[locale]) || null;
+        if (!strings || locale === getMenuLocales(translations)[0]) {
+            return { title: menu.title, subtitle: menu.subtitle, sections: menu.sections };
+        }
+
+        const translate = (key, fallback) => {
+            const value = strings[key];
+            return typeof value === 'string' && value.trim() ? value : fallback;
+        };
+
+        return {
+            title: translate('title', menu.title),
+            subtitle: translate('subtitle', menu.subtitle),
+            sections: (menu.sections || []).map(section => {
+                const columns = (section.columns || []).filter(isTranslatableColumn);
+                return {
+                    ...section,
+                    name: translate(sectionKey(section), section.name),
+                    items: (section.items || []).map(item => {
+                        if (!item._id) return item;
+
+                        const translated = { ...item };
+                        columns.forEach(column => {
+                            if (item[column]) {
+                                translated[column] = translate(itemKey(item, column), item[column]);
+                            }
+                        });
+                        if (Array.isArray(item.priceVariants)) {
+                            translated.priceVariants = item.priceVariants.map((variant, index) => ({
+                                ...variant,
+                                label: translate(variantKey(item, index), variant.label)
+                            }));
+                        }
+                        return translated;
+                    })
+                };
+            })
+        };
+    }
+
+    // Keep translations attached to a section's items when a column is renamed
+    function renameColumnTranslations(translations, items, oldColumn, newColumn) {
+        if (!translations || !translations.strings) return;
+
+        Object.values(translations.strings).forEach(strings => {
+            items.forEach(item => {
+                const oldKey = itemKey(item, oldColumn);
+                if (item._id && strings[oldKey] !== undefined) {
+                    strings[itemKey(item, newColumn)] = strings[oldKey];
+                    delete strings[oldKey];
+                }
+            });
+        });
+    }
+
+    /**
+     * Share of a language's fields that have a translation.
+     *
+     * @returns {{translated: number, total: number}}
+     */
+    function getTranslationProgress(fields, translations, locale) {
+        const strings = (translations && translations.strings && translations.strings[locale]) || {};
+        const total = fields.filter(field => field.source.trim()).length;
+        const translated = fields.filter(field => field.source.trim() && (strings[field.key] || '').trim()).length;
+        return { translated, total };
+    }
+
+    /**
+     * Check translations sent by the editor.
+     *
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateTranslations(translations) {
+        if (translations === null) return null;
+        if (typeof translations !== 'object' || Array.isArray(translations)) {
+            return 'Translations must be an object';
+        }
+
+        const locales = getMenuLocales(translations);
+        if (locales.some(code => !getLocaleInfo(code))) {
+            return 'Unsupported language';
+        }
+        if (translations.locales !== undefined && !Array.isArray(translations.locales)) {
+            return 'Languages must be a list';
+        }
+        if (new Set(locales).size !== locales.length || locales.length > MAX_LOCALES + 1) {
+            return `A menu can have up to ${MAX_LOCALES} additional languages`;
+        }
+
+        const strings = translations.strings || {};
+        if (typeof strings !== 'object' || Array.isArray(strings)) {
+            return 'Translated text must be an object keyed by language';
+        }
+        for (const [code, values] of Object.entries(strings)) {
+            if (!locales.includes(code)) {
+                return 'Translated text is for a language the menu does not offer';
+            }
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                return 'Invalid translated text';
+            }
+
+            const entries = Object.entries(values);
+            if (entries.length > MAX_STRINGS_PER_LOCALE) {
+                return 'Too many translated fields';
+            }
+            if (entries.some(([, value]) => typeof value !== 'string' || value.length > MAX_STRING_LENGTH)) {
+                return `Translations must be text of up to ${MAX_STRING_LENGTH} characters`;
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        SUPPORTED_LOCALES,
+        MAX_LOCALES,
+        getLocaleInfo,
+        isTranslatableColumn,
+        getMenuLocales,
+        negotiateLocale,
+        getTranslatableFields,
+        applyTranslations,
+        renameColumnTranslations,
+        getTranslationProgress,
+        validateTranslations
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MenuI18n = MenuI18n;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuI18n;
+}
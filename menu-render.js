@@ -0,0 +1,279 @@
+/**
+ * Menu Render for MyMobileMenu
+ * Builds the published menu's section markup. The server uses it to send
+ * the page fully rendered and the published page uses it when it loads the
+ * menu itself, so both always produce the same HTML.
+ */
+
+const MenuRender = (() => {
+    const Tags = typeof MenuTags !== 'undefined' ? MenuTags : require('./menu-tags');
+    const escape = Tags.escapeHtml;
+
+    // How a section lays out its items. The menu picks a default and any
+    // section can override it.
+    const LAYOUTS = [
+        { id: 'list', label: 'Classic list', description: 'One item per row' },
+        { id: 'cards', label: 'Image cards', description: 'Photo cards in a grid' },
+        { id: 'two-column', label: 'Two-column list', description: 'Dense rows, e.g. a wine list' },
+        { id: 'accordion', label: 'Accordion', description: 'Tap a section to open it' }
+    ];
+    const DEFAULT_LAYOUT = 'list';
+
+    function isValidLayout(layout) {
+        return LAYOUTS.some(option => option.id === layout);
+    }
+
+    /**
+     * The layout a section is shown in: its own choice, else the menu's.
+     *
+     * @param {number|string} sectionId
+     * @param {string} [menuLayout]
+     * @param {Object} [sectionLayouts] - Layout overrides by section id
+     * @returns {string} Layout id
+     */
+    function getSectionLayout(sectionId, menuLayout, sectionLayouts) {
+        const override = sectionLayouts ? sectionLayouts[sectionId] : null;
+        if (isValidLayout(override)) return override;
+        return isValidLayout(menuLayout) ? menuLayout : DEFAULT_LAYOUT;
+    }
+
+    /**
+     * Check a menu's layout settings before saving them.
+     *
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateLayouts(menuLayout, sectionLayouts) {
+        if (menuLayout !== undefined && menuLayout !== null && !isValidLayout(menuLayout)) {
+            return 'Invalid menu layout';
+        }
+        if (sectionLayouts === undefined || sectionLayouts === null) {
+            return null;
+        }
+        if (typeof sectionLayouts !== 'object' || Array.isArray(sectionLayouts)) {
+            return 'Section layouts must map section IDs to layouts';
+        }
+        const invalid = Object.values(sectionLayouts).find(layout => !isValidLayout(layout));
+        return invalid === undefined ? null : `Invalid section layout: ${invalid}`;
+    }
+
+    function isPriceColumn(column) {
+        return column.toLowerCase().includes('price');
+    }
+
+    function getDescriptionColumn(section) {
+        return section.columns.find(col => col.toLowerCase().includes('description'));
+    }
+
+    // "3:30 PM" in the guest's timezone, or the restaurant's when rendered on the server
+    function formatBackAt(backAt, timeZone) {
+        const options = { hour: 'numeric', minute: '2-digit' };
+        if (timeZone) options.timeZone = timeZone;
+
+        try {
+            return new Date(backAt).toLocaleTimeString([], options);
+        } catch (error) {
+            return new Date(backAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        }
+    }
+
+    function renderPriceVariants(item) {
+        const variants = (item.priceVariants || []).filter(variant =>
+            String(variant.label ?? '').trim() || String(variant.price ?? '').trim()
+        );
+        if (variants.length === 0) return '';
+
+        return `
+            <div class="preview-price-variants">
+                ${variants.map(variant => `
+                    <span class="preview-price-variant">
+                        ${variant.label ? `<span class="preview-variant-label">${escape(variant.label)}</span>` : ''}
+                        ${variant.price ? `<span class="preview-variant-price">${escape(variant.price)}</span>` : ''}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Lazy thumbnail that opens the full-size photo in the lightbox
+    function renderItemPhoto(photo, name) {
+        return `
+            <button type="button" class="preview-item-photo-button" data-full="${escape(photo.full)}" aria-label="View photo${name ? ` of ${escape(name)}` : ''}">
+                <img class="preview-item-photo" src="${escape(photo.thumbnail)}" alt="${escape(name)}" width="240" height="240" loading="lazy" decoding="async">
+            </button>
+        `;
+    }
+
+    /**
+     * An item's name, title-line price and description. The first column (or
+     * the section's title columns) make up the name, with any price column
+     * among them shown as the price; a "description" column is the description.
+     *
+     * @param {Object} item
+     * @param {Object} section - The item's section (for its columns)
+     * @returns {{name: string, price: string, description: string, titleColumns: Array<string>, descriptionColumn: string|undefined}}
+     */
+    function getItemFields(item, section) {
+        const titleColumns = section.titleColumns || [section.columns[0]];
+        const descriptionColumn = getDescriptionColumn(section);
+
+        const titleParts = [];
+        const priceInTitle = [];
+
+        titleColumns.forEach(col => {
+            // Imported or older items can hold numbers (e.g. a price of 12)
+            const value = String(item[col] ?? '');
+            if (value.trim()) {
+                if (isPriceColumn(col)) {
+                    priceInTitle.push(value);
+                } else {
+                    titleParts.push(value);
+                }
+            }
+        });
+
+        return {
+            name: titleParts.join(' '),
+            price: priceInTitle.join(' '),
+            description: descriptionColumn ? String(item[descriptionColumn] ?? '') : '',
+            titleColumns,
+            descriptionColumn
+        };
+    }
+
+    /**
+     * One menu item: title line with photo and price, badges, description,
+     * price options and the remaining columns.
+     *
+     * @param {Object} item
+     * @param {Object} section - The item's section (for its columns)
+     * @param {Object} [options] - { timeZone } for "back at" times
+     * @returns {string} HTML
+     */
+    function renderItem(item, section, options = {}) {
+        const {
+            name: titleText,
+            price: titlePrice,
+            description,
+            titleColumns,
+            descriptionColumn
+        } = getItemFields(item, section);
+
+        const visibleColumns = section.columns.filter(col =>
+            !titleColumns.includes(col) && col !== descriptionColumn
+        );
+
+        const dataRow = visibleColumns.map(col => {
+            const value = item[col] || '';
+            return `<span class="preview-data-cell ${isPriceColumn(col) ? 'preview-price-cell' : ''}">${escape(value)}</span>`;
+        }).join('');
+
+        // Hidden items are already left out by the API; sold-out items stay visible but marked
+        const soldOut = item.availability && item.availability.status === 'sold_out';
+        const backAt = soldOut && item.availability.backAt ? item.availability.backAt : null;
+
+        const tagKeys = Tags.getTagKeys(item.tags).map(encodeURIComponent).join(' ');
+
+        return `
+            <div class="preview-item${soldOut ? ' preview-item-sold-out' : ''}" data-tags="${tagKeys}">
+                ${(titleText || titlePrice || item.photo) ? `
+                    <div class="preview-item-title">
+                        ${item.photo ? renderItemPhoto(item.photo, titleText) : ''}
+                        <span class="preview-title-text">${escape(titleText)}</span>
+                        ${titlePrice ? `<span class="preview-title-price">${escape(titlePrice)}</span>` : ''}
+                    </div>
+                ` : ''}
+                ${soldOut ? `<div class="preview-availability-badge">Sold out${backAt ? ` · Back at <time datetime="${escape(backAt)}">${formatBackAt(backAt, options.timeZone)}</time>` : ''}</div>` : ''}
+                ${Tags.renderTagBadges(item.tags)}
+                ${description ? `<div class="preview-item-description">${escape(description)}</div>` : ''}
+                ${renderPriceVariants(item)}
+                ${visibleColumns.length > 0 ? `
+                    <div class="preview-item-data" style="grid-template-columns: repeat(${visibleColumns.length}, 1fr);">
+                        ${dataRow}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * A section's heading, pricing badge and items in its layout. Accordion
+     * sections are a <details> element, so they open without any script.
+     * The editor preview wraps its own item markup in the same frame.
+     *
+     * @param {Object} section
+     * @param {string} layout - Layout id
+     * @param {string} itemsHtml - The section's rendered items
+     * @returns {string} HTML
+     */
+    function renderSectionFrame(section, layout, itemsHtml) {
+        const heading = `<h2>${escape(section.name)}</h2>`;
+        const body = `
+            ${section.activePricing ? `
+                <div class="preview-pricing-badge"><i class="fas fa-clock" aria-hidden="true"></i> ${escape(section.activePricing)} prices</div>
+            ` : ''}
+            <div class="preview-items">
+                ${itemsHtml}
+            </div>
+        `;
+        const attributes = `class="preview-section preview-layout-${escape(layout)}" data-section-id="${escape(section.id)}" data-layout="${escape(layout)}"`;
+
+        if (layout === 'accordion') {
+            return `<details ${attributes}><summary>${heading}</summary>${body}</details>`;
+        }
+        return `<div ${attributes}>${heading}${body}</div>`;
+    }
+
+    /**
+     * @param {Object} section
+     * @param {Object} [options] - { layout, timeZone }
+     * @returns {string} HTML
+     */
+    function renderSection(section, options = {}) {
+        const itemsHtml = section.items.map(item => renderItem(item, section, options)).join('');
+        return renderSectionFrame(section, options.layout || DEFAULT_LAYOUT, itemsHtml);
+    }
+
+    /**
+     * @param {Array} sections
+     * @param {Object} [options] - { menuLayout, sectionLayouts, timeZone }
+     * @returns {string} HTML
+     */
+    function renderSections(sections, options = {}) {
+        return sections.map(section => renderSection(section, {
+            ...options,
+            layout: getSectionLayout(section.id, options.menuLayout, options.sectionLayouts)
+        })).join('');
+    }
+
+    function renderLogo(menuLogo, logoSize) {
+        if (!menuLogo) return '';
+        return `<div class="preview-menu-logo"><img src="${escape(menuLogo)}" alt="Restaurant Logo" class="menu-logo ${escape(logoSize || 'medium')}"></div>`;
+    }
+
+    return {
+        LAYOUTS,
+        DEFAULT_LAYOUT,
+        isValidLayout,
+        getSectionLayout,
+        validateLayouts,
+        isPriceColumn,
+        getItemFields,
+        formatBackAt,
+        renderItem,
+        renderPriceVariants,
+        renderItemPhoto,
+        renderSectionFrame,
+        renderSection,
+        renderSections,
+        renderLogo
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MenuRender = MenuRender;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuRender;
+}
@@ -0,0 +1,297 @@
+/**
+ * Menu Schedule for MyMobileMenu
+ * Time-window rules shared by the editor's "as of" preview and the
+ * published menu API, so both agree on what is active at a given time.
+ *
+ * A menu's schedule is stored as:
+ * {
+ *   timezone: 'America/Chicago',
+ *   alternates: [{ menuId, windows }],            // other menus served at this URL
+ *   sections: {
+ *     [sectionId]: {
+ *       windows,                                   // when the section is shown
+ *       priceColumn, priceLabel, priceWindows      // alternate prices, e.g. happy hour
+ *     }
+ *   }
+ * }
+ * where each time window is { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }.
+ */
+
+const MenuSchedule = (() => {
+    const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const MAX_WINDOWS = 20;
+    const MAX_ALTERNATES = 10;
+
+    // Minutes after midnight, or null when the value is not HH:MM
+    function parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) return null;
+
+        return hours * 60 + minutes;
+    }
+
+    function isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Day of week and minutes after midnight for a moment in the given timezone.
+     *
+     * @param {Date} date
+     * @param {string} timezone - IANA name; falls back to UTC when unknown
+     * @returns {{day: number, minutes: number}}
+     */
+    function getLocalTime(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone && isValidTimezone(timezone) ? timezone : 'UTC',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const part = (type) => parts.find(p => p.type === type).value;
+
+        return {
+            day: DAY_LABELS.indexOf(part('weekday')),
+            minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+        };
+    }
+
+    // Milliseconds the timezone is ahead of UTC at a given moment
+    function getTimezoneOffset(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const part = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+
+        const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+        return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+    }
+
+    /**
+     * The moment a wall-clock time ('YYYY-MM-DDTHH:MM', as from a
+     * datetime-local input) happens in the given timezone.
+     *
+     * @returns {Date|null}
+     */
+    function fromLocalDateTime(value, timezone) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+
+        const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+        const zone = timezone && isValidTimezone(timezone) ? timezone : 'UTC';
+        return new Date(wallClock - getTimezoneOffset(new Date(wallClock), zone));
+    }
+
+    /**
+     * Whether a window covers the local time. A window whose end is earlier
+     * than its start runs past midnight (e.g. Fri 22:00-02:00 covers early
+     * Saturday); equal start and end cover the whole day.
+     */
+    function isWindowActive(timeWindow, local) {
+        const start = parseTime(timeWindow.start);
+        const end = parseTime(timeWindow.end);
+        if (start === null || end === null) return false;
+
+        const days = Array.isArray(timeWindow.days) && timeWindow.days.length > 0 ? timeWindow.days : [0, 1, 2, 3, 4, 5, 6];
+        const previousDay = (local.day + 6) % 7;
+
+        if (start === end) {
+            return days.includes(local.day);
+        }
+        if (start < end) {
+            return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+        }
+        return (days.includes(local.day) && local.minutes >= start) ||
+            (days.includes(previousDay) && local.minutes < end);
+    }
+
+    // No windows means no restriction
+    function isScheduleActive(windows, local) {
+        if (!Array.isArray(windows) || windows.length === 0) return true;
+        return windows.some(timeWindow => isWindowActive(timeWindow, local));
+    }
+
+    /**
+     * The alternate menu that should be served instead of this one, if any.
+     *
+     * @returns {Object|null} The matching `{ menuId, windows }` entry
+     */
+    function resolveAlternateMenu(schedule, date = new Date()) {
+        if (!schedule || !Array.isArray(schedule.alternates)) return null;
+
+        const local = getLocalTime(date, schedule.timezone);
+        return schedule.alternates.find(alternate =>
+            Array.isArray(alternate.windows) && alternate.windows.length > 0 && isScheduleActive(alternate.windows, local)
+        ) || null;
+    }
+
+    // The column an alternate price replaces: the first other price column
+    function getRegularPriceColumn(section, priceColumn) {
+        return section.columns.find(col => col !== priceColumn && col.toLowerCase().includes('price')) || null;
+    }
+
+    /**
+     * Sections as guests see them at a given time: sections outside their
+     * windows are dropped, the alternate price column is never shown, and its
+     * values replace the regular price while a price window is active.
+     *
+     * @param {Array} sections
+     * @param {Object} schedule - The menu's schedule (may be null)
+     * @param {Date} [date]
+     * @returns {Array} New section objects; the input is not modified
+     */
+    function applySectionSchedules(sections, schedule, date = new Date()) {
+        const sectionSchedules = (schedule && schedule.sections) || {};
+        const local = getLocalTime(date, schedule && schedule.timezone);
+
+        return sections.reduce((visible, section) => {
+            const config = sectionSchedules[section.id];
+            if (!config) {
+                visible.push(section);
+                return visible;
+            }
+
+            if (!isScheduleActive(config.windows, local)) {
+                return visible;
+            }
+
+            const priceColumn = config.priceColumn;
+            if (!priceColumn || !section.columns.includes(priceColumn)) {
+                visible.push(section);
+                return visible;
+            }
+
+            const regularColumn = getRegularPriceColumn(section, priceColumn);
+            const pricingActive = Array.isArray(config.priceWindows) && config.priceWindows.length > 0 &&
+                isScheduleActive(config.priceWindows, local) && regularColumn !== null;
+
+            visible.push({
+                ...section,
+                columns: section.columns.filter(col => col !== priceColumn),
+                ...(section.titleColumns ? { titleColumns: section.titleColumns.filter(col => col !== priceColumn) } : {}),
+                items: section.items.map(item => {
+                    const { [priceColumn]: alternatePrice, ...rest } = item;
+                    // Imported items can hold numbers (e.g. a price of 5)
+                    if (pricingActive && String(alternatePrice ?? '').trim()) {
+                        rest[regularColumn] = alternatePrice;
+                    }
+                    return rest;
+                }),
+                ...(pricingActive ? { activePricing: config.priceLabel || 'Happy hour' } : {})
+            });
+            return visible;
+        }, []);
+    }
+
+    function validateWindows(windows) {
+        if (windows === undefined) return null;
+        if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+            return `Each schedule can have up to ${MAX_WINDOWS} time windows`;
+        }
+
+        for (const timeWindow of windows) {
+            if (!timeWindow || parseTime(timeWindow.start) === null || parseTime(timeWindow.end) === null) {
+                return 'Time windows need a start and end time (HH:MM)';
+            }
+            if (timeWindow.days !== undefined && (!Array.isArray(timeWindow.days) ||
+                timeWindow.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+                return 'Time window days must be numbers from 0 (Sunday) to 6 (Saturday)';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a schedule sent by the editor.
+     *
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateSchedule(schedule) {
+        if (schedule === null) return null;
+        if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return 'Schedule must be an object';
+        }
+
+        if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+            return 'Invalid timezone';
+        }
+
+        const alternates = schedule.alternates || [];
+        if (!Array.isArray(alternates) || alternates.length > MAX_ALTERNATES) {
+            return `A menu can switch to at most ${MAX_ALTERNATES} other menus`;
+        }
+        for (const alternate of alternates) {
+            if (!alternate || typeof alternate.menuId !== 'string' || !alternate.menuId) {
+                return 'Scheduled menus need a menu ID';
+            }
+            const error = validateWindows(alternate.windows);
+            if (error) return error;
+        }
+
+        const sections = schedule.sections || {};
+        if (typeof sections !== 'object' || Array.isArray(sections)) {
+            return 'Section schedules must be an object keyed by section ID';
+        }
+        for (const config of Object.values(sections)) {
+            if (!config || typeof config !== 'object') {
+                return 'Invalid section schedule';
+            }
+            if (config.priceColumn !== undefined && config.priceColumn !== null && typeof config.priceColumn !== 'string') {
+                return 'Alternate price column must be a column name';
+            }
+            const error = validateWindows(config.windows) || validateWindows(config.priceWindows);
+            if (error) return error;
+        }
+
+        return null;
+    }
+
+    // "Mon-Fri 11:00-15:00" style summary for the editor
+    function describeWindow(timeWindow) {
+        const days = Array.isArray(timeWindow.days) && timeWindow.days.length > 0 && timeWindow.days.length < 7
+            ? [...timeWindow.days].sort().map(day => DAY_LABELS[day]).join(', ')
+            : 'Every day';
+        return `${days} ${timeWindow.start}–${timeWindow.end}`;
+    }
+
+    return {
+        DAY_LABELS,
+        parseTime,
+        isValidTimezone,
+        getLocalTime,
+        fromLocalDateTime,
+        isWindowActive,
+        isScheduleActive,
+        resolveAlternateMenu,
+        applySectionSchedules,
+        validateWindows,
+        validateSchedule,
+        describeWindow
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MenuSchedule = MenuSchedule;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuSchedule;
+}
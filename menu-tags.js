@@ -0,0 +1,137 @@
+/**
+ * Menu Tags for MyMobileMenu
+ * Shared dietary and allergen vocabulary used by the editor preview and the
+ * published menu, so both render and filter the same badges
+ */
+
+const MenuTags = (() => {
+    const DIET_TAGS = [
+        { id: 'vegan', label: 'Vegan', short: 'VG', icon: 'fa-seedling' },
+        { id: 'vegetarian', label: 'Vegetarian', short: 'V', icon: 'fa-leaf' },
+        { id: 'gluten-free', label: 'Gluten-free', short: 'GF', icon: null },
+        { id: 'dairy-free', label: 'Dairy-free', short: 'DF', icon: null }
+    ];
+
+    // Common allergens (US top 9 plus the remaining EU 14)
+    const ALLERGENS = [
+        { id: 'milk', label: 'Milk' },
+        { id: 'eggs', label: 'Eggs' },
+        { id: 'fish', label: 'Fish' },
+        { id: 'shellfish', label: 'Shellfish' },
+        { id: 'molluscs', label: 'Molluscs' },
+        { id: 'tree-nuts', label: 'Tree nuts' },
+        { id: 'peanuts', label: 'Peanuts' },
+        { id: 'gluten', label: 'Gluten' },
+        { id: 'soy', label: 'Soy' },
+        { id: 'sesame', label: 'Sesame' },
+        { id: 'celery', label: 'Celery' },
+        { id: 'mustard', label: 'Mustard' },
+        { id: 'sulphites', label: 'Sulphites' },
+        { id: 'lupin', label: 'Lupin' }
+    ];
+
+    const MAX_SPICY_LEVEL = 3;
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Clean up an item's `tags` value, dropping unknown ids and blank custom tags.
+     *
+     * @param {Object} tags - { diet: [], allergens: [], spicy: 0, custom: [] }
+     * @returns {Object} Tags in the same shape, always fully populated
+     */
+    function normalizeTags(tags) {
+        const source = tags || {};
+        const dietIds = DIET_TAGS.map(tag => tag.id);
+        const allergenIds = ALLERGENS.map(allergen => allergen.id);
+        const spicy = parseInt(source.spicy, 10) || 0;
+
+        return {
+            diet: (source.diet || []).filter(id => dietIds.includes(id)),
+            allergens: (source.allergens || []).filter(id => allergenIds.includes(id)),
+            spicy: Math.max(0, Math.min(MAX_SPICY_LEVEL, spicy)),
+            custom: [...new Set((source.custom || []).map(tag => String(tag).trim()).filter(Boolean))]
+        };
+    }
+
+    function hasTags(tags) {
+        const normalized = normalizeTags(tags);
+        return normalized.diet.length > 0 || normalized.allergens.length > 0 ||
+            normalized.spicy > 0 || normalized.custom.length > 0;
+    }
+
+    /**
+     * Filter keys for an item, e.g. ['vegan', 'allergen:peanuts', 'spicy'].
+     * The published menu puts these in a data attribute to filter on.
+     */
+    function getTagKeys(tags) {
+        const normalized = normalizeTags(tags);
+        return [
+            ...normalized.diet,
+            ...normalized.allergens.map(id => `allergen:${id}`),
+            ...(normalized.spicy > 0 ? ['spicy'] : []),
+            ...normalized.custom.map(tag => `custom:${tag.toLowerCase()}`)
+        ];
+    }
+
+    function renderTagBadges(tags) {
+        if (!hasTags(tags)) return '';
+        const normalized = normalizeTags(tags);
+
+        const dietBadges = DIET_TAGS
+            .filter(tag => normalized.diet.includes(tag.id))
+            .map(tag => `
+                <span class="menu-tag menu-tag-diet" data-tag="${tag.id}" title="${tag.label}">
+                    ${tag.icon ? `<i class="fas ${tag.icon}" aria-hidden="true"></i>` : ''}${tag.short}
+                </span>
+            `);
+
+        const spicyBadge = normalized.spicy > 0 ? [`
+            <span class="menu-tag menu-tag-spicy" role="img" title="Spicy (${normalized.spicy} of ${MAX_SPICY_LEVEL})" aria-label="Spicy level ${normalized.spicy} of ${MAX_SPICY_LEVEL}">
+                ${'<i class="fas fa-pepper-hot" aria-hidden="true"></i>'.repeat(normalized.spicy)}
+            </span>
+        `] : [];
+
+        const customBadges = normalized.custom.map(tag => `
+            <span class="menu-tag menu-tag-custom">${escapeHtml(tag)}</span>
+        `);
+
+        const allergenLabels = ALLERGENS
+            .filter(allergen => normalized.allergens.includes(allergen.id))
+            .map(allergen => allergen.label);
+        const allergenBadge = allergenLabels.length > 0 ? [`
+            <span class="menu-tag menu-tag-allergen">
+                <i class="fas fa-triangle-exclamation" aria-hidden="true"></i> Contains: ${allergenLabels.join(', ')}
+            </span>
+        `] : [];
+
+        return `<div class="menu-tags">${[...dietBadges, ...spicyBadge, ...customBadges, ...allergenBadge].join('')}</div>`;
+    }
+
+    return {
+        DIET_TAGS,
+        ALLERGENS,
+        MAX_SPICY_LEVEL,
+        escapeHtml,
+        normalizeTags,
+        hasTags,
+        getTagKeys,
+        renderTagBadges
+    };
+})();
+
+if (typeof window !== 'undefined') {
+    window.MenuTags = MenuTags;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuTags;
+}
@@ -12,6 +12,7 @@ const CONFIG = {
     // UI feedback delays  
     DROPDOWN_CLOSE_DELAY: 400,
     SUCCESS_MESSAGE_DELAY: 500,
+    UNDO_MERGE_WINDOW: 2000, // typing in one field within this many ms undoes as one step
     
     // User limits
     DEFAULT_MAX_MENUS: 5
@@ -50,10 +51,33 @@ class MenuEditor {
         this.publishedTitle = null;
         this.publishedSubtitle = null;
         
+        // Undo/redo for edits to sections, columns and items (see editor-history.js)
+        this.history = new EditorHistory({ onChange: () => this.updateUndoRedoButtons() });
+        
+        // Live sold-out/hidden state keyed by item _id (stored server-side, not in the draft)
+        this.itemAvailability = {};
+        
+        // Time-based schedule (see menu-schedule.js) and the editor preview's "as of" time
+        this.menuSchedule = null;
+        this.previewAsOf = null;
+        
+        // Additional languages and translated text (see menu-i18n.js)
+        this.menuTranslations = null;
+        this.previewLocale = null;
+        
+        // Publishes/unpublishes queued for later, and the timer that refreshes them when due
+        this.publishSchedules = [];
+        this.publishScheduleTimer = null;
+        
         // Multi-user and multi-menu support
         this.currentUser = null;
         this.currentMenuId = null;
         this.sidebarOpen = false;
+        
+        // The user's role on the current menu's team ('owner', 'editor' or 'viewer') and who else has access
+        this.currentMenuRole = 'owner';
+        this.currentMenuOrganizationId = null;
+        this.menuAccess = null;
         this.authInitialized = false;
         
         // Dark mode
@@ -81,16 +105,24 @@ class MenuEditor {
         this.backgroundDropdownOpen = false;
         
         // Typography properties
-        this.fontFamily = 'Inter'; // default font family
+        this.fontFamily = 'Inter'; // default font family, used for body text
+        this.headingFont = null; // null uses the body font
+        this.customFonts = null; // copies of the uploaded fonts the menu uses
+        this.accountFonts = null; // the account's uploaded fonts, loaded with the font dropdown
+        this.fontTarget = 'body'; // which font the dropdown changes: 'body' or 'heading'
         this.fontDropdownOpen = false;
         
         // Color palette properties
         this.colorPalette = 'classic'; // default color palette
+        this.customPalette = null; // colors when colorPalette is 'custom'
         this.colorDropdownOpen = false;
         
         // Navigation theme properties
         this.navigationTheme = 'modern'; // default navigation theme
+        this.menuLayout = 'list'; // default item layout, see MenuRender.LAYOUTS
+        this.sectionLayouts = null; // per-section layout overrides by section id
         this.navigationDropdownOpen = false;
+        this.layoutDropdownOpen = false;
         
         this.sectionTemplates = {
             food: {
@@ -229,6 +261,11 @@ class MenuEditor {
             }
         };
         
+        // Colors every palette defines; custom palettes set each one in the palette builder
+        this.paletteRoles = ['primaryText', 'secondaryText', 'headers', 'accent', 'background', 'muted'];
+        this.customPalettes = null; // The account's saved palettes, loaded with the color dropdown
+        this.editingPaletteId = null;
+        
         // Navigation theme definitions
         this.navigationThemes = {
             modern: {
@@ -357,6 +394,9 @@ class MenuEditor {
         // Set current user
         this.currentUser = window.authManager.getCurrentUser();
         
+        // Join the team from an invitation link before loading menus, so its menus show up
+        await this.acceptPendingInvitation();
+        
         // Load user's menus
         const userMenus = await this.getUserMenus();
         
@@ -407,7 +447,12 @@ class MenuEditor {
         this.backgroundValue = menuData.backgroundValue || null;
         this.fontFamily = menuData.fontFamily || 'Inter';
         this.colorPalette = menuData.colorPalette || 'classic';
+        this.customPalette = menuData.customPalette || null;
+        this.headingFont = menuData.headingFont || null;
+        this.customFonts = menuData.customFonts || null;
         this.navigationTheme = menuData.navigationTheme || 'modern';
+        this.menuLayout = menuData.menuLayout || 'list';
+        this.sectionLayouts = menuData.sectionLayouts || null;
         
         // Update UI
         document.getElementById('current-menu-name').textContent = menuData.name;
@@ -510,7 +555,9 @@ class MenuEditor {
             backgroundType: 'none',
             backgroundValue: null,
             menuLogo: null,
-            logoSize: 'medium'
+            logoSize: 'medium',
+            // New menus join the team of the menu being edited, if the user can add to it
+            organizationId: ['owner', 'editor'].includes(this.currentMenuRole) ? this.currentMenuOrganizationId : null
         };
         
         try {
@@ -522,16 +569,23 @@ class MenuEditor {
                 this.sectionCounter = result.menu.sectionCounter || 0;
                 this.fontFamily = result.menu.fontFamily || 'Inter';
                 this.colorPalette = result.menu.colorPalette || 'classic';
+                this.customPalette = result.menu.customPalette || null;
+                this.headingFont = result.menu.headingFont || null;
+                this.customFonts = result.menu.customFonts || null;
                 this.navigationTheme = result.menu.navigationTheme || 'modern';
+                this.menuLayout = result.menu.menuLayout || 'list';
+                this.sectionLayouts = result.menu.sectionLayouts || null;
                 this.backgroundType = result.menu.backgroundType || 'none';
                 this.backgroundValue = result.menu.backgroundValue || null;
                 this.menuLogo = result.menu.menuLogo || null;
                 this.logoSize = result.menu.logoSize || 'medium';
+                this.history.clear();
                 
                 // Update UI
                 this.renderMenu();
                 this.updateSidePreview();
                 this.updateCurrentMenuDisplay();
+                this.updateMenuAccessDisplay();
                 this.loadUserMenus();
             } else {
                 console.error('Failed to create menu:', result.error);
@@ -656,12 +710,18 @@ class MenuEditor {
 
         // Core functionality buttons
         addEventListenerSafely('add-section', 'click', () => this.openSectionModal());
+        addEventListenerSafely('undo-edit', 'click', () => this.undo());
+        addEventListenerSafely('redo-edit', 'click', () => this.redo());
         addEventListenerSafely('save-section', 'click', () => this.saveSection());
         addEventListenerSafely('cancel-section', 'click', () => this.closeSectionModal());
         addEventListenerSafely('save-menu', 'click', () => this.saveToStorage());
-        addEventListenerSafely('export-menu', 'click', () => this.exportMenu());
+        addEventListenerSafely('export-menu', 'click', () => this.openExportModal());
+        addEventListenerSafely('export-menu-json', 'click', () => this.exportMenu());
+        addEventListenerSafely('export-menu-csv', 'click', () => this.exportMenuCsv());
+        addEventListenerSafely('cancel-export', 'click', () => this.closeExportModal());
         addEventListenerSafely('import-menu', 'click', () => this.triggerImport());
         addEventListenerSafely('import-file', 'change', (e) => this.importMenu(e));
+        addEventListenerSafely('item-photo-input', 'change', (e) => this.handleItemPhotoUpload(e));
         addEventListenerSafely('add-custom-column', 'click', () => this.addCustomColumn());
         addEventListenerSafely('section-type', 'change', (e) => this.handleSectionTypeChange(e));
         addEventListenerSafely('toggle-live-preview', 'click', () => this.toggleSidePreview());
@@ -707,6 +767,121 @@ class MenuEditor {
         addEventListenerSafely('revert-to-published', 'click', () => this.revertToPublished());
         addEventListenerSafely('cancel-discard', 'click', () => this.closeDiscardModal());
         
+        // Dietary & allergen tags
+        addEventListenerSafely('save-item-tags', 'click', () => this.saveItemTags());
+        addEventListenerSafely('cancel-item-tags', 'click', () => this.closeItemTagsModal());
+        
+        // Schedules
+        addEventListenerSafely('menu-schedule', 'click', () => this.openScheduleModal());
+        addEventListenerSafely('save-schedule', 'click', () => this.saveSchedule());
+        addEventListenerSafely('cancel-schedule', 'click', () => this.closeScheduleModal());
+        addEventListenerSafely('add-schedule-alternate', 'click', () => this.addScheduleAlternate());
+        addEventListenerSafely('schedule-modal', 'click', (e) => this.handleScheduleModalClick(e));
+        addEventListenerSafely('preview-as-of', 'change', (e) => this.setPreviewAsOf(e.target.value));
+        addEventListenerSafely('clear-preview-as-of', 'click', () => this.setPreviewAsOf(null));
+        
+        // Translations
+        addEventListenerSafely('menu-translations', 'click', () => this.openTranslationsModal());
+        addEventListenerSafely('save-translations', 'click', () => this.saveTranslations());
+        addEventListenerSafely('cancel-translations', 'click', () => this.closeTranslationsModal());
+        addEventListenerSafely('add-translation-locale', 'click', () => this.addTranslationLocale());
+        addEventListenerSafely('translations-default-locale', 'change', (e) => this.setDefaultTranslationLocale(e.target.value));
+        addEventListenerSafely('translations-grid', 'input', (e) => this.handleTranslationInput(e));
+        addEventListenerSafely('translations-grid', 'click', (e) => {
+            const removeBtn = e.target.closest('.remove-translation-locale-btn');
+            if (removeBtn) {
+                this.removeTranslationLocale(removeBtn.dataset.locale);
+            }
+        });
+        addEventListenerSafely('preview-language', 'change', (e) => this.setPreviewLocale(e.target.value));
+        
+        // Analytics
+        addEventListenerSafely('menu-analytics', 'click', () => this.openAnalyticsModal());
+        addEventListenerSafely('analytics-range', 'change', () => this.loadAnalytics());
+        
+        // Custom palettes
+        addEventListenerSafely('create-custom-palette', 'click', () => this.openPaletteBuilder());
+        addEventListenerSafely('custom-palette-list', 'click', (e) => this.handleCustomPaletteClick(e));
+        addEventListenerSafely('palette-builder-roles', 'input', (e) => this.handlePaletteBuilderInput(e));
+        addEventListenerSafely('save-custom-palette', 'click', () => this.saveCustomPalette());
+        addEventListenerSafely('cancel-custom-palette', 'click', () => this.closePaletteBuilder());
+        
+        // Business info
+        addEventListenerSafely('business-info-item', 'click', () => this.openBusinessInfoModal());
+        addEventListenerSafely('save-business-info', 'click', () => this.saveBusinessInfo());
+        addEventListenerSafely('cancel-business-info', 'click', () => this.closeBusinessInfoModal());
+        addEventListenerSafely('business-info-modal', 'click', (e) => this.handleScheduleModalClick(e));
+        
+        // Team and menu access
+        addEventListenerSafely('team-item', 'click', () => this.openTeamModal());
+        addEventListenerSafely('menu-access-indicator', 'click', () => this.openTeamModal(this.currentMenuOrganizationId));
+        addEventListenerSafely('team-select', 'change', (e) => this.loadTeam(e.target.value));
+        addEventListenerSafely('create-team', 'click', () => this.createTeam());
+        addEventListenerSafely('send-team-invite', 'click', () => this.sendTeamInvite());
+        addEventListenerSafely('team-modal', 'click', (e) => this.handleTeamModalClick(e));
+        addEventListenerSafely('team-modal', 'change', (e) => this.handleTeamModalChange(e));
+        addEventListenerSafely('close-team-modal', 'click', () => this.closeTeamModal());
+        
+        // Signed-in devices
+        addEventListenerSafely('sessions-item', 'click', () => this.openSessionsModal());
+        addEventListenerSafely('session-list', 'click', (e) => {
+            const revokeBtn = e.target.closest('.revoke-session-btn');
+            if (revokeBtn) {
+                this.revokeSession(revokeBtn.dataset.sessionId);
+            }
+        });
+        addEventListenerSafely('sign-out-other-sessions', 'click', () => this.signOutOtherSessions());
+        addEventListenerSafely('close-sessions-modal', 'click', () => this.closeSessionsModal());
+        
+        // Two-factor authentication
+        addEventListenerSafely('two-factor-item', 'click', () => this.openTwoFactorModal());
+        addEventListenerSafely('start-two-factor-setup', 'click', () => this.startTwoFactorSetup());
+        addEventListenerSafely('confirm-two-factor-setup', 'click', () => this.confirmTwoFactorSetup());
+        addEventListenerSafely('recovery-codes-saved', 'click', () => this.loadTwoFactorStatus());
+        addEventListenerSafely('copy-recovery-codes', 'click', () => this.copyRecoveryCodes());
+        addEventListenerSafely('two-factor-google-toggle', 'change', (e) => this.updateTwoFactorGoogleRequirement(e.target));
+        addEventListenerSafely('regenerate-recovery-codes', 'click', () => this.regenerateRecoveryCodes());
+        addEventListenerSafely('disable-two-factor', 'click', () => this.disableTwoFactor());
+        addEventListenerSafely('close-two-factor-modal', 'click', () => this.closeTwoFactorModal());
+        
+        // Scheduled publishing
+        addEventListenerSafely('schedule-publish', 'click', () => {
+            const details = {
+                slug: document.getElementById('menu-url-path').value,
+                title: document.getElementById('menu-title-publish').value,
+                subtitle: document.getElementById('menu-subtitle-publish').value
+            };
+            this.closePublishModal();
+            this.openPublishScheduleModal(details);
+        });
+        addEventListenerSafely('scheduled-changes-indicator', 'click', () => this.openPublishScheduleModal());
+        addEventListenerSafely('publish-schedule-action', 'change', () => this.updatePublishScheduleForm());
+        addEventListenerSafely('save-publish-schedule', 'click', () => this.createPublishSchedule());
+        addEventListenerSafely('close-publish-schedule', 'click', () => this.closePublishScheduleModal());
+        addEventListenerSafely('publish-schedule-list', 'click', (e) => {
+            const cancelBtn = e.target.closest('.cancel-publish-schedule-btn');
+            if (cancelBtn) {
+                this.cancelPublishSchedule(cancelBtn.dataset.scheduleId);
+            }
+        });
+        
+        // Version history
+        addEventListenerSafely('menu-history', 'click', () => this.openHistoryModal());
+        addEventListenerSafely('close-history-modal', 'click', () => this.closeHistoryModal());
+        addEventListenerSafely('revision-list', 'click', (e) => {
+            const compareBtn = e.target.closest('.revision-compare');
+            const restoreBtn = e.target.closest('.revision-restore');
+            const scheduleBtn = e.target.closest('.revision-schedule');
+            if (compareBtn) {
+                this.showRevisionDiff(compareBtn.dataset.revisionId);
+            } else if (restoreBtn) {
+                this.restoreRevision(restoreBtn.dataset.revisionId);
+            } else if (scheduleBtn) {
+                this.closeHistoryModal();
+                this.openPublishScheduleModal({ action: 'revision', revisionId: scheduleBtn.dataset.revisionId });
+            }
+        });
+        
         // Styling/Customization buttons
         addEventListenerSafely('logo-options', 'click', (e) => {
             e.stopPropagation();
@@ -722,6 +897,11 @@ class MenuEditor {
             e.stopPropagation();
             this.toggleFontDropdown();
         });
+        addEventListenerSafely('font-dropdown', 'click', (e) => this.handleFontDropdownClick(e));
+        addEventListenerSafely('upload-font-btn', 'click', () => {
+            document.getElementById('font-file-input').click();
+        });
+        addEventListenerSafely('font-file-input', 'change', (e) => this.handleFontUpload(e));
         addEventListenerSafely('color-options', 'click', (e) => {
             e.stopPropagation();
             this.toggleColorDropdown();
@@ -730,6 +910,10 @@ class MenuEditor {
             e.stopPropagation();
             this.toggleNavigationDropdown();
         });
+        addEventListenerSafely('layout-options', 'click', (e) => {
+            e.stopPropagation();
+            this.toggleLayoutDropdown();
+        });
         
         // Logo file input
         addEventListenerSafely('logo-file-input', 'change', (event) => this.handleLogoUpload(event));
@@ -804,6 +988,7 @@ class MenuEditor {
         const modal = document.getElementById('section-modal');
         const nameInput = document.getElementById('section-name');
         const typeSelect = document.getElementById('section-type');
+        const layoutSelect = document.getElementById('section-layout');
         const customColumns = document.getElementById('custom-columns');
         
         if (sectionId) {
@@ -813,6 +998,7 @@ class MenuEditor {
             if (section) {
                 nameInput.value = section.name;
                 typeSelect.value = section.type;
+                layoutSelect.value = (this.sectionLayouts && this.sectionLayouts[sectionId]) || '';
             } else {
                 console.error('Section not found for ID:', sectionId);
                 nameInput.value = '';
@@ -830,6 +1016,7 @@ class MenuEditor {
         } else {
             nameInput.value = '';
             typeSelect.value = 'food';
+            layoutSelect.value = '';
             customColumns.style.display = 'none';
             this.updateTitleColumnsForType('food');
         }
@@ -1015,27 +1202,32 @@ class MenuEditor {
         }
         
         const titleColumns = this.getTitleColumns();
-        
-        if (this.currentSectionId) {
-            const sectionIndex = this.sections.findIndex(s => s.id === this.currentSectionId);
-            this.sections[sectionIndex] = {
-                ...this.sections[sectionIndex],
-                name,
-                type,
-                columns,
-                titleColumns
-            };
-        } else {
-            const newSection = {
-                id: ++this.sectionCounter,
-                name,
-                type,
-                columns,
-                titleColumns,
-                items: []
-            };
-            this.sections.push(newSection);
-        }
+        const layout = document.getElementById('section-layout').value;
+        
+        this.recordChange(this.currentSectionId ? 'Edit section' : 'Add section', () => {
+            if (this.currentSectionId) {
+                const sectionIndex = this.sections.findIndex(s => s.id === this.currentSectionId);
+                this.sections[sectionIndex] = {
+                    ...this.sections[sectionIndex],
+                    name,
+                    type,
+                    columns,
+                    titleColumns
+                };
+                this.setSectionLayout(this.currentSectionId, layout);
+            } else {
+                const newSection = {
+                    id: ++this.sectionCounter,
+                    name,
+                    type,
+                    columns,
+                    titleColumns,
+                    items: []
+                };
+                this.sections.push(newSection);
+                this.setSectionLayout(newSection.id, layout);
+            }
+        });
         
         this.closeSectionModal();
         this.renderMenu();
@@ -1045,7 +1237,14 @@ class MenuEditor {
     
     deleteSection(sectionId) {
         if (confirm('Are you sure you want to delete this section?')) {
-            this.sections = this.sections.filter(s => s.id !== sectionId);
+            this.recordChange('Delete section', () => {
+                this.sections = this.sections.filter(s => s.id !== sectionId);
+                // A later section could reuse the id, so don't leave its schedule behind
+                if (this.menuSchedule && this.menuSchedule.sections) {
+                    delete this.menuSchedule.sections[sectionId];
+                }
+                this.setSectionLayout(sectionId, '');
+            });
             this.renderMenu();
             this.updateSidePreview();
             this.markAsChanged();
@@ -1072,7 +1271,9 @@ class MenuEditor {
             newItem[column] = '';
         });
         
-        section.items.push(newItem);
+        this.recordChange('Add item', () => {
+            section.items.push(newItem);
+        });
         console.log('✅ Menu item added, re-rendering...');
         
         this.renderMenu();
@@ -1081,63 +1282,6 @@ class MenuEditor {
         this.saveToStorage();
     }
     
-    /**
-     * Delete a menu item from the specified section at the given index.
-     * 
-     * @param {number} sectionId - The ID of the section containing the item
-     * @param {number} itemIndex - The index of the item to delete within the section
-     */
-    deleteMenuItem(sectionId, itemIndex) {
-        console.log('🗑️ Deleting menu item from section:', sectionId, 'index:', itemIndex);
-        const section = this.sections.find(s => s.id === sectionId);
-        
-        if (!section) {
-            console.error('❌ Section not found:', sectionId);
-            return;
-        }
-        
-        if (!section.items[itemIndex]) {
-            console.error('❌ Item not found at index:', itemIndex);
-            return;
-        }
-        
-        section.items.splice(itemIndex, 1);
-        console.log('✅ Menu item deleted, re-rendering...');
-        
-        this.renderMenu();
-        this.updateSidePreview();
-        this.markAsChanged();
-        this.saveToStorage();
-    }
-    
-    duplicateMenuItem(sectionId, itemIndex) {
-        console.log('📋 Duplicating menu item from section:', sectionId, 'index:', itemIndex);
-        const section = this.sections.find(s => s.id === sectionId);
-        
-        if (!section) {
-            console.error('❌ Section not found:', sectionId);
-            return;
-        }
-        
-        if (!section.items[itemIndex]) {
-            console.error('❌ Item not found at index:', itemIndex);
-            return;
-        }
-        
-        // Create a deep copy of the item
-        const originalItem = section.items[itemIndex];
-        const duplicatedItem = { ...originalItem };
-        
-        // Insert the duplicated item right after the original
-        section.items.splice(itemIndex + 1, 0, duplicatedItem);
-        console.log('✅ Menu item duplicated, re-rendering...');
-        
-        this.renderMenu();
-        this.updateSidePreview();
-        this.markAsChanged();
-        this.saveToStorage();
-    }
-    
     // updateMenuItem method moved to avoid duplication - see line ~3905
     
     addColumn(sectionId) {
@@ -1153,12 +1297,14 @@ class MenuEditor {
                 return;
             }
             
-            // Add column to section
-            section.columns.push(columnName);
-            
-            // Add empty values for existing items
-            section.items.forEach(item => {
-                item[columnName] = '';
+            this.recordChange('Add column', () => {
+                // Add column to section
+                section.columns.push(columnName);
+                
+                // Add empty values for existing items
+                section.items.forEach(item => {
+                    item[columnName] = '';
+                });
             });
             
             this.renderMenu();
@@ -1199,12 +1345,14 @@ class MenuEditor {
             return;
         }
         
-        // Add column to section
-        section.columns.push(columnName);
-        
-        // Add empty values for existing items
-        section.items.forEach(item => {
-            item[columnName] = '';
+        this.recordChange('Add column', () => {
+            // Add column to section
+            section.columns.push(columnName);
+            
+            // Add empty values for existing items
+            section.items.forEach(item => {
+                item[columnName] = '';
+            });
         });
         
         this.renderMenu();
@@ -1233,12 +1381,14 @@ class MenuEditor {
         }
         
         if (confirm(`Are you sure you want to delete the "${columnName}" column? This will remove all data in this column.`)) {
-            // Remove column from columns array
-            section.columns = section.columns.filter(col => col !== columnName);
-            
-            // Remove column data from all items
-            section.items.forEach(item => {
-                delete item[columnName];
+            this.recordChange('Delete column', () => {
+                // Remove column from columns array
+                section.columns = section.columns.filter(col => col !== columnName);
+                
+                // Remove column data from all items
+                section.items.forEach(item => {
+                    delete item[columnName];
+                });
             });
             
             this.renderMenu();
@@ -1260,16 +1410,25 @@ class MenuEditor {
                 return;
             }
             
-            // Update column name in columns array
-            const columnIndex = section.columns.indexOf(oldColumnName);
-            section.columns[columnIndex] = columnName;
-            
-            // Update column data in all items
-            section.items.forEach(item => {
-                if (item.hasOwnProperty(oldColumnName)) {
-                    item[columnName] = item[oldColumnName];
-                    delete item[oldColumnName];
+            this.recordChange('Rename column', () => {
+                // Update column name in columns array
+                const columnIndex = section.columns.indexOf(oldColumnName);
+                section.columns[columnIndex] = columnName;
+                
+                // Update column data in all items
+                section.items.forEach(item => {
+                    if (item.hasOwnProperty(oldColumnName)) {
+                        item[columnName] = item[oldColumnName];
+                        delete item[oldColumnName];
+                    }
+                });
+                
+                const sectionSchedule = this.getSectionSchedule(sectionId);
+                if (sectionSchedule && sectionSchedule.priceColumn === oldColumnName) {
+                    sectionSchedule.priceColumn = columnName;
                 }
+                
+                MenuI18n.renameColumnTranslations(this.menuTranslations, section.items, oldColumnName, columnName);
             });
             
             this.renderMenu();
@@ -1341,6 +1500,9 @@ class MenuEditor {
                 <span class="section-type-badge">${section.type}</span>
             </div>
             <div class="section-controls">
+                <button class="schedule-section-btn${this.getSectionSchedule(section.id) ? ' active' : ''}" data-section-id="${section.id}" title="${this.escapeHtml(this.describeSectionSchedule(section.id))}">
+                    <i class="fas fa-clock"></i>
+                </button>
                 <button class="edit-section-btn" data-section-id="${section.id}" title="Edit Section">
                     <i class="fas fa-edit"></i>
                 </button>
@@ -1426,8 +1588,11 @@ class MenuEditor {
     createMenuItemElement(section, item, index) {
         const gridClass = `grid-${Math.min(section.columns.length, 5)}`;
         
+        const availability = this.getItemAvailability(item);
+        
         const itemDiv = document.createElement('div');
-        itemDiv.className = `menu-item ${gridClass}`;
+        itemDiv.className = `menu-item ${gridClass}${availability ? ' item-unavailable' : ''}`;
+        itemDiv.setAttribute('data-item-id', item._id || `item-${section.id}-${index}`);
         
         // Create inputs efficiently
         const fragment = document.createDocumentFragment();
@@ -1448,6 +1613,18 @@ class MenuEditor {
         const controlsDiv = document.createElement('div');
         controlsDiv.className = 'item-controls';
         controlsDiv.innerHTML = `
+            <button class="btn btn-secondary btn-small availability-btn${availability ? ' active' : ''}" data-section-id="${section.id}" data-item-index="${index}" title="${availability ? 'Mark as available' : 'Mark as sold out'}" aria-pressed="${availability ? 'true' : 'false'}">
+                <i class="fas fa-ban"></i>
+            </button>
+            <button class="btn btn-secondary btn-small item-photo-btn${item.photo ? ' active' : ''}" data-section-id="${section.id}" data-item-index="${index}" title="${item.photo ? 'Replace Photo' : 'Add Photo'}">
+                <i class="fas fa-camera"></i>
+            </button>
+            <button class="btn btn-secondary btn-small item-tags-btn${MenuTags.hasTags(item.tags) ? ' active' : ''}" data-section-id="${section.id}" data-item-index="${index}" title="Dietary & Allergen Tags">
+                <i class="fas fa-leaf"></i>
+            </button>
+            <button class="btn btn-secondary btn-small add-price-variant-btn" data-section-id="${section.id}" data-item-index="${index}" title="Add Price Variant">
+                <i class="fas fa-tags"></i>
+            </button>
             <button class="btn btn-secondary btn-small duplicate-item-btn" data-section-id="${section.id}" data-item-index="${index}" title="Duplicate Item">
                 <i class="fas fa-copy"></i>
             </button>
@@ -1459,6 +1636,26 @@ class MenuEditor {
         itemDiv.appendChild(fragment);
         itemDiv.appendChild(controlsDiv);
         
+        if (Array.isArray(item.priceVariants) && item.priceVariants.length > 0) {
+            itemDiv.appendChild(this.createPriceVariantsEditor(section, item, index));
+        }
+        
+        if (item.photo) {
+            const photoRow = document.createElement('div');
+            photoRow.className = 'item-photo-row';
+            photoRow.innerHTML = `
+                <img src="${this.escapeHtml(item.photo.thumbnail)}" alt="" class="item-photo-thumb" loading="lazy">
+                <button class="btn btn-small remove-item-photo-btn" data-section-id="${section.id}" data-item-index="${index}" title="Remove Photo">
+                    <i class="fas fa-times"></i> Remove photo
+                </button>
+            `;
+            itemDiv.appendChild(photoRow);
+        }
+        
+        if (availability) {
+            itemDiv.appendChild(this.createAvailabilityBar(section, index, availability));
+        }
+        
         return itemDiv;
     }
     
@@ -1535,8 +1732,10 @@ class MenuEditor {
                     }
                     
                     if (oldIndex !== newIndex) {
-                        const movedSection = this.sections.splice(oldIndex, 1)[0];
-                        this.sections.splice(newIndex, 0, movedSection);
+                        this.recordChange('Move section', () => {
+                            const movedSection = this.sections.splice(oldIndex, 1)[0];
+                            this.sections.splice(newIndex, 0, movedSection);
+                        });
                         
                         // Use RAF to batch DOM updates
                         if (window.performanceOptimizer) {
@@ -1567,35 +1766,37 @@ class MenuEditor {
                     const newIndex = evt.newIndex;
                     
                     if (oldIndex !== newIndex) {
-                        const movedColumn = section.columns.splice(oldIndex, 1)[0];
-                        section.columns.splice(newIndex, 0, movedColumn);
+                        this.recordChange('Move column', () => {
+                            const movedColumn = section.columns.splice(oldIndex, 1)[0];
+                            section.columns.splice(newIndex, 0, movedColumn);
                         
-                        // Update titleColumns array to maintain correct order
-                        if (section.titleColumns && section.titleColumns.length > 0) {
-                            // Create a map of old column names to new positions
-                            const columnPositionMap = {};
-                            section.columns.forEach((col, index) => {
-                                columnPositionMap[col] = index;
-                            });
+                            // Update titleColumns array to maintain correct order
+                            if (section.titleColumns && section.titleColumns.length > 0) {
+                                // Create a map of old column names to new positions
+                                const columnPositionMap = {};
+                                section.columns.forEach((col, index) => {
+                                    columnPositionMap[col] = index;
+                                });
                             
-                            // Sort titleColumns based on their new positions in the columns array
-                            section.titleColumns.sort((a, b) => {
-                                const posA = columnPositionMap[a];
-                                const posB = columnPositionMap[b];
-                                return posA - posB;
-                            });
-                        }
+                                // Sort titleColumns based on their new positions in the columns array
+                                section.titleColumns.sort((a, b) => {
+                                    const posA = columnPositionMap[a];
+                                    const posB = columnPositionMap[b];
+                                    return posA - posB;
+                                });
+                            }
                         
-                        section.items.forEach(item => {
-                            const keys = Object.keys(item);
-                            const movedKey = keys.splice(oldIndex, 1)[0];
-                            keys.splice(newIndex, 0, movedKey);
+                            section.items.forEach(item => {
+                                const keys = Object.keys(item);
+                                const movedKey = keys.splice(oldIndex, 1)[0];
+                                keys.splice(newIndex, 0, movedKey);
                             
-                            const newItem = {};
-                            keys.forEach(key => {
-                                newItem[key] = item[key];
+                                const newItem = {};
+                                keys.forEach(key => {
+                                    newItem[key] = item[key];
+                                });
+                                Object.assign(item, newItem);
                             });
-                            Object.assign(item, newItem);
                         });
                         
                         this.renderMenu();
@@ -1648,8 +1849,10 @@ class MenuEditor {
                     }
                     
                     if (oldIndex !== newIndex && section) {
-                        const movedItem = section.items.splice(oldIndex, 1)[0];
-                        section.items.splice(newIndex, 0, movedItem);
+                        this.recordChange('Move item', () => {
+                            const movedItem = section.items.splice(oldIndex, 1)[0];
+                            section.items.splice(newIndex, 0, movedItem);
+                        });
                         
                         // Batch updates for better performance
                         if (window.performanceOptimizer) {
@@ -1688,23 +1891,6 @@ class MenuEditor {
             });
         });
         
-        // Font options
-        document.querySelectorAll('.font-option').forEach(option => {
-            option.addEventListener('click', () => {
-                const fontFamily = option.dataset.font;
-                console.log('🔤 Font selected:', fontFamily);
-                
-                // Update visual selection immediately for user feedback
-                document.querySelectorAll('.font-option').forEach(opt => {
-                    opt.classList.remove('selected');
-                });
-                option.classList.add('selected');
-                
-                // Apply the font change (this method handles dropdown closing)
-                this.selectFontFamily(fontFamily);
-            });
-        });
-        
         // Color palette options
         document.querySelectorAll('.palette-option').forEach(option => {
             option.addEventListener('click', () => {
@@ -1721,6 +1907,11 @@ class MenuEditor {
             });
         });
         
+        // Menu layout options
+        document.querySelectorAll('.layout-option').forEach(option => {
+            option.addEventListener('click', () => this.selectMenuLayout(option.dataset.layout));
+        });
+        
         // Close dropdowns when clicking outside
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.logo-controls') && this.logoDropdownOpen) {
@@ -1758,6 +1949,13 @@ class MenuEditor {
                 if (dropdown) dropdown.classList.remove('show');
                 if (button) button.classList.remove('active');
             }
+            if (!e.target.closest('.layout-controls') && this.layoutDropdownOpen) {
+                this.layoutDropdownOpen = false;
+                const dropdown = document.getElementById('layout-dropdown');
+                const button = document.getElementById('layout-options');
+                if (dropdown) dropdown.classList.remove('show');
+                if (button) button.classList.remove('active');
+            }
         });
     }
     
@@ -1776,6 +1974,10 @@ class MenuEditor {
             }
             
             // Handle section edit buttons
+            if (e.target.closest('.schedule-section-btn')) {
+                this.openScheduleModal(parseInt(e.target.closest('.schedule-section-btn').dataset.sectionId));
+            }
+            
             if (e.target.closest('.edit-section-btn')) {
                 const button = e.target.closest('.edit-section-btn');
                 const sectionId = parseInt(button.dataset.sectionId);
@@ -1808,6 +2010,55 @@ class MenuEditor {
                 console.log('📋 Duplicate Item clicked for section:', sectionId, 'item:', itemIndex);
                 this.duplicateMenuItem(sectionId, itemIndex);
             }
+            
+            // Handle item photo buttons
+            const photoButton = e.target.closest('.item-photo-btn');
+            if (photoButton) {
+                this.chooseItemPhoto(parseInt(photoButton.dataset.sectionId), parseInt(photoButton.dataset.itemIndex));
+            }
+            
+            const removePhotoButton = e.target.closest('.remove-item-photo-btn');
+            if (removePhotoButton) {
+                this.removeItemPhoto(parseInt(removePhotoButton.dataset.sectionId), parseInt(removePhotoButton.dataset.itemIndex));
+            }
+            
+            // Handle dietary/allergen tag buttons
+            const tagsButton = e.target.closest('.item-tags-btn');
+            if (tagsButton) {
+                this.openItemTagsModal(parseInt(tagsButton.dataset.sectionId), parseInt(tagsButton.dataset.itemIndex));
+            }
+            
+            // Handle price variant buttons
+            const addVariantButton = e.target.closest('.add-price-variant-btn');
+            if (addVariantButton) {
+                this.addPriceVariant(parseInt(addVariantButton.dataset.sectionId), parseInt(addVariantButton.dataset.itemIndex));
+            }
+            
+            const removeVariantButton = e.target.closest('.remove-price-variant-btn');
+            if (removeVariantButton) {
+                this.removePriceVariant(
+                    parseInt(removeVariantButton.dataset.sectionId),
+                    parseInt(removeVariantButton.dataset.itemIndex),
+                    parseInt(removeVariantButton.dataset.variantIndex)
+                );
+            }
+            
+            // Handle sold-out toggle buttons
+            if (e.target.closest('.availability-btn')) {
+                const button = e.target.closest('.availability-btn');
+                const sectionId = parseInt(button.dataset.sectionId);
+                const itemIndex = parseInt(button.dataset.itemIndex);
+                this.toggleItemAvailability(sectionId, itemIndex);
+            }
+        });
+        
+        // Handle "back at" time and "hide from menu" changes for sold-out items
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('availability-back-at') || e.target.classList.contains('availability-hide')) {
+                const sectionId = parseInt(e.target.dataset.sectionId);
+                const itemIndex = parseInt(e.target.dataset.itemIndex);
+                this.updateItemAvailabilityDetails(sectionId, itemIndex);
+            }
         });
 
         // Handle menu item input changes with debouncing for better performance
@@ -1838,6 +2089,19 @@ class MenuEditor {
             });
         }
 
+        // Handle price variant label/price edits
+        document.addEventListener('input', (e) => {
+            if (e.target.classList.contains('price-variant-input')) {
+                this.updatePriceVariant(
+                    parseInt(e.target.dataset.sectionId),
+                    parseInt(e.target.dataset.itemIndex),
+                    parseInt(e.target.dataset.variantIndex),
+                    e.target.dataset.field,
+                    e.target.value
+                );
+            }
+        });
+
         // Handle column-related buttons
         document.addEventListener('click', (e) => {
             // Handle edit column name
@@ -1885,26 +2149,7 @@ class MenuEditor {
         // Create sections in a grid container
         const sectionsHTML = `
             <div class="preview-menu-container">
-                ${this.sections.map(section => {
-                    const titleColumns = section.titleColumns || [section.columns[0]];
-                    const descriptionColumn = section.columns.find(col => 
-                        col.toLowerCase().includes('description')
-                    );
-                    
-                    // Filter out title and description columns from headers
-                    const visibleColumns = section.columns.filter(col => 
-                        !titleColumns.includes(col) && col !== descriptionColumn
-                    );
-                    
-                    return `
-                        <div class="preview-section">
-                            <h2>${section.name}</h2>
-                            <div class="preview-items">
-                                ${section.items.map(item => this.generatePreviewItem(item, section)).join('')}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
+                ${this.sections.map(section => this.renderPreviewSection(section)).join('')}
             </div>
         `;
         
@@ -2134,34 +2379,19 @@ class MenuEditor {
             </div>
         `;
         
+        // With an "as of" time, show what guests would see then
+        const sections = this.getPreviewSections();
+        
         // Create sections in a grid container (exactly like showPreview method)
         const sectionsHTML = `
             <div class="preview-menu-container">
-                ${this.sections.map(section => {
-                    const titleColumns = section.titleColumns || [section.columns[0]];
-                    const descriptionColumn = section.columns.find(col => 
-                        col.toLowerCase().includes('description')
-                    );
-                    
-                    // Filter out title and description columns from headers
-                    const visibleColumns = section.columns.filter(col => 
-                        !titleColumns.includes(col) && col !== descriptionColumn
-                    );
-                    
-                    return `
-                        <div class="preview-section">
-                            <h2>${section.name}</h2>
-                            <div class="preview-items">
-                                ${section.items.map(item => this.generatePreviewItem(item, section)).join('')}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
+                ${this.renderScheduledMenuNotice()}
+                ${sections.map(section => this.renderPreviewSection(section)).join('')}
             </div>
         `;
         
         content.innerHTML = menuHeader + sectionsHTML;
-        this.generatePreviewNavigation();
+        this.generatePreviewNavigation(sections);
         this.initializeScrollAnimations();
         
         // Apply background, font, and colors after content is rendered with slight delay
@@ -2172,7 +2402,14 @@ class MenuEditor {
         }, 100);
     }
     
-    generatePreviewNavigation() {
+    // A section in its layout, framed exactly as on the published menu
+    renderPreviewSection(section) {
+        const layout = MenuRender.getSectionLayout(section.id, this.menuLayout, this.sectionLayouts);
+        const itemsHtml = section.items.map(item => this.generatePreviewItem(item, section)).join('');
+        return MenuRender.renderSectionFrame(section, layout, itemsHtml);
+    }
+    
+    generatePreviewNavigation(sections = this.sections) {
         // Generate navigation for side preview
         const sideNavContainer = document.getElementById('nav-dock-container');
         const sideNavTab = document.getElementById('nav-tab');
@@ -2181,7 +2418,7 @@ class MenuEditor {
         const modalNavContainer = document.getElementById('modal-nav-dock-container');
         const modalNavTab = document.getElementById('modal-nav-tab');
         
-        if (this.sections.length === 0) {
+        if (sections.length === 0) {
             // Hide navigation if no sections
             if (sideNavTab) sideNavTab.style.display = 'none';
             if (modalNavTab) modalNavTab.style.display = 'none';
@@ -2195,7 +2432,7 @@ class MenuEditor {
         // Generate navigation HTML
         const dockHTML = `
             <div class="nav-dock">
-                ${this.sections.map((section, index) => `
+                ${sections.map((section, index) => `
                     <div class="nav-dock-item" data-section-index="${index}">
                         ${section.name}
                     </div>
@@ -2332,6 +2569,11 @@ class MenuEditor {
             // Update active state
             this.updateNavigationActiveState(sectionIndex, context);
             
+            // Jumping to an accordion section opens it, as on the published menu
+            if (previewSections[sectionIndex].tagName === 'DETAILS') {
+                previewSections[sectionIndex].open = true;
+            }
+            
             // Calculate position to scroll section to top with proper offset
             const sectionTop = previewSections[sectionIndex].offsetTop;
             
@@ -2402,11 +2644,24 @@ class MenuEditor {
             return `<span class="preview-data-cell ${isPrice ? 'preview-price-cell' : ''}">${value}</span>`;
         }).join('');
         
+        const priceVariants = this.generatePriceVariants(item);
+        
         // Check if there's any content to display
         const hasTitle = titleText || titlePrice;
         const hasDescription = description;
         const hasVisibleData = visibleColumns.length > 0 && dataRow.trim();
-        const hasAnyContent = hasTitle || hasDescription || hasVisibleData;
+        const hasAnyContent = hasTitle || hasDescription || hasVisibleData || priceVariants;
+        
+        // Mirror the live menu: hidden items are left out, sold-out items are marked
+        const availability = this.getItemAvailability(item);
+        if (availability && availability.status === 'hidden') {
+            return '';
+        }
+        const availabilityBadge = availability ? `
+            <div class="preview-availability-badge">
+                Sold out${availability.backAt ? ` · Back at ${this.formatBackAtTime(availability.backAt)}` : ''}
+            </div>
+        ` : '';
         
         // If no content, show a placeholder
         if (!hasAnyContent) {
@@ -2421,14 +2676,18 @@ class MenuEditor {
         }
 
         return `
-            <div class="preview-item">
-                ${hasTitle ? `
+            <div class="preview-item${availability ? ' preview-item-sold-out' : ''}">
+                ${hasTitle || item.photo ? `
                     <div class="preview-item-title">
+                        ${item.photo ? `<img class="preview-item-photo" src="${this.escapeHtml(item.photo.thumbnail)}" alt="" loading="lazy">` : ''}
                         <span class="preview-title-text">${titleText}</span>
                         ${titlePrice ? `<span class="preview-title-price">${titlePrice}</span>` : ''}
                     </div>
                 ` : ''}
+                ${availabilityBadge}
+                ${MenuTags.renderTagBadges(item.tags)}
                 ${hasDescription ? `<div class="preview-item-description">${description}</div>` : ''}
+                ${priceVariants}
                 ${hasVisibleData ? `
                     <div class="preview-item-data" style="grid-template-columns: ${visibleColumns.map(col => col.toLowerCase().includes('price') ? 'auto' : '1fr').join(' ')};">
                         ${dataRow}
@@ -2450,18 +2709,94 @@ class MenuEditor {
         // Could migrate old data here if needed
     }
     
+    openExportModal() {
+        const modal = document.getElementById('export-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeExportModal() {
+        const modal = document.getElementById('export-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    /**
+     * Export the whole menu - sections, title and styling - as JSON.
+     * The file can be imported again to restore the menu exactly.
+     */
     exportMenu() {
         const data = {
-            sections: this.sections,
+            version: '2.0',
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            name: document.getElementById('current-menu-name').textContent,
+            title: this.publishedTitle || null,
+            subtitle: this.publishedSubtitle || null,
+            sections: this.sections,
+            sectionCounter: this.sectionCounter,
+            backgroundType: this.backgroundType,
+            backgroundValue: this.backgroundValue,
+            fontFamily: this.fontFamily,
+            colorPalette: this.colorPalette,
+            customPalette: this.customPalette,
+            headingFont: this.headingFont,
+            customFonts: this.customFonts,
+            navigationTheme: this.navigationTheme,
+            menuLayout: this.menuLayout,
+            sectionLayouts: this.sectionLayouts,
+            menuLogo: this.menuLogo,
+            logoSize: this.logoSize,
+            schedule: this.menuSchedule,
+            translations: this.menuTranslations
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadFile(JSON.stringify(data, null, 2), 'application/json', 'json');
+        this.closeExportModal();
+    }
+    
+    /**
+     * Export every item as a flat CSV row with its section name and type.
+     * Written with a UTF-8 BOM and CRLF line endings so Excel opens it cleanly.
+     */
+    exportMenuCsv() {
+        const columns = [...new Set(this.sections.flatMap(section => section.columns))];
+        const hasVariants = this.sections.some(section => section.items.some(item => this.getPriceVariants(item).length > 0));
+        const header = ['Section', 'Section Type', ...columns, ...(hasVariants ? ['Price Variants'] : [])];
+        
+        const rows = this.sections.flatMap(section => section.items.map(item => [
+            section.name,
+            section.type,
+            ...columns.map(column => item[column] || ''),
+            // e.g. "Glass: $12 | Bottle: $48", read back by the spreadsheet importer
+            ...(hasVariants ? [this.getPriceVariants(item).map(v => v.label ? `${v.label}: ${v.price}` : v.price).join(' | ')] : [])
+        ]));
+        
+        const csv = [header, ...rows]
+            .map(row => row.map(value => this.toCsvCell(value)).join(','))
+            .join('\r\n');
+        
+        this.downloadFile('\uFEFF' + csv, 'text/csv;charset=utf-8', 'csv');
+        this.closeExportModal();
+    }
+    
+    toCsvCell(value) {
+        let text = String(value ?? '');
+        
+        // Stop spreadsheets from evaluating cell text as a formula, including
+        // after leading spaces, which some spreadsheets skip
+        if (/^\s*[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    downloadFile(contents, type, extension) {
+        const blob = new Blob([contents], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `menu-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `menu-${new Date().toISOString().split('T')[0]}.${extension}`;
         a.click();
         URL.revokeObjectURL(url);
     }
@@ -2470,20 +2805,48 @@ class MenuEditor {
         document.getElementById('import-file').click();
     }
     
+    /**
+     * Import a menu file. JSON exports replace the current menu (full-menu
+     * exports also restore styling); CSV/TSV spreadsheets open the
+     * spreadsheet import dialog.
+     * 
+     * @param {Event} event - Change event from the import file input
+     */
     importMenu(event) {
         const file = event.target.files[0];
         if (!file) return;
         
         const reader = new FileReader();
         reader.onload = (e) => {
+            if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+                if (window.spreadsheetImport) {
+                    window.spreadsheetImport.open(e.target.result, file.name);
+                }
+                return;
+            }
+            
             try {
                 const data = JSON.parse(e.target.result);
                 
                 if (data.sections && Array.isArray(data.sections)) {
                     if (confirm('This will replace your current menu. Continue?')) {
-                        this.sections = data.sections;
-                        this.sectionCounter = Math.max(...this.sections.map(s => s.id), 0);
-                        this.renderMenu();
+                        if (data.version && parseFloat(data.version) >= 2) {
+                            // Full-menu export: restore title and styling as well
+                            this.publishedTitle = data.title || this.publishedTitle;
+                            this.publishedSubtitle = data.subtitle || this.publishedSubtitle;
+                            this.applyMenuSnapshot(data);
+                            // Scheduled menus point at the exporting account's other menus
+                            if (this.menuSchedule) {
+                                this.menuSchedule.alternates = [];
+                            }
+                        } else {
+                            this.recordChange('Import menu', () => {
+                                this.sections = data.sections;
+                                this.sectionCounter = Math.max(...this.sections.map(s => s.id), 0);
+                            });
+                            this.renderMenu();
+                        }
+                        this.markAsChanged();
                         this.saveToStorage();
                         alert('Menu imported successfully!');
                     }
@@ -2733,27 +3096,255 @@ class MenuEditor {
         console.log('Preview updated:', { title, subtitle });
     }
     
-    // === SIDEBAR AND USER MANAGEMENT ===
+    // === SCHEDULED PUBLISHING ===
     
-    toggleSidebar() {
-        const sidebar = document.getElementById('sidebar');
-        const overlay = document.getElementById('sidebar-overlay');
+    /**
+     * Open the scheduled changes list and form.
+     * 
+     * @param {Object} [defaults] - Prefill: action, revisionId, slug, title, subtitle
+     */
+    async openPublishScheduleModal(defaults = {}) {
+        if (!this.currentMenuId) return;
         
-        this.sidebarOpen = !this.sidebarOpen;
+        const modal = document.getElementById('publish-schedule-modal');
+        const slugInput = document.getElementById('publish-schedule-slug');
         
-        if (this.sidebarOpen) {
-            sidebar.classList.add('open');
-            overlay.classList.add('active');
-            this.loadUserMenus();
-        } else {
-            sidebar.classList.remove('open');
-            overlay.classList.remove('active');
-        }
+        document.getElementById('publish-schedule-action').value = defaults.action || 'publish';
+        document.getElementById('publish-schedule-time').value = '';
+        document.getElementById('publish-schedule-time').min = this.toDateTimeInputValue(new Date());
+        
+        // An already published menu keeps its URL, as with publishing now
+        slugInput.value = this.publishedSlug || defaults.slug || this.generateDefaultPath();
+        slugInput.disabled = !!this.publishedSlug;
+        document.getElementById('publish-schedule-title').value = defaults.title || this.publishedTitle || 'Our Menu';
+        document.getElementById('publish-schedule-subtitle').value = defaults.subtitle || this.publishedSubtitle || 'Crafted with care and passion';
+        
+        modal.style.display = 'block';
+        modal.classList.add('show');
+        
+        this.updatePublishScheduleForm();
+        this.renderPublishSchedules();
+        
+        await Promise.all([
+            this.loadPublishScheduleRevisions(defaults.revisionId),
+            this.loadPublishSchedules()
+        ]);
     }
     
-    closeSidebar() {
-        const sidebar = document.getElementById('sidebar');
-        const overlay = document.getElementById('sidebar-overlay');
+    closePublishScheduleModal() {
+        const modal = document.getElementById('publish-schedule-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    updatePublishScheduleForm() {
+        const action = document.getElementById('publish-schedule-action').value;
+        document.getElementById('publish-schedule-revision-group').style.display = action === 'revision' ? 'block' : 'none';
+        document.getElementById('publish-schedule-details').style.display = action === 'unpublish' ? 'none' : 'block';
+    }
+    
+    async loadPublishScheduleRevisions(selectedId) {
+        const select = document.getElementById('publish-schedule-revision');
+        select.innerHTML = '<option value="">Loading versions...</option>';
+        
+        const result = await window.authManager.getMenuRevisions(this.currentMenuId);
+        if (!result.success || result.revisions.length === 0) {
+            select.innerHTML = '<option value="">No saved versions yet</option>';
+            return;
+        }
+        
+        const reasonLabels = { save: 'Saved', publish: 'Published', restore: 'Restored' };
+        select.innerHTML = result.revisions.map(revision => `
+            <option value="${revision.id}" ${String(revision.id) === String(selectedId) ? 'selected' : ''}>
+                ${reasonLabels[revision.reason] || 'Saved'} ${new Date(revision.updatedAt || revision.createdAt).toLocaleString()} · ${revision.itemCount} items
+            </option>
+        `).join('');
+    }
+    
+    async loadPublishSchedules() {
+        if (!this.currentMenuId || !window.authManager || !window.authManager.isSignedIn()) {
+            this.publishSchedules = [];
+            this.renderPublishSchedules();
+            return;
+        }
+        
+        const menuId = this.currentMenuId;
+        const result = await window.authManager.getPublishSchedules(menuId);
+        if (!result.success || menuId !== this.currentMenuId) return;
+        
+        this.publishSchedules = result.schedules || [];
+        this.renderPublishSchedules();
+        this.watchPublishSchedules();
+    }
+    
+    describePublishSchedule(schedule) {
+        switch (schedule.action) {
+            case 'unpublish':
+                return 'Unpublish the menu';
+            case 'revision':
+                return `Publish saved version #${schedule.revisionId} at /menu/${schedule.slug}`;
+            default:
+                return `Publish the menu at /menu/${schedule.slug}`;
+        }
+    }
+    
+    renderPublishSchedules() {
+        const pending = this.publishSchedules.filter(schedule => ['pending', 'running'].includes(schedule.status));
+        
+        // Header badge so queued changes aren't forgotten
+        const indicator = document.getElementById('scheduled-changes-indicator');
+        if (indicator) {
+            indicator.style.display = pending.length > 0 ? 'inline-flex' : 'none';
+            document.getElementById('scheduled-changes-count').textContent =
+                `${pending.length} scheduled change${pending.length === 1 ? '' : 's'}`;
+        }
+        
+        const list = document.getElementById('publish-schedule-list');
+        if (!list) return;
+        
+        if (this.publishSchedules.length === 0) {
+            list.innerHTML = '<div class="revision-empty">No scheduled changes.</div>';
+            return;
+        }
+        
+        const statusLabels = {
+            pending: 'Scheduled',
+            running: 'Running',
+            done: 'Done',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
+        
+        list.innerHTML = this.publishSchedules.map(schedule => `
+            <div class="publish-schedule-row publish-schedule-${this.escapeHtml(schedule.status)}">
+                <div class="publish-schedule-info">
+                    <span class="publish-schedule-time">${new Date(schedule.runAt).toLocaleString()}</span>
+                    <span>${this.escapeHtml(this.describePublishSchedule(schedule))}</span>
+                    <span class="publish-schedule-status">${statusLabels[schedule.status] || this.escapeHtml(schedule.status)}${schedule.error ? `: ${this.escapeHtml(schedule.error)}` : ''}</span>
+                </div>
+                ${schedule.status === 'pending' ? `
+                    <button class="btn btn-secondary btn-small cancel-publish-schedule-btn" data-schedule-id="${schedule.id}">
+                        <i class="fas fa-times"></i> Cancel
+                    </button>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+    
+    async createPublishSchedule() {
+        const action = document.getElementById('publish-schedule-action').value;
+        const time = document.getElementById('publish-schedule-time').value;
+        const runAt = time ? new Date(time) : null;
+        
+        if (!runAt || Number.isNaN(runAt.getTime()) || runAt <= new Date()) {
+            alert('Please choose a date and time in the future.');
+            return;
+        }
+        
+        const scheduleData = { action, runAt: runAt.toISOString() };
+        
+        if (action === 'revision') {
+            scheduleData.revisionId = document.getElementById('publish-schedule-revision').value;
+            if (!scheduleData.revisionId) {
+                alert('Please choose a saved version to publish.');
+                return;
+            }
+        }
+        
+        if (action !== 'unpublish') {
+            scheduleData.slug = document.getElementById('publish-schedule-slug').value.toLowerCase().trim();
+            scheduleData.title = document.getElementById('publish-schedule-title').value || 'Our Menu';
+            scheduleData.subtitle = document.getElementById('publish-schedule-subtitle').value;
+            
+            if (!/^[a-z0-9-]{3,}$/.test(scheduleData.slug)) {
+                alert('URL path must be at least 3 characters: lowercase letters, numbers, and dashes.');
+                return;
+            }
+        }
+        
+        // A scheduled publish of the draft uses whatever is saved when it runs
+        if (action === 'publish' && this.hasUnsavedChanges) {
+            await this.saveCurrentMenu();
+        }
+        
+        const result = await window.authManager.createPublishSchedule(this.currentMenuId, scheduleData);
+        if (!result.success) {
+            alert(`Error scheduling change: ${result.error}`);
+            return;
+        }
+        
+        document.getElementById('publish-schedule-time').value = '';
+        window.uiFeedback?.showSuccess('Change Scheduled', `${this.describePublishSchedule(result.schedule)} on ${new Date(result.schedule.runAt).toLocaleString()}`);
+        await this.loadPublishSchedules();
+    }
+    
+    async cancelPublishSchedule(scheduleId) {
+        if (!confirm('Cancel this scheduled change?')) return;
+        
+        const result = await window.authManager.cancelPublishSchedule(this.currentMenuId, scheduleId);
+        if (!result.success) {
+            alert(`Error cancelling change: ${result.error}`);
+        }
+        await this.loadPublishSchedules();
+    }
+    
+    // Reload publish state shortly after the next schedule is due, so the
+    // editor's status and publish buttons match what the job runner did
+    watchPublishSchedules() {
+        clearTimeout(this.publishScheduleTimer);
+        
+        const nextRun = this.publishSchedules
+            .filter(schedule => ['pending', 'running'].includes(schedule.status))
+            .map(schedule => new Date(schedule.runAt).getTime())
+            .sort((a, b) => a - b)[0];
+        if (!nextRun) return;
+        
+        // The job runner checks every minute; setTimeout can't wait longer than ~24 days
+        const delay = Math.min(Math.max(nextRun - Date.now(), 0) + 90 * 1000, 24 * 60 * 60 * 1000);
+        this.publishScheduleTimer = setTimeout(() => this.refreshPublishState(), delay);
+    }
+    
+    async refreshPublishState() {
+        const menus = await this.getUserMenus();
+        const menu = menus.find(m => m.id === this.currentMenuId);
+        
+        if (menu) {
+            this.publishedSlug = menu.publishedSlug || null;
+            this.publishedTitle = menu.publishedTitle || null;
+            this.publishedSubtitle = menu.publishedSubtitle || null;
+            this.updateCurrentMenuDisplay();
+            this.loadUserMenus();
+        }
+        
+        await this.loadPublishSchedules();
+    }
+    
+    toDateTimeInputValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+    
+    // === SIDEBAR AND USER MANAGEMENT ===
+    
+    toggleSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        const overlay = document.getElementById('sidebar-overlay');
+        
+        this.sidebarOpen = !this.sidebarOpen;
+        
+        if (this.sidebarOpen) {
+            sidebar.classList.add('open');
+            overlay.classList.add('active');
+            this.loadUserMenus();
+        } else {
+            sidebar.classList.remove('open');
+            overlay.classList.remove('active');
+        }
+    }
+    
+    closeSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        const overlay = document.getElementById('sidebar-overlay');
         
         this.sidebarOpen = false;
         sidebar.classList.remove('open');
@@ -3029,7 +3620,12 @@ class MenuEditor {
             this.backgroundValue = menuData.backgroundValue || null;
             this.fontFamily = menuData.fontFamily || 'Inter';
             this.colorPalette = menuData.colorPalette || 'classic';
+            this.customPalette = menuData.customPalette || null;
+            this.headingFont = menuData.headingFont || null;
+            this.customFonts = menuData.customFonts || null;
             this.navigationTheme = menuData.navigationTheme || 'modern';
+            this.menuLayout = menuData.menuLayout || 'list';
+            this.sectionLayouts = menuData.sectionLayouts || null;
             
             // Update all the UI selections
             this.updateBackgroundSelection();
@@ -3128,6 +3724,8 @@ class MenuEditor {
         
         if (menu) {
             this.currentMenuId = menuId;
+            this.currentMenuRole = menu.role || 'owner';
+            this.currentMenuOrganizationId = menu.organizationId || null;
             this.sections = menu.sections || [];
             this.sectionCounter = menu.sectionCounter || 0;
             this.publishedMenuId = menu.publishedMenuId || null;
@@ -3144,7 +3742,12 @@ class MenuEditor {
             this.backgroundValue = menu.backgroundValue || settings.backgroundValue || null;
             this.fontFamily = menu.fontFamily || settings.fontFamily || 'Inter';
             this.colorPalette = menu.colorPalette || settings.colorPalette || 'classic';
+            this.customPalette = menu.customPalette || null;
+            this.headingFont = menu.headingFont || null;
+            this.customFonts = menu.customFonts || null;
             this.navigationTheme = menu.navigationTheme || settings.navigationTheme || 'modern';
+            this.menuLayout = menu.menuLayout || 'list';
+            this.sectionLayouts = menu.sectionLayouts || null;
             console.log('Menu switch - loaded navigationTheme from localStorage:', this.navigationTheme, 'from menu.navigationTheme:', menu.navigationTheme, 'settings.navigationTheme:', settings.navigationTheme);
             
             // Only load from server if this is an initial menu switch (not during saves/updates)
@@ -3161,7 +3764,12 @@ class MenuEditor {
                         this.backgroundValue = publishedData.backgroundValue || this.backgroundValue;
                         this.fontFamily = publishedData.fontFamily || this.fontFamily;
                         this.colorPalette = publishedData.colorPalette || this.colorPalette;
+                        this.customPalette = publishedData.customPalette || this.customPalette;
+                        this.headingFont = publishedData.headingFont || this.headingFont;
+                        this.customFonts = publishedData.customFonts || this.customFonts;
                         this.navigationTheme = publishedData.navigationTheme || this.navigationTheme;
+                        this.menuLayout = publishedData.menuLayout || this.menuLayout;
+                        this.sectionLayouts = publishedData.sectionLayouts || this.sectionLayouts;
                         this.menuLogo = publishedData.menuLogo || this.menuLogo;
                         this.logoSize = publishedData.logoSize || this.logoSize;
                         
@@ -3177,6 +3785,8 @@ class MenuEditor {
                 }
             }
             
+            // Undo never reaches back into another menu
+            this.history.clear();
             this.renderMenu();
             this.updateSidePreview();
             this.updateCurrentMenuDisplay();
@@ -3189,6 +3799,7 @@ class MenuEditor {
             this.applyFontFamily();
             this.applyColorPalette();
             this.applyNavigationTheme();
+            this.updateMenuAccessDisplay();
         }
     }
     
@@ -3203,11 +3814,19 @@ class MenuEditor {
             return;
         }
         
+        // Viewers can look around, but their changes stay in the browser
+        if (this.currentMenuRole === 'viewer') {
+            console.log('❌ Save blocked - view-only access');
+            return;
+        }
+        
         console.log('✅ Proceeding with save...');
         
         // Show saving indicator
         this.updateChangeIndicator('saving');
         
+        this.ensureItemIds();
+        
         const menuData = {
             name: document.getElementById('current-menu-name').textContent,
             sections: this.sections,
@@ -3222,7 +3841,14 @@ class MenuEditor {
             backgroundValue: this.backgroundValue,
             fontFamily: this.fontFamily,
             colorPalette: this.colorPalette,
+            customPalette: this.customPalette,
+            headingFont: this.headingFont,
+            customFonts: this.customFonts,
             navigationTheme: this.navigationTheme,
+            menuLayout: this.menuLayout,
+            sectionLayouts: this.sectionLayouts,
+            schedule: this.menuSchedule,
+            translations: this.menuTranslations,
             status: this.publishedSlug ? 'published' : 'draft'
         };
         
@@ -3280,6 +3906,8 @@ class MenuEditor {
                 new Date(menu.updatedAt).toLocaleDateString() : 
                 'No date';
             
+            const role = menu.role || 'owner';
+            
             html += `
                 <div class="menu-item ${isActive ? 'active' : ''}" data-menu-id="${menu.id}">
                     <i class="fas fa-utensils"></i>
@@ -3290,15 +3918,19 @@ class MenuEditor {
                             <span>${menu.status}</span>
                             <span>${(menu.sections || []).length} sections</span>
                         </div>
+                        ${menu.organizationName ? `<div class="menu-team">
+                            <span class="menu-team-name"><i class="fas fa-users"></i> ${this.escapeHtml(menu.organizationName)}</span>
+                            ${role !== 'owner' ? `<span class="menu-role-badge ${role}">${role}</span>` : ''}
+                        </div>` : ''}
                     </div>
                     <div class="menu-actions">
                         <button class="menu-action" onclick="menuEditor.duplicateMenu('${menu.id}')" title="Duplicate">
                             <i class="fas fa-copy"></i>
                         </button>
-                        <button class="menu-action" onclick="menuEditor.renameMenu('${menu.id}')" title="Rename">
+                        ${role !== 'viewer' ? `<button class="menu-action" onclick="menuEditor.renameMenu('${menu.id}')" title="Rename">
                             <i class="fas fa-edit"></i>
-                        </button>
-                        ${!isActive ? `<button class="menu-action" onclick="menuEditor.deleteMenu('${menu.id}')" title="Delete">
+                        </button>` : ''}
+                        ${!isActive && role === 'owner' ? `<button class="menu-action" onclick="menuEditor.deleteMenu('${menu.id}')" title="Delete">
                             <i class="fas fa-trash"></i>
                         </button>` : ''}
                     </div>
@@ -3307,7 +3939,7 @@ class MenuEditor {
         });
         
         // Add "New Menu" option if under limit
-        if (menus.length < this.currentUser.maxMenus) {
+        if (this.countOwnMenus(menus) < this.currentUser.maxMenus) {
             html += `
                 <div class="new-menu-item" onclick="menuEditor.createNewMenu()">
                     <i class="fas fa-plus"></i>
@@ -3337,6 +3969,11 @@ class MenuEditor {
         });
     }
     
+    // Menus shared with the user by other teams don't count toward their plan's limit
+    countOwnMenus(menus) {
+        return menus.filter(menu => !menu.createdBy || menu.createdBy === this.currentUser.id).length;
+    }
+    
     async switchToMenu(menuId) {
         if (menuId === this.currentMenuId) {
             this.closeSidebar();
@@ -3359,7 +3996,7 @@ class MenuEditor {
         
         if (!menuToDuplicate) return;
         
-        if (menus.length >= this.currentUser.maxMenus) {
+        if (this.countOwnMenus(menus) >= this.currentUser.maxMenus) {
             alert(`You've reached the limit of ${this.currentUser.maxMenus} menus. Upgrade for more!`);
             return;
         }
@@ -3626,6 +4263,9 @@ class MenuEditor {
             this.backgroundValue = menuData.backgroundValue || null;
             this.fontFamily = menuData.fontFamily || 'Inter';
             this.colorPalette = menuData.colorPalette || 'classic';
+            this.customPalette = menuData.customPalette || null;
+            this.headingFont = menuData.headingFont || null;
+            this.customFonts = menuData.customFonts || null;
             
             // Re-render the editor
             this.renderMenuEditor();
@@ -3669,7 +4309,12 @@ class MenuEditor {
             this.backgroundValue = menuData.backgroundValue || null;
             this.fontFamily = menuData.fontFamily || 'Inter';
             this.colorPalette = menuData.colorPalette || 'classic';
+            this.customPalette = menuData.customPalette || null;
+            this.headingFont = menuData.headingFont || null;
+            this.customFonts = menuData.customFonts || null;
             this.navigationTheme = menuData.navigationTheme || 'modern';
+            this.menuLayout = menuData.menuLayout || 'list';
+            this.sectionLayouts = menuData.sectionLayouts || null;
             
             // Apply the restored styles
             this.applyBackground();
@@ -3703,6 +4348,249 @@ class MenuEditor {
         }
     }
     
+    // === REVISION HISTORY ===
+    
+    /**
+     * Open the version history panel for the current menu.
+     * Lists server-side revisions recorded on every save and publish.
+     */
+    async openHistoryModal() {
+        if (!this.currentMenuId) return;
+        
+        const modal = document.getElementById('history-modal');
+        document.getElementById('revision-diff').innerHTML = '';
+        
+        modal.style.display = 'block';
+        modal.classList.add('show');
+        
+        await this.loadRevisionHistory();
+    }
+    
+    closeHistoryModal() {
+        const modal = document.getElementById('history-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    async loadRevisionHistory() {
+        const list = document.getElementById('revision-list');
+        list.innerHTML = '<div class="revision-empty"><i class="fas fa-spinner fa-spin"></i> Loading history...</div>';
+        
+        const result = await window.authManager.getMenuRevisions(this.currentMenuId);
+        
+        if (!result.success) {
+            list.innerHTML = `<div class="revision-empty">${this.escapeHtml(result.error || 'Could not load history.')}</div>`;
+            return;
+        }
+        
+        if (result.revisions.length === 0) {
+            list.innerHTML = '<div class="revision-empty">No saved versions yet. Versions are recorded each time you save or publish.</div>';
+            return;
+        }
+        
+        const reasonLabels = {
+            save: { icon: 'fa-save', label: 'Saved' },
+            publish: { icon: 'fa-rocket', label: 'Published' },
+            restore: { icon: 'fa-history', label: 'Restored' }
+        };
+        
+        list.innerHTML = result.revisions.map(revision => {
+            const reason = reasonLabels[revision.reason] || reasonLabels.save;
+            const timestamp = new Date(revision.updatedAt || revision.createdAt).toLocaleString();
+            
+            return `
+                <div class="revision-row" data-revision-id="${revision.id}">
+                    <div class="revision-info">
+                        <span class="revision-reason revision-reason-${this.escapeHtml(revision.reason)}">
+                            <i class="fas ${reason.icon}"></i> ${reason.label}
+                        </span>
+                        <span class="revision-time">${timestamp}</span>
+                        <span class="revision-summary">${revision.sectionCount} sections · ${revision.itemCount} items</span>
+                    </div>
+                    <div class="revision-actions">
+                        <button class="btn btn-secondary btn-small revision-compare" data-revision-id="${revision.id}">
+                            <i class="fas fa-code-compare"></i> Compare
+                        </button>
+                        <button class="btn btn-secondary btn-small revision-schedule" data-revision-id="${revision.id}" title="Publish this version at a set time">
+                            <i class="fas fa-calendar-alt"></i> Schedule
+                        </button>
+                        <button class="btn btn-primary btn-small revision-restore" data-revision-id="${revision.id}">
+                            <i class="fas fa-undo"></i> Restore
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Show what changed between a revision and the current saved draft.
+     * 
+     * @param {string|number} revisionId - Revision to compare from
+     */
+    async showRevisionDiff(revisionId) {
+        const container = document.getElementById('revision-diff');
+        container.innerHTML = '<div class="revision-empty"><i class="fas fa-spinner fa-spin"></i> Comparing...</div>';
+        
+        document.querySelectorAll('.revision-row').forEach(row => {
+            row.classList.toggle('selected', row.dataset.revisionId === String(revisionId));
+        });
+        
+        const result = await window.authManager.getRevisionDiff(this.currentMenuId, revisionId);
+        
+        if (!result.success) {
+            container.innerHTML = `<div class="revision-empty">${this.escapeHtml(result.error || 'Could not compare versions.')}</div>`;
+            return;
+        }
+        
+        const diff = result.diff;
+        if (!diff.hasChanges) {
+            container.innerHTML = '<div class="revision-empty">This version matches your current menu.</div>';
+            return;
+        }
+        
+        const describeValue = (value) => {
+            if (value === null || value === undefined || value === '') return '<em>empty</em>';
+            if (typeof value === 'object') return 'different settings';
+            const text = String(value);
+            // Inline images are stored as data URLs; don't dump them into the panel
+            return this.escapeHtml(text.startsWith('data:') ? 'uploaded image' : text);
+        };
+        const describeItem = (item) => this.escapeHtml(Object.entries(item || {})
+            .filter(([key, value]) => !key.startsWith('_') && typeof value === 'string' && value)
+            .map(([, value]) => value)
+            .join(' · ') || 'Empty item');
+        
+        const lines = [];
+        
+        diff.fields.forEach(change => {
+            lines.push(`<li class="diff-changed"><strong>${this.escapeHtml(change.field)}</strong>: ${describeValue(change.after)} → ${describeValue(change.before)}</li>`);
+        });
+        
+        diff.sections.removed.forEach(section => {
+            lines.push(`<li class="diff-added">Section <strong>${this.escapeHtml(section.name)}</strong> (${section.itemCount} items) would come back</li>`);
+        });
+        
+        diff.sections.added.forEach(section => {
+            lines.push(`<li class="diff-removed">Section <strong>${this.escapeHtml(section.name)}</strong> (${section.itemCount} items) would be removed</li>`);
+        });
+        
+        diff.sections.changed.forEach(section => {
+            const name = this.escapeHtml(section.name);
+            if (section.renamed) {
+                lines.push(`<li class="diff-changed">Section <strong>${this.escapeHtml(section.renamed.after)}</strong> would be renamed back to <strong>${this.escapeHtml(section.renamed.before)}</strong></li>`);
+            }
+            (section.columnsAdded || []).forEach(col => {
+                lines.push(`<li class="diff-removed">${name}: column <strong>${this.escapeHtml(col)}</strong> would be removed</li>`);
+            });
+            (section.columnsRemoved || []).forEach(col => {
+                lines.push(`<li class="diff-added">${name}: column <strong>${this.escapeHtml(col)}</strong> would come back</li>`);
+            });
+            (section.itemsChanged || []).forEach(change => {
+                lines.push(`<li class="diff-changed">${name}: ${describeItem(change.after)} → ${describeItem(change.before)}</li>`);
+            });
+            (section.itemsAdded || []).forEach(item => {
+                lines.push(`<li class="diff-removed">${name}: ${describeItem(item)} would be removed</li>`);
+            });
+            (section.itemsRemoved || []).forEach(item => {
+                lines.push(`<li class="diff-added">${name}: ${describeItem(item)} would come back</li>`);
+            });
+        });
+        
+        container.innerHTML = `
+            <h4>Restoring this version would change:</h4>
+            <ul class="revision-diff-list">${lines.join('')}</ul>
+        `;
+    }
+    
+    /**
+     * Restore the menu to a saved revision and reload it in the editor.
+     * The current draft is snapshotted server-side first, so this can be undone.
+     * 
+     * @param {string|number} revisionId - Revision to restore
+     */
+    async restoreRevision(revisionId) {
+        if (!confirm('Restore this version? Your current menu will be kept in the history.')) {
+            return;
+        }
+        
+        // Persist pending edits so they are captured before restoring
+        if (this.hasUnsavedChanges) {
+            await this.saveCurrentMenu();
+        }
+        
+        const result = await window.authManager.restoreMenuRevision(this.currentMenuId, revisionId);
+        
+        if (!result.success) {
+            alert(`Error restoring version: ${result.error}`);
+            return;
+        }
+        
+        this.applyMenuSnapshot(result.menu);
+        this.closeHistoryModal();
+        
+        this.hasUnsavedChanges = false;
+        this.updateChangeIndicator(this.publishedSlug ? 'needs-publish' : 'saved');
+        
+        this.showSuccessModal('Version Restored', 'Your menu has been restored to the selected version.');
+    }
+    
+    /**
+     * Load a menu snapshot (from history or a file) into the editor state
+     * and refresh every view that depends on it.
+     * 
+     * @param {Object} snapshot - Menu snapshot with sections and styling fields
+     */
+    applyMenuSnapshot(snapshot) {
+        this.sections = snapshot.sections || [];
+        this.sectionCounter = snapshot.sectionCounter || Math.max(0, ...this.sections.map(s => s.id));
+        this.menuLogo = snapshot.menuLogo || null;
+        this.logoSize = snapshot.logoSize || 'medium';
+        this.backgroundType = snapshot.backgroundType || 'none';
+        this.backgroundValue = snapshot.backgroundValue || null;
+        this.fontFamily = snapshot.fontFamily || 'Inter';
+        this.colorPalette = snapshot.colorPalette || 'classic';
+        this.customPalette = snapshot.customPalette || null;
+        this.headingFont = snapshot.headingFont || null;
+        this.customFonts = snapshot.customFonts || null;
+        this.navigationTheme = snapshot.navigationTheme || 'modern';
+        this.menuLayout = snapshot.menuLayout || 'list';
+        this.sectionLayouts = snapshot.sectionLayouts || null;
+        this.menuSchedule = snapshot.schedule || null;
+        this.menuTranslations = snapshot.translations || null;
+        this.updatePreviewLanguageOptions();
+        this.history.clear();
+        
+        this.applyBackground();
+        this.applyFontFamily();
+        this.applyColorPalette();
+        this.applyNavigationTheme();
+        this.updateLogoDisplay();
+        this.updateBackgroundSelection();
+        this.updateFontSelection();
+        this.updateColorSelection();
+        this.updateNavigationSelection();
+        
+        this.renderMenu();
+        this.updateSidePreview();
+        this.updateCurrentMenuDisplay(snapshot.name || document.getElementById('current-menu-name').textContent);
+    }
+    
+    /**
+     * Escape a value for safe interpolation into HTML templates.
+     * 
+     * @param {*} value - Value to escape
+     * @returns {string} HTML-safe string
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     // === LOGO FUNCTIONALITY ===
     
     triggerLogoUpload() {
@@ -3955,6 +4843,15 @@ class MenuEditor {
             if (navigationDropdown) navigationDropdown.classList.remove('show');
             if (navigationButton) navigationButton.classList.remove('active');
         }
+        
+        // Close layout dropdown
+        if (except !== 'layout' && this.layoutDropdownOpen) {
+            this.layoutDropdownOpen = false;
+            const layoutDropdown = document.getElementById('layout-dropdown');
+            const layoutButton = document.getElementById('layout-options');
+            if (layoutDropdown) layoutDropdown.classList.remove('show');
+            if (layoutButton) layoutButton.classList.remove('active');
+        }
     }
     
     toggleBackgroundDropdown() {
@@ -4438,54 +5335,184 @@ class MenuEditor {
         const button = document.getElementById('font-options');
         button.classList.toggle('active', this.fontDropdownOpen);
         
-        // Highlight current selection when dropdown opens
         if (this.fontDropdownOpen) {
-            this.highlightCurrentFontSelection();
+            this.renderFontOptions();
+            if (!this.accountFonts) {
+                this.loadCustomFonts();
+            }
         }
     }
     
-    highlightCurrentFontSelection() {
-        // Clear all previous selections
-        const allOptions = document.querySelectorAll('.font-option');
-        allOptions.forEach(option => option.classList.remove('selected'));
+    handleFontDropdownClick(e) {
+        const targetBtn = e.target.closest('.font-target');
+        const deleteBtn = e.target.closest('.delete-custom-font');
+        const option = e.target.closest('.font-option');
         
-        // Highlight current selection
-        const currentOption = document.querySelector(`.font-option[data-font="${this.fontFamily}"]`);
-        if (currentOption) {
-            currentOption.classList.add('selected');
+        if (targetBtn) {
+            this.setFontTarget(targetBtn.dataset.fontTarget);
+        } else if (deleteBtn) {
+            this.deleteCustomFont(deleteBtn.dataset.fontId);
+        } else if (option) {
+            if (this.fontTarget === 'heading') {
+                this.selectHeadingFont(option.dataset.font);
+            } else {
+                this.selectFontFamily(option.dataset.font);
+            }
         }
     }
     
-    selectFontFamily(fontFamily) {
-        this.fontFamily = fontFamily;
-        this.applyFontFamily();
-        this.markAsChanged();
-        this.saveToStorage();
+    setFontTarget(target) {
+        this.fontTarget = target === 'heading' ? 'heading' : 'body';
+        document.querySelectorAll('.font-target').forEach(button => {
+            const active = button.dataset.fontTarget === this.fontTarget;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        document.getElementById('font-target-label').textContent =
+            this.fontTarget === 'heading' ? 'Heading Font:' : 'Body Font:';
+        this.renderFontOptions();
+    }
+    
+    // The font the dropdown is changing; '' when headings follow the body font
+    getTargetFont() {
+        return this.fontTarget === 'heading' ? (this.headingFont || '') : this.fontFamily;
+    }
+    
+    renderFontOptions() {
+        const grid = document.getElementById('font-library-grid');
+        if (!grid) return;
         
-        // Update preview if visible
-        if (this.sidePreviewVisible) {
-            this.updateSidePreview();
+        const options = MenuFonts.FONT_LIBRARY.map(font => `
+            <div class="dropdown-option font-option" data-font="${this.escapeHtml(font.family)}">
+                <span style="font-family: ${this.escapeHtml(MenuFonts.getFontStack(font.family))};">${this.escapeHtml(font.family)}</span>
+                <small>${this.escapeHtml(font.description)}</small>
+            </div>
+        `);
+        if (this.fontTarget === 'heading') {
+            options.unshift(`
+                <div class="dropdown-option font-option" data-font="">
+                    <span>Same as body</span>
+                    <small>${this.escapeHtml(MenuFonts.getFontLabel(this.fontFamily, this.customFonts))}</small>
+                </div>
+            `);
         }
+        grid.innerHTML = options.join('');
         
-        // Close dropdown with a delay to show selection feedback
-        setTimeout(() => {
-            this.fontDropdownOpen = false;
-            document.getElementById('font-dropdown').classList.remove('show');
+        this.renderCustomFontOptions();
+        this.updateFontSelection();
+    }
+    
+    async loadCustomFonts() {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            this.renderCustomFontOptions();
+            return;
+        }
+        
+        const result = await window.authManager.getCustomFonts();
+        if (!result.success) {
+            console.error('Failed to load custom fonts:', result.error);
+            return;
+        }
+        
+        this.accountFonts = result.fonts;
+        this.updateFontFaces();
+        this.renderCustomFontOptions();
+        this.updateFontSelection();
+    }
+    
+    renderCustomFontOptions() {
+        const list = document.getElementById('custom-font-list');
+        if (!list) return;
+        
+        const fonts = this.accountFonts || [];
+        if (fonts.length === 0) {
+            list.innerHTML = '<div class="custom-font-empty">Upload your brand\'s WOFF2 fonts to use them on any of your menus.</div>';
+            return;
+        }
+        
+        list.innerHTML = fonts.map(font => {
+            const value = `${MenuFonts.CUSTOM_FONT_PREFIX}${font.id}`;
+            return `
+                <div class="dropdown-option font-option custom-font-option" data-font="${value}">
+                    <span style="font-family: ${this.escapeHtml(MenuFonts.getFontStack(value, fonts))};">${this.escapeHtml(font.name)}</span>
+                    <button type="button" class="delete-custom-font" data-font-id="${font.id}" title="Delete font" aria-label="Delete ${this.escapeHtml(font.name)}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    selectFontFamily(fontFamily) {
+        this.fontFamily = fontFamily;
+        this.handleFontChange();
+    }
+    
+    selectHeadingFont(font) {
+        this.headingFont = font || null;
+        this.handleFontChange();
+    }
+    
+    handleFontChange() {
+        this.syncCustomFonts();
+        this.applyFontFamily();
+        this.updateFontSelection();
+        this.markAsChanged();
+        this.saveToStorage();
+        
+        // Update preview if visible
+        if (this.sidePreviewVisible) {
+            this.updateSidePreview();
+        }
+        
+        // Close dropdown with a delay to show selection feedback
+        setTimeout(() => {
+            this.fontDropdownOpen = false;
+            document.getElementById('font-dropdown').classList.remove('show');
             document.getElementById('font-options').classList.remove('active');
         }, 400);
     }
     
+    /**
+     * Keep a copy of each uploaded font the menu uses, so the published menu
+     * still has its files if the font is later deleted from the account.
+     */
+    syncCustomFonts() {
+        const known = [...(this.customFonts || []), ...(this.accountFonts || [])];
+        const fonts = [];
+        
+        [this.fontFamily, this.headingFont].forEach(value => {
+            const font = MenuFonts.findCustomFont(value, known);
+            if (font && !fonts.some(used => used.id === font.id)) {
+                fonts.push({ id: font.id, name: font.name, url: font.url });
+            }
+        });
+        
+        this.customFonts = fonts.length > 0 ? fonts : null;
+    }
+    
+    // Declare every library font plus the uploaded ones, so the dropdown can
+    // show each font in itself; browsers only download the ones in use
+    updateFontFaces() {
+        let style = document.getElementById('menu-font-faces');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'menu-font-faces';
+            document.head.appendChild(style);
+        }
+        
+        const uploaded = [...(this.customFonts || []), ...(this.accountFonts || [])];
+        style.textContent = MenuFonts.renderFontFaces([
+            ...MenuFonts.FONT_LIBRARY.map(font => font.family),
+            ...uploaded.map(font => `${MenuFonts.CUSTOM_FONT_PREFIX}${font.id}`)
+        ], uploaded);
+    }
+    
     applyFontFamily() {
-        // Get font stack based on selected family
-        const fontStacks = {
-            'Inter': "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-            'Playfair Display': "'Playfair Display', Georgia, 'Times New Roman', serif",
-            'Georgia': "Georgia, 'Times New Roman', Times, serif",
-            'Lato': "'Lato', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-            'Montserrat': "'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif"
-        };
+        this.updateFontFaces();
         
-        const fontStack = fontStacks[this.fontFamily] || fontStacks['Inter'];
+        const bodyStack = MenuFonts.getFontStack(this.fontFamily, this.customFonts);
+        const headingStack = MenuFonts.getFontStack(this.headingFont || this.fontFamily, this.customFonts);
         
         // Apply to all preview containers
         const previewContainers = document.querySelectorAll(
@@ -4493,24 +5520,82 @@ class MenuEditor {
         );
         
         previewContainers.forEach(container => {
-            container.style.fontFamily = fontStack;
+            container.style.fontFamily = bodyStack;
+            container.style.setProperty('--menu-heading-font', headingStack);
         });
-        
-        console.log('Applied font family:', this.fontFamily, 'Stack:', fontStack);
     }
     
     updateFontSelection() {
         // Update selected state in dropdown
-        const options = document.querySelectorAll('.font-option');
-        options.forEach(option => {
-            option.classList.remove('selected');
-            
-            if (option.dataset.font === this.fontFamily) {
-                option.classList.add('selected');
-            }
+        const current = this.getTargetFont();
+        document.querySelectorAll('.font-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.font === current);
         });
     }
     
+    async handleFontUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Sign in to upload fonts to your account.');
+            return;
+        }
+        
+        if (!/\.woff2$/i.test(file.name)) {
+            alert('Please select a WOFF2 font file');
+            return;
+        }
+        
+        if (file.size > 2 * 1024 * 1024) {
+            alert('Fonts can be at most 2MB. Please choose a smaller file.');
+            return;
+        }
+        
+        // "Acme-Sans_Bold.woff2" becomes "Acme Sans Bold"
+        const name = file.name
+            .replace(/\.woff2$/i, '')
+            .replace(/[-_]+/g, ' ')
+            .trim()
+            .slice(0, MenuFonts.MAX_FONT_NAME_LENGTH) || 'Custom font';
+        
+        try {
+            const result = await window.authManager.uploadCustomFont(await this.fileToBase64(file), name);
+            if (!result.success) {
+                alert('Upload failed: ' + (result.error || 'Unknown error'));
+                return;
+            }
+            
+            this.accountFonts = [...(this.accountFonts || []), result.font];
+            this.updateFontFaces();
+            this.renderCustomFontOptions();
+            this.updateFontSelection();
+        } catch (error) {
+            console.error('Font upload failed:', error);
+            alert('Failed to upload font. Please try again.');
+        }
+    }
+    
+    async deleteCustomFont(fontId) {
+        const font = (this.accountFonts || []).find(saved => String(saved.id) === String(fontId));
+        if (!font) return;
+        
+        if (!confirm(`Delete "${font.name}" from your account? Menus already using it keep it.`)) {
+            return;
+        }
+        
+        const result = await window.authManager.deleteCustomFont(font.id);
+        if (!result.success) {
+            alert('Failed to delete font: ' + (result.error || 'Unknown error'));
+            return;
+        }
+        
+        this.accountFonts = this.accountFonts.filter(saved => saved.id !== font.id);
+        this.renderCustomFontOptions();
+        this.updateFontSelection();
+    }
+    
     // === COLOR PALETTE CUSTOMIZATION ===
     
     toggleColorDropdown() {
@@ -4534,6 +5619,9 @@ class MenuEditor {
         // Highlight current selection when dropdown opens
         if (this.colorDropdownOpen) {
             this.highlightCurrentColorSelection();
+            if (!this.customPalettes) {
+                this.loadCustomPalettes();
+            }
         }
     }
     
@@ -4543,7 +5631,9 @@ class MenuEditor {
         allOptions.forEach(option => option.classList.remove('selected'));
         
         // Highlight current selection
-        const currentOption = document.querySelector(`.palette-option[data-palette="${this.colorPalette}"]`);
+        const currentOption = this.colorPalette === 'custom'
+            ? document.querySelector(`.custom-palette-option[data-palette-id="${this.customPalette && this.customPalette.id}"]`)
+            : document.querySelector(`.palette-option[data-palette="${this.colorPalette}"]`);
         if (currentOption) {
             currentOption.classList.add('selected');
         }
@@ -4570,8 +5660,20 @@ class MenuEditor {
         }, 400);
     }
     
+    /**
+     * The colors in use: a built-in palette, or the menu's own custom palette.
+     * 
+     * @returns {Object|null} Palette with primaryText, secondaryText, headers, accent, background and muted
+     */
+    getActivePalette() {
+        if (this.colorPalette === 'custom') {
+            return this.customPalette;
+        }
+        return this.colorPalettes[this.colorPalette] || null;
+    }
+    
     applyColorPalette() {
-        const palette = this.colorPalettes[this.colorPalette];
+        const palette = this.getActivePalette();
         if (!palette) return;
         
         // Apply colors to all preview containers
@@ -4617,11 +5719,11 @@ class MenuEditor {
             el.style.setProperty('border-bottom-color', palette.accent, 'important');
         });
         
-        const accentElements = container.querySelectorAll('.preview-price-cell, .preview-title-price');
+        const accentElements = container.querySelectorAll('.preview-price-cell, .preview-title-price, .preview-variant-price');
         accentElements.forEach(el => el.style.setProperty('color', palette.accent, 'important'));
         
         // Apply secondary text color to all non-price data cells
-        const dataElements = container.querySelectorAll('.preview-data-cell:not(.preview-price-cell)');
+        const dataElements = container.querySelectorAll('.preview-data-cell:not(.preview-price-cell), .preview-variant-label');
         dataElements.forEach(el => el.style.setProperty('color', palette.secondaryText, 'important'));
     }
     
@@ -4631,160 +5733,2299 @@ class MenuEditor {
         options.forEach(option => {
             option.classList.remove('selected');
             
-            if (option.dataset.palette === this.colorPalette) {
+            if (option.dataset.palette === this.colorPalette || this.isCurrentCustomPalette(option.dataset.paletteId)) {
                 option.classList.add('selected');
             }
         });
     }
     
-    // === NAVIGATION THEME FUNCTIONALITY ===
+    // === CUSTOM PALETTES ===
+    
+    isCurrentCustomPalette(paletteId) {
+        return this.colorPalette === 'custom' && Boolean(this.customPalette) && paletteId !== undefined &&
+            String(this.customPalette.id) === String(paletteId);
+    }
+    
+    async loadCustomPalettes() {
+        if (!window.authManager || !window.authManager.isSignedIn()) return;
+        
+        const result = await window.authManager.getCustomPalettes();
+        if (!result.success) {
+            console.error('Failed to load custom palettes:', result.error);
+            return;
+        }
+        
+        this.customPalettes = result.palettes;
+        this.renderCustomPaletteOptions();
+    }
+    
+    renderCustomPaletteOptions() {
+        const list = document.getElementById('custom-palette-list');
+        if (!list) return;
+        
+        const palettes = this.customPalettes || [];
+        if (palettes.length === 0) {
+            list.innerHTML = '<div class="custom-palette-empty">Build a palette with your own colors and reuse it on any of your menus.</div>';
+            return;
+        }
+        
+        list.innerHTML = palettes.map(palette => `
+            <div class="palette-option custom-palette-option${this.isCurrentCustomPalette(palette.id) ? ' selected' : ''}" data-palette-id="${palette.id}">
+                <div class="palette-preview">
+                    ${['primaryText', 'secondaryText', 'headers', 'accent', 'background'].map(role =>
+                        `<div class="color-swatch" style="background-color: ${this.escapeHtml(palette[role])};"></div>`
+                    ).join('')}
+                </div>
+                <div class="palette-info">
+                    <span class="palette-name">${this.escapeHtml(palette.name)}</span>
+                </div>
+                <div class="custom-palette-actions">
+                    <button class="edit-custom-palette" data-palette-id="${palette.id}" title="Edit palette" aria-label="Edit ${this.escapeHtml(palette.name)}">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="delete-custom-palette" data-palette-id="${palette.id}" title="Delete palette" aria-label="Delete ${this.escapeHtml(palette.name)}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    handleCustomPaletteClick(e) {
+        const editBtn = e.target.closest('.edit-custom-palette');
+        const deleteBtn = e.target.closest('.delete-custom-palette');
+        const option = e.target.closest('.custom-palette-option');
+        
+        if (editBtn) {
+            this.openPaletteBuilder(this.findCustomPalette(editBtn.dataset.paletteId));
+        } else if (deleteBtn) {
+            this.deleteCustomPalette(deleteBtn.dataset.paletteId);
+        } else if (option) {
+            this.useCustomPalette(this.findCustomPalette(option.dataset.paletteId));
+        }
+    }
+    
+    findCustomPalette(paletteId) {
+        return (this.customPalettes || []).find(palette => String(palette.id) === String(paletteId)) || null;
+    }
+    
+    /**
+     * Switch the menu to a saved palette. The menu keeps its own copy of the
+     * colors, so later edits to the saved palette only reach menus that
+     * pick it again.
+     * 
+     * @param {Object} palette - Saved palette from the palettes API
+     */
+    useCustomPalette(palette) {
+        if (!palette) return;
+        
+        this.customPalette = { id: palette.id, name: palette.name };
+        this.paletteRoles.forEach(role => {
+            this.customPalette[role] = palette[role];
+        });
+        this.selectColorPalette('custom');
+        this.updateColorSelection();
+    }
+    
+    /**
+     * Open the palette builder, either for a saved palette or for a new one
+     * starting from the colors currently in use.
+     * 
+     * @param {Object} [palette] - Saved palette to edit
+     */
+    openPaletteBuilder(palette = null) {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Sign in to save custom palettes to your account.');
+            return;
+        }
+        
+        const start = palette || this.getActivePalette() || this.colorPalettes.classic;
+        this.editingPaletteId = palette ? palette.id : null;
+        
+        document.getElementById('palette-builder-title').textContent = palette ? 'Edit Palette' : 'Build a Palette';
+        document.getElementById('palette-builder-name').value = palette ? palette.name : '';
+        this.paletteRoles.forEach(role => {
+            document.getElementById(`palette-role-${role}`).value = start[role];
+        });
+        this.updatePaletteBuilder();
+        
+        // The builder opens from the color dropdown
+        this.colorDropdownOpen = false;
+        document.getElementById('color-dropdown').classList.remove('show');
+        document.getElementById('color-options').classList.remove('active');
+        
+        const modal = document.getElementById('palette-builder-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+        document.getElementById('palette-builder-name').focus();
+    }
+    
+    closePaletteBuilder() {
+        const modal = document.getElementById('palette-builder-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        this.editingPaletteId = null;
+    }
+    
+    // Keep each color picker and its hex field in step
+    handlePaletteBuilderInput(e) {
+        const role = e.target.dataset.role;
+        if (!role) return;
+        
+        if (e.target.classList.contains('palette-role-hex')) {
+            const hex = e.target.value.trim();
+            if (!/^#[0-9a-f]{6}$/i.test(hex)) return;
+            document.getElementById(`palette-role-${role}`).value = hex.toLowerCase();
+        }
+        this.updatePaletteBuilder(e.target);
+    }
+    
+    readPaletteBuilder() {
+        const palette = { name: document.getElementById('palette-builder-name').value.trim() };
+        this.paletteRoles.forEach(role => {
+            palette[role] = document.getElementById(`palette-role-${role}`).value;
+        });
+        return palette;
+    }
+    
+    /**
+     * Refresh the builder's hex fields, sample menu and contrast results.
+     * 
+     * @param {HTMLElement} [source] - Field being typed in, left as the user typed it
+     */
+    updatePaletteBuilder(source = null) {
+        const palette = this.readPaletteBuilder();
+        
+        document.querySelectorAll('#palette-builder-roles .palette-role-hex').forEach(field => {
+            if (field !== source) {
+                field.value = palette[field.dataset.role];
+            }
+        });
+        
+        const preview = document.getElementById('palette-builder-preview');
+        preview.style.setProperty('--primary-text-color', palette.primaryText);
+        preview.style.setProperty('--secondary-text-color', palette.secondaryText);
+        preview.style.setProperty('--header-color', palette.headers);
+        preview.style.setProperty('--accent-color', palette.accent);
+        preview.style.setProperty('--background-color', palette.background);
+        preview.style.setProperty('--muted-color', palette.muted);
+        
+        document.getElementById('palette-contrast-results').innerHTML = this.getPaletteContrastChecks(palette).map(check => `
+            <li class="palette-contrast-result ${check.passes ? 'passes' : 'fails'}">
+                <span class="palette-contrast-swatch" style="color: ${check.color}; background-color: ${palette.background};">Aa</span>
+                <span class="palette-contrast-label">${check.label}</span>
+                <span class="palette-contrast-ratio">${check.ratio.toFixed(2)}:1</span>
+                <span class="palette-contrast-status">
+                    <i class="fas ${check.passes ? 'fa-check' : 'fa-exclamation-triangle'}" aria-hidden="true"></i>
+                    ${check.passes ? 'Pass' : `Needs ${check.minimum}:1`}
+                </span>
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Check each color against the background at the WCAG AA minimums:
+     * 4.5:1 for body text and prices, 3:1 for headers (large text) and
+     * muted details (non-text contrast).
+     * 
+     * @param {Object} palette
+     * @returns {Array<{role: string, label: string, color: string, ratio: number, minimum: number, passes: boolean}>}
+     */
+    getPaletteContrastChecks(palette) {
+        const checks = [
+            { role: 'primaryText', label: 'Main text', minimum: 4.5 },
+            { role: 'secondaryText', label: 'Secondary text', minimum: 4.5 },
+            { role: 'accent', label: 'Prices', minimum: 4.5 },
+            { role: 'headers', label: 'Headers', minimum: 3 },
+            { role: 'muted', label: 'Muted details', minimum: 3 }
+        ];
+        
+        return checks.map(check => {
+            const ratio = this.getContrastRatio(palette[check.role], palette.background);
+            return { ...check, color: palette[check.role], ratio, passes: ratio >= check.minimum };
+        });
+    }
+    
+    /**
+     * WCAG contrast ratio between two hex colors.
+     * 
+     * @returns {number} From 1 (no contrast) to 21 (black on white)
+     */
+    getContrastRatio(foreground, background) {
+        const [lighter, darker] = [this.getRelativeLuminance(foreground), this.getRelativeLuminance(background)]
+            .sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+    
+    async saveCustomPalette() {
+        const palette = this.readPaletteBuilder();
+        if (!palette.name) {
+            alert('Please give your palette a name.');
+            return;
+        }
+        
+        const failing = this.getPaletteContrastChecks(palette).filter(check => !check.passes);
+        if (failing.length > 0 &&
+            !confirm(`${failing.map(check => check.label).join(', ')} ${failing.length === 1 ? 'does' : 'do'} not meet WCAG AA contrast against the background and may be hard to read. Save anyway?`)) {
+            return;
+        }
+        
+        const result = await window.authManager.saveCustomPalette(palette, this.editingPaletteId);
+        if (!result.success) {
+            alert(`Error saving palette: ${result.error}`);
+            return;
+        }
+        
+        const palettes = this.customPalettes || [];
+        const index = palettes.findIndex(saved => saved.id === result.palette.id);
+        if (index === -1) {
+            palettes.push(result.palette);
+        } else {
+            palettes[index] = result.palette;
+        }
+        this.customPalettes = palettes;
+        
+        this.closePaletteBuilder();
+        this.renderCustomPaletteOptions();
+        this.useCustomPalette(result.palette);
+    }
+    
+    async deleteCustomPalette(paletteId) {
+        const palette = this.findCustomPalette(paletteId);
+        if (!palette) return;
+        
+        if (!confirm(`Delete the "${palette.name}" palette? Menus already using it keep their colors.`)) {
+            return;
+        }
+        
+        const result = await window.authManager.deleteCustomPalette(palette.id);
+        if (!result.success) {
+            alert(`Error deleting palette: ${result.error}`);
+            return;
+        }
+        
+        this.customPalettes = this.customPalettes.filter(saved => saved.id !== palette.id);
+        this.renderCustomPaletteOptions();
+    }
+    
+    // === NAVIGATION THEME FUNCTIONALITY ===
+    
+    toggleNavigationDropdown() {
+        this.closeOtherDropdowns('navigation');
+        
+        const dropdown = document.getElementById('navigation-dropdown');
+        this.navigationDropdownOpen = !this.navigationDropdownOpen;
+        
+        // Use .show class for proper animations and z-index handling
+        if (this.navigationDropdownOpen) {
+            dropdown.classList.add('show');
+        } else {
+            dropdown.classList.remove('show');
+        }
+        
+        const button = document.getElementById('navigation-options');
+        button.classList.toggle('active', this.navigationDropdownOpen);
+        
+        // Highlight current selection when dropdown opens
+        if (this.navigationDropdownOpen) {
+            this.highlightCurrentNavigationSelection();
+        }
+    }
+    
+    highlightCurrentNavigationSelection() {
+        // Clear all previous selections
+        const allOptions = document.querySelectorAll('.theme-option');
+        allOptions.forEach(option => option.classList.remove('selected'));
+        
+        // Highlight current selection
+        const currentOption = document.querySelector(`.theme-option[data-theme="${this.navigationTheme}"]`);
+        if (currentOption) {
+            currentOption.classList.add('selected');
+        }
+    }
+    
+    selectNavigationTheme(theme) {
+        this.navigationTheme = theme;
+        this.applyNavigationTheme();
+        this.markAsChanged();
+        this.saveToStorage();
+        
+        // Update preview if visible
+        if (this.sidePreviewVisible) {
+            this.updateSidePreview();
+        }
+        
+        // Close dropdown with a delay to show selection feedback
+        setTimeout(() => {
+            this.navigationDropdownOpen = false;
+            document.getElementById('navigation-dropdown').classList.remove('show');
+            document.getElementById('navigation-options').classList.remove('active');
+        }, 400);
+    }
+    
+    applyNavigationTheme() {
+        console.log('Applying navigation theme:', this.navigationTheme);
+        // Apply theme to all navigation elements
+        const navigationElements = document.querySelectorAll('.preview-navigation');
+        
+        navigationElements.forEach(nav => {
+            // Remove existing theme classes
+            nav.classList.remove('theme-modern', 'theme-glass', 'theme-minimal');
+            // Add new theme class
+            nav.classList.add(`theme-${this.navigationTheme}`);
+        });
+        
+        // Apply color palette to navigation elements
+        this.applyColorsToNavigation();
+        
+        // Update theme on next preview generation
+        this.navigationThemeClass = `theme-${this.navigationTheme}`;
+    }
+    
+    applyColorsToNavigation() {
+        // Get current color palette
+        const palette = this.getActivePalette();
+        if (!palette) return;
+        
+        // Apply colors to all navigation containers
+        const navigationElements = document.querySelectorAll('.preview-navigation, #preview-navigation, #modal-preview-navigation');
+        
+        navigationElements.forEach(nav => {
+            // Set CSS custom properties for navigation theming
+            nav.style.setProperty('--nav-primary-color', palette.primaryText);
+            nav.style.setProperty('--nav-secondary-color', palette.secondaryText);
+            nav.style.setProperty('--nav-accent-color', palette.accent);
+            nav.style.setProperty('--nav-background-color', palette.background);
+            nav.style.setProperty('--nav-header-color', palette.headers);
+        });
+    }
+    
+    updateNavigationSelection() {
+        // Update selected state in dropdown
+        const options = document.querySelectorAll('.theme-option');
+        options.forEach(option => {
+            option.classList.remove('selected');
+            
+            if (option.dataset.theme === this.navigationTheme) {
+                option.classList.add('selected');
+            }
+        });
+    }
+    
+    // === LAYOUT FUNCTIONALITY ===
+    
+    toggleLayoutDropdown() {
+        this.closeOtherDropdowns('layout');
+        
+        const dropdown = document.getElementById('layout-dropdown');
+        this.layoutDropdownOpen = !this.layoutDropdownOpen;
+        dropdown.classList.toggle('show', this.layoutDropdownOpen);
+        
+        const button = document.getElementById('layout-options');
+        button.classList.toggle('active', this.layoutDropdownOpen);
+        button.setAttribute('aria-expanded', String(this.layoutDropdownOpen));
+        
+        if (this.layoutDropdownOpen) {
+            this.updateLayoutSelection();
+        }
+    }
+    
+    updateLayoutSelection() {
+        document.querySelectorAll('.layout-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.layout === this.menuLayout);
+        });
+    }
+    
+    /**
+     * Set the layout every section uses unless it picks its own.
+     * 
+     * @param {string} layout - One of MenuRender.LAYOUTS
+     */
+    selectMenuLayout(layout) {
+        if (!MenuRender.isValidLayout(layout)) return;
+        
+        this.menuLayout = layout;
+        this.updateLayoutSelection();
+        this.updateSidePreview();
+        this.markAsChanged();
+        this.saveToStorage();
+        
+        // Close dropdown with a delay to show selection feedback
+        setTimeout(() => {
+            this.layoutDropdownOpen = false;
+            document.getElementById('layout-dropdown').classList.remove('show');
+            document.getElementById('layout-options').classList.remove('active');
+        }, CONFIG.DROPDOWN_CLOSE_DELAY);
+    }
+    
+    // Store or clear a section's own layout; '' follows the menu's layout
+    setSectionLayout(sectionId, layout) {
+        const sectionLayouts = { ...(this.sectionLayouts || {}) };
+        if (layout) {
+            sectionLayouts[sectionId] = layout;
+        } else {
+            delete sectionLayouts[sectionId];
+        }
+        this.sectionLayouts = Object.keys(sectionLayouts).length > 0 ? sectionLayouts : null;
+    }
+    
+    // === UNDO / REDO ===
+
+    // The parts of the menu that section, column and item edits change
+    getEditState() {
+        return JSON.parse(JSON.stringify({
+            sections: this.sections,
+            sectionCounter: this.sectionCounter,
+            menuSchedule: this.menuSchedule,
+            menuTranslations: this.menuTranslations,
+            sectionLayouts: this.sectionLayouts
+        }));
+    }
+
+    restoreEditState(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        this.sections = copy.sections;
+        this.sectionCounter = copy.sectionCounter;
+        this.menuSchedule = copy.menuSchedule;
+        this.menuTranslations = copy.menuTranslations;
+        this.sectionLayouts = copy.sectionLayouts;
+
+        this.updatePreviewLanguageOptions();
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+        this.saveToStorage();
+    }
+
+    /**
+     * Run an edit and record it so it can be undone. The menu's sections,
+     * schedule, translations and section layouts are captured before and
+     * after, so an edit may change any of them.
+     *
+     * @param {string} label - Shown on the undo/redo buttons, e.g. "Delete item"
+     * @param {Function} mutate - Makes the edit; its return value is passed through
+     * @param {Object} [options]
+     * @param {string} [options.mergeKey] - Edits with the same key in quick
+     *   succession (typing in one field) undo as one step
+     * @returns {*}
+     */
+    recordChange(label, mutate, options = {}) {
+        const before = this.getEditState();
+        const result = mutate();
+        const after = this.getEditState();
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            const command = {
+                label,
+                mergeKey: options.mergeKey || null,
+                time: Date.now(),
+                after,
+                undo: () => this.restoreEditState(before),
+                redo: () => this.restoreEditState(command.after),
+                // Grouped edits collapse into one before/after pair, so undoing
+                // a bulk operation restores the menu once
+                merge: (next, context = {}) => {
+                    const sameField = command.mergeKey && next.mergeKey === command.mergeKey &&
+                        next.time - command.time <= CONFIG.UNDO_MERGE_WINDOW;
+                    if (!next.after || !(context.grouped || sameField)) {
+                        return false;
+                    }
+                    command.after = next.after;
+                    command.time = next.time;
+                    return true;
+                }
+            };
+            this.history.record(command);
+        }
+
+        return result;
+    }
+
+    undo() {
+        const label = this.history.undo();
+        if (label && window.accessibilityEnhancements) {
+            window.accessibilityEnhancements.announce(`Undid ${label}`);
+        }
+    }
+
+    redo() {
+        const label = this.history.redo();
+        if (label && window.accessibilityEnhancements) {
+            window.accessibilityEnhancements.announce(`Redid ${label}`);
+        }
+    }
+
+    updateUndoRedoButtons() {
+        const undoButton = document.getElementById('undo-edit');
+        const redoButton = document.getElementById('redo-edit');
+        if (!undoButton || !redoButton) return;
+
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+        undoButton.disabled = !undoLabel;
+        redoButton.disabled = !redoLabel;
+        undoButton.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // === MENU ITEM FUNCTIONALITY ===
+
+    updateMenuItem(sectionId, itemIndex, column, value) {
+        console.log('🔄 updateMenuItem:', {sectionId, itemIndex, column, value});
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section || !section.items[itemIndex]) {
+            console.log('❌ Section or item not found');
+            return;
+        }
+        
+        this.recordChange('Edit item', () => {
+            section.items[itemIndex][column] = value;
+        }, { mergeKey: `item:${sectionId}:${itemIndex}:${column}` });
+        console.log('✅ Updated item:', section.items[itemIndex]);
+        console.log('📊 All sections:', this.sections);
+        
+        // Update preview immediately
+        this.updateSidePreview();
+        this.markAsChanged();
+        this.saveCurrentMenu();
+    }
+    
+    deleteMenuItem(sectionId, itemIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section || !section.items[itemIndex]) return;
+        
+        this.recordChange('Delete item', () => {
+            section.items.splice(itemIndex, 1);
+        });
+        this.renderMenu();
+        this.markAsChanged();
+        this.saveCurrentMenu();
+    }
+    
+    duplicateMenuItem(sectionId, itemIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section || !section.items[itemIndex]) return;
+        
+        // Create a deep copy of the item
+        const originalItem = section.items[itemIndex];
+        const duplicatedItem = JSON.parse(JSON.stringify(originalItem));
+        
+        // Insert the duplicated item right after the original
+        this.recordChange('Duplicate item', () => {
+            section.items.splice(itemIndex + 1, 0, duplicatedItem);
+        });
+        
+        this.renderMenu();
+        this.markAsChanged();
+        this.saveCurrentMenu();
+    }
+    
+    // === PRICE VARIANTS ===
+    
+    /**
+     * Labelled prices on an item (e.g. 6oz / 9oz / Bottle), stored as
+     * `item.priceVariants = [{ label, price }]`. Rows with neither a label
+     * nor a price are left out.
+     */
+    getPriceVariants(item) {
+        if (!item || !Array.isArray(item.priceVariants)) return [];
+        return item.priceVariants.filter(variant => (variant.label || '').trim() || (variant.price || '').trim());
+    }
+    
+    generatePriceVariants(item) {
+        const variants = this.getPriceVariants(item);
+        if (variants.length === 0) return '';
+        
+        return `
+            <div class="preview-price-variants">
+                ${variants.map(variant => `
+                    <span class="preview-price-variant">
+                        ${variant.label ? `<span class="preview-variant-label">${variant.label}</span>` : ''}
+                        ${variant.price ? `<span class="preview-variant-price">${variant.price}</span>` : ''}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    createPriceVariantsEditor(section, item, index) {
+        const escape = (value) => this.escapeHtml(value || '');
+        const editor = document.createElement('div');
+        editor.className = 'price-variants-editor';
+        
+        editor.innerHTML = `
+            ${item.priceVariants.map((variant, variantIndex) => `
+                <div class="price-variant-row">
+                    <input type="text" class="price-variant-input" data-field="label" value="${escape(variant.label)}" placeholder="Size or pour (e.g. Glass)" aria-label="Variant label" data-section-id="${section.id}" data-item-index="${index}" data-variant-index="${variantIndex}">
+                    <input type="text" class="price-variant-input" data-field="price" value="${escape(variant.price)}" placeholder="$0.00" aria-label="Variant price" data-section-id="${section.id}" data-item-index="${index}" data-variant-index="${variantIndex}">
+                    <button class="btn btn-small remove-price-variant-btn" data-section-id="${section.id}" data-item-index="${index}" data-variant-index="${variantIndex}" title="Remove Price Variant">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('')}
+        `;
+        
+        return editor;
+    }
+    
+    addPriceVariant(sectionId, itemIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item) return;
+        
+        this.recordChange('Add price', () => {
+            if (!Array.isArray(item.priceVariants)) {
+                item.priceVariants = [];
+            }
+            item.priceVariants.push({ label: '', price: '' });
+        });
+        
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+        
+        const labelInputs = document.querySelectorAll(
+            `.price-variant-input[data-section-id="${sectionId}"][data-item-index="${itemIndex}"][data-field="label"]`
+        );
+        if (labelInputs.length > 0) {
+            labelInputs[labelInputs.length - 1].focus();
+        }
+    }
+    
+    updatePriceVariant(sectionId, itemIndex, variantIndex, field, value) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item || !item.priceVariants || !item.priceVariants[variantIndex]) return;
+        if (field !== 'label' && field !== 'price') return;
+        
+        this.recordChange('Edit price', () => {
+            item.priceVariants[variantIndex][field] = value;
+        }, { mergeKey: `variant:${sectionId}:${itemIndex}:${variantIndex}:${field}` });
+        
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    removePriceVariant(sectionId, itemIndex, variantIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item || !item.priceVariants) return;
+        
+        this.recordChange('Remove price', () => {
+            item.priceVariants.splice(variantIndex, 1);
+            if (item.priceVariants.length === 0) {
+                delete item.priceVariants;
+            }
+        });
+        
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    // === ITEM PHOTOS ===
+    
+    chooseItemPhoto(sectionId, itemIndex) {
+        this.pendingPhotoItem = { sectionId, itemIndex };
+        const input = document.getElementById('item-photo-input');
+        input.value = '';
+        input.click();
+    }
+    
+    /**
+     * Upload the chosen photo for the pending item. The server resizes it
+     * into WebP thumbnail and full-size versions and strips EXIF data; the
+     * client-side compression here only keeps the request under the size limit.
+     */
+    async handleItemPhotoUpload(event) {
+        const file = event.target.files[0];
+        const target = this.pendingPhotoItem;
+        this.pendingPhotoItem = null;
+        if (!file || !target || !this.currentMenuId) return;
+        
+        const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+        if (!validTypes.includes(file.type)) {
+            alert('Please select a JPG, PNG, WEBP or GIF image');
+            return;
+        }
+        
+        const section = this.sections.find(s => s.id === target.sectionId);
+        const item = section ? section.items[target.itemIndex] : null;
+        if (!item) return;
+        
+        if (this.ensureItemIds()) {
+            this.markAsChanged();
+        }
+        
+        try {
+            let processedFile = file;
+            if (window.performanceOptimizer && file.size > CONFIG.MAX_FILE_SIZE) {
+                processedFile = await window.performanceOptimizer.compressImage(file, {
+                    maxWidth: 2000,
+                    maxHeight: 2000,
+                    quality: 0.85,
+                    format: 'image/jpeg'
+                });
+            }
+            
+            if (processedFile.size > CONFIG.MAX_FILE_SIZE) {
+                alert(`Photos can be at most ${CONFIG.MAX_FILE_SIZE_MB}MB. Please choose a smaller image.`);
+                return;
+            }
+            
+            if (window.uiFeedback) {
+                window.uiFeedback.showInfo('Uploading Photo', 'Resizing your photo…');
+            }
+            
+            const result = await this.uploadItemPhoto(await this.fileToBase64(processedFile), item._id);
+            if (!result.success) {
+                alert('Upload failed: ' + (result.error || 'Unknown error'));
+                return;
+            }
+            
+            this.recordChange('Add photo', () => {
+                item.photo = result.photo;
+            });
+            this.renderMenu();
+            this.updateSidePreview();
+            this.markAsChanged();
+        } catch (error) {
+            console.error('Item photo upload failed:', error);
+            alert('Failed to upload photo. Please try again.');
+        }
+    }
+    
+    async uploadItemPhoto(fileData, itemId) {
+        try {
+            const response = await fetch('/api/upload/item-photo', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${window.authManager.sessionId}`
+                },
+                body: JSON.stringify({
+                    fileData,
+                    menuId: this.currentMenuId,
+                    itemId
+                })
+            });
+            
+            const data = await response.json();
+            return response.ok ? data : { success: false, error: data.error };
+        } catch (error) {
+            console.error('Item photo upload error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    removeItemPhoto(sectionId, itemIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item || !item.photo) return;
+        
+        this.recordChange('Remove photo', () => {
+            delete item.photo;
+        });
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    // === DIETARY & ALLERGEN TAGS ===
+    
+    openItemTagsModal(sectionId, itemIndex) {
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item) return;
+        
+        this.editingTagsItem = { sectionId, itemIndex };
+        const tags = MenuTags.normalizeTags(item.tags);
+        const checkbox = (name, option, checked) => `
+            <label class="item-tags-option">
+                <input type="checkbox" name="${name}" value="${option.id}" ${checked ? 'checked' : ''}>
+                ${option.label}
+            </label>
+        `;
+        
+        const titleColumn = (section.titleColumns || [section.columns[0]])[0];
+        document.getElementById('item-tags-item-name').textContent = item[titleColumn] || 'Untitled item';
+        document.getElementById('item-tags-diet').innerHTML = MenuTags.DIET_TAGS
+            .map(tag => checkbox('item-tag-diet', tag, tags.diet.includes(tag.id))).join('');
+        document.getElementById('item-tags-allergens').innerHTML = MenuTags.ALLERGENS
+            .map(allergen => checkbox('item-tag-allergen', allergen, tags.allergens.includes(allergen.id))).join('');
+        document.getElementById('item-tags-spicy').value = String(tags.spicy);
+        document.getElementById('item-tags-custom').value = tags.custom.join(', ');
+        
+        const modal = document.getElementById('item-tags-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeItemTagsModal() {
+        const modal = document.getElementById('item-tags-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        this.editingTagsItem = null;
+    }
+    
+    saveItemTags() {
+        if (!this.editingTagsItem) return;
+        
+        const { sectionId, itemIndex } = this.editingTagsItem;
+        const section = this.sections.find(s => s.id === sectionId);
+        const item = section ? section.items[itemIndex] : null;
+        if (!item) {
+            this.closeItemTagsModal();
+            return;
+        }
+        
+        const checkedValues = (name) => Array.from(
+            document.querySelectorAll(`#item-tags-modal input[name="${name}"]:checked`)
+        ).map(input => input.value);
+        
+        const tags = MenuTags.normalizeTags({
+            diet: checkedValues('item-tag-diet'),
+            allergens: checkedValues('item-tag-allergen'),
+            spicy: document.getElementById('item-tags-spicy').value,
+            custom: document.getElementById('item-tags-custom').value.split(',')
+        });
+        
+        this.recordChange('Edit tags', () => {
+            if (MenuTags.hasTags(tags)) {
+                item.tags = tags;
+            } else {
+                delete item.tags;
+            }
+        });
+        
+        this.closeItemTagsModal();
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    // === SCHEDULES ===
+    
+    getSectionSchedule(sectionId) {
+        return (this.menuSchedule && this.menuSchedule.sections && this.menuSchedule.sections[sectionId]) || null;
+    }
+    
+    describeSectionSchedule(sectionId) {
+        const config = this.getSectionSchedule(sectionId);
+        if (!config) return 'Schedule';
+        
+        const parts = [];
+        if (config.windows && config.windows.length > 0) {
+            parts.push(`Shown ${config.windows.map(w => MenuSchedule.describeWindow(w)).join(', ')}`);
+        }
+        if (config.priceColumn && config.priceWindows && config.priceWindows.length > 0) {
+            parts.push(`${config.priceLabel || 'Happy hour'} ${config.priceWindows.map(w => MenuSchedule.describeWindow(w)).join(', ')}`);
+        }
+        return parts.length > 0 ? `Schedule: ${parts.join('; ')}` : 'Schedule';
+    }
+    
+    /**
+     * Open the schedule editor for the whole menu, or for one section
+     * when a section id is given.
+     * 
+     * @param {number} [sectionId] - Section to schedule
+     */
+    async openScheduleModal(sectionId = null) {
+        const schedule = this.menuSchedule || {};
+        const section = sectionId !== null ? this.sections.find(s => s.id === sectionId) : null;
+        this.editingScheduleSectionId = section ? section.id : null;
+        
+        const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const timezone = schedule.timezone || browserTimezone;
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimezone];
+        if (!timezones.includes(timezone)) timezones.unshift(timezone);
+        const timezoneSelect = document.getElementById('schedule-timezone');
+        timezoneSelect.innerHTML = timezones
+            .map(zone => `<option value="${zone}" ${zone === timezone ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>`)
+            .join('');
+        
+        document.getElementById('schedule-menu-panel').style.display = section ? 'none' : 'block';
+        document.getElementById('schedule-section-panel').style.display = section ? 'block' : 'none';
+        
+        if (section) {
+            const config = this.getSectionSchedule(section.id) || {};
+            document.getElementById('schedule-modal-title').textContent = `Schedule: ${section.name}`;
+            document.getElementById('schedule-section-windows').innerHTML =
+                (config.windows || []).map(w => this.renderScheduleWindow(w)).join('');
+            document.getElementById('schedule-price-column').innerHTML = `
+                <option value="">No alternate prices</option>
+                ${section.columns.map(col => `
+                    <option value="${this.escapeHtml(col)}" ${col === config.priceColumn ? 'selected' : ''}>${this.escapeHtml(col)}</option>
+                `).join('')}
+            `;
+            document.getElementById('schedule-price-label').value = config.priceLabel || '';
+            document.getElementById('schedule-price-windows').innerHTML =
+                (config.priceWindows || []).map(w => this.renderScheduleWindow(w)).join('');
+        } else {
+            document.getElementById('schedule-modal-title').textContent = 'Menu Schedule';
+            const menus = await this.getUserMenus();
+            this.scheduleMenuOptions = menus.filter(menu => menu.id !== this.currentMenuId);
+            document.getElementById('schedule-alternates').innerHTML =
+                (schedule.alternates || []).map(alternate => this.renderScheduleAlternate(alternate)).join('');
+        }
+        
+        const modal = document.getElementById('schedule-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeScheduleModal() {
+        const modal = document.getElementById('schedule-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        this.editingScheduleSectionId = null;
+    }
+    
+    renderScheduleWindow(timeWindow = { days: [0, 1, 2, 3, 4, 5, 6], start: '', end: '' }) {
+        const days = timeWindow.days && timeWindow.days.length > 0 ? timeWindow.days : [0, 1, 2, 3, 4, 5, 6];
+        
+        return `
+            <div class="schedule-window">
+                <div class="schedule-days">
+                    ${MenuSchedule.DAY_LABELS.map((label, day) => `
+                        <label class="schedule-day">
+                            <input type="checkbox" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+                            ${label}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="schedule-times">
+                    <input type="time" class="schedule-start" value="${timeWindow.start || ''}" aria-label="Start time">
+                    <span>to</span>
+                    <input type="time" class="schedule-end" value="${timeWindow.end || ''}" aria-label="End time">
+                    <button class="btn btn-secondary btn-small remove-schedule-window-btn" title="Remove time window">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderScheduleAlternate(alternate = { menuId: '', windows: [] }) {
+        const options = this.scheduleMenuOptions || [];
+        
+        return `
+            <div class="schedule-alternate">
+                <div class="schedule-alternate-header">
+                    <select class="schedule-alternate-menu" aria-label="Menu to serve">
+                        <option value="">Choose a menu…</option>
+                        ${options.map(menu => `
+                            <option value="${menu.id}" ${menu.id === alternate.menuId ? 'selected' : ''}>
+                                ${this.escapeHtml(menu.name)}${menu.status === 'published' ? '' : ' (not published)'}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <button class="btn btn-secondary btn-small remove-schedule-alternate-btn" title="Remove scheduled menu">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="schedule-windows">
+                    ${(alternate.windows && alternate.windows.length > 0 ? alternate.windows : [undefined])
+                        .map(w => this.renderScheduleWindow(w)).join('')}
+                </div>
+                <button class="btn btn-secondary btn-small add-schedule-window-btn">
+                    <i class="fas fa-plus"></i> Add time window
+                </button>
+            </div>
+        `;
+    }
+    
+    addScheduleAlternate() {
+        document.getElementById('schedule-alternates').insertAdjacentHTML('beforeend', this.renderScheduleAlternate());
+    }
+    
+    handleScheduleModalClick(e) {
+        const addWindowButton = e.target.closest('.add-schedule-window-btn');
+        if (addWindowButton) {
+            const container = addWindowButton.dataset.target
+                ? document.getElementById(addWindowButton.dataset.target)
+                : addWindowButton.closest('.schedule-alternate').querySelector('.schedule-windows');
+            container.insertAdjacentHTML('beforeend', this.renderScheduleWindow());
+            return;
+        }
+        
+        const removeWindowButton = e.target.closest('.remove-schedule-window-btn');
+        if (removeWindowButton) {
+            removeWindowButton.closest('.schedule-window').remove();
+            return;
+        }
+        
+        const removeAlternateButton = e.target.closest('.remove-schedule-alternate-btn');
+        if (removeAlternateButton) {
+            removeAlternateButton.closest('.schedule-alternate').remove();
+        }
+    }
+    
+    /**
+     * Read the time windows in a container of window rows.
+     * 
+     * @returns {Array|null} Windows, or null after alerting about an incomplete row
+     */
+    readScheduleWindows(container) {
+        const windows = [];
+        
+        for (const row of container.querySelectorAll('.schedule-window')) {
+            const days = Array.from(row.querySelectorAll('.schedule-day input:checked')).map(input => parseInt(input.value));
+            const start = row.querySelector('.schedule-start').value;
+            const end = row.querySelector('.schedule-end').value;
+            
+            if (!start || !end) {
+                alert('Each time window needs a start and end time.');
+                return null;
+            }
+            if (days.length === 0) {
+                alert('Each time window needs at least one day.');
+                return null;
+            }
+            
+            windows.push({ days, start, end });
+        }
+        
+        return windows;
+    }
+    
+    saveSchedule() {
+        const schedule = {
+            timezone: document.getElementById('schedule-timezone').value,
+            alternates: (this.menuSchedule && this.menuSchedule.alternates) || [],
+            sections: { ...((this.menuSchedule && this.menuSchedule.sections) || {}) }
+        };
+        
+        if (this.editingScheduleSectionId !== null) {
+            const windows = this.readScheduleWindows(document.getElementById('schedule-section-windows'));
+            const priceWindows = this.readScheduleWindows(document.getElementById('schedule-price-windows'));
+            if (!windows || !priceWindows) return;
+            
+            const priceColumn = document.getElementById('schedule-price-column').value || null;
+            if (priceColumn && priceWindows.length === 0) {
+                alert('Add the times when the alternate prices apply.');
+                return;
+            }
+            
+            const config = {
+                windows,
+                priceColumn,
+                priceLabel: document.getElementById('schedule-price-label').value.trim() || null,
+                priceWindows: priceColumn ? priceWindows : []
+            };
+            
+            if (windows.length > 0 || priceColumn) {
+                schedule.sections[this.editingScheduleSectionId] = config;
+            } else {
+                delete schedule.sections[this.editingScheduleSectionId];
+            }
+        } else {
+            const alternates = [];
+            for (const row of document.querySelectorAll('#schedule-alternates .schedule-alternate')) {
+                const menuId = row.querySelector('.schedule-alternate-menu').value;
+                const windows = this.readScheduleWindows(row);
+                if (!windows) return;
+                
+                if (!menuId) {
+                    alert('Choose which menu to serve for each scheduled menu.');
+                    return;
+                }
+                if (windows.length === 0) {
+                    alert('Add at least one time window for each scheduled menu.');
+                    return;
+                }
+                alternates.push({ menuId, windows });
+            }
+            schedule.alternates = alternates;
+        }
+        
+        // Drop schedules for sections that no longer exist
+        Object.keys(schedule.sections).forEach(id => {
+            if (!this.sections.some(section => String(section.id) === id)) {
+                delete schedule.sections[id];
+            }
+        });
+        
+        const error = MenuSchedule.validateSchedule(schedule);
+        if (error) {
+            alert(error);
+            return;
+        }
+        
+        const isEmpty = schedule.alternates.length === 0 && Object.keys(schedule.sections).length === 0;
+        this.recordChange('Edit schedule', () => {
+            this.menuSchedule = isEmpty ? null : schedule;
+        });
+        
+        this.closeScheduleModal();
+        this.renderMenu();
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    setPreviewAsOf(value) {
+        const input = document.getElementById('preview-as-of');
+        if (!value && input) input.value = '';
+        
+        this.previewAsOf = value || null;
+        this.updateSidePreview();
+    }
+    
+    // The "as of" time is entered as restaurant time, whatever the editor's own timezone
+    getPreviewAsOfDate() {
+        if (!this.previewAsOf) return null;
+        return MenuSchedule.fromLocalDateTime(this.previewAsOf, this.menuSchedule && this.menuSchedule.timezone);
+    }
+    
+    // Without an "as of" time the preview shows every section so it can be edited
+    getPreviewSections() {
+        const asOf = this.getPreviewAsOfDate();
+        const sections = asOf ? MenuSchedule.applySectionSchedules(this.sections, this.menuSchedule, asOf) : this.sections;
+        
+        return this.previewLocale
+            ? MenuI18n.applyTranslations({ sections }, this.menuTranslations, this.previewLocale).sections
+            : sections;
+    }
+    
+    renderScheduledMenuNotice() {
+        const asOf = this.getPreviewAsOfDate();
+        const alternate = asOf ? MenuSchedule.resolveAlternateMenu(this.menuSchedule, asOf) : null;
+        if (!alternate) return '';
+        
+        // Name the menu once the list has loaded
+        this.getUserMenus().then(menus => {
+            const menu = menus.find(m => m.id === alternate.menuId);
+            const name = document.querySelector('#side-preview-content .preview-schedule-notice strong');
+            if (menu && name) name.textContent = menu.name;
+        });
+        
+        return `
+            <div class="preview-schedule-notice">
+                <i class="fas fa-clock"></i> At this time guests see <strong>another menu</strong> instead of this one.
+            </div>
+        `;
+    }
+    
+    // === TRANSLATIONS ===
+    
+    // Text the translation grid starts from; title and subtitle are the published ones
+    getTranslationSource() {
+        return {
+            title: this.publishedTitle || 'Our Menu',
+            subtitle: this.publishedSubtitle || 'Crafted with care and passion',
+            sections: this.sections
+        };
+    }
+    
+    openTranslationsModal() {
+        // Item translations are keyed by item id
+        if (this.ensureItemIds()) {
+            this.markAsChanged();
+        }
+        
+        const browserLocale = (navigator.language || 'en').split('-')[0];
+        const translations = this.menuTranslations || {
+            defaultLocale: MenuI18n.getLocaleInfo(browserLocale) ? browserLocale : 'en',
+            locales: [],
+            strings: {}
+        };
+        
+        // Edits stay in a copy until saved
+        this.translationsDraft = JSON.parse(JSON.stringify(translations));
+        this.translationsDraft.locales = this.translationsDraft.locales || [];
+        this.translationsDraft.strings = this.translationsDraft.strings || {};
+        
+        this.renderTranslationsModal();
+        
+        const modal = document.getElementById('translations-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeTranslationsModal() {
+        const modal = document.getElementById('translations-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        this.translationsDraft = null;
+    }
+    
+    renderTranslationsModal() {
+        const draft = this.translationsDraft;
+        const option = (locale, selected) => `
+            <option value="${locale.code}" ${selected ? 'selected' : ''}>${locale.label}</option>
+        `;
+        
+        document.getElementById('translations-default-locale').innerHTML = MenuI18n.SUPPORTED_LOCALES
+            .map(locale => option(locale, locale.code === draft.defaultLocale))
+            .join('');
+        
+        const available = MenuI18n.SUPPORTED_LOCALES
+            .filter(locale => locale.code !== draft.defaultLocale && !draft.locales.includes(locale.code));
+        document.getElementById('translations-add-locale').innerHTML = available
+            .map(locale => option(locale, false))
+            .join('');
+        document.getElementById('add-translation-locale').disabled = available.length === 0 ||
+            draft.locales.length >= MenuI18n.MAX_LOCALES;
+        
+        this.renderTranslationsGrid();
+    }
+    
+    renderTranslationsGrid() {
+        const draft = this.translationsDraft;
+        const grid = document.getElementById('translations-grid');
+        const fields = MenuI18n.getTranslatableFields(this.getTranslationSource());
+        const defaultLocale = MenuI18n.getLocaleInfo(draft.defaultLocale);
+        
+        if (draft.locales.length === 0) {
+            grid.innerHTML = '<tbody><tr><td class="translations-empty">Add a language to start translating.</td></tr></tbody>';
+            return;
+        }
+        
+        const header = `
+            <thead>
+                <tr>
+                    <th scope="col">Field</th>
+                    <th scope="col">${defaultLocale ? defaultLocale.label : draft.defaultLocale} (original)</th>
+                    ${draft.locales.map(code => `
+                        <th scope="col">
+                            <div class="translations-locale-header">
+                                <span>${MenuI18n.getLocaleInfo(code).label}</span>
+                                <button class="btn btn-secondary btn-small remove-translation-locale-btn" data-locale="${code}" title="Remove this language">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                            <small class="translations-progress" data-locale="${code}">${this.describeTranslationProgress(fields, code)}</small>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+        `;
+        
+        let currentGroup = null;
+        const rows = fields.map(field => {
+            const groupRow = field.group !== currentGroup
+                ? `<tr class="translations-group"><th colspan="${draft.locales.length + 2}" scope="colgroup">${this.escapeHtml(field.group)}</th></tr>`
+                : '';
+            currentGroup = field.group;
+            
+            return `
+                ${groupRow}
+                <tr>
+                    <th scope="row">${this.escapeHtml(field.label)}</th>
+                    <td class="translations-source">${this.escapeHtml(field.source)}</td>
+                    ${draft.locales.map(code => `
+                        <td>
+                            <textarea rows="1" data-locale="${code}" data-key="${this.escapeHtml(field.key)}" lang="${code}"
+                                aria-label="${this.escapeHtml(`${field.label} in ${MenuI18n.getLocaleInfo(code).label}`)}"
+                                placeholder="${this.escapeHtml(field.source)}">${this.escapeHtml((draft.strings[code] || {})[field.key] || '')}</textarea>
+                        </td>
+                    `).join('')}
+                </tr>
+            `;
+        }).join('');
+        
+        grid.innerHTML = header + `<tbody>${rows}</tbody>`;
+    }
+    
+    describeTranslationProgress(fields, code) {
+        const progress = MenuI18n.getTranslationProgress(fields, this.translationsDraft, code);
+        return `${progress.translated} of ${progress.total} translated`;
+    }
+    
+    handleTranslationInput(e) {
+        const input = e.target.closest('textarea[data-locale]');
+        if (!input || !this.translationsDraft) return;
+        
+        const { locale, key } = input.dataset;
+        const strings = this.translationsDraft.strings[locale] = this.translationsDraft.strings[locale] || {};
+        if (input.value.trim()) {
+            strings[key] = input.value;
+        } else {
+            delete strings[key];
+        }
+        
+        const fields = MenuI18n.getTranslatableFields(this.getTranslationSource());
+        const progress = document.querySelector(`#translations-grid .translations-progress[data-locale="${locale}"]`);
+        if (progress) progress.textContent = this.describeTranslationProgress(fields, locale);
+    }
+    
+    addTranslationLocale() {
+        const code = document.getElementById('translations-add-locale').value;
+        const draft = this.translationsDraft;
+        if (!code || draft.locales.includes(code)) return;
+        
+        if (draft.locales.length >= MenuI18n.MAX_LOCALES) {
+            alert(`A menu can have up to ${MenuI18n.MAX_LOCALES} additional languages.`);
+            return;
+        }
+        
+        draft.locales.push(code);
+        draft.strings[code] = draft.strings[code] || {};
+        this.renderTranslationsModal();
+    }
+    
+    removeTranslationLocale(code) {
+        const draft = this.translationsDraft;
+        const count = Object.keys(draft.strings[code] || {}).length;
+        const label = MenuI18n.getLocaleInfo(code).label;
+        
+        if (count > 0 && !confirm(`Remove ${label} and its ${count} translation${count === 1 ? '' : 's'}?`)) {
+            return;
+        }
+        
+        draft.locales = draft.locales.filter(locale => locale !== code);
+        delete draft.strings[code];
+        this.renderTranslationsModal();
+    }
+    
+    setDefaultTranslationLocale(code) {
+        const draft = this.translationsDraft;
+        
+        if (draft.locales.includes(code)) {
+            alert(`${MenuI18n.getLocaleInfo(code).label} is already added as a translation. Remove it first to make it the menu's language.`);
+            document.getElementById('translations-default-locale').value = draft.defaultLocale;
+            return;
+        }
+        
+        draft.defaultLocale = code;
+        this.renderTranslationsModal();
+    }
+    
+    saveTranslations() {
+        const draft = this.translationsDraft;
+        const keys = new Set(MenuI18n.getTranslatableFields(this.getTranslationSource()).map(field => field.key));
+        
+        // Drop text for items, sections and columns that no longer exist
+        const strings = {};
+        draft.locales.forEach(code => {
+            strings[code] = {};
+            Object.entries(draft.strings[code] || {}).forEach(([key, value]) => {
+                if (keys.has(key) && value.trim()) {
+                    strings[code][key] = value;
+                }
+            });
+        });
+        
+        const translations = { defaultLocale: draft.defaultLocale, locales: draft.locales, strings };
+        const error = MenuI18n.validateTranslations(translations);
+        if (error) {
+            alert(error);
+            return;
+        }
+        
+        const isEmpty = translations.locales.length === 0 && translations.defaultLocale === 'en';
+        this.recordChange('Edit translations', () => {
+            this.menuTranslations = isEmpty ? null : translations;
+        });
+        
+        this.closeTranslationsModal();
+        this.updatePreviewLanguageOptions();
+        this.updateSidePreview();
+        this.markAsChanged();
+    }
+    
+    // The preview's language picker only appears once the menu has translations
+    updatePreviewLanguageOptions() {
+        const row = document.getElementById('preview-language-row');
+        const select = document.getElementById('preview-language');
+        if (!row || !select) return;
+        
+        const locales = MenuI18n.getMenuLocales(this.menuTranslations);
+        if (!locales.includes(this.previewLocale)) {
+            this.previewLocale = null;
+        }
+        
+        row.style.display = locales.length > 1 ? 'flex' : 'none';
+        select.innerHTML = locales.map((code, index) => `
+            <option value="${index === 0 ? '' : code}" ${(this.previewLocale || '') === (index === 0 ? '' : code) ? 'selected' : ''}>
+                ${MenuI18n.getLocaleInfo(code) ? MenuI18n.getLocaleInfo(code).label : code}${index === 0 ? ' (original)' : ''}
+            </option>
+        `).join('');
+    }
+    
+    setPreviewLocale(code) {
+        this.previewLocale = code || null;
+        this.updateSidePreview();
+    }
+    
+    // === ANALYTICS ===
+    
+    openAnalyticsModal() {
+        if (!this.currentMenuId) {
+            alert('Please save your menu first.');
+            return;
+        }
+        
+        const modal = document.getElementById('analytics-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+        this.loadAnalytics();
+    }
+    
+    async loadAnalytics() {
+        const content = document.getElementById('analytics-content');
+        const days = document.getElementById('analytics-range').value;
+        const menuId = this.currentMenuId;
+        content.innerHTML = '<div class="analytics-empty">Loading…</div>';
+        
+        const result = await window.authManager.getMenuAnalytics(menuId, days);
+        if (menuId !== this.currentMenuId) return;
+        if (!result.success) {
+            content.innerHTML = `<div class="analytics-empty">Error loading analytics: ${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+        
+        this.renderAnalytics(result.analytics);
+    }
+    
+    renderAnalytics(analytics) {
+        const content = document.getElementById('analytics-content');
+        
+        if (analytics.totalViews === 0 && analytics.sections.length === 0) {
+            content.innerHTML = `
+                <div class="analytics-empty">
+                    No views in this period yet. ${this.publishedSlug ? 'Share your menu link or print its QR code to start seeing guests here.' : 'Publish your menu to start counting views.'}
+                </div>
+            `;
+            return;
+        }
+        
+        const sourceLabels = { qr: 'QR code', direct: 'Direct', link: 'Other websites' };
+        const deviceLabels = { mobile: 'Phone', tablet: 'Tablet', desktop: 'Computer' };
+        const share = (count) => analytics.totalViews > 0 ? Math.round(count / analytics.totalViews * 100) : 0;
+        
+        content.innerHTML = `
+            <div class="analytics-summary">
+                <div class="analytics-stat">
+                    <span class="analytics-stat-value">${analytics.totalViews.toLocaleString()}</span>
+                    <span class="analytics-stat-label">Views</span>
+                </div>
+                <div class="analytics-stat">
+                    <span class="analytics-stat-value">${share(analytics.sources.qr)}%</span>
+                    <span class="analytics-stat-label">From QR codes</span>
+                </div>
+                <div class="analytics-stat">
+                    <span class="analytics-stat-value">${share(analytics.devices.mobile)}%</span>
+                    <span class="analytics-stat-label">On phones</span>
+                </div>
+            </div>
+            
+            <h3>Views over time</h3>
+            ${this.renderAnalyticsChart(analytics.daily)}
+            
+            <div class="analytics-breakdowns">
+                <div>
+                    <h3>How guests found the menu</h3>
+                    ${this.renderAnalyticsBars(Object.entries(analytics.sources).map(([key, count]) => ({ label: sourceLabels[key], count })))}
+                </div>
+                <div>
+                    <h3>Devices</h3>
+                    ${this.renderAnalyticsBars(Object.entries(analytics.devices).map(([key, count]) => ({ label: deviceLabels[key], count })))}
+                </div>
+            </div>
+            
+            <h3>Most viewed sections</h3>
+            ${analytics.sections.length > 0
+                ? this.renderAnalyticsBars(analytics.sections.map(section => ({ label: section.name || 'Untitled section', count: section.views })))
+                : '<div class="analytics-empty">No sections viewed yet.</div>'}
+        `;
+    }
+    
+    // Daily views as an SVG column chart
+    renderAnalyticsChart(daily) {
+        const max = Math.max(1, ...daily.map(entry => entry.views));
+        const barWidth = 10;
+        const formatDay = (day) => new Date(`${day}T12:00:00Z`).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' });
+        
+        const bars = daily.map((entry, index) => {
+            const height = Math.max(entry.views > 0 ? 2 : 0, entry.views / max * 100);
+            return `
+                <rect x="${index * barWidth + 1}" y="${100 - height}" width="${barWidth - 2}" height="${height}" class="analytics-chart-bar">
+                    <title>${formatDay(entry.day)}: ${entry.views} view${entry.views === 1 ? '' : 's'}</title>
+                </rect>
+            `;
+        }).join('');
+        
+        return `
+            <div class="analytics-chart">
+                <span class="analytics-chart-max">${max}</span>
+                <svg viewBox="0 0 ${daily.length * barWidth} 100" preserveAspectRatio="none" role="img" aria-label="Views per day, highest ${max}">
+                    ${bars}
+                </svg>
+                <div class="analytics-chart-axis">
+                    <span>${formatDay(daily[0].day)}</span>
+                    <span>${formatDay(daily[daily.length - 1].day)}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderAnalyticsBars(rows) {
+        const max = Math.max(1, ...rows.map(row => row.count));
+        
+        return `
+            <div class="analytics-bars">
+                ${rows.map(row => `
+                    <div class="analytics-bar-row">
+                        <span class="analytics-bar-label">${this.escapeHtml(row.label)}</span>
+                        <span class="analytics-bar-track"><span class="analytics-bar-fill" style="width: ${row.count / max * 100}%"></span></span>
+                        <span class="analytics-bar-count">${row.count.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    // === BUSINESS INFO ===
+    
+    async openBusinessInfoModal() {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Please sign in to edit your business info.');
+            return;
+        }
+        
+        const result = await window.authManager.getBusinessProfile();
+        if (!result.success) {
+            alert(`Error loading business info: ${result.error}`);
+            return;
+        }
+        
+        const profile = result.profile;
+        document.getElementById('business-name').value = profile.businessName;
+        document.getElementById('business-type').value = profile.businessType;
+        document.getElementById('business-cuisine').value = profile.cuisine;
+        document.getElementById('business-phone').value = profile.phone;
+        document.getElementById('business-website').value = profile.website;
+        document.getElementById('business-address').value = profile.address;
+        document.getElementById('business-city').value = profile.city;
+        document.getElementById('business-state').value = profile.state;
+        document.getElementById('business-zip').value = profile.zip;
+        document.getElementById('business-hours-windows').innerHTML =
+            profile.openingHours.map(w => this.renderScheduleWindow(w)).join('');
+        document.getElementById('business-show-info').checked = profile.showBusinessInfo;
+        
+        const modal = document.getElementById('business-info-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeBusinessInfoModal() {
+        const modal = document.getElementById('business-info-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    async saveBusinessInfo() {
+        const openingHours = this.readScheduleWindows(document.getElementById('business-hours-windows'));
+        if (!openingHours) return;
+        
+        const profile = {
+            businessName: document.getElementById('business-name').value.trim(),
+            businessType: document.getElementById('business-type').value,
+            cuisine: document.getElementById('business-cuisine').value,
+            phone: document.getElementById('business-phone').value,
+            website: document.getElementById('business-website').value.trim(),
+            address: document.getElementById('business-address').value,
+            city: document.getElementById('business-city').value,
+            state: document.getElementById('business-state').value,
+            zip: document.getElementById('business-zip').value,
+            openingHours,
+            showBusinessInfo: document.getElementById('business-show-info').checked
+        };
+        
+        if (!profile.businessName) {
+            alert('Please enter your business name.');
+            return;
+        }
+        
+        const result = await window.authManager.updateBusinessProfile(profile);
+        if (!result.success) {
+            alert(`Error saving business info: ${result.error}`);
+            return;
+        }
+        
+        this.closeBusinessInfoModal();
+    }
+    
+    // === TEAM ===
+    
+    /**
+     * Load who can access the current menu: updates the header's "who can
+     * edit" button and switches the editor to view-only for viewers.
+     */
+    async updateMenuAccessDisplay() {
+        const indicator = document.getElementById('menu-access-indicator');
+        const menuId = this.currentMenuId;
+        if (!indicator || !menuId || !window.authManager || !window.authManager.isSignedIn()) return;
+        
+        const result = await window.authManager.getMenuAccess(menuId);
+        // Another menu may have been opened while this one loaded
+        if (menuId !== this.currentMenuId) return;
+        if (!result.success) {
+            console.error('Failed to load menu access:', result.error);
+            indicator.style.display = 'none';
+            return;
+        }
+        
+        this.menuAccess = result;
+        this.currentMenuRole = result.role;
+        this.currentMenuOrganizationId = result.organization?.id || null;
+        document.body.classList.toggle('view-only', !result.canEdit);
+        
+        const editors = result.members.filter(member => member.role !== 'viewer');
+        let summary;
+        if (!result.canEdit) {
+            summary = 'View only';
+        } else if (result.members.length <= 1) {
+            summary = 'Only you';
+        } else {
+            summary = `${editors.length} can edit`;
+        }
+        
+        document.getElementById('menu-access-summary').textContent = summary;
+        indicator.title = editors.length > 0
+            ? `Can edit: ${editors.map(member => member.name || member.email).join(', ')}`
+            : 'Only you can edit this menu';
+        indicator.classList.toggle('view-only', !result.canEdit);
+        indicator.style.display = 'inline-flex';
+    }
+    
+    async openTeamModal(organizationId = null) {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Please sign in to manage your team.');
+            return;
+        }
+        
+        const result = await window.authManager.getOrganizations();
+        if (!result.success) {
+            alert(`Error loading teams: ${result.error}`);
+            return;
+        }
+        
+        this.teamOrganizations = result.organizations;
+        const selectedId = result.organizations.some(organization => organization.id === organizationId)
+            ? organizationId
+            : result.organizations[0]?.id;
+        
+        const select = document.getElementById('team-select');
+        select.innerHTML = result.organizations.map(organization => `
+            <option value="${this.escapeHtml(organization.id)}" ${organization.id === selectedId ? 'selected' : ''}>
+                ${this.escapeHtml(organization.name)} (${organization.role})
+            </option>
+        `).join('');
+        
+        await this.loadTeam(selectedId);
+        
+        const modal = document.getElementById('team-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeTeamModal() {
+        const modal = document.getElementById('team-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    async loadTeam(organizationId) {
+        const memberList = document.getElementById('team-member-list');
+        const inviteSection = document.getElementById('team-invite-section');
+        if (!organizationId) return;
+        
+        const result = await window.authManager.getTeamMembers(organizationId);
+        if (!result.success) {
+            memberList.innerHTML = `<p class="team-empty">${this.escapeHtml(result.error)}</p>`;
+            return;
+        }
+        
+        this.currentTeam = result.organization;
+        const isOwner = result.organization.role === 'owner';
+        
+        memberList.innerHTML = result.members.map(member => {
+            const isSelf = member.userId === this.currentUser.id;
+            const roleControl = isOwner
+                ? `<select class="team-member-role" data-user-id="${this.escapeHtml(member.userId)}" aria-label="Role for ${this.escapeHtml(member.name || member.email)}">
+                        ${['owner', 'editor', 'viewer'].map(role => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${role.charAt(0).toUpperCase()}${role.slice(1)}</option>`).join('')}
+                   </select>`
+                : `<span class="menu-role-badge ${member.role}">${member.role}</span>`;
+            const removeLabel = isSelf ? 'Leave' : 'Remove';
+            
+            return `
+                <div class="team-member">
+                    <div class="team-member-info">
+                        <span class="team-member-name">${this.escapeHtml(member.name || member.email)}${isSelf ? ' (you)' : ''}</span>
+                        <small class="team-member-email">${this.escapeHtml(member.email)}</small>
+                    </div>
+                    ${roleControl}
+                    ${isOwner || isSelf ? `<button class="btn btn-secondary btn-small team-member-remove" data-user-id="${this.escapeHtml(member.userId)}">${removeLabel}</button>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        inviteSection.style.display = isOwner ? 'block' : 'none';
+        document.getElementById('team-invitation-list').innerHTML = result.invitations.length > 0
+            ? `<h4>Pending invitations</h4>` + result.invitations.map(invitation => `
+                <div class="team-invitation">
+                    <span>${this.escapeHtml(invitation.email)}</span>
+                    <span class="menu-role-badge ${invitation.role}">${invitation.role}</span>
+                    <small>Expires ${new Date(invitation.expiresAt).toLocaleDateString()}</small>
+                    <button class="btn btn-secondary btn-small team-invitation-cancel" data-invitation-id="${invitation.id}">Cancel</button>
+                </div>
+            `).join('')
+            : '';
+        
+        this.renderTeamMenuAccess();
+    }
+    
+    // Which team the open menu belongs to, and for owners a way to move it to another team they own
+    renderTeamMenuAccess() {
+        const container = document.getElementById('team-menu-access');
+        const access = this.menuAccess;
+        if (!access || !access.organization) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const menuName = document.getElementById('current-menu-name').textContent;
+        const ownedTeams = (this.teamOrganizations || []).filter(organization => organization.role === 'owner');
+        let html = `<p><strong>${this.escapeHtml(menuName)}</strong> belongs to <strong>${this.escapeHtml(access.organization.name)}</strong>. You are ${access.role === 'owner' ? 'an' : 'a'} ${access.role}.</p>`;
+        
+        if (access.canShare && ownedTeams.length > 1) {
+            html += `
+                <div class="team-move-row">
+                    <select id="move-menu-team" aria-label="Team to move this menu to">
+                        ${ownedTeams.map(organization => `<option value="${this.escapeHtml(organization.id)}" ${organization.id === access.organization.id ? 'selected' : ''}>${this.escapeHtml(organization.name)}</option>`).join('')}
+                    </select>
+                    <button id="move-menu-to-team" class="btn btn-secondary btn-small">Move menu</button>
+                </div>
+            `;
+        }
+        
+        container.innerHTML = html;
+    }
+    
+    async handleTeamModalClick(e) {
+        const organizationId = this.currentTeam?.id;
+        
+        const removeBtn = e.target.closest('.team-member-remove');
+        if (removeBtn) {
+            const isSelf = removeBtn.dataset.userId === this.currentUser.id;
+            const question = isSelf
+                ? `Leave ${this.currentTeam.name}? You'll lose access to its menus.`
+                : 'Remove this person from the team? They will lose access to its menus.';
+            if (!confirm(question)) return;
+            
+            const result = await window.authManager.removeMember(organizationId, removeBtn.dataset.userId);
+            if (!result.success) {
+                alert(`Error removing team member: ${result.error}`);
+                return;
+            }
+            
+            if (isSelf) {
+                this.closeTeamModal();
+                this.currentMenuId = null;
+                await this.loadUserData();
+                return;
+            }
+            await this.loadTeam(organizationId);
+            this.updateMenuAccessDisplay();
+            return;
+        }
+        
+        const cancelBtn = e.target.closest('.team-invitation-cancel');
+        if (cancelBtn) {
+            const result = await window.authManager.cancelInvitation(organizationId, cancelBtn.dataset.invitationId);
+            if (!result.success) {
+                alert(`Error cancelling invitation: ${result.error}`);
+                return;
+            }
+            await this.loadTeam(organizationId);
+            return;
+        }
+        
+        if (e.target.closest('#move-menu-to-team')) {
+            const targetId = document.getElementById('move-menu-team').value;
+            if (targetId === this.menuAccess.organization.id) return;
+            
+            const result = await window.authManager.moveMenuToOrganization(this.currentMenuId, targetId);
+            if (!result.success) {
+                alert(`Error moving menu: ${result.error}`);
+                return;
+            }
+            await this.updateMenuAccessDisplay();
+            this.loadUserMenus();
+            await this.openTeamModal(targetId);
+        }
+    }
+    
+    async handleTeamModalChange(e) {
+        const roleSelect = e.target.closest('.team-member-role');
+        if (!roleSelect) return;
+        
+        const organizationId = this.currentTeam.id;
+        const result = await window.authManager.changeMemberRole(organizationId, roleSelect.dataset.userId, roleSelect.value);
+        if (!result.success) {
+            alert(`Error changing role: ${result.error}`);
+        }
+        
+        // Reload either way so the list shows the role that was actually saved
+        await this.loadTeam(organizationId);
+        this.updateMenuAccessDisplay();
+    }
+    
+    async createTeam() {
+        const name = prompt('Name your new team:');
+        if (!name || !name.trim()) return;
+        
+        const result = await window.authManager.createOrganization(name.trim());
+        if (!result.success) {
+            alert(`Error creating team: ${result.error}`);
+            return;
+        }
+        
+        await this.openTeamModal(result.organization.id);
+    }
+    
+    async sendTeamInvite() {
+        const emailInput = document.getElementById('team-invite-email');
+        const email = emailInput.value.trim();
+        if (!email) {
+            alert('Please enter an email address to invite.');
+            return;
+        }
+        
+        const result = await window.authManager.inviteMember(
+            this.currentTeam.id,
+            email,
+            document.getElementById('team-invite-role').value
+        );
+        if (!result.success) {
+            alert(`Error sending invitation: ${result.error}`);
+            return;
+        }
+        
+        emailInput.value = '';
+        await this.loadTeam(this.currentTeam.id);
+    }
+    
+    // The landing page keeps the token from an ?invite= link until the user has signed in
+    async acceptPendingInvitation() {
+        const token = sessionStorage.getItem('pendingInvitation');
+        if (!token) return;
+        sessionStorage.removeItem('pendingInvitation');
+        
+        const result = await window.authManager.acceptInvitation(token);
+        if (!result.success) {
+            alert(`Couldn't accept the team invitation: ${result.error}`);
+            return;
+        }
+        
+        if (!result.alreadyMember) {
+            alert(`You joined ${result.organization.name} as ${result.organization.role === 'owner' ? 'an' : 'a'} ${result.organization.role}.`);
+        }
+    }
+    
+    // === SIGNED-IN DEVICES ===
+    
+    async openSessionsModal() {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Please sign in to see your devices.');
+            return;
+        }
+        
+        if (!(await this.loadSessions())) return;
+        
+        const modal = document.getElementById('sessions-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeSessionsModal() {
+        const modal = document.getElementById('sessions-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+    }
+    
+    async loadSessions() {
+        const result = await window.authManager.getSessions();
+        if (!result.success) {
+            alert(`Error loading devices: ${result.error}`);
+            return false;
+        }
+        
+        document.getElementById('session-list').innerHTML = result.sessions.map(session => `
+            <div class="session-row ${session.current ? 'current' : ''}">
+                <i class="fas ${/iOS|Android/.test(session.device) ? 'fa-mobile-alt' : 'fa-desktop'}"></i>
+                <div class="session-info">
+                    <span class="session-device">${this.escapeHtml(session.device)}${session.current ? ' <span class="session-current-badge">This device</span>' : ''}</span>
+                    <small>${session.ipAddress ? `${this.escapeHtml(session.ipAddress)} · ` : ''}Last active ${new Date(session.lastSeenAt).toLocaleString()}</small>
+                    <small>Signed in ${new Date(session.createdAt).toLocaleDateString()}</small>
+                </div>
+                ${session.current ? '' : `<button class="btn btn-secondary btn-small revoke-session-btn" data-session-id="${session.id}">Sign out</button>`}
+            </div>
+        `).join('');
+        
+        document.getElementById('sign-out-other-sessions').style.display =
+            result.sessions.some(session => !session.current) ? 'inline-flex' : 'none';
+        return true;
+    }
+    
+    async revokeSession(sessionId) {
+        const result = await window.authManager.revokeSession(sessionId);
+        if (!result.success) {
+            alert(`Error signing out device: ${result.error}`);
+            return;
+        }
+        await this.loadSessions();
+    }
+    
+    async signOutOtherSessions() {
+        if (!confirm('Sign out every other device? They will need to sign in again.')) return;
+        
+        const result = await window.authManager.revokeSession(null, 'others');
+        if (!result.success) {
+            alert(`Error signing out other devices: ${result.error}`);
+            return;
+        }
+        await this.loadSessions();
+    }
+    
+    // === TWO-FACTOR AUTHENTICATION ===
+    
+    async openTwoFactorModal() {
+        if (!window.authManager || !window.authManager.isSignedIn()) {
+            alert('Please sign in to manage two-factor authentication.');
+            return;
+        }
+        
+        if (!(await this.loadTwoFactorStatus())) return;
+        
+        const modal = document.getElementById('two-factor-settings-modal');
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+    
+    closeTwoFactorModal() {
+        const modal = document.getElementById('two-factor-settings-modal');
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        
+        // Recovery codes are only shown once
+        document.getElementById('two-factor-recovery-codes').innerHTML = '';
+    }
+    
+    // Show one of the modal's panels: 'off', 'setup', 'recovery-codes' or 'on'
+    showTwoFactorPanel(panel) {
+        ['off', 'setup', 'recovery-codes', 'on'].forEach(name => {
+            document.getElementById(`two-factor-${name}-panel`).style.display = name === panel ? 'block' : 'none';
+        });
+    }
+    
+    async loadTwoFactorStatus() {
+        const result = await window.authManager.getTwoFactorStatus();
+        if (!result.success) {
+            alert(`Error loading two-factor settings: ${result.error}`);
+            return false;
+        }
+        
+        document.getElementById('two-factor-recovery-codes').innerHTML = '';
+        document.getElementById('two-factor-manage-code').value = '';
+        
+        if (!result.enabled) {
+            this.showTwoFactorPanel('off');
+            return true;
+        }
+        
+        const remaining = result.recoveryCodesRemaining;
+        document.getElementById('two-factor-status-text').textContent =
+            `On since ${new Date(result.enabledAt).toLocaleDateString()}. ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`;
+        document.getElementById('two-factor-google-toggle').checked = result.requireForGoogle;
+        this.showTwoFactorPanel('on');
+        return true;
+    }
     
-    toggleNavigationDropdown() {
-        this.closeOtherDropdowns('navigation');
+    async startTwoFactorSetup() {
+        const result = await window.authManager.startTwoFactorSetup();
+        if (!result.success) {
+            alert(`Error starting setup: ${result.error}`);
+            return;
+        }
         
-        const dropdown = document.getElementById('navigation-dropdown');
-        this.navigationDropdownOpen = !this.navigationDropdownOpen;
+        document.getElementById('two-factor-qr').src = result.qrCode;
+        // Grouped in fours, for typing into an app by hand
+        document.getElementById('two-factor-secret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('two-factor-setup-code').value = '';
+        document.getElementById('two-factor-require-google').checked = true;
+        this.showTwoFactorPanel('setup');
+        document.getElementById('two-factor-setup-code').focus();
+    }
+    
+    async confirmTwoFactorSetup() {
+        const code = document.getElementById('two-factor-setup-code').value.trim();
+        if (!code) {
+            alert('Enter the 6-digit code from your authenticator app.');
+            return;
+        }
         
-        // Use .show class for proper animations and z-index handling
-        if (this.navigationDropdownOpen) {
-            dropdown.classList.add('show');
-        } else {
-            dropdown.classList.remove('show');
+        const requireForGoogle = document.getElementById('two-factor-require-google').checked;
+        const result = await window.authManager.enableTwoFactor(code, requireForGoogle);
+        if (!result.success) {
+            alert(`Error turning on two-factor authentication: ${result.error}`);
+            return;
         }
         
-        const button = document.getElementById('navigation-options');
-        button.classList.toggle('active', this.navigationDropdownOpen);
+        this.showRecoveryCodes(result.recoveryCodes);
+    }
+    
+    showRecoveryCodes(codes) {
+        document.getElementById('two-factor-recovery-codes').innerHTML = codes
+            .map(code => `<li>${this.escapeHtml(code)}</li>`)
+            .join('');
+        this.showTwoFactorPanel('recovery-codes');
+    }
+    
+    async copyRecoveryCodes() {
+        const codes = Array.from(document.querySelectorAll('#two-factor-recovery-codes li'))
+            .map(item => item.textContent)
+            .join('\n');
         
-        // Highlight current selection when dropdown opens
-        if (this.navigationDropdownOpen) {
-            this.highlightCurrentNavigationSelection();
+        try {
+            await navigator.clipboard.writeText(codes);
+            alert('Recovery codes copied. Keep them somewhere safe.');
+        } catch (error) {
+            alert('Could not copy the codes. Please write them down instead.');
         }
     }
     
-    highlightCurrentNavigationSelection() {
-        // Clear all previous selections
-        const allOptions = document.querySelectorAll('.theme-option');
-        allOptions.forEach(option => option.classList.remove('selected'));
+    // Changing settings or turning two-factor authentication off takes a current code
+    getTwoFactorManageCode() {
+        const code = document.getElementById('two-factor-manage-code').value.trim();
+        if (!code) {
+            alert('Enter a code from your authenticator app (or a recovery code) first.');
+            document.getElementById('two-factor-manage-code').focus();
+        }
+        return code;
+    }
+    
+    async updateTwoFactorGoogleRequirement(checkbox) {
+        const code = this.getTwoFactorManageCode();
+        if (!code) {
+            checkbox.checked = !checkbox.checked;
+            return;
+        }
         
-        // Highlight current selection
-        const currentOption = document.querySelector(`.theme-option[data-theme="${this.navigationTheme}"]`);
-        if (currentOption) {
-            currentOption.classList.add('selected');
+        const result = await window.authManager.setTwoFactorGoogleRequirement(code, checkbox.checked);
+        if (!result.success) {
+            checkbox.checked = !checkbox.checked;
+            alert(`Error updating two-factor settings: ${result.error}`);
+            return;
         }
+        await this.loadTwoFactorStatus();
     }
     
-    selectNavigationTheme(theme) {
-        this.navigationTheme = theme;
-        this.applyNavigationTheme();
-        this.markAsChanged();
-        this.saveToStorage();
+    async regenerateRecoveryCodes() {
+        const code = this.getTwoFactorManageCode();
+        if (!code) return;
+        if (!confirm('Create new recovery codes? Your current ones will stop working.')) return;
         
-        // Update preview if visible
-        if (this.sidePreviewVisible) {
-            this.updateSidePreview();
+        const result = await window.authManager.regenerateRecoveryCodes(code);
+        if (!result.success) {
+            alert(`Error creating recovery codes: ${result.error}`);
+            return;
         }
+        this.showRecoveryCodes(result.recoveryCodes);
+    }
+    
+    async disableTwoFactor() {
+        const code = this.getTwoFactorManageCode();
+        if (!code) return;
+        if (!confirm('Turn off two-factor authentication? Signing in will only need your password.')) return;
         
-        // Close dropdown with a delay to show selection feedback
-        setTimeout(() => {
-            this.navigationDropdownOpen = false;
-            document.getElementById('navigation-dropdown').classList.remove('show');
-            document.getElementById('navigation-options').classList.remove('active');
-        }, 400);
+        const result = await window.authManager.disableTwoFactor(code);
+        if (!result.success) {
+            alert(`Error turning off two-factor authentication: ${result.error}`);
+            return;
+        }
+        await this.loadTwoFactorStatus();
     }
     
-    applyNavigationTheme() {
-        console.log('Applying navigation theme:', this.navigationTheme);
-        // Apply theme to all navigation elements
-        const navigationElements = document.querySelectorAll('.preview-navigation');
+    // === ITEM AVAILABILITY ===
+    
+    /**
+     * Give every menu item a stable `_id` so live state such as availability
+     * follows it through edits, reordering and publishing. Items that copied
+     * an id when duplicated get a fresh one.
+     * 
+     * @returns {boolean} True if any item was given a new id
+     */
+    ensureItemIds() {
+        const seen = new Set();
+        let changed = false;
         
-        navigationElements.forEach(nav => {
-            // Remove existing theme classes
-            nav.classList.remove('theme-modern', 'theme-glass', 'theme-minimal');
-            // Add new theme class
-            nav.classList.add(`theme-${this.navigationTheme}`);
+        this.sections.forEach(section => {
+            section.items.forEach(item => {
+                if (!item._id || seen.has(item._id)) {
+                    item._id = this.generateItemId();
+                    changed = true;
+                }
+                seen.add(item._id);
+            });
         });
         
-        // Apply color palette to navigation elements
-        this.applyColorsToNavigation();
-        
-        // Update theme on next preview generation
-        this.navigationThemeClass = `theme-${this.navigationTheme}`;
+        return changed;
     }
     
-    applyColorsToNavigation() {
-        // Get current color palette
-        const palette = this.colorPalettes[this.colorPalette];
-        if (!palette) return;
-        
-        // Apply colors to all navigation containers
-        const navigationElements = document.querySelectorAll('.preview-navigation, #preview-navigation, #modal-preview-navigation');
-        
-        navigationElements.forEach(nav => {
-            // Set CSS custom properties for navigation theming
-            nav.style.setProperty('--nav-primary-color', palette.primaryText);
-            nav.style.setProperty('--nav-secondary-color', palette.secondaryText);
-            nav.style.setProperty('--nav-accent-color', palette.accent);
-            nav.style.setProperty('--nav-background-color', palette.background);
-            nav.style.setProperty('--nav-header-color', palette.headers);
-        });
+    generateItemId() {
+        return 'item_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
     }
     
-    updateNavigationSelection() {
-        // Update selected state in dropdown
-        const options = document.querySelectorAll('.theme-option');
-        options.forEach(option => {
-            option.classList.remove('selected');
-            
-            if (option.dataset.theme === this.navigationTheme) {
-                option.classList.add('selected');
-            }
-        });
+    async loadItemAvailability() {
+        this.itemAvailability = {};
+        if (!this.currentMenuId || !window.authManager || !window.authManager.isSignedIn()) return;
+        
+        const result = await window.authManager.getItemAvailability(this.currentMenuId);
+        if (result.success) {
+            this.itemAvailability = result.availability || {};
+            this.renderMenu();
+            this.updateSidePreview();
+        }
     }
     
-    // === MENU ITEM FUNCTIONALITY ===
+    /**
+     * Current availability entry for an item, or null when it is available
+     * (including once its "back at" time has passed).
+     */
+    getItemAvailability(item) {
+        const entry = item && item._id ? this.itemAvailability[item._id] : null;
+        if (!entry) return null;
+        if (entry.backAt && new Date(entry.backAt) <= new Date()) return null;
+        return entry;
+    }
     
-    updateMenuItem(sectionId, itemIndex, column, value) {
-        console.log('🔄 updateMenuItem:', {sectionId, itemIndex, column, value});
+    /**
+     * One-tap "86": toggle an item between available and sold out.
+     * 
+     * @param {number} sectionId - The ID of the section containing the item
+     * @param {number} itemIndex - The index of the item within the section
+     */
+    async toggleItemAvailability(sectionId, itemIndex) {
         const section = this.sections.find(s => s.id === sectionId);
-        if (!section || !section.items[itemIndex]) {
-            console.log('❌ Section or item not found');
-            return;
-        }
+        const item = section ? section.items[itemIndex] : null;
+        if (!item) return;
         
-        section.items[itemIndex][column] = value;
-        console.log('✅ Updated item:', section.items[itemIndex]);
-        console.log('📊 All sections:', this.sections);
+        await this.setItemAvailability(sectionId, itemIndex, this.getItemAvailability(item) ? 'available' : 'sold_out');
+    }
+    
+    async updateItemAvailabilityDetails(sectionId, itemIndex) {
+        const bar = document.querySelector(`.item-availability-bar[data-section-id="${sectionId}"][data-item-index="${itemIndex}"]`);
+        if (!bar) return;
         
-        // Update preview immediately
-        this.updateSidePreview();
-        this.markAsChanged();
-        this.saveCurrentMenu();
+        const hidden = bar.querySelector('.availability-hide').checked;
+        const backAt = this.getBackAtTimestamp(bar.querySelector('.availability-back-at').value);
+        
+        await this.setItemAvailability(sectionId, itemIndex, hidden ? 'hidden' : 'sold_out', backAt);
     }
     
-    deleteMenuItem(sectionId, itemIndex) {
+    /**
+     * Save an item's availability. It applies to the live menu right away,
+     * without republishing, as long as the item was part of the last publish.
+     * 
+     * @param {number} sectionId - The ID of the section containing the item
+     * @param {number} itemIndex - The index of the item within the section
+     * @param {string} status - 'available', 'sold_out' or 'hidden'
+     * @param {string|null} backAt - ISO time the item becomes available again
+     */
+    async setItemAvailability(sectionId, itemIndex, status, backAt = null) {
         const section = this.sections.find(s => s.id === sectionId);
-        if (!section || !section.items[itemIndex]) return;
+        const item = section ? section.items[itemIndex] : null;
+        if (!item || !this.currentMenuId) return;
+        
+        // Items created since the last save need their id stored in the draft
+        if (this.ensureItemIds()) {
+            this.markAsChanged();
+        }
         
-        section.items.splice(itemIndex, 1);
+        const previous = this.itemAvailability[item._id];
+        if (status === 'available') {
+            delete this.itemAvailability[item._id];
+        } else {
+            this.itemAvailability[item._id] = { status, backAt };
+        }
         this.renderMenu();
-        this.markAsChanged();
-        this.saveCurrentMenu();
+        this.updateSidePreview();
+        
+        const result = await window.authManager.setItemAvailability(this.currentMenuId, item._id, status, backAt);
+        
+        if (!result.success) {
+            if (previous) {
+                this.itemAvailability[item._id] = previous;
+            } else {
+                delete this.itemAvailability[item._id];
+            }
+            this.renderMenu();
+            this.updateSidePreview();
+            alert(`Error updating availability: ${result.error}`);
+            return;
+        }
+        
+        if (this.publishedSlug && !result.live && window.uiFeedback) {
+            window.uiFeedback.showInfo(
+                'Publish once to go live',
+                'This item is not on your live menu yet. After your next publish, availability changes show up instantly.'
+            );
+        }
     }
     
-    duplicateMenuItem(sectionId, itemIndex) {
-        const section = this.sections.find(s => s.id === sectionId);
-        if (!section || !section.items[itemIndex]) return;
+    createAvailabilityBar(section, index, availability) {
+        const bar = document.createElement('div');
+        bar.className = 'item-availability-bar';
+        bar.setAttribute('data-section-id', section.id);
+        bar.setAttribute('data-item-index', index);
         
-        // Create a deep copy of the item
-        const originalItem = section.items[itemIndex];
-        const duplicatedItem = { ...originalItem };
+        const backAtValue = availability.backAt ? this.toTimeInputValue(availability.backAt) : '';
         
-        // Insert the duplicated item right after the original
-        section.items.splice(itemIndex + 1, 0, duplicatedItem);
+        bar.innerHTML = `
+            <span class="availability-label">
+                <i class="fas fa-ban"></i> ${availability.status === 'hidden' ? 'Hidden from menu' : 'Sold out'}
+            </span>
+            <label>
+                Back at
+                <input type="time" class="availability-back-at" value="${backAtValue}" data-section-id="${section.id}" data-item-index="${index}">
+            </label>
+            <label>
+                <input type="checkbox" class="availability-hide" ${availability.status === 'hidden' ? 'checked' : ''} data-section-id="${section.id}" data-item-index="${index}">
+                Hide from menu
+            </label>
+        `;
         
-        this.renderMenu();
-        this.markAsChanged();
-        this.saveCurrentMenu();
+        return bar;
+    }
+    
+    /**
+     * Turn a "back at" clock time into a timestamp. A time that has already
+     * passed today means tomorrow (e.g. sold out tonight, back at 11:00).
+     */
+    getBackAtTimestamp(timeValue) {
+        if (!timeValue) return null;
+        
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        const backAt = new Date();
+        backAt.setHours(hours, minutes, 0, 0);
+        
+        if (backAt <= new Date()) {
+            backAt.setDate(backAt.getDate() + 1);
+        }
+        
+        return backAt.toISOString();
+    }
+    
+    toTimeInputValue(isoString) {
+        const date = new Date(isoString);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+    
+    formatBackAtTime(isoString) {
+        return new Date(isoString).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
     }
     
     // === SUCCESS MODAL FUNCTIONALITY ===
@@ -4796,6 +8037,9 @@ class MenuEditor {
         const urlSection = document.getElementById('success-url-section');
         const urlDisplay = document.getElementById('success-url-display');
         const viewLiveBtn = document.getElementById('view-live-menu-from-success');
+        const downloadQrBtn = document.getElementById('download-qr-from-success');
+        const printPdfBtn = document.getElementById('print-pdf-from-success');
+        const printColumnsSelect = document.getElementById('print-pdf-columns');
         
         titleElement.textContent = title;
         messageElement.textContent = message;
@@ -4810,6 +8054,17 @@ class MenuEditor {
             viewLiveBtn.style.display = 'none';
         }
         
+        // QR codes and printable PDFs only exist for published menus
+        if (downloadQrBtn) {
+            downloadQrBtn.style.display = url && this.publishedSlug ? 'inline-flex' : 'none';
+        }
+        if (printPdfBtn) {
+            printPdfBtn.style.display = url && this.publishedSlug ? 'inline-flex' : 'none';
+        }
+        if (printColumnsSelect) {
+            printColumnsSelect.style.display = url && this.publishedSlug ? 'inline-block' : 'none';
+        }
+        
         modal.style.display = 'block';
         modal.classList.add('show');
     }
@@ -4832,6 +8087,94 @@ class MenuEditor {
         });
     }
     
+    // === QR CODE FUNCTIONALITY ===
+    
+    /**
+     * Download a printable PNG QR code for the published menu,
+     * colored with the menu's current palette.
+     */
+    downloadQrCode() {
+        if (!this.publishedSlug) {
+            alert('Publish your menu first to get a QR code.');
+            return;
+        }
+        
+        const { dark, light } = this.getQrCodeColors();
+        const params = new URLSearchParams({
+            slug: this.publishedSlug,
+            format: 'png',
+            size: '1024',
+            margin: '4',
+            ecl: 'Q',
+            dark: dark.replace('#', ''),
+            light: light.replace('#', ''),
+            download: '1'
+        });
+        
+        const a = document.createElement('a');
+        a.href = `/api/menu/qr?${params.toString()}`;
+        a.download = `menu-${this.publishedSlug}-qr.png`;
+        a.click();
+    }
+    
+    /**
+     * Pick QR module and background colors from the current palette.
+     * Scanners need dark modules on a light background, so the darker
+     * palette color is always used for the modules.
+     * 
+     * @returns {{dark: string, light: string}} Hex colors
+     */
+    getQrCodeColors() {
+        const palette = this.getActivePalette() || this.colorPalettes.classic;
+        const candidates = [palette.headers, palette.primaryText, palette.background];
+        const byLuminance = candidates.sort((a, b) => this.getRelativeLuminance(a) - this.getRelativeLuminance(b));
+        const dark = byLuminance[0];
+        const lightest = byLuminance[byLuminance.length - 1];
+        
+        // Dark palettes have no color light enough to scan reliably against
+        const light = this.getRelativeLuminance(lightest) > 0.7 ? lightest : '#ffffff';
+        
+        return { dark, light };
+    }
+    
+    /**
+     * WCAG relative luminance of a hex color.
+     * 
+     * @param {string} hex - Color like '#2c3e50'
+     * @returns {number} Luminance between 0 (black) and 1 (white)
+     */
+    getRelativeLuminance(hex) {
+        const value = hex.replace('#', '');
+        const channels = [0, 2, 4].map(offset => parseInt(value.substr(offset, 2), 16) / 255);
+        const [r, g, b] = channels.map(c => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+    
+    // === PRINT FUNCTIONALITY ===
+    
+    /**
+     * Open a printable PDF of the published menu in a new tab.
+     * Paper size follows the browser locale (Letter in North America, A4 elsewhere);
+     * the column count comes from the selector next to the Print PDF button.
+     */
+    openPrintPdf() {
+        if (!this.publishedSlug) {
+            alert('Publish your menu first to print it.');
+            return;
+        }
+        
+        const letterRegions = ['US', 'CA', 'MX', 'PH', 'CL', 'CO', 'VE'];
+        const region = (navigator.language || '').split('-')[1];
+        const columnsSelect = document.getElementById('print-pdf-columns');
+        const params = new URLSearchParams({
+            slug: this.publishedSlug,
+            paper: letterRegions.includes((region || '').toUpperCase()) ? 'letter' : 'a4',
+            columns: columnsSelect && columnsSelect.value === '2' ? '2' : '1'
+        });
+        
+        window.open(`/api/menu/pdf?${params.toString()}`, '_blank');
+    }
+    
     // === DARK MODE FUNCTIONALITY ===
     
     initializeDarkMode() {
@@ -4935,29 +8278,8 @@ MenuEditor.prototype.loadUserData = async function() {
 MenuEditor.prototype.saveToStorage = function() {
     if (!this.currentUser || !this.currentMenuId) return;
     
-    const menu = {
-        id: this.currentMenuId,
-        name: document.getElementById('current-menu-name').textContent || 'Untitled Menu',
-        sections: this.sections,
-        settings: {
-            backgroundType: this.backgroundType,
-            backgroundValue: this.backgroundValue,
-            fontFamily: this.fontFamily,
-            colorPalette: this.colorPalette,
-            logoUrl: this.menuLogo
-        },
-        lastEdited: Date.now(),
-        status: this.publishedSlug ? 'published' : 'draft',
-        publishedMenuId: this.publishedMenuId,
-        publishedSlug: this.publishedSlug,
-        publishedTitle: this.publishedTitle,
-        publishedSubtitle: this.publishedSubtitle
-    };
-    
-    window.authManager.saveUserMenu(menu);
-    this.hasUnsavedChanges = false;
-    this.updateChangeIndicator();
-    this.loadUserMenus(); // Refresh menu list
+    // Same payload as an explicit save; the update API only accepts menu columns
+    this.saveCurrentMenu().then(() => this.loadUserMenus()); // Refresh menu list
 };
 
 // Duplicate saveToStorage function above removed - keeping the class-based version
@@ -5037,9 +8359,17 @@ MenuEditor.prototype.loadMenu = async function(menuOrId) {
     this.backgroundValue = menu.backgroundValue || settings.backgroundValue || null;
     this.fontFamily = menu.fontFamily || settings.fontFamily || 'Inter';
     this.colorPalette = menu.colorPalette || settings.colorPalette || 'classic';
+    this.customPalette = menu.customPalette || null;
+    this.headingFont = menu.headingFont || null;
+    this.customFonts = menu.customFonts || null;
     this.navigationTheme = menu.navigationTheme || settings.navigationTheme || 'modern';
+    this.menuLayout = menu.menuLayout || 'list';
+    this.sectionLayouts = menu.sectionLayouts || null;
     this.menuLogo = menu.menuLogo || settings.logoUrl || null;
     this.logoSize = menu.logoSize || 'medium';
+    this.menuSchedule = menu.schedule || null;
+    this.menuTranslations = menu.translations || null;
+    this.updatePreviewLanguageOptions();
     
     console.log('Prototype loadMenu - loaded navigationTheme:', this.navigationTheme, 'from menu.navigationTheme:', menu.navigationTheme, 'settings.navigationTheme:', settings.navigationTheme);
     console.log('Full menu object:', JSON.stringify(menu, null, 2));
@@ -5070,6 +8400,10 @@ MenuEditor.prototype.loadMenu = async function(menuOrId) {
     // Update UI indicators
     this.updateChangeIndicator();
     this.updatePublishButtonVisibility();
+    
+    // Sold-out state lives on the server, outside the draft
+    this.loadItemAvailability();
+    this.loadPublishSchedules();
 };
 
 // === MENU CUSTOMIZATION METHODS ===
@@ -5188,30 +8522,8 @@ MenuEditor.prototype.applyBackground = function() {
     });
 };
 
-MenuEditor.prototype.applyFontFamily = function() {
-    // Get font stack based on selected family
-    const fontStacks = {
-        'Inter': "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-        'Playfair Display': "'Playfair Display', Georgia, 'Times New Roman', serif",
-        'Georgia': "Georgia, 'Times New Roman', Times, serif",
-        'Lato': "'Lato', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-        'Montserrat': "'Montserrat', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif"
-    };
-    
-    const fontStack = fontStacks[this.fontFamily] || fontStacks['Inter'];
-    
-    // Apply to all preview containers
-    const previewContainers = document.querySelectorAll(
-        '.preview-menu-container, .published-menu-container, #side-preview-content, #preview-content, .smartphone-content'
-    );
-    
-    previewContainers.forEach(container => {
-        container.style.fontFamily = fontStack;
-    });
-};
-
 MenuEditor.prototype.applyColorPalette = function() {
-    const palette = this.colorPalettes[this.colorPalette];
+    const palette = this.getActivePalette();
     if (!palette) return;
     
     // Apply colors to all preview containers
@@ -5456,7 +8768,15 @@ async function handleLogin() {
     }
     
     try {
-        const result = await window.authManager.signIn(email, password);
+        let result = await window.authManager.signIn(email, password);
+        if (result.success && result.twoFactorRequired) {
+            const code = prompt('Enter the 6-digit code from your authenticator app, or a recovery code:');
+            if (!code) {
+                errorDiv.textContent = 'A two-factor code is required to sign in';
+                return;
+            }
+            result = await window.authManager.completeTwoFactorLogin(result.challengeToken, code.trim());
+        }
         if (result.success) {
             document.getElementById('auth-modal').style.display = 'none';
             // Reload the page or reinitialize the app
@@ -5741,6 +9061,22 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
+        // Download QR code button
+        const downloadQrBtn = document.getElementById('download-qr-from-success');
+        if (downloadQrBtn) {
+            downloadQrBtn.addEventListener('click', () => {
+                menuEditor.downloadQrCode();
+            });
+        }
+        
+        // Printable PDF button
+        const printPdfBtn = document.getElementById('print-pdf-from-success');
+        if (printPdfBtn) {
+            printPdfBtn.addEventListener('click', () => {
+                menuEditor.openPrintPdf();
+            });
+        }
+        
         // Close when clicking outside modal
         successModal.addEventListener('click', (e) => {
             if (e.target === successModal) {
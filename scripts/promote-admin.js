@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Give an existing account admin access, e.g. to set up the first admin:
+//
+//   npm run admin:promote -- owner@example.com
+//
+// Uses the same database as the app (PostgreSQL when POSTGRES_URL is set,
+// the local data/ files otherwise). The account must have signed up first.
+// Pass --revoke to remove admin access instead.
+
+const {
+    initializeDatabase,
+    getUserByEmail,
+    setUserAdmin,
+    createAdminAuditEntry
+} = require('../lib/hybrid-database');
+
+async function main(args) {
+    const revoke = args.includes('--revoke');
+    const email = args.find(arg => !arg.startsWith('--'));
+
+    if (!email) {
+        console.error('Usage: npm run admin:promote -- <email> [--revoke]');
+        return 1;
+    }
+
+    // Makes sure the is_admin column and audit log exist on older databases
+    const initResult = await initializeDatabase();
+    if (!initResult.success) {
+        console.error('Database initialization failed:', initResult.error);
+        return 1;
+    }
+
+    const userResult = await getUserByEmail(email.trim().toLowerCase());
+    if (!userResult.success) {
+        console.error('Database error:', userResult.error);
+        return 1;
+    }
+    if (!userResult.user) {
+        console.error(`No account uses ${email}. Sign up with it first, then run this again.`);
+        return 1;
+    }
+
+    const result = await setUserAdmin(userResult.user.id, !revoke);
+    if (!result.success) {
+        console.error('Failed to update user:', result.error);
+        return 1;
+    }
+
+    // No admin made this change, so admin_user_id stays empty
+    await createAdminAuditEntry({
+        adminUserId: null,
+        action: revoke ? 'user.admin_revoked' : 'user.admin_granted',
+        targetType: 'user',
+        targetId: userResult.user.id,
+        details: { email: userResult.user.email, source: 'cli' }
+    });
+
+    console.log(revoke
+        ? `${userResult.user.email} is no longer an admin.`
+        : `${userResult.user.email} is now an admin. Sign in and open /admin.`);
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Promote admin error:', error);
+        process.exit(1);
+    });
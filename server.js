@@ -10,6 +10,11 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Font files never change at a given URL (library files are versioned with the
+// app, uploads are named by content), so browsers can keep them for good
+const FONT_CACHE_OPTIONS = { immutable: true, maxAge: '1y' };
+app.use('/fonts', express.static(path.join(__dirname, 'fonts'), FONT_CACHE_OPTIONS));
+app.use('/uploads/fonts', express.static(path.join(__dirname, 'uploads', 'fonts'), FONT_CACHE_OPTIONS));
 app.use(express.static('./')); // Serve static files from current directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); // Serve uploaded files
 app.use('/uploads/logos', express.static(path.join(__dirname, 'uploads', 'logos'))); // Serve uploaded logos
@@ -123,6 +128,16 @@ function validateSlug(slug) {
 
 // Check if slug is available
 async function isSlugAvailable(slug) {
+    // Published menus keep their slug until they are unpublished or deleted
+    const { isSlugPublished } = require('./lib/hybrid-database');
+    const publishedResult = await isSlugPublished(slug);
+    if (!publishedResult.success) {
+        throw new Error(publishedResult.error);
+    }
+    if (publishedResult.published) {
+        return false;
+    }
+
     try {
         await fs.access(path.join(MENUS_DIR, `${slug}.json`));
         return false; // File exists, slug is taken
@@ -155,44 +170,8 @@ app.get('/api/check-slug/:slug', async (req, res) => {
 // Check slug availability
 app.post('/api/menu/check-availability', async (req, res) => {
     try {
-        const { slug } = req.body;
-        
-        if (!slug || slug.trim() === '') {
-            return res.status(400).json({ 
-                available: false, 
-                error: 'Slug is required' 
-            });
-        }
-
-        // Validate slug format (lowercase letters, numbers, dashes only)
-        const slugRegex = /^[a-z0-9-]+$/;
-        if (!slugRegex.test(slug)) {
-            return res.status(400).json({ 
-                available: false, 
-                error: 'Slug must contain only lowercase letters, numbers, and dashes' 
-            });
-        }
-        
-        // For now, check if a menu file exists with this slug
-        // (Later this should check the database)
-        const menuPath = path.join(MENUS_DIR, `${slug}.json`);
-        
-        try {
-            await fs.access(menuPath);
-            // File exists, slug is taken
-            res.status(200).json({ 
-                available: false,
-                slug,
-                message: 'Slug is already taken'
-            });
-        } catch {
-            // File doesn't exist, slug is available
-            res.status(200).json({ 
-                available: true,
-                slug,
-                message: 'Slug is available'
-            });
-        }
+        const checkAvailabilityHandler = require('./api/menu/check-availability');
+        await checkAvailabilityHandler(req, res);
     } catch (error) {
         console.error('Check availability error:', error);
         res.status(500).json({ 
@@ -278,6 +257,136 @@ app.post('/api/menu', async (req, res) => {
     }
 });
 
+// QR code for a published menu (must be before the generic slug route)
+app.get('/api/menu/qr', async (req, res) => {
+    try {
+        const qrCodeHandler = require('./api/menu/qr');
+        await qrCodeHandler(req, res);
+    } catch (error) {
+        console.error('QR code error:', error);
+        res.status(500).json({ error: 'QR code generation failed' });
+    }
+});
+
+// Printable PDF of a published menu (must be before the generic slug route)
+app.get('/api/menu/pdf', async (req, res) => {
+    try {
+        const pdfHandler = require('./api/menu/pdf');
+        await pdfHandler(req, res);
+    } catch (error) {
+        console.error('PDF error:', error);
+        res.status(500).json({ error: 'PDF generation failed' });
+    }
+});
+
+// View beacons from published menus
+app.post('/api/menu/track', async (req, res) => {
+    try {
+        const trackHandler = require('./api/menu/track');
+        await trackHandler(req, res);
+    } catch (error) {
+        console.error('Menu analytics beacon error:', error);
+        res.status(500).json({ error: 'Failed to record view' });
+    }
+});
+
+// Menu analytics dashboard data (must be before the generic slug route)
+app.get('/api/menu/analytics', async (req, res) => {
+    try {
+        const analyticsHandler = require('./api/menu/analytics');
+        await analyticsHandler(req, res);
+    } catch (error) {
+        console.error('Menu analytics error:', error);
+        res.status(500).json({ error: 'Failed to load analytics' });
+    }
+});
+
+// WOFF2 fonts uploaded to the account (must be before the generic slug route)
+app.all('/api/menu/fonts', async (req, res) => {
+    try {
+        const fontsHandler = require('./api/menu/fonts');
+        await fontsHandler(req, res);
+    } catch (error) {
+        console.error('Custom fonts error:', error);
+        res.status(500).json({ error: 'Failed to load custom fonts' });
+    }
+});
+
+// Who can access a menu, and moving it to another team (must be before the generic slug route)
+app.all('/api/menu/access', async (req, res) => {
+    try {
+        const menuAccessHandler = require('./api/menu/access');
+        await menuAccessHandler(req, res);
+    } catch (error) {
+        console.error('Menu access error:', error);
+        res.status(500).json({ error: 'Failed to load menu access' });
+    }
+});
+
+// Custom color palettes saved to the account (must be before the generic slug route)
+app.all('/api/menu/palettes', async (req, res) => {
+    try {
+        const palettesHandler = require('./api/menu/palettes');
+        await palettesHandler(req, res);
+    } catch (error) {
+        console.error('Custom palettes error:', error);
+        res.status(500).json({ error: 'Failed to load custom palettes' });
+    }
+});
+
+// Scheduled publishes and unpublishes of a menu (must be before the generic slug route)
+app.all('/api/menu/publish-schedules', async (req, res) => {
+    try {
+        const publishSchedulesHandler = require('./api/menu/publish-schedules');
+        await publishSchedulesHandler(req, res);
+    } catch (error) {
+        console.error('Publish schedules error:', error);
+        res.status(500).json({ error: 'Failed to load publish schedules' });
+    }
+});
+
+// Saved versions of a menu, comparing them and restoring one (must be before the generic slug route)
+app.get('/api/menu/revisions', async (req, res) => {
+    try {
+        const revisionsHandler = require('./api/menu/revisions');
+        await revisionsHandler(req, res);
+    } catch (error) {
+        console.error('Menu revisions error:', error);
+        res.status(500).json({ error: 'Failed to load menu revisions' });
+    }
+});
+
+app.get('/api/menu/revision-diff', async (req, res) => {
+    try {
+        const revisionDiffHandler = require('./api/menu/revision-diff');
+        await revisionDiffHandler(req, res);
+    } catch (error) {
+        console.error('Revision diff error:', error);
+        res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+});
+
+app.post('/api/menu/restore', async (req, res) => {
+    try {
+        const restoreRevisionHandler = require('./api/menu/restore');
+        await restoreRevisionHandler(req, res);
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+// Sold-out and hidden items on the live menu (must be before the generic slug route)
+app.all('/api/menu/availability', async (req, res) => {
+    try {
+        const availabilityHandler = require('./api/menu/availability');
+        await availabilityHandler(req, res);
+    } catch (error) {
+        console.error('Item availability error:', error);
+        res.status(500).json({ error: 'Failed to update item availability' });
+    }
+});
+
 // Get menu by slug (must be before specific background route)
 app.get('/api/menu/:slug', async (req, res, next) => {
     // Skip if this is actually a backgrounds request
@@ -464,6 +573,20 @@ app.post('/api/upload/logo', async (req, res) => {
     }
 });
 
+// Menu item photo upload, resized and converted to WebP on the server
+app.post('/api/upload/item-photo', async (req, res) => {
+    try {
+        const itemPhotoHandler = require('./api/upload/item-photo');
+        await itemPhotoHandler(req, res);
+    } catch (error) {
+        console.error('Item photo upload error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to upload item photo' 
+        });
+    }
+});
+
 // Logo upload endpoint (old multipart version)
 app.post('/api/upload-logo', uploadLogo.single('logo'), async (req, res) => {
     try {
@@ -529,12 +652,10 @@ app.get('/menu/:slug', async (req, res) => {
             return res.status(400).send('Invalid menu URL');
         }
         
-        // Simply serve the published menu page - let the frontend check if menu exists via API
-        // The published-menu.html will handle loading data and showing 404 if menu doesn't exist
-        const publishedMenuHTML = await fs.readFile(path.join(__dirname, 'published-menu.html'), 'utf8');
-        const customizedHTML = publishedMenuHTML.replace('{{MENU_SLUG}}', slug);
-        
-        res.send(customizedHTML);
+        // Serve the published menu page, rendered on the server
+        const menuPageHandler = require('./api/menu/[slug]');
+        req.query.slug = slug;
+        await menuPageHandler(req, res);
         
     } catch (error) {
         console.error('Error serving menu:', error);
@@ -583,6 +704,150 @@ app.post('/api/auth/google', async (req, res) => {
     }
 });
 
+app.all('/api/auth/profile', async (req, res) => {
+    try {
+        const profileHandler = require('./api/auth/profile');
+        await profileHandler(req, res);
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to load business info' });
+    }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const forgotPasswordHandler = require('./api/auth/forgot-password');
+        await forgotPasswordHandler(req, res);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send reset link' });
+    }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const resetPasswordHandler = require('./api/auth/reset-password');
+        await resetPasswordHandler(req, res);
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Signed-in devices: list them, revoke one, or sign out everywhere else
+app.all('/api/auth/sessions', async (req, res) => {
+    try {
+        const sessionsHandler = require('./api/auth/sessions');
+        await sessionsHandler(req, res);
+    } catch (error) {
+        console.error('Sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+// Two-factor authentication: setup, settings, recovery codes and the sign-in code step
+app.all('/api/auth/two-factor', async (req, res) => {
+    try {
+        const twoFactorHandler = require('./api/auth/two-factor');
+        await twoFactorHandler(req, res);
+    } catch (error) {
+        console.error('Two-factor error:', error);
+        res.status(500).json({ error: 'Failed to update two-factor authentication' });
+    }
+});
+
+app.post('/api/auth/recovery-codes', async (req, res) => {
+    try {
+        const recoveryCodesHandler = require('./api/auth/recovery-codes');
+        await recoveryCodesHandler(req, res);
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to create recovery codes' });
+    }
+});
+
+app.post('/api/auth/two-factor-challenge', async (req, res) => {
+    try {
+        const twoFactorChallengeHandler = require('./api/auth/two-factor-challenge');
+        await twoFactorChallengeHandler(req, res);
+    } catch (error) {
+        console.error('Two-factor challenge error:', error);
+        res.status(500).json({ error: 'Two-factor sign-in failed' });
+    }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const verifyEmailHandler = require('./api/auth/verify-email');
+        await verifyEmailHandler(req, res);
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Email verification failed' });
+    }
+});
+
+// Teams: organizations, their members and invitations
+app.all('/api/team/organizations', async (req, res) => {
+    try {
+        const organizationsHandler = require('./api/team/organizations');
+        await organizationsHandler(req, res);
+    } catch (error) {
+        console.error('Organizations error:', error);
+        res.status(500).json({ error: 'Failed to load teams' });
+    }
+});
+
+app.all('/api/team/members', async (req, res) => {
+    try {
+        const membersHandler = require('./api/team/members');
+        await membersHandler(req, res);
+    } catch (error) {
+        console.error('Team members error:', error);
+        res.status(500).json({ error: 'Failed to load team members' });
+    }
+});
+
+app.all('/api/team/invitations', async (req, res) => {
+    try {
+        const invitationsHandler = require('./api/team/invitations');
+        await invitationsHandler(req, res);
+    } catch (error) {
+        console.error('Team invitations error:', error);
+        res.status(500).json({ error: 'Failed to update invitations' });
+    }
+});
+
+app.post('/api/team/accept-invitation', async (req, res) => {
+    try {
+        const acceptInvitationHandler = require('./api/team/accept-invitation');
+        await acceptInvitationHandler(req, res);
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// Admin portal API (signed-in admins only)
+app.all('/api/admin/users', async (req, res) => {
+    try {
+        const adminUsersHandler = require('./api/admin/users');
+        await adminUsersHandler(req, res);
+    } catch (error) {
+        console.error('Admin users error:', error);
+        res.status(500).json({ error: 'Failed to load users' });
+    }
+});
+
+app.get('/api/admin/audit-log', async (req, res) => {
+    try {
+        const adminAuditLogHandler = require('./api/admin/audit-log');
+        await adminAuditLogHandler(req, res);
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
 // Database initialization endpoint
 app.post('/api/init-db', async (req, res) => {
     try {
@@ -613,6 +878,22 @@ async function startServer() {
         console.log(`📝 Editor: http://localhost:${PORT}`);
         console.log(`🍽️ Example menu: http://localhost:${PORT}/menu/your-restaurant-name`);
     });
+    
+    // Run scheduled publishes/unpublishes (on Vercel a cron route does this)
+    try {
+        const { startPublishScheduler } = require('./lib/publish-schedules');
+        startPublishScheduler();
+    } catch (error) {
+        console.error('Publish scheduler failed to start:', error);
+    }
+    
+    // Delete expired sign-in sessions (on Vercel a cron route does this)
+    try {
+        const { startSessionCleanup } = require('./lib/session-cleanup');
+        startSessionCleanup();
+    } catch (error) {
+        console.error('Session cleanup failed to start:', error);
+    }
 }
 
 startServer().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,718 @@
+/**
+ * Spreadsheet Import for MyMobileMenu Editor
+ * Imports CSV/TSV files (Google Sheets, POS exports) into menu sections and
+ * handles pasting copied spreadsheet ranges straight into a section grid
+ */
+
+// Headers that name the section a row belongs to
+const SECTION_HEADER_PATTERN = /^(menu\s*)?(section|category)$/i;
+
+// Header written by the editor's CSV export for each row's section type
+const SECTION_TYPE_HEADER_PATTERN = /^(section|category)\s*type$/i;
+
+// Header written by the editor's CSV export for "Glass: $12 | Bottle: $48" cells
+const PRICE_VARIANTS_HEADER_PATTERN = /^price\s*variants?$/i;
+
+// Loose header aliases, matched against normalized column names
+const HEADER_ALIASES = {
+    name: ['itemname', 'item', 'dish', 'product', 'title'],
+    description: ['desc', 'details', 'notes'],
+    price: ['cost', 'amount', 'unitprice']
+};
+
+class SpreadsheetImport {
+    constructor(menuEditor) {
+        this.menuEditor = menuEditor;
+        this.rows = [];
+        this.headers = [];
+        this.fileName = '';
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Multi-cell paste from a spreadsheet into the section grid
+        document.addEventListener('paste', (e) => {
+            const input = e.target.closest && e.target.closest('.menu-item-input');
+            if (!input) return;
+
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            if (!text || (!text.includes('\t') && !text.trim().includes('\n'))) {
+                return; // Single value - let the input handle it normally
+            }
+
+            e.preventDefault();
+            this.pasteIntoGrid(input, text);
+        });
+    }
+
+    // === PARSING ===
+
+    /**
+     * Pick the delimiter used by a CSV/TSV file from its first line.
+     *
+     * @param {string} text - Raw file contents
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const counts = ['\t', ',', ';'].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        return counts[0].count > 0 ? counts[0].delimiter : ',';
+    }
+
+    /**
+     * Parse delimited text into rows of cells.
+     * Supports quoted cells with embedded delimiters, newlines and "" escapes.
+     *
+     * @param {string} text - Raw CSV/TSV text
+     * @param {string} [delimiter] - Cell delimiter, detected when omitted
+     * @returns {Array<Array<string>>} Rows without trailing blank lines
+     */
+    parseDelimited(text, delimiter = this.detectDelimiter(text)) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        // Strip the byte order mark Excel adds to UTF-8 exports
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Find the existing column a spreadsheet header most likely refers to.
+     *
+     * @param {string} header - Spreadsheet header
+     * @param {Array<string>} columns - Candidate column names
+     * @returns {string|null} Matching column name
+     */
+    matchColumn(header, columns) {
+        const key = this.normalizeHeader(header);
+        if (!key) return null;
+
+        const exact = columns.find(col => this.normalizeHeader(col) === key);
+        if (exact) return exact;
+
+        // "Name" -> "Item Name", "Beer" -> "Beer Name"
+        const partial = columns.find(col => {
+            const colKey = this.normalizeHeader(col);
+            return colKey.endsWith(key) || colKey.startsWith(key);
+        });
+        if (partial) return partial;
+
+        for (const [canonical, aliases] of Object.entries(HEADER_ALIASES)) {
+            if (key === canonical || aliases.includes(key)) {
+                const match = columns.find(col => this.normalizeHeader(col).includes(canonical));
+                if (match) return match;
+            }
+        }
+
+        return null;
+    }
+
+    // === FILE IMPORT ===
+
+    /**
+     * Open the import dialog for CSV/TSV text.
+     *
+     * @param {string} text - File contents
+     * @param {string} fileName - Original file name, used for new section names
+     */
+    open(text, fileName = '') {
+        const rows = this.parseDelimited(text, /\.tsv$/i.test(fileName) ? '\t' : undefined);
+
+        if (rows.length < 2) {
+            alert('The file needs a header row and at least one item row.');
+            return;
+        }
+
+        this.headers = rows[0].map(header => header.trim());
+        this.rows = rows.slice(1);
+        this.fileName = fileName;
+
+        let modal = document.getElementById('spreadsheet-import-modal');
+        if (!modal) {
+            modal = this.createImportModal();
+            document.body.appendChild(modal);
+        }
+
+        this.populateImportModal(modal);
+        modal.style.display = 'block';
+        modal.classList.add('show');
+    }
+
+    close() {
+        const modal = document.getElementById('spreadsheet-import-modal');
+        if (modal) {
+            modal.style.display = 'none';
+            modal.classList.remove('show');
+        }
+    }
+
+    createImportModal() {
+        const modal = document.createElement('div');
+        modal.id = 'spreadsheet-import-modal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content spreadsheet-import-content">
+                <div class="modal-header">
+                    <h2><i class="fas fa-file-csv"></i> Import Spreadsheet</h2>
+                    <span class="close">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <p class="import-summary"></p>
+
+                    <div class="form-group">
+                        <label>Map spreadsheet columns</label>
+                        <div class="import-mapping"></div>
+                    </div>
+
+                    <div class="form-group import-target-group">
+                        <label for="import-target-section">Import rows into</label>
+                        <select id="import-target-section"></select>
+                    </div>
+
+                    <div class="form-group">
+                        <label>When importing</label>
+                        <div class="import-mode">
+                            <label><input type="radio" name="import-mode" value="merge" checked> Merge into current menu</label>
+                            <label><input type="radio" name="import-mode" value="replace"> Replace all sections</label>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label>Preview</label>
+                        <div class="import-preview" aria-live="polite"></div>
+                    </div>
+                </div>
+                <div class="modal-actions">
+                    <button id="apply-spreadsheet-import" class="btn btn-primary">
+                        <i class="fas fa-file-import"></i> Import
+                    </button>
+                    <button id="cancel-spreadsheet-import" class="btn btn-secondary">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.close').addEventListener('click', () => this.close());
+        modal.querySelector('#cancel-spreadsheet-import').addEventListener('click', () => this.close());
+        modal.querySelector('#apply-spreadsheet-import').addEventListener('click', () => this.applyImport());
+
+        // Any change to the options refreshes the preview
+        modal.querySelector('.modal-body').addEventListener('change', () => {
+            this.updateTargetVisibility();
+            this.renderPreview();
+        });
+
+        return modal;
+    }
+
+    populateImportModal(modal) {
+        const escape = (value) => this.menuEditor.escapeHtml(value);
+        const existingColumns = [...new Set(this.menuEditor.sections.flatMap(s => s.columns))];
+
+        modal.querySelector('.import-summary').textContent =
+            `${this.rows.length} rows and ${this.headers.length} columns found${this.fileName ? ` in ${this.fileName}` : ''}.`;
+
+        modal.querySelector('.import-mapping').innerHTML = this.headers.map((header, index) => {
+            const isSection = SECTION_HEADER_PATTERN.test(header);
+            const isSectionType = SECTION_TYPE_HEADER_PATTERN.test(header);
+            const isPriceVariants = PRICE_VARIANTS_HEADER_PATTERN.test(header);
+            const isSpecial = isSection || isSectionType || isPriceVariants;
+            const match = isSpecial ? null : this.matchColumn(header, existingColumns);
+            const options = [
+                `<option value="__ignore">Don't import</option>`,
+                `<option value="__section" ${isSection ? 'selected' : ''}>Section name</option>`,
+                `<option value="__sectionType" ${isSectionType ? 'selected' : ''}>Section type</option>`,
+                `<option value="__priceVariants" ${isPriceVariants ? 'selected' : ''}>Price variants</option>`,
+                `<option value="${escape(header)}" ${!isSpecial && !match ? 'selected' : ''}>New column "${escape(header || `Column ${index + 1}`)}"</option>`,
+                ...existingColumns
+                    .filter(col => col !== header)
+                    .map(col => `<option value="${escape(col)}" ${col === match ? 'selected' : ''}>${escape(col)}</option>`)
+            ];
+
+            return `
+                <div class="import-mapping-row">
+                    <span class="import-header">${escape(header || `Column ${index + 1}`)}</span>
+                    <i class="fas fa-arrow-right"></i>
+                    <select data-header-index="${index}" aria-label="Column for ${escape(header)}">${options.join('')}</select>
+                </div>
+            `;
+        }).join('');
+
+        const defaultSectionName = this.fileName.replace(/\.[^.]+$/, '') || 'Imported Items';
+        modal.querySelector('#import-target-section').innerHTML = [
+            `<option value="new">New section "${escape(defaultSectionName)}"</option>`,
+            ...this.menuEditor.sections.map(section => `<option value="${section.id}">${escape(section.name)}</option>`)
+        ].join('');
+
+        modal.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+
+        this.updateTargetVisibility();
+        this.renderPreview();
+    }
+
+    getMapping() {
+        const mapping = [];
+        document.querySelectorAll('#spreadsheet-import-modal .import-mapping select').forEach(select => {
+            mapping[parseInt(select.dataset.headerIndex)] = select.value;
+        });
+        return mapping;
+    }
+
+    getImportMode() {
+        const selected = document.querySelector('#spreadsheet-import-modal input[name="import-mode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
+
+    updateTargetVisibility() {
+        const hasSectionColumn = this.getMapping().includes('__section');
+        const group = document.querySelector('#spreadsheet-import-modal .import-target-group');
+        group.style.display = hasSectionColumn || this.getImportMode() === 'replace' ? 'none' : '';
+    }
+
+    /**
+     * Group the parsed rows into sections using the current mapping.
+     *
+     * @returns {Array<Object>} Sections as { name, type, targetId, columns, items }
+     */
+    buildImportedSections() {
+        const mapping = this.getMapping();
+        const sectionIndex = mapping.indexOf('__section');
+        const typeIndex = mapping.indexOf('__sectionType');
+        const variantsIndex = mapping.indexOf('__priceVariants');
+        const mode = this.getImportMode();
+        const target = document.getElementById('import-target-section').value;
+
+        const columns = [...new Set(mapping.filter(value => value && !value.startsWith('__')))];
+        const defaultName = this.fileName.replace(/\.[^.]+$/, '') || 'Imported Items';
+        const groups = new Map();
+
+        this.rows.forEach(row => {
+            let name = sectionIndex !== -1 ? (row[sectionIndex] || '').trim() : '';
+            let targetId = null;
+
+            if (!name) {
+                const targetSection = mode === 'merge' && target !== 'new'
+                    ? this.menuEditor.sections.find(s => String(s.id) === target)
+                    : null;
+                name = targetSection ? targetSection.name : defaultName;
+                targetId = targetSection ? targetSection.id : null;
+            }
+
+            const key = name.toLowerCase();
+            if (!groups.has(key)) {
+                groups.set(key, { name, type: null, targetId, columns, items: [] });
+            }
+
+            const group = groups.get(key);
+            if (!group.type && typeIndex !== -1) {
+                group.type = (row[typeIndex] || '').trim().toLowerCase() || null;
+            }
+
+            const item = {};
+            mapping.forEach((column, index) => {
+                if (!column || column.startsWith('__')) return;
+                // Undo the formula guard added by spreadsheet exports
+                const value = (row[index] || '').trim().replace(/^'(?=\s*[=+\-@\t\r])/, '');
+                // Two headers mapped to one column are joined rather than overwritten
+                item[column] = item[column] && value ? `${item[column]} ${value}` : (item[column] || value);
+            });
+
+            if (variantsIndex !== -1) {
+                const priceVariants = this.parsePriceVariants(row[variantsIndex] || '');
+                if (priceVariants.length > 0) {
+                    item.priceVariants = priceVariants;
+                }
+            }
+
+            if (Object.values(item).some(value => value !== '')) {
+                group.items.push(item);
+            }
+        });
+
+        const sections = [...groups.values()].filter(group => group.items.length > 0);
+
+        // A flat file carries every section's columns; keep only the ones each section uses
+        if (sectionIndex !== -1 && sections.length > 1) {
+            sections.forEach(section => {
+                section.columns = columns.filter(col => section.items.some(item => item[col]));
+            });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Parse a "Glass: $12 | Bottle: $48" cell into [{ label, price }].
+     * An entry without a colon is taken as an unlabelled price.
+     */
+    parsePriceVariants(text) {
+        return text.split('|')
+            .map(part => part.trim().replace(/^'(?=\s*[=+\-@\t\r])/, ''))
+            .filter(Boolean)
+            .map(part => {
+                const separator = part.lastIndexOf(':');
+                return separator === -1
+                    ? { label: '', price: part }
+                    : { label: part.slice(0, separator).trim(), price: part.slice(separator + 1).trim() };
+            });
+    }
+
+    findExistingSection(imported) {
+        if (imported.targetId !== null) {
+            return this.menuEditor.sections.find(s => s.id === imported.targetId);
+        }
+        return this.menuEditor.sections.find(s => s.name.toLowerCase() === imported.name.toLowerCase());
+    }
+
+    renderPreview() {
+        const escape = (value) => this.menuEditor.escapeHtml(value);
+        const preview = document.querySelector('#spreadsheet-import-modal .import-preview');
+        const sections = this.buildImportedSections();
+        const mode = this.getImportMode();
+
+        if (sections.length === 0 || sections[0].columns.length === 0) {
+            preview.innerHTML = '<p class="import-empty">Map at least one column to import items.</p>';
+            return;
+        }
+
+        preview.innerHTML = sections.map(section => {
+            const existing = mode === 'merge' ? this.findExistingSection(section) : null;
+            const status = existing
+                ? `adds ${section.items.length} items to <strong>${escape(existing.name)}</strong>`
+                : `new section with ${section.items.length} items`;
+            const sampleItems = section.items.slice(0, 3);
+
+            return `
+                <div class="import-preview-section">
+                    <h4>${escape(section.name)} <span class="import-preview-status">${status}</span></h4>
+                    <table>
+                        <thead><tr>${section.columns.map(col => `<th>${escape(col)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${sampleItems.map(item => `
+                                <tr>${section.columns.map(col => `<td>${escape(item[col] || '')}</td>`).join('')}</tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    ${section.items.length > sampleItems.length ? `<p class="import-more">…and ${section.items.length - sampleItems.length} more</p>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        if (mode === 'replace' && this.menuEditor.sections.length > 0) {
+            preview.insertAdjacentHTML('afterbegin',
+                `<p class="import-warning"><i class="fas fa-exclamation-triangle"></i> Your ${this.menuEditor.sections.length} current sections will be removed.</p>`);
+        }
+    }
+
+    /**
+     * Guess which columns show in an item's title line for a new section.
+     */
+    getDefaultTitleColumns(columns) {
+        const priceColumn = columns.find(col => /price/i.test(col));
+        const nameColumn = columns.find(col => col !== priceColumn) || columns[0];
+        return [nameColumn, priceColumn].filter(Boolean);
+    }
+
+    applyImport() {
+        const editor = this.menuEditor;
+        const sections = this.buildImportedSections();
+        const mode = this.getImportMode();
+
+        if (sections.length === 0 || sections[0].columns.length === 0) {
+            alert('Nothing to import. Map at least one column first.');
+            return;
+        }
+
+        if (mode === 'replace' && editor.sections.length > 0 &&
+            !confirm('This will replace all sections in your current menu. Continue?')) {
+            return;
+        }
+
+        let itemCount = 0;
+        editor.recordChange('Import spreadsheet', () => {
+            if (mode === 'replace') {
+                editor.sections = [];
+                editor.sectionCounter = 0;
+            }
+
+            sections.forEach(imported => {
+                const existing = mode === 'merge' ? this.findExistingSection(imported) : null;
+                itemCount += imported.items.length;
+
+                if (existing) {
+                    imported.columns.forEach(col => {
+                        if (!existing.columns.includes(col)) {
+                            existing.columns.push(col);
+                        }
+                    });
+                    existing.items.push(...imported.items);
+                    return;
+                }
+
+                const template = editor.sectionTemplates[imported.type];
+                const templateTitles = template && template.titleColumns.every(col => imported.columns.includes(col))
+                    ? template.titleColumns
+                    : null;
+
+                editor.sections.push({
+                    id: ++editor.sectionCounter,
+                    name: imported.name,
+                    type: template ? imported.type : 'custom',
+                    columns: [...imported.columns],
+                    titleColumns: templateTitles || this.getDefaultTitleColumns(imported.columns),
+                    items: imported.items
+                });
+            });
+        });
+
+        this.close();
+        editor.renderMenu();
+        editor.updateSidePreview();
+        editor.markAsChanged();
+
+        if (window.uiFeedback) {
+            window.uiFeedback.showSuccess('Imported', `${itemCount} items imported into ${sections.length} section${sections.length === 1 ? '' : 's'}`);
+        }
+    }
+
+    // === GRID PASTE ===
+
+    /**
+     * Fill a section grid from a copied spreadsheet range, starting at the
+     * focused cell. Rows beyond the end of the section become new items.
+     *
+     * @param {HTMLInputElement} input - Cell the paste happened in
+     * @param {string} text - Clipboard text (tab separated)
+     */
+    pasteIntoGrid(input, text) {
+        const editor = this.menuEditor;
+        const sectionId = parseInt(input.dataset.sectionId);
+        const section = editor.sections.find(s => s.id === sectionId);
+        if (!section) return;
+
+        let rows = this.parseDelimited(text, text.includes('\t') ? '\t' : this.detectDelimiter(text));
+
+        // Skip a copied header row that repeats the section's column names
+        const isHeaderRow = (cells) => {
+            const filled = cells.filter(cell => cell.trim() !== '');
+            return filled.length > 0 && filled.every(cell =>
+                section.columns.some(col => this.normalizeHeader(col) === this.normalizeHeader(cell)));
+        };
+        if (rows.length > 1 && isHeaderRow(rows[0])) {
+            rows = rows.slice(1);
+        }
+
+        const startRow = parseInt(input.dataset.itemIndex);
+        const startColumn = section.columns.indexOf(input.dataset.column);
+
+        editor.recordChange('Paste rows', () => {
+            rows.forEach((cells, rowOffset) => {
+                const itemIndex = startRow + rowOffset;
+                if (!section.items[itemIndex]) {
+                    section.items[itemIndex] = Object.fromEntries(section.columns.map(col => [col, '']));
+                }
+
+                cells.forEach((value, columnOffset) => {
+                    const column = section.columns[startColumn + columnOffset];
+                    if (column) {
+                        section.items[itemIndex][column] = value.trim();
+                    }
+                });
+            });
+        });
+
+        editor.renderMenu();
+        editor.updateSidePreview();
+        editor.markAsChanged();
+
+        if (window.uiFeedback) {
+            window.uiFeedback.showSuccess('Pasted', `${rows.length} row${rows.length === 1 ? '' : 's'} pasted into ${section.name}`);
+        }
+    }
+}
+
+// Initialize when ready
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        const checkMenuEditor = () => {
+            if (window.menuEditor) {
+                window.spreadsheetImport = new SpreadsheetImport(window.menuEditor);
+            } else {
+                setTimeout(checkMenuEditor, 100);
+            }
+        };
+
+        checkMenuEditor();
+    });
+}
+
+// Add styles for spreadsheet import
+const spreadsheetImportStyles = `
+.spreadsheet-import-content {
+    max-width: 760px;
+}
+
+.import-mapping {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    max-height: 220px;
+    overflow-y: auto;
+}
+
+.import-mapping-row {
+    display: grid;
+    grid-template-columns: 1fr auto 1fr;
+    align-items: center;
+    gap: 10px;
+}
+
+.import-header {
+    font-weight: 600;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
+.import-mode {
+    display: flex;
+    gap: 20px;
+    flex-wrap: wrap;
+}
+
+.import-mode label {
+    font-weight: normal;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+}
+
+.import-preview {
+    max-height: 260px;
+    overflow: auto;
+    border: 1px solid #e9ecef;
+    border-radius: 8px;
+    padding: 12px;
+}
+
+.import-preview-section + .import-preview-section {
+    margin-top: 16px;
+}
+
+.import-preview-section h4 {
+    margin: 0 0 8px;
+    font-size: 14px;
+}
+
+.import-preview-status,
+.import-more,
+.import-empty {
+    color: #6c757d;
+    font-size: 12px;
+    font-weight: normal;
+}
+
+.import-preview table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 12px;
+}
+
+.import-preview th,
+.import-preview td {
+    border: 1px solid #e9ecef;
+    padding: 4px 6px;
+    text-align: left;
+}
+
+.import-preview th {
+    background: #f8f9fa;
+}
+
+.import-warning {
+    color: #dc3545;
+    font-size: 13px;
+    margin: 0 0 10px;
+}
+
+.dark-mode .import-preview,
+.dark-mode .import-preview th,
+.dark-mode .import-preview td {
+    border-color: #404040;
+}
+
+.dark-mode .import-preview th {
+    background: #353535;
+}
+
+@media (max-width: 600px) {
+    .import-mapping-row {
+        grid-template-columns: 1fr;
+    }
+
+    .import-mapping-row .fa-arrow-right {
+        display: none;
+    }
+}
+`;
+
+// Add styles to document
+if (typeof document !== 'undefined' && !document.querySelector('#spreadsheet-import-styles')) {
+    const styleElement = document.createElement('style');
+    styleElement.id = 'spreadsheet-import-styles';
+    styleElement.textContent = spreadsheetImportStyles;
+    document.head.appendChild(styleElement);
+}
+
+// Export for module systems (the parsing methods are unit tested in Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpreadsheetImport;
+}
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuI18n = require('../menu-i18n');
+
+describe('MenuI18n.negotiateLocale', () => {
+    const available = ['en', 'es', 'fr'];
+
+    it('prefers an explicit language, matching on the primary subtag', () => {
+        assert.equal(MenuI18n.negotiateLocale(available, 'fr', 'es'), 'fr');
+        assert.equal(MenuI18n.negotiateLocale(available, 'ES-mx', null), 'es');
+    });
+
+    it('ignores an explicit language the menu is not offered in', () => {
+        assert.equal(MenuI18n.negotiateLocale(available, 'de', 'fr'), 'fr');
+    });
+
+    it('follows Accept-Language in q order, then header order', () => {
+        assert.equal(MenuI18n.negotiateLocale(available, null, 'de-DE, es;q=0.5, fr;q=0.8'), 'fr');
+        assert.equal(MenuI18n.negotiateLocale(available, null, 'es-MX, fr'), 'es');
+        assert.equal(MenuI18n.negotiateLocale(available, null, 'fr;q=0.7, es;q=0.7'), 'fr');
+    });
+
+    it('skips wildcards, q=0 and malformed weights', () => {
+        assert.equal(MenuI18n.negotiateLocale(available, null, '*, fr;q=0, es;q=abc'), 'en');
+    });
+
+    it('falls back to the default language', () => {
+        assert.equal(MenuI18n.negotiateLocale(['es', 'en'], undefined, undefined), 'es');
+        assert.equal(MenuI18n.negotiateLocale(['es', 'en'], '', 'ja'), 'es');
+    });
+});
+
+describe('MenuI18n.applyTranslations', () => {
+    const menu = {
+        title: 'Dinner',
+        subtitle: 'Served from 6pm',
+        sections: [{
+            id: 1,
+            name: 'Mains',
+            columns: ['Name', 'Description', 'Price'],
+            items: [
+                { _id: 'a', Name: 'Fish', Description: 'Grilled', Price: '14', priceVariants: [{ label: 'Half', price: '8' }] },
+                { _id: 'b', Name: 'Steak', Description: '', Price: 22 },
+                { Name: 'Special', Price: '18' }
+            ]
+        }]
+    };
+    const translations = {
+        defaultLocale: 'en',
+        locales: ['es'],
+        strings: {
+            es: {
+                title: 'Cena',
+                'section:1:name': 'Platos principales',
+                'item:a:Name': 'Pescado',
+                'item:a:Description': '   ',
+                'item:a:Price': '99',
+                'item:a:variant:0': 'Media',
+                'item:b:Name': 'Bistec'
+            }
+        }
+    };
+
+    it('replaces translated text and keeps the original where there is none', () => {
+        const result = MenuI18n.applyTranslations(menu, translations, 'es');
+        const [fish, steak, special] = result.sections[0].items;
+
+        assert.equal(result.title, 'Cena');
+        assert.equal(result.subtitle, 'Served from 6pm');
+        assert.equal(result.sections[0].name, 'Platos principales');
+        assert.deepEqual(fish, {
+            _id: 'a',
+            Name: 'Pescado',
+            Description: 'Grilled',
+            Price: '14',
+            priceVariants: [{ label: 'Media', price: '8' }]
+        });
+        assert.deepEqual(steak, { _id: 'b', Name: 'Bistec', Description: '', Price: 22 });
+        assert.equal(special, menu.sections[0].items[2]);
+    });
+
+    it('returns the menu as is for the default language or a missing one', () => {
+        assert.equal(MenuI18n.applyTranslations(menu, translations, 'en').sections, menu.sections);
+        assert.equal(MenuI18n.applyTranslations(menu, translations, 'fr').title, 'Dinner');
+        assert.equal(MenuI18n.applyTranslations(menu, null, 'es').sections, menu.sections);
+    });
+
+    it('does not modify the menu it was given', () => {
+        const before = structuredClone(menu);
+        MenuI18n.applyTranslations(menu, translations, 'es');
+        assert.deepEqual(menu, before);
+    });
+});
+
+describe('MenuI18n.getTranslatableFields', () => {
+    it('lists text cells, including numeric ones, but never prices', () => {
+        const fields = MenuI18n.getTranslatableFields({
+            title: 'Dinner',
+            subtitle: '',
+            sections: [{
+                id: 1,
+                name: 'Mains',
+                columns: ['Name', 'Calories', 'Price'],
+                items: [
+                    { _id: 'a', Name: 'Fish', Calories: 450, Price: 14, priceVariants: [{ label: 2, price: '8' }, { label: '' }] },
+                    { Name: 'No id', Calories: 100 }
+                ]
+            }]
+        });
+
+        assert.deepEqual(fields.map(field => [field.key, field.source]), [
+            ['title', 'Dinner'],
+            ['subtitle', ''],
+            ['section:1:name', 'Mains'],
+            ['item:a:Name', 'Fish'],
+            ['item:a:Calories', '450'],
+            ['item:a:variant:0', '2']
+        ]);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stand-in for the database so the checks run against fixed menus and members
+const menus = new Map();
+const members = new Map();
+let databaseFails = false;
+
+require.cache[require.resolve('../lib/hybrid-database')] = {
+    id: require.resolve('../lib/hybrid-database'),
+    loaded: true,
+    exports: {
+        getMenuById: async menuId => (databaseFails
+            ? { success: false, error: 'connection lost' }
+            : { success: true, menu: menus.get(menuId) || null }),
+        getOrganizationMember: async (organizationId, userId) => ({
+            success: true,
+            member: members.get(`${organizationId}:${userId}`) || null
+        })
+    }
+};
+
+const { ROLE_PERMISSIONS, can, authorizeMenu, sameMenuOwner } = require('../lib/menu-permissions');
+
+const ACTIONS = ['view', 'edit', 'publish', 'delete', 'share'];
+
+describe('authorizeMenu', () => {
+    beforeEach(() => {
+        databaseFails = false;
+        menus.clear();
+        members.clear();
+
+        menus.set('team-menu', { id: 'team-menu', user_id: 'alice', organization_id: 'org-1' });
+        menus.set('legacy-menu', { id: 'legacy-menu', user_id: 'alice', organization_id: null });
+        members.set('org-1:alice', { role: 'owner' });
+        members.set('org-1:ed', { role: 'editor' });
+        members.set('org-1:vic', { role: 'viewer' });
+    });
+
+    const matrix = {
+        alice: { role: 'owner', allowed: ['view', 'edit', 'publish', 'delete', 'share'] },
+        ed: { role: 'editor', allowed: ['view', 'edit', 'publish'] },
+        vic: { role: 'viewer', allowed: ['view'] }
+    };
+
+    for (const [userId, { role, allowed }] of Object.entries(matrix)) {
+        for (const action of ACTIONS) {
+            const expected = allowed.includes(action);
+
+            it(`${expected ? 'lets' : 'stops'} a team ${role} ${action}`, async () => {
+                const result = await authorizeMenu('team-menu', userId, action);
+                assert.equal(result.allowed, expected);
+
+                if (expected) {
+                    assert.equal(result.role, role);
+                    assert.equal(result.menu.id, 'team-menu');
+                } else {
+                    assert.equal(result.status, 403);
+                }
+            });
+        }
+    }
+
+    it('names the role and action when refusing', async () => {
+        assert.deepEqual(await authorizeMenu('team-menu', 'vic', 'edit'), {
+            allowed: false,
+            status: 403,
+            error: "Viewers can't edit this menu"
+        });
+        assert.equal((await authorizeMenu('team-menu', 'ed', 'share')).error, "Editors can't change who can access this menu");
+    });
+
+    it('reports menus of other teams as not found', async () => {
+        const result = await authorizeMenu('team-menu', 'mallory', 'view');
+        assert.deepEqual(result, { allowed: false, status: 404, error: 'Menu not found' });
+    });
+
+    it('reports missing menus as not found', async () => {
+        const result = await authorizeMenu('no-such-menu', 'alice', 'view');
+        assert.equal(result.status, 404);
+    });
+
+    it('treats the creator of a menu without an organization as its owner', async () => {
+        for (const action of ACTIONS) {
+            assert.equal((await authorizeMenu('legacy-menu', 'alice', action)).allowed, true);
+        }
+        assert.equal((await authorizeMenu('legacy-menu', 'ed', 'view')).status, 404);
+    });
+
+    it('fails with 500 when the menu cannot be loaded', async () => {
+        databaseFails = true;
+        assert.deepEqual(await authorizeMenu('team-menu', 'alice', 'view'), {
+            allowed: false,
+            status: 500,
+            error: 'Database error'
+        });
+    });
+});
+
+describe('can', () => {
+    it('only grants actions listed for the role', () => {
+        for (const [role, actions] of Object.entries(ROLE_PERMISSIONS)) {
+            for (const action of ACTIONS) {
+                assert.equal(can(role, action), actions.includes(action), `${role} ${action}`);
+            }
+        }
+        assert.equal(can(null, 'view'), false);
+        assert.equal(can('guest', 'view'), false);
+    });
+});
+
+describe('sameMenuOwner', () => {
+    it('compares organizations, or accounts for menus without one', () => {
+        assert.equal(sameMenuOwner({ organization_id: 'a', user_id: 'x' }, { organization_id: 'a', user_id: 'y' }), true);
+        assert.equal(sameMenuOwner({ organization_id: 'a', user_id: 'x' }, { organization_id: null, user_id: 'x' }), false);
+        assert.equal(sameMenuOwner({ organization_id: null, user_id: 'x' }, { organization_id: null, user_id: 'x' }), true);
+        assert.equal(sameMenuOwner({ organization_id: null, user_id: 'x' }, { organization_id: null, user_id: 'y' }), false);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuSchedule = require('../menu-schedule');
+
+// 2026-03-06 is a Friday; times are UTC unless a timezone is given
+const at = time => new Date(`2026-03-06T${time}:00Z`);
+const saturdayAt = time => new Date(`2026-03-07T${time}:00Z`);
+
+describe('MenuSchedule.isWindowActive', () => {
+    const local = date => MenuSchedule.getLocalTime(date, 'UTC');
+
+    it('covers times from the start up to, not including, the end', () => {
+        const lunch = { days: [5], start: '11:00', end: '14:00' };
+        assert.equal(MenuSchedule.isWindowActive(lunch, local(at('10:59'))), false);
+        assert.equal(MenuSchedule.isWindowActive(lunch, local(at('11:00'))), true);
+        assert.equal(MenuSchedule.isWindowActive(lunch, local(at('13:59'))), true);
+        assert.equal(MenuSchedule.isWindowActive(lunch, local(at('14:00'))), false);
+    });
+
+    it('only applies on the listed days, or every day when none are listed', () => {
+        assert.equal(MenuSchedule.isWindowActive({ days: [1, 2], start: '11:00', end: '14:00' }, local(at('12:00'))), false);
+        assert.equal(MenuSchedule.isWindowActive({ start: '11:00', end: '14:00' }, local(at('12:00'))), true);
+        assert.equal(MenuSchedule.isWindowActive({ days: [], start: '11:00', end: '14:00' }, local(at('12:00'))), true);
+    });
+
+    it('runs overnight windows past midnight into the next day', () => {
+        const lateNight = { days: [5], start: '22:00', end: '02:00' };
+        assert.equal(MenuSchedule.isWindowActive(lateNight, local(at('21:59'))), false);
+        assert.equal(MenuSchedule.isWindowActive(lateNight, local(at('23:30'))), true);
+        assert.equal(MenuSchedule.isWindowActive(lateNight, local(saturdayAt('01:59'))), true);
+        assert.equal(MenuSchedule.isWindowActive(lateNight, local(saturdayAt('02:00'))), false);
+        assert.equal(MenuSchedule.isWindowActive(lateNight, local(saturdayAt('23:00'))), false);
+    });
+
+    it('treats an equal start and end as the whole day', () => {
+        const allDay = { days: [5], start: '00:00', end: '00:00' };
+        assert.equal(MenuSchedule.isWindowActive(allDay, local(at('03:00'))), true);
+        assert.equal(MenuSchedule.isWindowActive(allDay, local(saturdayAt('03:00'))), false);
+    });
+
+    it('reads local time in the menu timezone', () => {
+        // 23:30 UTC on Friday is 17:30 in Chicago (UTC-6 in early March)
+        const chicago = MenuSchedule.getLocalTime(at('23:30'), 'America/Chicago');
+        assert.deepEqual(chicago, { day: 5, minutes: 17 * 60 + 30 });
+        assert.deepEqual(MenuSchedule.getLocalTime(at('23:30'), 'Not/AZone'), { day: 5, minutes: 23 * 60 + 30 });
+    });
+});
+
+describe('MenuSchedule.applySectionSchedules', () => {
+    const drinks = {
+        id: 1,
+        name: 'Drinks',
+        columns: ['Name', 'Price', 'Happy Hour Price'],
+        titleColumns: ['Name', 'Price'],
+        items: [
+            { Name: 'Lager', Price: '6', 'Happy Hour Price': '4' },
+            { Name: 'Cider', Price: 7, 'Happy Hour Price': 5 },
+            { Name: 'Stout', Price: '8', 'Happy Hour Price': '' }
+        ]
+    };
+    const brunch = { id: 2, name: 'Brunch', columns: ['Name'], items: [{ Name: 'Pancakes' }] };
+    const schedule = {
+        timezone: 'UTC',
+        sections: {
+            1: { priceColumn: 'Happy Hour Price', priceLabel: 'Happy hour', priceWindows: [{ start: '16:00', end: '18:00' }] },
+            2: { windows: [{ days: [0, 6], start: '09:00', end: '14:00' }] }
+        }
+    };
+
+    it('swaps in alternate prices, including numeric ones, while the price window is active', () => {
+        const [section] = MenuSchedule.applySectionSchedules([drinks], schedule, at('17:00'));
+
+        assert.equal(section.activePricing, 'Happy hour');
+        assert.deepEqual(section.columns, ['Name', 'Price']);
+        assert.deepEqual(section.titleColumns, ['Name', 'Price']);
+        assert.deepEqual(section.items, [
+            { Name: 'Lager', Price: '4' },
+            { Name: 'Cider', Price: 5 },
+            { Name: 'Stout', Price: '8' }
+        ]);
+    });
+
+    it('keeps regular prices and hides the alternate column outside the window', () => {
+        const [section] = MenuSchedule.applySectionSchedules([drinks], schedule, at('19:00'));
+
+        assert.equal(section.activePricing, undefined);
+        assert.deepEqual(section.columns, ['Name', 'Price']);
+        assert.deepEqual(section.items.map(item => item.Price), ['6', 7, '8']);
+    });
+
+    it('drops sections outside their windows', () => {
+        assert.deepEqual(MenuSchedule.applySectionSchedules([drinks, brunch], schedule, at('10:00')).map(s => s.name), ['Drinks']);
+        assert.deepEqual(MenuSchedule.applySectionSchedules([drinks, brunch], schedule, saturdayAt('10:00')).map(s => s.name), ['Drinks', 'Brunch']);
+    });
+
+    it('leaves sections alone without a schedule and never modifies its input', () => {
+        const before = structuredClone(drinks);
+        assert.deepEqual(MenuSchedule.applySectionSchedules([drinks], null, at('17:00')), [drinks]);
+        MenuSchedule.applySectionSchedules([drinks], schedule, at('17:00'));
+        assert.deepEqual(drinks, before);
+    });
+});
+
+describe('MenuSchedule.resolveAlternateMenu', () => {
+    it('picks the first alternate whose windows are active', () => {
+        const schedule = {
+            timezone: 'UTC',
+            alternates: [
+                { menuId: 'brunch', windows: [{ days: [0, 6], start: '09:00', end: '14:00' }] },
+                { menuId: 'late', windows: [{ start: '22:00', end: '02:00' }] },
+                { menuId: 'never', windows: [] }
+            ]
+        };
+
+        assert.equal(MenuSchedule.resolveAlternateMenu(schedule, saturdayAt('10:00')).menuId, 'brunch');
+        assert.equal(MenuSchedule.resolveAlternateMenu(schedule, saturdayAt('01:00')).menuId, 'late');
+        assert.equal(MenuSchedule.resolveAlternateMenu(schedule, at('12:00')), null);
+        assert.equal(MenuSchedule.resolveAlternateMenu(null, at('12:00')), null);
+    });
+});
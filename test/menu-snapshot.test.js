@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildMenuSnapshot,
+    diffMenuSnapshots,
+    applyItemAvailability
+} = require('../lib/menu-snapshot');
+
+function section(id, name, items, columns = ['name', 'price']) {
+    return { id, name, type: 'food', columns, items };
+}
+
+describe('diffMenuSnapshots', () => {
+    const base = buildMenuSnapshot({
+        title: 'Dinner',
+        font_family: 'Inter',
+        sections: [
+            section(1, 'Starters', [{ name: 'Soup', price: '6' }, { name: 'Salad', price: '7' }]),
+            section(2, 'Mains', [{ name: 'Pasta', price: '14' }])
+        ]
+    });
+
+    it('reports no changes for identical snapshots', () => {
+        const diff = diffMenuSnapshots(base, structuredClone(base));
+        assert.equal(diff.hasChanges, false);
+        assert.deepEqual(diff.fields, []);
+        assert.deepEqual(diff.sections, { added: [], removed: [], changed: [] });
+    });
+
+    it('lists changed menu fields with their old and new values', () => {
+        const diff = diffMenuSnapshots(base, { ...base, title: 'Supper', fontFamily: 'Lora' });
+        assert.equal(diff.hasChanges, true);
+        assert.deepEqual(diff.fields, [
+            { field: 'title', before: 'Dinner', after: 'Supper' },
+            { field: 'fontFamily', before: 'Inter', after: 'Lora' }
+        ]);
+    });
+
+    it('matches sections by id to find added, removed and renamed ones', () => {
+        const after = {
+            ...base,
+            sections: [
+                { ...base.sections[1], name: 'Entrées' },
+                section(3, 'Desserts', [{ name: 'Tart', price: '5' }])
+            ]
+        };
+
+        const { sections } = diffMenuSnapshots(base, after);
+        assert.deepEqual(sections.added, [{ id: 3, name: 'Desserts', itemCount: 1 }]);
+        assert.deepEqual(sections.removed, [{ id: 1, name: 'Starters', itemCount: 2 }]);
+        assert.deepEqual(sections.changed, [
+            { id: 2, name: 'Entrées', renamed: { before: 'Mains', after: 'Entrées' } }
+        ]);
+    });
+
+    it('compares items by position and reports columns and extra items', () => {
+        const starters = base.sections[0];
+        const after = {
+            ...base,
+            sections: [
+                {
+                    ...starters,
+                    columns: ['name', 'price', 'description'],
+                    items: [
+                        { name: 'Soup', price: '6.50' },
+                        starters.items[1],
+                        { name: 'Bread', price: '3' }
+                    ]
+                },
+                { ...base.sections[1], columns: ['name'], items: [] }
+            ]
+        };
+
+        const [startersDiff, mainsDiff] = diffMenuSnapshots(base, after).sections.changed;
+        assert.deepEqual(startersDiff.columnsAdded, ['description']);
+        assert.deepEqual(startersDiff.itemsChanged, [
+            { index: 0, before: { name: 'Soup', price: '6' }, after: { name: 'Soup', price: '6.50' } }
+        ]);
+        assert.deepEqual(startersDiff.itemsAdded, [{ name: 'Bread', price: '3' }]);
+        assert.deepEqual(mainsDiff.columnsRemoved, ['price']);
+        assert.deepEqual(mainsDiff.itemsRemoved, [{ name: 'Pasta', price: '14' }]);
+    });
+});
+
+describe('applyItemAvailability', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const sections = [
+        section(1, 'Mains', [
+            { _id: 'a', name: 'Pasta' },
+            { _id: 'b', name: 'Risotto' },
+            { _id: 'c', name: 'Steak' },
+            { name: 'Soup of the day' }
+        ])
+    ];
+
+    it('returns the sections unchanged when nothing is unavailable', () => {
+        assert.equal(applyItemAvailability(sections, [], now), sections);
+        assert.equal(applyItemAvailability(sections, null, now), sections);
+    });
+
+    it('drops hidden items and marks sold-out ones', () => {
+        const result = applyItemAvailability(sections, [
+            { item_id: 'a', status: 'hidden', back_at: null },
+            { item_id: 'b', status: 'sold_out', back_at: '2026-03-01T18:00:00Z' }
+        ], now);
+
+        assert.deepEqual(result[0].items, [
+            { _id: 'b', name: 'Risotto', availability: { status: 'sold_out', backAt: '2026-03-01T18:00:00Z' } },
+            { _id: 'c', name: 'Steak' },
+            { name: 'Soup of the day' }
+        ]);
+    });
+
+    it('ignores entries whose back-at time has passed', () => {
+        const result = applyItemAvailability(sections, [
+            { item_id: 'a', status: 'hidden', back_at: '2026-03-01T11:00:00Z' },
+            { item_id: 'c', status: 'sold_out', back_at: null }
+        ], now);
+
+        assert.deepEqual(result[0].items.map(item => item.name), ['Pasta', 'Risotto', 'Steak', 'Soup of the day']);
+        assert.deepEqual(result[0].items[2].availability, { status: 'sold_out', backAt: null });
+    });
+
+    it('does not modify the snapshot it was given', () => {
+        const before = structuredClone(sections);
+        applyItemAvailability(sections, [{ item_id: 'b', status: 'sold_out', back_at: null }], now);
+        assert.deepEqual(sections, before);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stand-ins for the database: one team menu with an owner and an editor
+const menus = new Map();
+const members = new Map();
+let menuUpdates;
+
+function stubModule(path, exports) {
+    const resolved = require.resolve(path);
+    require.cache[resolved] = { id: resolved, loaded: true, exports };
+}
+
+stubModule('../lib/database', {
+    updateMenu: async (menuId, updates) => {
+        menuUpdates.push(updates);
+        return { success: true, menu: { id: menuId, ...updates } };
+    },
+    saveMenuSections: async () => ({ success: true })
+});
+
+stubModule('../lib/hybrid-database', {
+    getSession: async sessionId => (sessionId.startsWith('session-') ? { user_id: sessionId.slice(8) } : null),
+    getMenuById: async menuId => ({ success: true, menu: menus.get(menuId) || null }),
+    getOrganizationMember: async (organizationId, userId) => ({
+        success: true,
+        member: members.get(`${organizationId}:${userId}`) || null
+    }),
+    createMenuRevision: async () => ({ success: true })
+});
+
+const handler = require('../api/menu/update');
+
+function request(userId, body) {
+    return {
+        method: 'PUT',
+        query: { menuId: 'menu-1' },
+        headers: { authorization: `Bearer session-${userId}` },
+        body
+    };
+}
+
+function response() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+describe('PUT /api/menu/update', () => {
+    beforeEach(() => {
+        menuUpdates = [];
+        menus.clear();
+        members.clear();
+
+        menus.set('menu-1', { id: 'menu-1', user_id: 'olivia', organization_id: 'org-1' });
+        members.set('org-1:olivia', { role: 'owner' });
+        members.set('org-1:ed', { role: 'editor' });
+        members.set('org-2:ed', { role: 'owner' });
+    });
+
+    it('saves the editable fields an editor sends', async () => {
+        const res = response();
+        await handler(request('ed', { name: 'Dinner', fontFamily: 'Inter', logoSize: 'large' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(menuUpdates, [{ name: 'Dinner', fontFamily: 'Inter', logoSize: 'large' }]);
+    });
+
+    it("doesn't let an editor move the menu to another team or owner", async () => {
+        const res = response();
+        await handler(request('ed', { name: 'Dinner', organizationId: 'org-2', userId: 'ed' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(menuUpdates, [{ name: 'Dinner' }]);
+    });
+
+    it('ignores publish state and keys that are not menu fields', async () => {
+        const res = response();
+        await handler(request('olivia', {
+            status: 'published',
+            publishedSlug: 'someone-else',
+            'name = NULL, user_id': 'x'
+        }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(menuUpdates, []);
+    });
+
+    it('stops viewers and people outside the team before saving anything', async () => {
+        members.set('org-1:vic', { role: 'viewer' });
+
+        const viewerRes = response();
+        await handler(request('vic', { name: 'Mine now' }), viewerRes);
+        assert.equal(viewerRes.statusCode, 403);
+
+        const outsiderRes = response();
+        await handler(request('mallory', { name: 'Mine now' }), outsiderRes);
+        assert.equal(outsiderRes.statusCode, 404);
+
+        assert.deepEqual(menuUpdates, []);
+    });
+});
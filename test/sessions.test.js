@@ -0,0 +1,236 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileDatabase = require('../lib/file-database');
+const {
+    SESSION_TTL_MS,
+    SESSION_REFRESH_INTERVAL_MS,
+    getSessionExpiry,
+    shouldRefreshSession,
+    getSessionCookie,
+    getSessionPublicId
+} = require('../lib/sessions');
+
+// A file database in a temporary directory stands in for hybrid-database, so the
+// handlers below run against the real session rules
+const db = Object.create(FileDatabase.prototype);
+db.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+db.ensureDataDirectory();
+
+function stubModule(modulePath, exports) {
+    const resolved = require.resolve(modulePath);
+    require.cache[resolved] = { id: resolved, loaded: true, exports };
+}
+
+stubModule('../lib/hybrid-database', {
+    getSession: sessionId => db.getSession(sessionId),
+    getUserSessions: userId => db.getUserSessions(userId),
+    deleteSession: sessionId => db.deleteSession(sessionId),
+    deleteUserSessions: (userId, exceptSessionId) => db.deleteUserSessions(userId, exceptSessionId),
+    getUserById: async id => ({ success: true, user: { id, email: `${id}@example.com`, password_hash: 'hash' } })
+});
+
+const verifyHandler = require('../api/auth/verify');
+const sessionsHandler = require('../api/auth/sessions');
+
+const MINUTE = 60 * 1000;
+
+// Sign a user in with a session last used `idleMs` ago
+async function signIn(sessionId, userId, idleMs = 0) {
+    const lastSeen = new Date(Date.now() - idleMs);
+    await db.createSession(sessionId, userId, getSessionExpiry(lastSeen).toISOString());
+    const sessions = db.readData('sessions.json');
+    sessions.find(s => s.id === sessionId).last_seen_at = lastSeen.toISOString();
+    db.writeData('sessions.json', sessions);
+}
+
+function storedSession(sessionId) {
+    return db.readData('sessions.json').find(s => s.id === sessionId) || null;
+}
+
+function request({ cookie, bearer, method = 'GET', query = {} }) {
+    return {
+        method,
+        query,
+        cookies: cookie ? { session: cookie } : {},
+        headers: bearer ? { authorization: `Bearer ${bearer}` } : {}
+    };
+}
+
+function response() {
+    return {
+        statusCode: null,
+        body: null,
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+after(() => {
+    fs.rmSync(db.dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    db.writeData('sessions.json', []);
+});
+
+describe('shouldRefreshSession', () => {
+    const now = new Date('2026-03-02T12:00:00Z');
+
+    it('leaves a recently used session alone', () => {
+        const lastSeen = new Date(now - SESSION_REFRESH_INTERVAL_MS + 1000);
+        assert.equal(shouldRefreshSession({ last_seen_at: lastSeen.toISOString() }, now), false);
+    });
+
+    it('extends a session once the refresh interval has passed', () => {
+        const lastSeen = new Date(now - SESSION_REFRESH_INTERVAL_MS);
+        assert.equal(shouldRefreshSession({ last_seen_at: lastSeen.toISOString() }, now), true);
+    });
+
+    it('extends sessions from before last use was recorded', () => {
+        assert.equal(shouldRefreshSession({}, now), true);
+    });
+
+    it('expires a session SESSION_TTL_MS after its last use', () => {
+        assert.equal(getSessionExpiry(now).getTime(), now.getTime() + SESSION_TTL_MS);
+    });
+});
+
+describe('session extension', () => {
+    it('moves the expiry forward when an idle session is used', async () => {
+        await signIn('session-idle', 'user-1', 2 * 24 * 60 * MINUTE);
+        const previousExpiry = new Date(storedSession('session-idle').expires_at);
+
+        const session = await db.getSession('session-idle');
+
+        assert.equal(session.refreshed, true);
+        const stored = storedSession('session-idle');
+        assert.ok(new Date(stored.expires_at) > previousExpiry);
+        assert.ok(Math.abs(new Date(stored.expires_at) - Date.now() - SESSION_TTL_MS) < MINUTE);
+        assert.equal(stored.refreshed, undefined);
+    });
+
+    it('does not write a session used moments ago', async () => {
+        await signIn('session-fresh', 'user-1', MINUTE);
+        const previous = storedSession('session-fresh');
+
+        const session = await db.getSession('session-fresh');
+
+        assert.equal(session.refreshed, undefined);
+        assert.deepEqual(storedSession('session-fresh'), previous);
+    });
+
+    it('re-sends the cookie with a full Max-Age when a cookie session is extended', async () => {
+        await signIn('session-cookie', 'user-1', 2 * 24 * 60 * MINUTE);
+        const res = response();
+
+        await verifyHandler(request({ cookie: 'session-cookie' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.headers['set-cookie'], [getSessionCookie('session-cookie')]);
+        assert.match(res.headers['set-cookie'][0], new RegExp(`Max-Age=${SESSION_TTL_MS / 1000}(;|$)`));
+    });
+
+    it('does not re-send the cookie when the session was not extended', async () => {
+        await signIn('session-cookie', 'user-1', MINUTE);
+        const res = response();
+
+        await verifyHandler(request({ cookie: 'session-cookie' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['set-cookie'], undefined);
+    });
+
+    it('sets no cookie for clients using a Bearer token', async () => {
+        await signIn('session-bearer', 'user-1', 2 * 24 * 60 * MINUTE);
+        const res = response();
+
+        await verifyHandler(request({ bearer: 'session-bearer' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['set-cookie'], undefined);
+        assert.ok(new Date(storedSession('session-bearer').last_seen_at) > Date.now() - MINUTE);
+    });
+
+    it('rejects a session past its expiry instead of extending it', async () => {
+        await signIn('session-expired', 'user-1', SESSION_TTL_MS + MINUTE);
+        const res = response();
+
+        await verifyHandler(request({ cookie: 'session-expired' }), res);
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.headers['set-cookie'], undefined);
+        assert.equal(storedSession('session-expired'), null);
+    });
+});
+
+describe('session revocation', () => {
+    beforeEach(async () => {
+        await signIn('session-laptop', 'user-1');
+        await signIn('session-phone', 'user-1');
+        await signIn('session-tablet', 'user-1');
+        await signIn('session-other-user', 'user-2');
+    });
+
+    async function revoke(sessionId, query) {
+        const res = response();
+        await sessionsHandler(request({ bearer: sessionId, method: 'DELETE', query }), res);
+        return res;
+    }
+
+    it('signs out one device by its public ID', async () => {
+        const res = await revoke('session-laptop', { id: getSessionPublicId('session-phone') });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { success: true, signedOut: 1, current: false });
+        assert.equal(storedSession('session-phone'), null);
+        assert.equal(await db.getSession('session-phone'), null);
+        assert.ok(storedSession('session-laptop'));
+    });
+
+    it("can't sign out another account's session", async () => {
+        const res = await revoke('session-laptop', { id: getSessionPublicId('session-other-user') });
+
+        assert.equal(res.statusCode, 404);
+        assert.ok(storedSession('session-other-user'));
+    });
+
+    it('signs out every other device and keeps the current one', async () => {
+        const res = await revoke('session-laptop', { scope: 'others' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.signedOut, 2);
+        assert.deepEqual(db.readData('sessions.json').map(s => s.id).sort(), ['session-laptop', 'session-other-user']);
+    });
+
+    it('signs out the current device', async () => {
+        const res = await revoke('session-laptop', { scope: 'current' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(storedSession('session-laptop'), null);
+
+        const verifyRes = response();
+        await verifyHandler(request({ bearer: 'session-laptop' }), verifyRes);
+        assert.equal(verifyRes.statusCode, 401);
+    });
+
+    it('requires a valid session to revoke anything', async () => {
+        const res = await revoke('session-unknown', { scope: 'others' });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(db.readData('sessions.json').length, 4);
+    });
+});
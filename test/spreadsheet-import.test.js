@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SpreadsheetImport = require('../spreadsheet-import');
+
+// The constructor wires up editor event listeners; parsing needs none of that
+function createImporter(fields = {}) {
+    return Object.assign(Object.create(SpreadsheetImport.prototype), {
+        menuEditor: { sections: [] },
+        rows: [],
+        headers: [],
+        fileName: ''
+    }, fields);
+}
+
+describe('SpreadsheetImport parsing', () => {
+    const importer = createImporter();
+
+    it('detects tab, comma and semicolon delimiters from the header row', () => {
+        assert.equal(importer.detectDelimiter('Name\tPrice\nSoup\t6'), '\t');
+        assert.equal(importer.detectDelimiter('Name,Price\nSoup,6'), ',');
+        assert.equal(importer.detectDelimiter('Name;Price;Notes\nSoup;6,50;hot'), ';');
+        assert.equal(importer.detectDelimiter('Name\nSoup'), ',');
+    });
+
+    it('parses quoted cells with delimiters, newlines and escaped quotes', () => {
+        const rows = importer.parseDelimited('Name,Description\r\n"Soup, tomato","Served ""hot""\nwith bread"\r\n');
+        assert.deepEqual(rows, [
+            ['Name', 'Description'],
+            ['Soup, tomato', 'Served "hot"\nwith bread']
+        ]);
+    });
+
+    it('strips the byte order mark and drops blank rows', () => {
+        const rows = importer.parseDelimited('\uFEFFName,Price\n\nSoup,6\n , \nSalad,7');
+        assert.deepEqual(rows, [['Name', 'Price'], ['Soup', '6'], ['Salad', '7']]);
+    });
+
+    it('keeps a last row without a trailing newline', () => {
+        assert.deepEqual(importer.parseDelimited('a\tb\n1\t2', '\t'), [['a', 'b'], ['1', '2']]);
+    });
+
+    it('matches headers to columns exactly, by prefix or suffix, then by alias', () => {
+        const columns = ['Item Name', 'Price', 'Description'];
+        assert.equal(importer.matchColumn('price', columns), 'Price');
+        assert.equal(importer.matchColumn('Name', columns), 'Item Name');
+        assert.equal(importer.matchColumn('Cost', columns), 'Price');
+        assert.equal(importer.matchColumn('Details', columns), 'Description');
+        assert.equal(importer.matchColumn('Calories', columns), null);
+        assert.equal(importer.matchColumn('  ', columns), null);
+    });
+
+    it('parses price variant cells', () => {
+        assert.deepEqual(importer.parsePriceVariants('Glass: $12 | Bottle: $48 | | $5'), [
+            { label: 'Glass', price: '$12' },
+            { label: 'Bottle', price: '$48' },
+            { label: '', price: '$5' }
+        ]);
+    });
+});
+
+describe('SpreadsheetImport.buildImportedSections', () => {
+    let originalDocument;
+
+    before(() => {
+        originalDocument = global.document;
+        global.document = { getElementById: () => ({ value: 'new' }) };
+    });
+
+    after(() => {
+        global.document = originalDocument;
+    });
+
+    function build(text, mapping, fields = {}) {
+        const rows = createImporter().parseDelimited(text);
+        const importer = createImporter({ headers: rows[0], rows: rows.slice(1), ...fields });
+        importer.getMapping = () => mapping;
+        importer.getImportMode = () => 'replace';
+        return importer.buildImportedSections();
+    }
+
+    it('puts every row in one section named after the file without a section column', () => {
+        const sections = build('Name,Price\nSoup,6\nSalad,7', ['Name', 'Price'], { fileName: 'lunch.csv' });
+        assert.equal(sections.length, 1);
+        assert.equal(sections[0].name, 'lunch');
+        assert.deepEqual(sections[0].columns, ['Name', 'Price']);
+        assert.deepEqual(sections[0].items, [{ Name: 'Soup', Price: '6' }, { Name: 'Salad', Price: '7' }]);
+    });
+
+    it('groups rows by section and keeps only the columns each section uses', () => {
+        const sections = build(
+            'Section,Section Type,Name,Price,ABV\nMains,food,Pasta,14,\nBeer,drinks,Lager,6,5%\nmains,,Steak,22,',
+            ['__section', '__sectionType', 'Name', 'Price', 'ABV']
+        );
+
+        assert.deepEqual(sections.map(s => [s.name, s.type, s.columns, s.items.length]), [
+            ['Mains', 'food', ['Name', 'Price'], 2],
+            ['Beer', 'drinks', ['Name', 'Price', 'ABV'], 1]
+        ]);
+    });
+
+    it('undoes the export formula guard but keeps other leading quotes', () => {
+        const sections = build("Name,Notes\n'=Special,'-2 for 1\n'Quoted',x", ['Name', 'Notes']);
+        assert.deepEqual(sections[0].items, [
+            { Name: '=Special', Notes: '-2 for 1' },
+            { Name: "'Quoted'", Notes: 'x' }
+        ]);
+    });
+
+    it('joins headers mapped to the same column, skips unmapped ones and empty items', () => {
+        const sections = build(
+            'First,Last,Internal,Price Variants\nFish,Chips,skip,Small: 8 | Large: 12\n,,only this,',
+            ['Name', 'Name', '', '__priceVariants']
+        );
+
+        assert.deepEqual(sections[0].items, [{
+            Name: 'Fish Chips',
+            priceVariants: [{ label: 'Small', price: '8' }, { label: 'Large', price: '12' }]
+        }]);
+    });
+});
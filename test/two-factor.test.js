@@ -0,0 +1,160 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory stand-ins for the two-factor tables, with the same rules as the
+// database: steps only move forward and each recovery code works once
+const lastSteps = new Map();
+const recoveryCodes = new Map();
+
+require.cache[require.resolve('../lib/hybrid-database')] = {
+    id: require.resolve('../lib/hybrid-database'),
+    loaded: true,
+    exports: {
+        useTwoFactorStep: async (userId, step) => {
+            const accepted = !lastSteps.has(userId) || step > lastSteps.get(userId);
+            if (accepted) lastSteps.set(userId, step);
+            return { success: true, accepted };
+        },
+        consumeRecoveryCode: async (userId, codeHash) => {
+            const codes = recoveryCodes.get(userId) || new Set();
+            return { success: true, used: codes.delete(codeHash) };
+        },
+        createLoginChallenge: async () => ({ success: true })
+    }
+};
+
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateTotp,
+    findTotpStep,
+    getOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    verifySecondFactor
+} = require('../lib/two-factor');
+
+// The SHA-1 secret from RFC 6238's test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP codes', () => {
+    it('round-trips secrets through base32', () => {
+        assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        assert.deepEqual(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq'), Buffer.from('12345678901234567890'));
+        assert.equal(base32Decode(generateSecret()).length, 20);
+        assert.throws(() => base32Decode('NOT-BASE32!'), /Invalid base32 secret/);
+    });
+
+    it('matches the RFC 6238 test vectors', () => {
+        const vectors = [
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1111111111, '050471'],
+            [1234567890, '005924'],
+            [2000000000, '279037']
+        ];
+        for (const [seconds, code] of vectors) {
+            assert.equal(generateTotp(RFC_SECRET, getTimeStep(new Date(seconds * 1000))), code);
+        }
+    });
+
+    it('accepts codes from one period either side and returns their step', () => {
+        const now = new Date(1234567890 * 1000);
+        const step = getTimeStep(now);
+
+        assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step), now), step);
+        assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), now), step - 1);
+        assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), now), step + 1);
+        assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), now), null);
+    });
+
+    it('allows spaces in codes and rejects anything that is not six digits', () => {
+        const now = new Date(1234567890 * 1000);
+        assert.equal(findTotpStep(RFC_SECRET, '005 924', now), getTimeStep(now));
+        assert.equal(findTotpStep(RFC_SECRET, '05924', now), null);
+        assert.equal(findTotpStep(RFC_SECRET, '0059245', now), null);
+        assert.equal(findTotpStep(RFC_SECRET, 'abcdef', now), null);
+        assert.equal(findTotpStep(null, '005924', now), null);
+    });
+
+    it('builds an otpauth URI for authenticator apps', () => {
+        const uri = new URL(getOtpauthUri(RFC_SECRET, 'chef@example.com'));
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/MyMobileMenu:chef@example.com');
+        assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(uri.searchParams.get('digits'), '6');
+        assert.equal(uri.searchParams.get('period'), '30');
+    });
+});
+
+describe('recovery codes', () => {
+    it('generates distinct codes with matching hashes', () => {
+        const { codes, codeHashes } = generateRecoveryCodes();
+        assert.equal(codes.length, 10);
+        assert.equal(new Set(codes).size, 10);
+        for (const code of codes) {
+            assert.match(code, /^[a-z2-9]{5}-[a-z2-9]{5}$/);
+        }
+        assert.deepEqual(codeHashes, codes.map(hashRecoveryCode));
+    });
+
+    it('hashes codes without regard to case, spaces or dashes', () => {
+        assert.equal(hashRecoveryCode('ABCDE 23456'), hashRecoveryCode('abcde-23456'));
+        assert.notEqual(hashRecoveryCode('abcde-23456'), hashRecoveryCode('abcde-23457'));
+    });
+});
+
+describe('verifySecondFactor', () => {
+    const secret = generateSecret();
+    const user = { id: 'user-1', two_factor_secret: secret, two_factor_enabled: true };
+    let codes;
+
+    beforeEach(() => {
+        lastSteps.clear();
+        const generated = generateRecoveryCodes(3);
+        codes = generated.codes;
+        recoveryCodes.set(user.id, new Set(generated.codeHashes));
+    });
+
+    it('accepts the current authenticator code once', async () => {
+        const code = generateTotp(secret);
+        assert.deepEqual(await verifySecondFactor(user, code), { success: true, valid: true, method: 'totp' });
+        assert.deepEqual(await verifySecondFactor(user, code), { success: true, valid: false, method: 'totp' });
+    });
+
+    it('rejects an older code after a newer one was used', async () => {
+        const step = getTimeStep();
+        assert.equal((await verifySecondFactor(user, generateTotp(secret, step))).valid, true);
+        assert.equal((await verifySecondFactor(user, generateTotp(secret, step - 1))).valid, false);
+    });
+
+    it('rejects wrong codes without using up a time step', async () => {
+        const wrong = String((Number(generateTotp(secret)) + 1) % 1000000).padStart(6, '0');
+        assert.deepEqual(await verifySecondFactor(user, wrong), { success: true, valid: false });
+        assert.equal(lastSteps.size, 0);
+    });
+
+    it('uses up each recovery code, however it is typed', async () => {
+        const typed = codes[0].toUpperCase().replace('-', ' ');
+        assert.deepEqual(await verifySecondFactor(user, typed), { success: true, valid: true, method: 'recovery' });
+        assert.deepEqual(await verifySecondFactor(user, codes[0]), { success: true, valid: false, method: 'recovery' });
+        assert.equal((await verifySecondFactor(user, codes[1])).valid, true);
+        assert.equal(recoveryCodes.get(user.id).size, 1);
+    });
+
+    it('ignores recovery codes until setup is finished', async () => {
+        const settingUp = { ...user, two_factor_enabled: false };
+        assert.deepEqual(await verifySecondFactor(settingUp, codes[0]), { success: true, valid: false });
+        assert.equal(recoveryCodes.get(user.id).size, 3);
+        assert.equal((await verifySecondFactor(settingUp, generateTotp(secret))).valid, true);
+    });
+
+    it('rejects every code for users without a secret', async () => {
+        const withoutSecret = { id: 'user-2', two_factor_secret: null, two_factor_enabled: false };
+        assert.equal((await verifySecondFactor(withoutSecret, generateTotp(secret))).valid, false);
+        assert.equal((await verifySecondFactor(user, '')).valid, false);
+    });
+});